@@ -3,13 +3,22 @@ import React, { useState, useRef, useEffect } from 'react';
 import { 
   Send, Loader2, ArrowLeft, MoreVertical, Zap, Shield, 
   Plus, MessageSquare, Edit2, Check, X as XIcon, Trash2, Sidebar as SidebarIcon,
-  Download, Eraser
+  Download, Eraser, ClipboardList
 } from 'lucide-react';
 import ReactMarkdown from 'react-markdown';
-import { getDiagnostic } from '../services/geminiService';
-import { ChatSession, Message, Agent } from '../types';
+import { getDiagnosticWithMemory } from '../services/geminiService';
+import { ChatSession, Message, Agent, ConversationMemory } from '../types';
 import * as Storage from '../services/storage';
 
+const MEMORY_SECTIONS: { key: keyof ConversationMemory; label: string }[] = [
+  { key: 'facts', label: 'Fatos' },
+  { key: 'testsDone', label: 'Testes feitos' },
+  { key: 'ruledOut', label: 'Causas descartadas' },
+];
+
+const hasMemory = (memory?: ConversationMemory) =>
+  !!memory && MEMORY_SECTIONS.some(({ key }) => (memory[key] || []).length > 0);
+
 interface ChatSessionProps {
   sessionId: string;
   onBack: () => void;
@@ -137,7 +146,7 @@ const ChatSessionView: React.FC<ChatSessionProps> = ({
       parts: [{ text: m.text }]
     }));
 
-    const responseText = await getDiagnostic(
+    const { text: responseText, memory } = await getDiagnosticWithMemory(
       userMessage.text, 
       history, 
       agent.systemInstruction,
@@ -156,7 +165,8 @@ const ChatSessionView: React.FC<ChatSessionProps> = ({
       ...updatedSession,
       messages: [...updatedSession.messages, modelMessage],
       lastMessageAt: new Date().toISOString(),
-      title: updatedSession.messages.length === 1 ? input.substring(0, 30) : updatedSession.title
+      title: updatedSession.messages.length === 1 ? input.substring(0, 30) : updatedSession.title,
+      memory: memory || updatedSession.memory
     };
 
     setSession(finalSession);
@@ -417,6 +427,28 @@ const ChatSessionView: React.FC<ChatSessionProps> = ({
             </div>
             )}
             
+            {hasMemory(session.memory) && (
+            <div className="max-w-4xl mx-auto rounded-xl border border-slate-200 bg-white px-5 py-4 shadow-sm text-sm">
+                <div className="flex items-center gap-2 font-bold text-slate-800 mb-3">
+                    <ClipboardList size={16} className="text-voltz-accent" /> Memória do atendimento
+                </div>
+                <div className="grid gap-4 sm:grid-cols-3">
+                    {MEMORY_SECTIONS.map(({ key, label }) => (
+                    <div key={key}>
+                        <p className="text-[11px] font-bold uppercase tracking-wide text-slate-500 mb-1">{label}</p>
+                        {session.memory![key].length ? (
+                        <ul className="space-y-1 text-slate-600">
+                            {session.memory![key].map((item, i) => <li key={i}>• {item}</li>)}
+                        </ul>
+                        ) : (
+                        <p className="text-slate-400">—</p>
+                        )}
+                    </div>
+                    ))}
+                </div>
+            </div>
+            )}
+
             {session.messages.map((message) => (
             <div
                 key={message.id}
@@ -105,7 +105,7 @@ const KnowledgeBase: React.FC = () => {
       try {
         const response = await fetch(`${RAG_SERVER_URL}/api/upload`, {
           method: 'POST',
-          headers: { ...ragHeaders(true) },
+          headers: { ...ragHeaders() },
           body: formData
         });
 
@@ -136,7 +136,7 @@ const KnowledgeBase: React.FC = () => {
     try {
       const response = await fetch(`${RAG_SERVER_URL}/api/clear`, {
         method: 'DELETE',
-        headers: { ...ragHeaders(true) }
+        headers: { ...ragHeaders() }
       });
 
       if (response.ok) {
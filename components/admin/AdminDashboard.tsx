@@ -214,7 +214,7 @@ export default function AdminDashboard() {
       try {
         const url = ragUrl(`/api/upload/status/${taskId}`);
         const res = await fetch(url, {
-          headers: { ...ragHeaders(true) }
+          headers: { ...ragHeaders() }
         });
         const task = await res.json();
         if (task.status === 'done' || task.status === 'error' || task.status === 'not_found') return task;
@@ -252,7 +252,7 @@ export default function AdminDashboard() {
       console.log('[Upload] Verificando duplicatas em:', url);
       const res = await fetch(url, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json', ...ragHeaders(true) },
+        headers: { 'Content-Type': 'application/json', ...ragHeaders() },
         body: JSON.stringify({ fileNames: files.map(f => f.name) })
       });
       if (res.ok) {
@@ -349,7 +349,7 @@ export default function AdminDashboard() {
           const uploadTimeout = setTimeout(() => uploadCtrl.abort(), 600_000); // 10min timeout — PDFs grandes (500MB) precisam de mais tempo
           res = await fetch(uploadUrl, { 
             method: 'POST', 
-            headers: { ...ragHeaders(true) },
+            headers: { ...ragHeaders() },
             body: formData,
             signal: uploadCtrl.signal
           });
@@ -94,7 +94,7 @@ export default function FileManager() {
     try {
       const res = await fetch(ragUrl('/api/check-duplicates'), {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json', ...ragHeaders(true) },
+        headers: { 'Content-Type': 'application/json', ...ragHeaders() },
         body: JSON.stringify({ fileNames: files.map(f => f.name) })
       });
       if (res.ok) {
@@ -174,7 +174,7 @@ export default function FileManager() {
         try {
           uploadResponse = await fetch(ragUrl('/api/upload'), {
             method: 'POST',
-            headers: { ...ragHeaders(true) },
+            headers: { ...ragHeaders() },
             body: formData
           });
         } catch (networkErr: any) {
@@ -294,7 +294,7 @@ export default function FileManager() {
     while (attempts < maxAttempts) {
       try {
         const res = await fetch(ragUrl(`/api/upload/status/${taskId}`), {
-          headers: { ...ragHeaders(true) }
+          headers: { ...ragHeaders() }
         });
         const task = await res.json();
         
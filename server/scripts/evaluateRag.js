@@ -3,6 +3,9 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import { ragQuery } from '../services/ragService.js';
+import { initializeChroma, exportCorpus, getChunksByRange } from '../services/vectorStoreAdapter.js';
+import { normalizeCompact, extractEvidenceTokens } from '../services/evidenceTokens.js';
+import { createJudge } from '../services/answerJudge.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -26,7 +29,61 @@ function includesAnyExpected(answer, expectedContains) {
 
 function isAbstention(answer) {
   const a = normalize(answer);
-  return /nao encontrei|nao posso cravar|sem evidencia|nao posso afirmar|envie a pagina|nao consta/.test(a);
+  return /nao encontrei|nao localizei|nao posso cravar|sem evidencia|nao posso afirmar|envie a pagina|nao consta|preciso confirmar|preciso destas|me confirma|nao tem acesso/.test(a);
+}
+
+// Tokens críticos (tensão/código/conector) citados no corpus de cada marca, em forma compacta
+const groundingCache = new Map();
+
+async function getGroundingText(brandName) {
+  const key = brandName || '';
+  if (!groundingCache.has(key)) {
+    const corpus = await exportCorpus(50000, brandName || null);
+    const tokens = new Set();
+    for (const doc of corpus) {
+      for (const t of extractEvidenceTokens(`${doc?.metadata?.title || ''} ${doc?.content || ''}`)) tokens.add(normalizeCompact(t));
+    }
+    groundingCache.set(key, ` ${Array.from(tokens).join(' ')}`);
+  }
+  return groundingCache.get(key);
+}
+
+/**
+ * Tokens da resposta sem lastro: não estão no corpus da marca nem na pergunta (mesma extração da
+ * validação de ancoragem do ragService). Token adversarial (código/conector inventado) repetido numa
+ * resposta que não se absteve conta como alucinado mesmo estando na pergunta.
+ * "24v" tem lastro se o corpus cita "24vdc" (mesmo critério de inclusão do ragService).
+ */
+async function findHallucinatedTokens(entry, answer, abstained) {
+  const grounding = await getGroundingText(entry.brandName);
+  const questionTokens = new Set(extractEvidenceTokens(entry.question).map(normalizeCompact));
+  const adversarial = new Set((entry.adversarialTokens || []).map(normalizeCompact));
+  return extractEvidenceTokens(answer).filter(token => {
+    const compact = normalizeCompact(token);
+    if (adversarial.has(compact)) return !abstained;
+    if (questionTokens.has(compact)) return false;
+    return !grounding.includes(` ${compact}`);
+  });
+}
+
+function rate(part, total) {
+  return total ? part / total : 0;
+}
+
+/**
+ * Conteúdo completo dos trechos citados na resposta (citations trazem só um excerto)
+ */
+async function loadCitedChunks(citations) {
+  const out = [];
+  for (const c of citations || []) {
+    let content = c.excerpt || '';
+    if (c.source && Number.isFinite(c.chunkIndex)) {
+      const [chunk] = await getChunksByRange(c.source, { chunkIndexFrom: c.chunkIndex, chunkIndexTo: c.chunkIndex, limit: 1 });
+      if (chunk?.content) content = chunk.content;
+    }
+    out.push({ id: c.id, source: c.source || null, page: c.page ?? null, content });
+  }
+  return out;
 }
 
 async function main() {
@@ -35,15 +92,30 @@ async function main() {
     || path.join(__dirname, '..', 'data', 'eval', 'eval_set.auto.json');
   const limitArg = Number(args.find(a => a.startsWith('--limit='))?.split('=')[1] || 100);
   const limit = Math.max(10, Math.min(1000, Number.isFinite(limitArg) ? limitArg : 100));
+  // Juiz (stub | gemini): substitui o casamento de substring na nota de cada resposta
+  const judgeArg = args.find(a => a.startsWith('--judge='))?.split('=')[1] || null;
+  const judge = judgeArg ? createJudge(judgeArg) : null;
+  const passArg = Number(args.find(a => a.startsWith('--judge-pass='))?.split('=')[1] ?? 0.7);
+  const judgePass = Number.isFinite(passArg) ? passArg : 0.7;
 
   const raw = fs.readFileSync(fileArg, 'utf-8');
   const data = JSON.parse(raw);
   const entries = (data.entries || []).slice(0, limit);
+  await initializeChroma();
 
   let correct = 0;
   let abstain = 0;
   let withSource = 0;
   let sourceHit = 0;
+  // Comportamento esperado: answer (pergunta respondível) | abstain (sem resposta no corpus)
+  let shouldAnswer = 0;
+  let answeredWhenShould = 0;
+  let shouldAbstain = 0;
+  let abstainedWhenShould = 0;
+  let withHallucination = 0;
+  let hallucinatedTokens = 0;
+  const byCategory = {};
+  const judgeTotals = { faithfulness: 0, completeness: 0, safety: 0, overall: 0 };
 
   const details = [];
 
@@ -51,11 +123,47 @@ async function main() {
     const e = entries[i];
     const res = await ragQuery(e.question, '', 10, e.brandName || null, []);
     const answer = res?.answer || '';
-    const ok = includesAnyExpected(answer, e.expectedContains || []);
+    const expectedBehavior = e.expectedBehavior === 'abstain' ? 'abstain' : 'answer';
+    const substringOk = expectedBehavior === 'answer' && includesAnyExpected(answer, e.expectedContains || []);
     const abst = isAbstention(answer);
+    const verdict = judge
+      ? await judge.judge({
+        question: e.question,
+        answer,
+        abstained: abst,
+        expectedBehavior,
+        expectedContains: e.expectedContains || [],
+        citedChunks: await loadCitedChunks(res?.citations),
+      })
+      : null;
+    const ok = verdict ? expectedBehavior === 'answer' && verdict.overall >= judgePass : substringOk;
+    if (verdict) {
+      for (const key of Object.keys(judgeTotals)) judgeTotals[key] += verdict[key];
+    }
+    const hallucinated = await findHallucinatedTokens(e, answer, abst);
+    const behaviorOk = expectedBehavior === 'abstain' ? abst : !abst;
 
     if (ok) correct += 1;
     if (abst) abstain += 1;
+    if (expectedBehavior === 'answer') {
+      shouldAnswer += 1;
+      if (!abst) answeredWhenShould += 1;
+    } else {
+      shouldAbstain += 1;
+      if (abst) abstainedWhenShould += 1;
+    }
+    if (hallucinated.length) {
+      withHallucination += 1;
+      hallucinatedTokens += hallucinated.length;
+    }
+
+    const category = e.category || 'answerable';
+    const bucket = (byCategory[category] ||= { total: 0, behaviorOk: 0, abstain: 0, withHallucination: 0, judgeOverall: 0 });
+    bucket.total += 1;
+    if (verdict) bucket.judgeOverall += verdict.overall;
+    if (behaviorOk) bucket.behaviorOk += 1;
+    if (abst) bucket.abstain += 1;
+    if (hallucinated.length) bucket.withHallucination += 1;
 
     const topSources = (res?.sources || []).map(s => String(s.source || ''));
     if (e.expectedSource) {
@@ -66,8 +174,14 @@ async function main() {
     details.push({
       id: e.id,
       question: e.question,
+      expectedBehavior,
+      category,
       ok,
+      substringOk,
       abstain: abst,
+      behaviorOk,
+      ...(verdict ? { judge: verdict } : {}),
+      hallucinatedTokens: hallucinated,
       expectedSource: e.expectedSource || null,
       topSources: topSources.slice(0, 3),
       telemetry: res?.telemetry || null,
@@ -78,22 +192,42 @@ async function main() {
     }
   }
 
-  const precision = entries.length ? correct / entries.length : 0;
-  const abstentionRate = entries.length ? abstain / entries.length : 0;
+  const precision = rate(correct, shouldAnswer);
+  const abstentionRate = rate(abstain, entries.length);
   const recallAtK = withSource ? sourceHit / withSource : 0;
+  const answerWhenShouldRate = rate(answeredWhenShould, shouldAnswer);
+  const abstainWhenShouldRate = rate(abstainedWhenShould, shouldAbstain);
+  const hallucinationRate = rate(withHallucination, entries.length);
 
   const report = {
     generatedAt: new Date().toISOString(),
     total: entries.length,
+    judge: judge ? { name: judge.name, pass: judgePass } : null,
     metrics: {
       precision,
       abstentionRate,
       recallAtK,
+      answerWhenShouldRate,
+      abstainWhenShouldRate,
+      hallucinationRate,
       correct,
       abstain,
       sourceHit,
       withSource,
+      shouldAnswer,
+      shouldAbstain,
+      hallucinatedTokens,
+      ...(judge ? {
+        judge: Object.fromEntries(Object.entries(judgeTotals).map(([key, sum]) => [key, rate(sum, entries.length)])),
+      } : {}),
     },
+    byCategory: Object.fromEntries(Object.entries(byCategory).map(([category, { judgeOverall, ...b }]) => [category, {
+      ...b,
+      behaviorOkRate: rate(b.behaviorOk, b.total),
+      abstentionRate: rate(b.abstain, b.total),
+      hallucinationRate: rate(b.withHallucination, b.total),
+      ...(judge ? { judgeOverall: rate(judgeOverall, b.total) } : {}),
+    }])),
     details,
   };
 
@@ -105,6 +239,14 @@ async function main() {
   console.log('✅ Avaliação concluída');
   console.log(`📄 Relatório: ${outFile}`);
   console.log(`🎯 precision=${(precision * 100).toFixed(1)}% | recall@k=${(recallAtK * 100).toFixed(1)}% | abstention=${(abstentionRate * 100).toFixed(1)}%`);
+  if (judge) {
+    const j = report.metrics.judge;
+    console.log(`⚖️  juiz ${judge.name}: faithfulness=${j.faithfulness.toFixed(3)} | completeness=${j.completeness.toFixed(3)} | safety=${j.safety.toFixed(3)} | overall=${j.overall.toFixed(3)} (aprovação ≥ ${judgePass})`);
+  }
+  console.log(`🛑 abstain-when-should=${(abstainWhenShouldRate * 100).toFixed(1)}% (${shouldAbstain}) | answer-when-should=${(answerWhenShouldRate * 100).toFixed(1)}% (${shouldAnswer}) | hallucinated-tokens=${(hallucinationRate * 100).toFixed(1)}% das respostas (${hallucinatedTokens} tokens)`);
+  for (const [category, b] of Object.entries(report.byCategory)) {
+    console.log(`   ${category.padEnd(16)} n=${String(b.total).padStart(4)}  comportamento ok=${(b.behaviorOkRate * 100).toFixed(1)}%  alucinação=${(b.hallucinationRate * 100).toFixed(1)}%${judge ? `  juiz=${b.judgeOverall.toFixed(3)}` : ''}`);
+  }
 }
 
 main().catch(err => {
@@ -0,0 +1,288 @@
+/**
+ * Avaliação só da recuperação (sem geração): roda a montagem das queries e a busca híbrida do
+ * ragQuery sobre o eval set e mede hitRate@k, MRR e nDCG@k por marca, intenção e chunkType.
+ * hitRate@k = fração das perguntas com algum trecho relevante no top-k (não é recall: cada
+ * entrada tem um único trecho de origem, sem a lista completa de trechos relevantes).
+ *
+ * Relevância graduada por entrada do eval set:
+ *   2 = o próprio trecho de origem (expectedSource + expectedChunkIndex)
+ *   1 = mesmo PDF e mesma página (ou mesmo PDF, quando a entrada não tem página)
+ * Entradas negativas (expectedBehavior "abstain") não têm trecho esperado e ficam fora de
+ * hitRate/MRR/nDCG: são reportadas à parte (quantas ainda trazem trechos acima do limiar).
+ *
+ * Uso:
+ *   node scripts/evaluateRetrieval.js [--file=eval_set.json] [--limit=200] [--k=1,3,5,10]
+ *     [--fusion=linear|rrf|mmr] [--rewrite] [--out=relatorio.json]
+ *   node scripts/evaluateRetrieval.js --compare=base.json,novo.json [--tolerance=0.02]
+ *     → diferença entre dois relatórios; sai com código 1 se alguma métrica piorar mais que a tolerância
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const EVAL_DIR = path.join(__dirname, '..', 'data', 'eval');
+
+function getArg(args, name) {
+  return args.find(a => a.startsWith(`--${name}=`))?.split('=').slice(1).join('=') ?? null;
+}
+
+function relevanceGrade(doc, entry) {
+  const meta = doc?.metadata || {};
+  if (!entry.expectedSource || meta.source !== entry.expectedSource) return 0;
+  if (Number.isFinite(entry.expectedChunkIndex) && meta.chunkIndex === entry.expectedChunkIndex) return 2;
+  const page = entry.metadata?.page;
+  if (Number.isFinite(page)) return meta.page === page ? 1 : 0;
+  return 1;
+}
+
+function dcg(grades) {
+  return grades.reduce((sum, g, i) => sum + ((2 ** g) - 1) / Math.log2(i + 2), 0);
+}
+
+/**
+ * IDCG: o melhor trecho possível na 1ª posição + os demais relevantes encontrados, em ordem
+ */
+function ndcgAtK(grades, k, bestGrade) {
+  const top = grades.slice(0, k);
+  const ideal = [...grades].sort((a, b) => b - a);
+  if ((ideal[0] || 0) < bestGrade) ideal.unshift(bestGrade);
+  const idcg = dcg(ideal.slice(0, k));
+  return idcg > 0 ? dcg(top) / idcg : 0;
+}
+
+function scoreEntry(grades, ks, bestGrade) {
+  const firstRelevant = grades.findIndex(g => g > 0);
+  const scores = { mrr: firstRelevant >= 0 ? 1 / (firstRelevant + 1) : 0 };
+  for (const k of ks) {
+    scores[`hitRate@${k}`] = firstRelevant >= 0 && firstRelevant < k ? 1 : 0;
+    scores[`ndcg@${k}`] = ndcgAtK(grades, k, bestGrade);
+  }
+  return { scores, firstRelevantRank: firstRelevant >= 0 ? firstRelevant + 1 : null };
+}
+
+function aggregate(details, metricNames) {
+  const out = { count: details.length };
+  for (const name of metricNames) {
+    out[name] = details.length ? details.reduce((sum, d) => sum + d.scores[name], 0) / details.length : 0;
+  }
+  return out;
+}
+
+function groupBy(details, field, metricNames) {
+  const groups = {};
+  for (const d of details) {
+    const key = d[field] || '(nenhum)';
+    (groups[key] ||= []).push(d);
+  }
+  return Object.fromEntries(Object.entries(groups)
+    .sort((a, b) => b[1].length - a[1].length)
+    .map(([key, list]) => [key, aggregate(list, metricNames)]));
+}
+
+function pct(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+async function runEvaluation(args) {
+  const { initializeChroma } = await import('../services/vectorStoreAdapter.js');
+  const { retrieveOnly } = await import('../services/ragService.js');
+  const { normalizeFusionProfile } = await import('../services/retrievalFusion.js');
+
+  const file = getArg(args, 'file') || path.join(EVAL_DIR, 'eval_set.auto.json');
+  const limitArg = Number(getArg(args, 'limit') || 200);
+  const limit = Math.max(1, Math.min(1000, Number.isFinite(limitArg) ? limitArg : 200));
+  const ks = Array.from(new Set(String(getArg(args, 'k') || '1,3,5,10').split(',').map(Number).filter(k => Number.isInteger(k) && k > 0))).sort((a, b) => a - b);
+  const maxK = ks[ks.length - 1];
+  const fusion = normalizeFusionProfile(getArg(args, 'fusion'));
+  const rewriteQueries = args.includes('--rewrite');
+  const outFile = getArg(args, 'out') || path.join(EVAL_DIR, 'retrieval_report.auto.json');
+  const metricNames = ['mrr', ...ks.flatMap(k => [`hitRate@${k}`, `ndcg@${k}`])];
+
+  const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const entries = (data.entries || []).slice(0, limit);
+  await initializeChroma();
+
+  const details = [];
+  const negatives = [];
+  const startedAt = Date.now();
+  for (let i = 0; i < entries.length; i++) {
+    const e = entries[i];
+    const res = await retrieveOnly(e.question, {
+      topK: maxK,
+      brandFilter: e.brandName || null,
+      fusion,
+      rewriteQueries,
+    });
+    const docs = res.docs.slice(0, maxK);
+
+    if (e.expectedBehavior === 'abstain') {
+      negatives.push({
+        id: e.id,
+        question: e.question,
+        brand: e.brandName || null,
+        intent: res.intent,
+        threshold: res.threshold,
+        docsAboveThreshold: res.docs.length,
+        topDocs: docs.slice(0, 3).map(doc => ({
+          source: doc.metadata?.source || null,
+          page: doc.metadata?.page ?? null,
+          similarity: Number((doc.similarity || 0).toFixed(4)),
+        })),
+      });
+      if ((i + 1) % 20 === 0) console.log(`... ${i + 1}/${entries.length}`);
+      continue;
+    }
+
+    const grades = docs.map(doc => relevanceGrade(doc, e));
+    const bestGrade = Number.isFinite(e.expectedChunkIndex) ? 2 : 1;
+    const { scores, firstRelevantRank } = scoreEntry(grades, ks, bestGrade);
+
+    details.push({
+      id: e.id,
+      question: e.question,
+      brand: e.brandName || null,
+      intent: res.intent,
+      chunkType: e.metadata?.chunkType || null,
+      expectedSource: e.expectedSource || null,
+      firstRelevantRank,
+      scores,
+      candidates: res.candidates,
+      topDocs: docs.slice(0, 5).map((doc, idx) => ({
+        source: doc.metadata?.source || null,
+        page: doc.metadata?.page ?? null,
+        chunkIndex: doc.metadata?.chunkIndex ?? null,
+        similarity: Number((doc.similarity || 0).toFixed(4)),
+        grade: grades[idx],
+      })),
+    });
+
+    if ((i + 1) % 20 === 0) {
+      console.log(`... ${i + 1}/${entries.length}`);
+    }
+  }
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    mode: 'retrieval',
+    config: { file, limit, ks, fusion: fusion.strategy ? fusion : null, rewriteQueries },
+    total: details.length,
+    elapsedMs: Date.now() - startedAt,
+    metrics: {
+      overall: aggregate(details, metricNames),
+      byBrand: groupBy(details, 'brand', metricNames),
+      byIntent: groupBy(details, 'intent', metricNames),
+      byChunkType: groupBy(details, 'chunkType', metricNames),
+    },
+    negatives: {
+      count: negatives.length,
+      withDocs: negatives.filter(n => n.docsAboveThreshold > 0).length,
+      withDocsRate: negatives.length ? negatives.filter(n => n.docsAboveThreshold > 0).length / negatives.length : 0,
+      details: negatives,
+    },
+    details,
+  };
+
+  const outDir = path.dirname(outFile);
+  if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(outFile, JSON.stringify(report, null, 2), 'utf-8');
+
+  const overall = report.metrics.overall;
+  console.log('✅ Avaliação de recuperação concluída');
+  console.log(`📄 Relatório: ${outFile}`);
+  if (negatives.length) {
+    console.log(`🚫 ${negatives.length} entrada(s) negativa(s) fora das métricas; ${report.negatives.withDocs} ainda trazem trechos acima do limiar (${pct(report.negatives.withDocsRate)})`);
+  }
+  console.log(`🎯 ${ks.map(k => `hitRate@${k}=${pct(overall[`hitRate@${k}`])}`).join(' | ')} | MRR=${overall.mrr.toFixed(3)} | nDCG@${maxK}=${overall[`ndcg@${maxK}`].toFixed(3)}`);
+  for (const [dimension, groups] of [['marca', report.metrics.byBrand], ['intenção', report.metrics.byIntent], ['chunkType', report.metrics.byChunkType]]) {
+    console.log(`\nPor ${dimension}:`);
+    for (const [key, m] of Object.entries(groups)) {
+      console.log(`  ${key.padEnd(20)} n=${String(m.count).padStart(4)}  hitRate@${maxK}=${pct(m[`hitRate@${maxK}`]).padStart(6)}  MRR=${m.mrr.toFixed(3)}  nDCG@${maxK}=${m[`ndcg@${maxK}`].toFixed(3)}`);
+    }
+  }
+}
+
+function compareReports(args) {
+  const [baseFile, nextFile] = String(getArg(args, 'compare')).split(',').map(s => s.trim());
+  if (!baseFile || !nextFile) throw new Error('Use --compare=base.json,novo.json');
+  const toleranceArg = Number(getArg(args, 'tolerance') ?? 0.02);
+  const tolerance = Number.isFinite(toleranceArg) ? toleranceArg : 0.02;
+  const base = JSON.parse(fs.readFileSync(baseFile, 'utf-8'));
+  const next = JSON.parse(fs.readFileSync(nextFile, 'utf-8'));
+  if (base.mode !== 'retrieval' || next.mode !== 'retrieval') throw new Error('Os dois arquivos precisam ser relatórios de recuperação');
+
+  const regressions = [];
+  const sections = [['geral', { all: base.metrics.overall }, { all: next.metrics.overall }]];
+  for (const [label, field] of [['marca', 'byBrand'], ['intenção', 'byIntent'], ['chunkType', 'byChunkType']]) {
+    sections.push([label, base.metrics[field] || {}, next.metrics[field] || {}]);
+  }
+
+  for (const [label, baseGroups, nextGroups] of sections) {
+    console.log(`\n📊 ${label}`);
+    for (const key of Array.from(new Set([...Object.keys(baseGroups), ...Object.keys(nextGroups)]))) {
+      const a = baseGroups[key];
+      const b = nextGroups[key];
+      if (!a || !b) {
+        console.log(`  ${key}: só no ${a ? 'base' : 'novo'} (n=${(a || b).count})`);
+        continue;
+      }
+      const names = Object.keys(a).filter(n => n !== 'count' && typeof b[n] === 'number');
+      const deltas = names.map(n => {
+        const delta = b[n] - a[n];
+        if (delta < -tolerance) regressions.push(`${label}/${key} ${n}: ${a[n].toFixed(3)} → ${b[n].toFixed(3)}`);
+        return `${n} ${a[n].toFixed(3)}→${b[n].toFixed(3)} (${delta >= 0 ? '+' : ''}${delta.toFixed(3)})`;
+      });
+      console.log(`  ${key} (n=${a.count}→${b.count}): ${deltas.join(' | ')}`);
+    }
+  }
+
+  // Negativas: subir a fração que ainda traz trechos acima do limiar também é regressão
+  if (base.negatives?.count && next.negatives?.count) {
+    const delta = next.negatives.withDocsRate - base.negatives.withDocsRate;
+    if (delta > tolerance) regressions.push(`negativas withDocsRate: ${base.negatives.withDocsRate.toFixed(3)} → ${next.negatives.withDocsRate.toFixed(3)}`);
+    console.log(`\n🚫 negativas (n=${base.negatives.count}→${next.negatives.count}): com trechos ${base.negatives.withDocsRate.toFixed(3)}→${next.negatives.withDocsRate.toFixed(3)} (${delta >= 0 ? '+' : ''}${delta.toFixed(3)})`);
+  }
+
+  // Perguntas em que o primeiro trecho relevante caiu de posição (ou sumiu)
+  const baseById = new Map((base.details || []).map(d => [d.id, d]));
+  const worse = [];
+  const better = [];
+  for (const d of next.details || []) {
+    const prev = baseById.get(d.id);
+    if (!prev) continue;
+    const before = prev.firstRelevantRank ?? Infinity;
+    const after = d.firstRelevantRank ?? Infinity;
+    if (after > before) worse.push({ id: d.id, question: d.question, before: prev.firstRelevantRank, after: d.firstRelevantRank });
+    else if (after < before) better.push(d.id);
+  }
+  console.log(`\n🔁 Por pergunta: ${better.length} melhoraram, ${worse.length} pioraram`);
+  for (const w of worse.slice(0, 20)) {
+    console.log(`  ↓ ${w.id} posição ${w.before ?? '-'} → ${w.after ?? '-'}: ${String(w.question).slice(0, 90)}`);
+  }
+
+  if (regressions.length) {
+    console.log(`\n❌ ${regressions.length} métrica(s) pioraram mais que ${tolerance}:`);
+    for (const r of regressions) console.log(`  ${r}`);
+    process.exit(1);
+  }
+  console.log(`\n✅ Nenhuma métrica piorou mais que ${tolerance}`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (getArg(args, 'compare')) {
+    compareReports(args);
+    return;
+  }
+  await runEvaluation(args);
+}
+
+main().catch(err => {
+  console.error('Erro na avaliação de recuperação:', err);
+  process.exit(1);
+});
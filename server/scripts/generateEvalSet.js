@@ -2,7 +2,8 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
-import { exportCorpus } from '../services/vectorStoreAdapter.js';
+import { initializeChroma, exportCorpus } from '../services/vectorStoreAdapter.js';
+import { normalizeCompact, extractFaultCodeTokens, extractConnectorTokens as extractEvidenceConnectors } from '../services/evidenceTokens.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -101,7 +102,11 @@ function makeEvalEntry(doc, question, idx) {
     id: `eval_${idx}`,
     question,
     expectedContains,
+    expectedBehavior: 'answer',
+    category: 'answerable',
     expectedSource: doc?.metadata?.source || null,
+    // Trecho de origem da pergunta: relevância graduada na avaliação de recuperação
+    expectedChunkIndex: doc?.metadata?.chunkIndex ?? null,
     brandName: doc?.metadata?.brandName || null,
     metadata: {
       chunkType: doc?.metadata?.chunkType || null,
@@ -112,15 +117,143 @@ function makeEvalEntry(doc, question, idx) {
   };
 }
 
+// ═══ PERGUNTAS NEGATIVAS / ADVERSARIAIS ═══
+// Sem resposta no corpus da marca: o esperado é abster-se (dizer que não consta, pedir página/trecho).
+// adversarialTokens = valor que a resposta não pode afirmar (código/conector inventado ou de outra marca).
+
+const UNANSWERABLE_TEMPLATES = [
+  (brand) => `Qual o preço de uma placa de controle nova para elevador ${brand}?`,
+  (brand) => `Qual o telefone do suporte técnico da ${brand} em São Paulo?`,
+  (brand) => `Em que ano a ${brand} lançou o primeiro modelo no Brasil?`,
+];
+
+/**
+ * Códigos e conectores citados no corpus de cada marca (mesma extração da validação de ancoragem)
+ */
+function buildBrandTokenIndex(corpus) {
+  const index = new Map();
+  for (const doc of corpus) {
+    const brand = doc?.metadata?.brandName;
+    if (!brand) continue;
+    if (!index.has(brand)) index.set(brand, { codes: new Set(), connectors: new Set() });
+    const entry = index.get(brand);
+    const text = `${doc?.metadata?.title || ''} ${doc?.content || ''}`;
+    for (const token of extractFaultCodeTokens(text)) entry.codes.add(normalizeCompact(token));
+    for (const token of extractEvidenceConnectors(text)) entry.connectors.add(normalizeCompact(token));
+  }
+  return index;
+}
+
+// "E901" não pode aparecer como E901, erro 901, código 901 ou fault 901
+function codeAbsent(codes, digits) {
+  return ![`e${digits}`, `erro${digits}`, `codigo${digits}`, `fault${digits}`].some(t => codes.has(t));
+}
+
+function inventedCodes(tokens, count) {
+  const out = [];
+  for (let n = 901; n <= 999 && out.length < count; n += 7) {
+    if (codeAbsent(tokens.codes, String(n))) out.push(`E${n}`);
+  }
+  return out;
+}
+
+function inventedConnectors(tokens, count) {
+  const out = [];
+  for (let n = 97; n >= 60 && out.length < count; n -= 3) {
+    if (!tokens.connectors.has(`cn${n}`)) out.push(`CN${n}`);
+  }
+  return out;
+}
+
+/**
+ * Códigos de uma marca que não existem em outra: pergunta na marca errada
+ */
+function crossBrandCodes(from, to, count) {
+  const out = [];
+  for (const code of from.codes) {
+    const digits = code.match(/^(?:e|erro|codigo|fault)(\d{2,4})$/)?.[1];
+    if (!digits || !codeAbsent(to.codes, digits)) continue;
+    out.push(`E${digits}`);
+    if (out.length >= count) break;
+  }
+  return out;
+}
+
+function makeNegativeEntry(question, { brandName, category, adversarialTokens = [] }, idx) {
+  return {
+    id: `eval_neg_${idx}`,
+    question,
+    expectedBehavior: 'abstain',
+    category,
+    adversarialTokens,
+    expectedContains: [],
+    expectedSource: null,
+    brandName,
+    metadata: { chunkType: null, page: null, title: null, faultCode: null },
+  };
+}
+
+function buildNegativeEntries(corpus, targetCount) {
+  const index = buildBrandTokenIndex(corpus);
+  const brands = Array.from(index.keys());
+  if (!brands.length || targetCount <= 0) return [];
+
+  const perBrand = Math.max(1, Math.ceil(targetCount / brands.length));
+  const pools = brands.map((brand, b) => {
+    const tokens = index.get(brand);
+    const pool = [];
+    for (const code of inventedCodes(tokens, 2)) {
+      pool.push(makeNegativeEntry(`O que significa a falha ${code} no elevador ${brand}?`, { brandName: brand, category: 'invented_code', adversarialTokens: [code] }));
+    }
+    for (const cn of inventedConnectors(tokens, 2)) {
+      pool.push(makeNegativeEntry(`Qual é a pinagem do ${cn} no elevador ${brand}?`, { brandName: brand, category: 'invented_pinout', adversarialTokens: [cn] }));
+      pool.push(makeNegativeEntry(`Qual a tensão no pino 3 do ${cn} da ${brand}?`, { brandName: brand, category: 'invented_pinout', adversarialTokens: [cn] }));
+    }
+    if (brands.length > 1) {
+      const other = brands[(b + 1) % brands.length];
+      for (const code of crossBrandCodes(index.get(other), tokens, 2)) {
+        pool.push(makeNegativeEntry(`Qual o significado da falha ${code} no ${brand}?`, { brandName: brand, category: 'cross_brand', adversarialTokens: [code] }));
+      }
+    }
+    for (const template of UNANSWERABLE_TEMPLATES) {
+      pool.push(makeNegativeEntry(template(brand), { brandName: brand, category: 'unanswerable' }));
+    }
+    // Intercala categorias para não esgotar a cota só com um tipo
+    const byCategory = new Map();
+    for (const entry of pool) {
+      if (!byCategory.has(entry.category)) byCategory.set(entry.category, []);
+      byCategory.get(entry.category).push(entry);
+    }
+    const interleaved = [];
+    const lists = Array.from(byCategory.values());
+    for (let i = 0; interleaved.length < pool.length; i++) {
+      for (const list of lists) if (list[i]) interleaved.push(list[i]);
+    }
+    return interleaved.slice(0, perBrand);
+  });
+
+  const out = [];
+  for (let i = 0; out.length < targetCount && pools.some(p => p[i]); i++) {
+    for (const pool of pools) {
+      if (pool[i] && out.length < targetCount) out.push(pool[i]);
+    }
+  }
+  return out.map((entry, i) => ({ ...entry, id: `eval_neg_${i + 1}` }));
+}
+
 async function main() {
   const args = process.argv.slice(2);
   const countArg = Number(args.find(a => a.startsWith('--count='))?.split('=')[1] || 150);
   const targetCount = Math.max(20, Math.min(500, Number.isFinite(countArg) ? countArg : 150));
   const brandArg = args.find(a => a.startsWith('--brand='))?.split('=')[1] || null;
+  // Fração de perguntas sem resposta (abstenção esperada)
+  const negativesArg = Number(args.find(a => a.startsWith('--negatives='))?.split('=')[1] ?? 0.25);
+  const negativeRatio = Math.max(0, Math.min(0.9, Number.isFinite(negativesArg) ? negativesArg : 0.25));
 
   const outDir = path.join(__dirname, '..', 'data', 'eval');
   const outFile = path.join(outDir, 'eval_set.auto.json');
 
+  await initializeChroma();
   const corpus = await exportCorpus(20000, brandArg);
   if (!corpus || corpus.length === 0) {
     console.log('Nenhum chunk no corpus para gerar avaliação.');
@@ -135,6 +268,8 @@ async function main() {
     return 0;
   });
 
+  const negatives = buildNegativeEntries(corpus, Math.round(targetCount * negativeRatio));
+  const answerableCount = targetCount - negatives.length;
   const entries = [];
   let idx = 1;
 
@@ -142,10 +277,11 @@ async function main() {
     const qs = buildQuestionCandidates(doc);
     for (const q of qs) {
       entries.push(makeEvalEntry(doc, q, idx++));
-      if (entries.length >= targetCount) break;
+      if (entries.length >= answerableCount) break;
     }
-    if (entries.length >= targetCount) break;
+    if (entries.length >= answerableCount) break;
   }
+  entries.push(...negatives);
 
   if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
   fs.writeFileSync(outFile, JSON.stringify({
@@ -156,7 +292,7 @@ async function main() {
   }, null, 2), 'utf-8');
 
   console.log(`✅ Eval set gerado: ${outFile}`);
-  console.log(`📊 Total de casos: ${entries.length}`);
+  console.log(`📊 Total de casos: ${entries.length} (${negatives.length} sem resposta: ${Array.from(new Set(negatives.map(e => e.category))).join(', ') || '-'})`);
 }
 
 main().catch(err => {
@@ -0,0 +1,54 @@
+/**
+ * Migra o vector store local (vectors.json + vectors_append.ndjson) para o
+ * formato binário (vectors.bin + vectors_docs.ndjson), ou de volta para JSON.
+ *
+ * Uso:
+ *   node scripts/migrateVectorStore.js                 # float32 (padrão)
+ *   node scripts/migrateVectorStore.js --format=f16    # float16 (metade do tamanho)
+ *   node scripts/migrateVectorStore.js --format=int8   # int8 quantizado (1/4 do tamanho)
+ *   node scripts/migrateVectorStore.js --format=json   # volta para vectors.json
+ *
+ * O vectors.json original é mantido como vectors.json.migrated. Sair do int8 desquantiza
+ * com as escalas gravadas no segmento.
+ * As gravações normais do servidor mantêm o formato em disco: trocar de formato só por aqui.
+ * Depois da migração, defina VECTOR_STORAGE_FORMAT com o mesmo formato no .env.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+// Migração não precisa do grafo HNSW (é reconstruído no próximo start)
+process.env.HNSW_ENABLED = 'false';
+
+const formatArg = (process.argv.find(a => a.startsWith('--format=')) || '--format=f32').split('=')[1];
+
+async function main() {
+  const { initializeChroma, migrateStorage, getStats } = await import('../services/vectorStore.js');
+
+  console.log(`🔄 Migração do vector store → ${formatArg}`);
+  await initializeChroma();
+  const before = await getStats();
+  if (!before.totalDocuments) {
+    console.log('⚠️  Vector store vazio, nada a migrar.');
+    return;
+  }
+
+  const startTime = Date.now();
+  const info = migrateStorage(formatArg);
+  const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+
+  console.log(`\n✅ Migrado em ${elapsed}s: ${info.count} documentos (${before.storageFormat} → ${info.format})`);
+  if (info.bytes) console.log(`   vectors.bin: ${(info.bytes / 1024 / 1024).toFixed(1)} MB, dimensão ${info.dim}`);
+  console.log(`   Defina VECTOR_STORAGE_FORMAT=${info.format} no .env para manter o formato nas próximas gravações.`);
+}
+
+main().catch(err => {
+  console.error('❌ Erro na migração:', err);
+  process.exit(1);
+});
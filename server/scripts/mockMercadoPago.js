@@ -0,0 +1,145 @@
+/**
+ * Mock local da API do Mercado Pago (testes do webhook de pagamentos)
+ *
+ * Uso:
+ *   node scripts/mockMercadoPago.js --port=4010 --webhook=http://localhost:3002/api/payments/webhook
+ *
+ * No .env do servidor:
+ *   MERCADO_PAGO_API_BASE=http://localhost:4010
+ *   MERCADO_PAGO_ACCESS_TOKEN=qualquer-valor
+ *   MERCADO_PAGO_WEBHOOK_SECRET=<mesmo segredo do mock (MOCK_MP_WEBHOOK_SECRET ou --secret)>
+ *
+ * Rotas do MP simuladas: POST /checkout/preferences, POST /v1/payments, GET /v1/payments/:id
+ * Controle do mock:
+ *   POST /__mock/payments/:id  { status, status_detail?, external_reference?, transaction_amount?, notify? }
+ *     cria/atualiza o pagamento e (notify != false) envia a notificação assinada ao webhook
+ *   POST /__mock/notify/:id    { duplicate? } reenvia a notificação (duplicate=true repete o mesmo id)
+ *   GET  /__mock/payments      lista os pagamentos simulados
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import { buildSignatureManifest, signWebhookManifest } from '../services/mercadoPago.js';
+
+const arg = (name, fallback) => (process.argv.find(a => a.startsWith(`--${name}=`)) || '').split('=').slice(1).join('=') || fallback;
+
+const PORT = parseInt(arg('port', process.env.MOCK_MP_PORT || '4010'), 10);
+const WEBHOOK_URL = arg('webhook', process.env.MOCK_MP_WEBHOOK_URL || 'http://localhost:3002/api/payments/webhook');
+const SECRET = arg('secret', process.env.MOCK_MP_WEBHOOK_SECRET || process.env.MERCADO_PAGO_WEBHOOK_SECRET || 'mock-secret');
+
+const payments = new Map();
+const lastNotification = new Map();
+let nextPaymentId = 1000;
+
+function upsertPayment(id, patch) {
+  const now = new Date().toISOString();
+  const current = payments.get(id) || {
+    id: Number(id) || id,
+    status: 'pending',
+    status_detail: 'pending_waiting_payment',
+    transaction_amount: 0,
+    currency_id: 'BRL',
+    external_reference: null,
+    date_created: now,
+  };
+  const next = { ...current, ...patch, id: current.id, date_last_updated: now };
+  payments.set(String(id), next);
+  return next;
+}
+
+/**
+ * Envia a notificação no formato de Webhooks do MP, assinada com x-signature
+ */
+async function sendNotification(paymentId, { duplicate = false } = {}) {
+  const previous = lastNotification.get(String(paymentId));
+  const notificationId = duplicate && previous ? previous : crypto.randomInt(1e9, 1e10);
+  lastNotification.set(String(paymentId), notificationId);
+
+  const requestId = crypto.randomUUID();
+  const ts = String(Date.now());
+  const v1 = signWebhookManifest(buildSignatureManifest({ dataId: paymentId, requestId, ts }), SECRET);
+  const url = `${WEBHOOK_URL}${WEBHOOK_URL.includes('?') ? '&' : '?'}data.id=${encodeURIComponent(paymentId)}&type=payment`;
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-signature': `ts=${ts},v1=${v1}`,
+      'x-request-id': requestId,
+    },
+    body: JSON.stringify({
+      id: notificationId,
+      action: 'payment.updated',
+      type: 'payment',
+      live_mode: false,
+      date_created: new Date().toISOString(),
+      data: { id: String(paymentId) },
+    }),
+  });
+  const body = await response.json().catch(() => ({}));
+  console.log(`📨 Notificação ${notificationId} (pagamento ${paymentId}) → HTTP ${response.status}`);
+  return { notificationId, status: response.status, body };
+}
+
+const app = express();
+app.use(express.json({ limit: '1mb' }));
+
+app.post('/checkout/preferences', (req, res) => {
+  const id = `pref-${crypto.randomUUID()}`;
+  res.status(201).json({
+    id,
+    init_point: `http://localhost:${PORT}/checkout/${id}`,
+    sandbox_init_point: `http://localhost:${PORT}/checkout/${id}`,
+    external_reference: req.body?.external_reference || null,
+  });
+});
+
+app.post('/v1/payments', (req, res) => {
+  const id = String(nextPaymentId++);
+  const isPix = req.body?.payment_method_id === 'pix';
+  const payment = upsertPayment(id, {
+    status: isPix ? 'pending' : 'approved',
+    status_detail: isPix ? 'pending_waiting_transfer' : 'accredited',
+    transaction_amount: Number(req.body?.transaction_amount) || 0,
+    external_reference: req.body?.external_reference || null,
+    payment_method_id: req.body?.payment_method_id || null,
+    metadata: req.body?.metadata || {},
+    ...(isPix ? { point_of_interaction: { transaction_data: { qr_code: 'mock-qr', qr_code_base64: '', ticket_url: '' } } } : {}),
+  });
+  res.status(201).json(payment);
+});
+
+app.get('/v1/payments/:id', (req, res) => {
+  const payment = payments.get(req.params.id);
+  if (!payment) return res.status(404).json({ message: 'Payment not found', error: 'not_found', status: 404 });
+  res.json(payment);
+});
+
+app.get('/__mock/payments', (req, res) => {
+  res.json({ payments: [...payments.values()] });
+});
+
+app.post('/__mock/payments/:id', async (req, res) => {
+  try {
+    const { notify = true, ...patch } = req.body || {};
+    const payment = upsertPayment(req.params.id, patch);
+    const notification = notify ? await sendNotification(req.params.id) : null;
+    res.json({ payment, notification });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/__mock/notify/:id', async (req, res) => {
+  try {
+    if (!payments.has(req.params.id)) return res.status(404).json({ error: 'Pagamento não existe no mock' });
+    res.json(await sendNotification(req.params.id, { duplicate: !!req.body?.duplicate }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 Mock Mercado Pago em http://localhost:${PORT}`);
+  console.log(`   Webhook: ${WEBHOOK_URL}`);
+});
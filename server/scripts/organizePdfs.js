@@ -13,6 +13,7 @@ import fs from 'fs';
 import path from 'path';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
+import { getBrandNames, getBrandFolder, detectBrandFromFilename, detectModelFromText } from '../services/brandRegistry.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -54,39 +55,16 @@ function sanitizeFolderName(name) {
     .substring(0, 80) || 'Unknown';
 }
 
+// Marca/modelo vêm do registro (data/brands.json)
 function detectBrand(originalName) {
-  const n = originalName.toLowerCase();
-  if (/(^|\b)orona(\b|$)/i.test(originalName) || /arca\s*i{1,3}/i.test(originalName)) return 'Orona';
-  if (/(^|\b)otis(\b|$)/i.test(originalName) || /gen2|lcb|mcss|gdc|urm|adv\s*210|ovf|vw2|lva/i.test(n)) return 'Otis';
-  if (/schindler|miconic|bx/i.test(n)) return 'Schindler';
-  if (/thyssen|tk\b|tke/i.test(n)) return 'Thyssenkrupp';
-  if (/atlas/i.test(n)) return 'Atlas';
-  return '_Unsorted';
+  const brand = detectBrandFromFilename(originalName);
+  return brand ? getBrandFolder(brand) : '_Unsorted';
 }
 
-function detectModel(brand, originalName) {
-  const n = originalName.toLowerCase();
-  if (brand === 'Orona') {
-    const m = /arca\s*(i{1,3}|iv|v|vi|\d+)/i.exec(originalName);
-    if (m) return `Arca ${m[1].toUpperCase()}`;
-    return 'Geral';
-  }
-  if (brand === 'Otis') {
-    if (/gen\s*2|gen2/i.test(n)) return 'Gen2';
-    if (/lva/i.test(n)) return 'LVA';
-    if (/lcb\s*ii|lcbii/i.test(n)) return 'LCBII';
-    if (/adv\s*210/i.test(n)) return 'ADV 210';
-    if (/ovf\s*10|ovf10/i.test(n)) return 'OVF10';
-    if (/ovf\s*20|ovf20/i.test(n)) return 'OVF20';
-    return 'Geral';
-  }
-  if (brand === 'Schindler') {
-    if (/miconic\s*bx|\bbx\b/i.test(n)) return 'Miconic BX';
-    if (/miconic\s*lx|\blx\b/i.test(n)) return 'Miconic LX';
-    if (/3300/i.test(n)) return '3300';
-    return 'Geral';
-  }
-  return 'Geral';
+function detectModel(brandFolder, originalName) {
+  const brand = getBrandNames().find(name => getBrandFolder(name) === brandFolder);
+  if (!brand) return 'Geral';
+  return detectModelFromText(originalName, brand) || 'Geral';
 }
 
 function ensureDir(dir) {
@@ -115,7 +115,7 @@ async function main() {
   }
 
   // Compacta no final pra manter o store consistente e rápido
-  compactStore();
+  await compactStore();
 
   console.log(`\n✨ Concluído. PDFs: ${matched.length} | Chunks adicionados: ${totalChunks}`);
 }
@@ -20,6 +20,7 @@ import dotenv from 'dotenv';
 import { extractTextWithOCR, splitTextIntoChunks } from '../services/pdfExtractor.js';
 import { generateEmbeddings } from '../services/embeddingService.js';
 import { initializeChroma, addDocuments, getStats, clearCollection, removeSources } from '../services/vectorStoreAdapter.js';
+import { getBrandNames, getBrandFolder, detectBrandFromFilename, detectBrandFromPath, detectBrandFromContent, detectModelFromText } from '../services/brandRegistry.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -28,70 +29,7 @@ dotenv.config({ path: path.join(__dirname, '..', '.env') });
 
 const PDF_DIR = process.env.PDF_PATH || path.join(__dirname, '..', 'data', 'pdfs');
 
-// ═══ Mapa de marcas canônicas ═══
-const BRAND_RULES = [
-  {
-    canonical: 'Otis',
-    filePatterns: [/\botis\b/i, /\bgen\s*2\b/i, /\bgecb\b/i, /\blcb\s*i{0,2}\b/i, /\bmcss\b/i, /\bmcp\b/i, /\bmcb\b/i, /\brbi\b/i, /\bgmux\b/i],
-    contentPatterns: [/\bOTIS\b/, /\bGEN\s*2\b/i, /\bGECB\b/i, /\bLCBII\b/i, /\bMCSS\b/i],
-  },
-  {
-    canonical: 'Orona',
-    filePatterns: [/\borona\b/i, /\barca\b/i],
-    contentPatterns: [/\bORONA\b/i, /\bARCA\b/i],
-  },
-  {
-    canonical: 'Schindler',
-    filePatterns: [/\bschindler\b/i, /\b(3300|5500|7000)\b/],
-    contentPatterns: [/\bSCHINDLER\b/i],
-  },
-  {
-    canonical: 'Sectron',
-    filePatterns: [/\bsectron\b/i, /\badv[\s-]*\d+/i],
-    contentPatterns: [/\bSECTRON\b/i, /\bADV[\s-]*\d+/i],
-  },
-  {
-    canonical: 'ThyssenKrupp',
-    filePatterns: [/\bthyssen\b/i, /\btke?\b/i],
-    contentPatterns: [/\bTHYSSEN/i, /\bTKE\b/i],
-  },
-  {
-    canonical: 'Atlas',
-    filePatterns: [/\batlas\b/i],
-    contentPatterns: [/\bATLAS\b/i],
-  },
-];
-
-function detectBrandFromFilename(filename) {
-  const name = String(filename || '');
-  for (const rule of BRAND_RULES) {
-    if (rule.filePatterns.some(p => p.test(name))) {
-      return rule.canonical;
-    }
-  }
-  return null;
-}
-
-function detectBrandFromFolderPath(relativePath) {
-  // Se o arquivo está em pdfs/Otis/Gen2/arquivo.pdf, a pasta pai é "Otis"
-  const parts = relativePath.split(/[\\/]/);
-  // parts: ["Otis", "Gen2", "arquivo.pdf"] ou ["arquivo.pdf"]
-  for (const part of parts) {
-    const brand = detectBrandFromFilename(part);
-    if (brand) return brand;
-  }
-  return null;
-}
-
-function detectBrandFromContent(text) {
-  const preview = String(text || '').slice(0, 5000); // Primeiras ~2 páginas
-  for (const rule of BRAND_RULES) {
-    if (rule.contentPatterns.some(p => p.test(preview))) {
-      return rule.canonical;
-    }
-  }
-  return null;
-}
+// Marcas canônicas, padrões de arquivo/conteúdo e modelos vêm do registro (data/brands.json)
 
 function detectModelFromPath(relativePath, brand) {
   const parts = relativePath.split(/[\\/]/);
@@ -102,19 +40,21 @@ function detectModelFromPath(relativePath, brand) {
   if (parts.length >= 3) {
     const possibleModel = parts[parts.length - 2]; // pasta antes do arquivo
     // Verifica se não é a marca
-    if (!BRAND_RULES.some(r => r.canonical.toLowerCase() === possibleModel.toLowerCase())) {
+    const brandFolders = getBrandNames().flatMap(name => [name, getBrandFolder(name)]);
+    if (!brandFolders.some(name => name.toLowerCase() === possibleModel.toLowerCase())) {
       return possibleModel;
     }
   }
   
   // Tenta extrair modelo do filename
   const filename = parts[parts.length - 1].replace(/\.pdf$/i, '').replace(/^\d+-\d+-/, '');
+
+  const registryModel = detectModelFromText(filename, brand);
+  if (registryModel) return registryModel;
   
-  // Padrões comuns: "Arca II", "Gen2", "ADV-210"
+  // Padrões genéricos para modelos que o registro ainda não conhece
   const modelPatterns = [
-    /\b(arca\s*(?:I{1,3}|IV|V|VI|\d+))/i,
     /\b(gen\s*\d+)/i,
-    /\b(adv[\s-]*\d+[a-z]*)/i,
     /\b(mag\s+gen\d+[a-z-]*)/i,
     /\b(\d{4,5}[a-z]*)\s/i,
   ];
@@ -195,7 +135,7 @@ async function main() {
 
   for (const file of files) {
     const brand = forceBrand
-      || detectBrandFromFolderPath(file.relativePath)
+      || detectBrandFromPath(file.relativePath)
       || detectBrandFromFilename(file.originalName)
       || null;
     const model = detectModelFromPath(file.relativePath, brand);
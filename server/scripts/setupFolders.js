@@ -20,6 +20,7 @@ import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { getBrandNames, getBrandFolder, detectBrandFromFilename } from '../services/brandRegistry.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -28,22 +29,10 @@ dotenv.config({ path: path.join(__dirname, '..', '.env') });
 
 const PDF_DIR = process.env.PDF_PATH || path.join(__dirname, '..', 'data', 'pdfs');
 
-// ═══ Marcas e padrões de detecção ═══
-const BRANDS = [
-  { name: 'Otis',        patterns: [/\botis\b/i, /\bgen\s*2\b/i, /\bgecb\b/i, /\blcb\s*i{0,2}\b/i, /\bmcss\b/i, /\bmcp\b/i, /\bgmux\b/i] },
-  { name: 'Orona',       patterns: [/\borona\b/i, /\barca\b/i] },
-  { name: 'Schindler',   patterns: [/\bschindler\b/i, /\b(3300|5500|7000)\b/] },
-  { name: 'Sectron',     patterns: [/\bsectron\b/i, /\badv[\s-]*\d+/i] },
-  { name: 'ThyssenKrupp', patterns: [/\bthyssen\b/i, /\btke?\b/i] },
-  { name: 'Atlas',       patterns: [/\batlas\b/i] },
-];
-
+// Marcas e padrões de detecção vêm do registro (data/brands.json)
 function detectBrand(filename) {
   const clean = filename.replace(/^\d+-\d+-/, ''); // remove multer prefix
-  for (const brand of BRANDS) {
-    if (brand.patterns.some(p => p.test(clean))) return brand.name;
-  }
-  return null;
+  return detectBrandFromFilename(clean);
 }
 
 function main() {
@@ -65,17 +54,17 @@ function main() {
     console.log('   Criado diretório base\n');
   }
 
-  for (const brand of BRANDS) {
-    const brandDir = path.join(PDF_DIR, brand.name);
+  for (const folder of getBrandNames().map(getBrandFolder)) {
+    const brandDir = path.join(PDF_DIR, folder);
     if (!fs.existsSync(brandDir)) {
       if (!dryRun && !listOnly) {
         fs.mkdirSync(brandDir, { recursive: true });
-        console.log(`   ✅ Criada pasta: ${brand.name}/`);
+        console.log(`   ✅ Criada pasta: ${folder}/`);
       } else {
-        console.log(`   📂 Criaria pasta: ${brand.name}/`);
+        console.log(`   📂 Criaria pasta: ${folder}/`);
       }
     } else {
-      console.log(`   ✓  Já existe: ${brand.name}/`);
+      console.log(`   ✓  Já existe: ${folder}/`);
     }
   }
 
@@ -104,8 +93,8 @@ function main() {
   for (const filename of rootFiles) {
     const brand = detectBrand(filename);
     const cleanName = filename.replace(/^\d+-\d+-/, '');
-    const targetDir = brand ? path.join(PDF_DIR, brand) : unknownDir;
-    const targetLabel = brand || '_sem_marca';
+    const targetDir = brand ? path.join(PDF_DIR, getBrandFolder(brand)) : unknownDir;
+    const targetLabel = brand ? getBrandFolder(brand) : '_sem_marca';
 
     console.log(`   📄 ${cleanName}`);
     console.log(`      → ${targetLabel}/`);
@@ -0,0 +1,209 @@
+/**
+ * Autenticação por usuário (JWT emitido pelo Supabase Auth)
+ * Verificação local, sem chamar o Supabase a cada requisição:
+ *   - HS256 com o JWT secret do projeto (SUPABASE_JWT_SECRET)
+ *   - RS256/ES256 com as chaves públicas do JWKS (SUPABASE_JWKS_URL, ex.:
+ *     <SUPABASE_URL>/auth/v1/.well-known/jwks.json), em cache por JWKS_CACHE_MINUTES
+ * Sem nenhum dos dois configurado, a autenticação por usuário fica desligada.
+ *
+ * Identidade derivada das claims: userId = sub; role = 'admin' quando
+ * app_metadata.role === 'admin' (ou app_metadata.is_admin), ou a claim is_admin do
+ * Custom Access Token Hook (copiada de profiles.is_admin — ver SETUP_SUPABASE.md);
+ * 'service' para service_role e 'user' nos demais.
+ * Sem o hook, isProfileAdmin consulta profiles.is_admin com a SUPABASE_SERVICE_KEY (em cache).
+ */
+
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const SUPABASE_URL = (process.env.SUPABASE_URL || '').replace(/\/+$/, '');
+const JWT_SECRET = (process.env.SUPABASE_JWT_SECRET || '').trim();
+const JWKS_URL = (process.env.SUPABASE_JWKS_URL || '').trim();
+const JWT_ISSUER = (process.env.SUPABASE_JWT_ISSUER || (SUPABASE_URL ? `${SUPABASE_URL}/auth/v1` : '')).trim();
+const JWT_AUDIENCE = (process.env.SUPABASE_JWT_AUDIENCE || 'authenticated').trim();
+const JWKS_CACHE_MS = parseInt(process.env.JWKS_CACHE_MINUTES || '10', 10) * 60 * 1000;
+const JWKS_MIN_REFRESH_MS = 30 * 1000; // kid desconhecido não refaz o fetch mais que isso
+const CLOCK_SKEW_SEC = 30;
+const SUPABASE_SERVICE_KEY = (process.env.SUPABASE_SERVICE_KEY || '').trim();
+// Consulta de profiles.is_admin para tokens sem a claim (precisa da service key: RLS não se aplica)
+const ADMIN_PROFILE_LOOKUP = !!SUPABASE_SERVICE_KEY
+  && !/^(0|false|no)$/i.test(String(process.env.ADMIN_PROFILE_LOOKUP || 'true').trim());
+const ADMIN_PROFILE_CACHE_MS = Math.max(0, parseInt(process.env.ADMIN_PROFILE_CACHE_MINUTES || '5', 10)) * 60 * 1000;
+
+const ASYMMETRIC_ALGS = {
+  RS256: { hash: 'sha256' },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+};
+
+let jwksCache = { keys: new Map(), fetchedAt: 0 };
+let jwksPromise = null;
+const profileAdminCache = new Map(); // userId → { isAdmin, at }
+
+function createAuthError(message, code = 'INVALID_TOKEN') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+export function isJwtAuthConfigured() {
+  return !!(JWT_SECRET || JWKS_URL);
+}
+
+/**
+ * Heurística barata: três segmentos base64url com header JSON que tem "alg"
+ */
+export function looksLikeJwt(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return false;
+  try {
+    return !!JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf-8')).alg;
+  } catch {
+    return false;
+  }
+}
+
+async function refreshJwks() {
+  if (!jwksPromise) {
+    jwksPromise = (async () => {
+      const response = await fetch(JWKS_URL);
+      if (!response.ok) throw createAuthError(`Falha ao buscar JWKS (HTTP ${response.status})`, 'JWKS_UNAVAILABLE');
+      const data = await response.json();
+      const keys = new Map();
+      for (const jwk of data?.keys || []) {
+        try {
+          keys.set(jwk.kid || '', crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+        } catch (e) {
+          console.warn(`⚠️  Chave JWKS ignorada (kid=${jwk.kid}): ${e.message}`);
+        }
+      }
+      jwksCache = { keys, fetchedAt: Date.now() };
+      return keys;
+    })().finally(() => {
+      jwksPromise = null;
+    });
+  }
+  return jwksPromise;
+}
+
+async function getJwksKey(kid) {
+  if (!JWKS_URL) throw createAuthError('JWT assimétrico recebido, mas SUPABASE_JWKS_URL não configurado', 'AUTH_NOT_CONFIGURED');
+  const age = Date.now() - jwksCache.fetchedAt;
+  if (age > JWKS_CACHE_MS || (!jwksCache.keys.has(kid || '') && age > JWKS_MIN_REFRESH_MS)) {
+    try {
+      await refreshJwks();
+    } catch (error) {
+      // Mantém as chaves antigas se o Supabase estiver fora
+      if (!jwksCache.keys.size) throw error;
+      console.warn('⚠️  JWKS indisponível, usando chaves em cache:', error.message);
+    }
+  }
+  const key = jwksCache.keys.get(kid || '') || (!kid && jwksCache.keys.size === 1 ? [...jwksCache.keys.values()][0] : null);
+  if (!key) throw createAuthError(`Chave de assinatura desconhecida (kid=${kid || '-'})`);
+  return key;
+}
+
+function checkClaims(claims) {
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp === 'number' && now - CLOCK_SKEW_SEC >= claims.exp) {
+    throw createAuthError('Token expirado', 'TOKEN_EXPIRED');
+  }
+  if (typeof claims.nbf === 'number' && now + CLOCK_SKEW_SEC < claims.nbf) {
+    throw createAuthError('Token ainda não é válido');
+  }
+  if (JWT_ISSUER && claims.iss && claims.iss !== JWT_ISSUER) {
+    throw createAuthError(`Emissor inválido: ${claims.iss}`);
+  }
+  // service_role/anon não têm aud; tokens de usuário precisam do aud configurado
+  if (claims.sub && JWT_AUDIENCE) {
+    const aud = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!aud.includes(JWT_AUDIENCE)) throw createAuthError('Audiência inválida');
+  }
+}
+
+/**
+ * Verifica assinatura e validade do JWT. Retorna as claims ou lança erro com code.
+ */
+export async function verifySupabaseJwt(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) throw createAuthError('Token malformado');
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf-8'));
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf-8'));
+  } catch {
+    throw createAuthError('Token malformado');
+  }
+
+  const signingInput = `${parts[0]}.${parts[1]}`;
+  const signature = Buffer.from(parts[2], 'base64url');
+
+  if (header.alg === 'HS256') {
+    if (!JWT_SECRET) throw createAuthError('JWT HS256 recebido, mas SUPABASE_JWT_SECRET não configurado', 'AUTH_NOT_CONFIGURED');
+    const expected = crypto.createHmac('sha256', JWT_SECRET).update(signingInput).digest();
+    if (expected.length !== signature.length || !crypto.timingSafeEqual(expected, signature)) {
+      throw createAuthError('Assinatura do token inválida');
+    }
+  } else if (ASYMMETRIC_ALGS[header.alg]) {
+    const { hash, dsaEncoding } = ASYMMETRIC_ALGS[header.alg];
+    const key = await getJwksKey(header.kid);
+    const ok = crypto.verify(hash, Buffer.from(signingInput), dsaEncoding ? { key, dsaEncoding } : key, signature);
+    if (!ok) throw createAuthError('Assinatura do token inválida');
+  } else {
+    throw createAuthError(`Algoritmo não suportado: ${header.alg}`);
+  }
+
+  checkClaims(claims);
+  return claims;
+}
+
+/**
+ * Claims → identidade da requisição
+ */
+export function identityFromClaims(claims) {
+  const appMeta = claims?.app_metadata || {};
+  let role = 'user';
+  if (claims?.role === 'service_role') role = 'service';
+  else if (appMeta.role === 'admin' || appMeta.is_admin === true || claims?.is_admin === true) role = 'admin';
+  return {
+    userId: claims?.sub || null,
+    email: claims?.email || null,
+    role,
+    source: 'jwt',
+  };
+}
+
+/**
+ * profiles.is_admin do usuário (Supabase REST com a service key), em cache por ADMIN_PROFILE_CACHE_MINUTES.
+ * Falha de rede nega (não promove) e não entra no cache.
+ */
+export async function isProfileAdmin(userId) {
+  if (!ADMIN_PROFILE_LOOKUP || !SUPABASE_URL || !userId) return false;
+  const cached = profileAdminCache.get(userId);
+  if (cached && Date.now() - cached.at < ADMIN_PROFILE_CACHE_MS) return cached.isAdmin;
+
+  try {
+    const response = await fetch(`${SUPABASE_URL}/rest/v1/profiles?id=eq.${encodeURIComponent(userId)}&select=is_admin`, {
+      headers: { apikey: SUPABASE_SERVICE_KEY, Authorization: `Bearer ${SUPABASE_SERVICE_KEY}` },
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const rows = await response.json();
+    const isAdmin = Array.isArray(rows) && rows[0]?.is_admin === true;
+    profileAdminCache.set(userId, { isAdmin, at: Date.now() });
+    return isAdmin;
+  } catch (error) {
+    console.warn(`⚠️  Não foi possível consultar profiles.is_admin (${userId}): ${error.message}`);
+    return false;
+  }
+}
+
+export default {
+  isJwtAuthConfigured,
+  isProfileAdmin,
+  looksLikeJwt,
+  verifySupabaseJwt,
+  identityFromClaims,
+};
@@ -0,0 +1,269 @@
+/**
+ * Controle de acesso por marca ("prateleiras com cadeado")
+ * Define quais marcas/modelos cada usuário ou API key pode consultar (data/brand_acl.json):
+ *   {
+ *     "version": 1,
+ *     "defaultPolicy": "allow",            // principal sem grant: allow = tudo, deny = nada
+ *     "grants": {
+ *       "user:<userId>": { "brands": ["Otis"], "models": { "Schindler": ["3300"] }, "allowUnbranded": false },
+ *       "key:default": { "brands": ["*"] }
+ *     }
+ *   }
+ * Principais: user:<id> (JWT), key:<nome> (API_KEY = key:default, SERVICE_API_KEYS, JWT service_role =
+ * key:service_role) e anonymous.
+ * Admins não têm restrição.
+ *
+ * A verificação é feita nas buscas (searchSimilar/searchLexical) chunk a chunk: trecho de marca
+ * não liberada nunca chega ao prompt. Marca do chunk = metadata.brandName ou detectada pelo
+ * nome do arquivo; modelo = detectado pelo nome/título. Chunk sem marca identificável só passa
+ * com allowUnbranded; com grant por modelo, chunk sem modelo identificável não passa.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { getBrand, detectBrandsInText, detectBrandFromFilename, detectModelFromText } from './brandRegistry.js';
+import { createHotReloadConfig, writeJsonAtomic } from './jsonConfig.js';
+import { normalizeName } from './textNormalize.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ACL_FILE = process.env.BRAND_ACL_PATH || path.join(__dirname, '..', 'data', 'brand_acl.json');
+const POLICIES = ['allow', 'deny'];
+const SOURCE_CACHE_MAX = 5000;
+
+// source|title → { brand, model } (detecção pelo registro de marcas é cara por chunk)
+const sourceCache = new Map();
+
+function createAclError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Nome canônico da marca no registro (aceita aliases: "tk" → Thyssen)
+ */
+function canonicalBrand(name) {
+  const raw = String(name || '').trim();
+  if (!raw) return '';
+  return normalizeName(getBrand(raw)?.name || detectBrandsInText(raw)[0] || raw);
+}
+
+function uniqueStrings(list) {
+  return Array.from(new Set((Array.isArray(list) ? list : [])
+    .map(v => String(v || '').trim())
+    .filter(Boolean)));
+}
+
+function normalizeGrant(input) {
+  if (!input || typeof input !== 'object') throw createAclError('Grant deve ser um objeto', 'INVALID_ACL');
+  const models = {};
+  for (const [brand, list] of Object.entries(input.models || {})) {
+    const names = uniqueStrings(list);
+    if (names.length) models[String(brand).trim()] = names;
+  }
+  return {
+    brands: uniqueStrings(input.brands),
+    models,
+    allowUnbranded: !!input.allowUnbranded,
+  };
+}
+
+function normalizePrincipal(principal) {
+  const value = String(principal || '').trim();
+  if (value === 'anonymous' || /^(user|key):.+/.test(value)) return value;
+  throw createAclError(`Principal inválido: "${principal}" (use user:<id>, key:<nome> ou anonymous)`, 'INVALID_ACL');
+}
+
+function readAclFile() {
+  if (!fs.existsSync(ACL_FILE)) return { version: 1, defaultPolicy: 'allow', grants: {} };
+  const raw = JSON.parse(fs.readFileSync(ACL_FILE, 'utf-8'));
+  const grants = {};
+  for (const [principal, grant] of Object.entries(raw.grants || {})) {
+    grants[normalizePrincipal(principal)] = normalizeGrant(grant);
+  }
+  return {
+    version: raw.version || 1,
+    defaultPolicy: POLICIES.includes(raw.defaultPolicy) ? raw.defaultPolicy : 'allow',
+    grants,
+  };
+}
+
+const aclConfig = createHotReloadConfig(ACL_FILE, {
+  load: readAclFile,
+  onLoad: (acl) => {
+    const count = Object.keys(acl.grants).length;
+    if (count || acl.defaultPolicy !== 'allow') {
+      console.log(`🔒 ACL de marcas: ${count} grants (padrão: ${acl.defaultPolicy})`);
+    }
+  },
+  label: 'ACL de marcas inválida',
+});
+
+export function reloadBrandAcl() {
+  return aclConfig.reload();
+}
+
+function getAcl() {
+  return aclConfig.get();
+}
+
+function writeAcl(next) {
+  writeJsonAtomic(ACL_FILE, next, { pretty: true });
+  return reloadBrandAcl();
+}
+
+// ═══ ADMIN ═══
+
+export function getBrandAcl() {
+  return structuredClone(getAcl());
+}
+
+export function setBrandGrant(principal, grant) {
+  const key = normalizePrincipal(principal);
+  const current = getAcl();
+  writeAcl({ ...current, grants: { ...current.grants, [key]: normalizeGrant(grant) } });
+  return { principal: key, ...getAcl().grants[key] };
+}
+
+export function deleteBrandGrant(principal) {
+  const key = normalizePrincipal(principal);
+  const current = getAcl();
+  if (!current.grants[key]) throw createAclError(`Grant de "${key}" não encontrado`, 'GRANT_NOT_FOUND');
+  const grants = { ...current.grants };
+  delete grants[key];
+  writeAcl({ ...current, grants });
+  return { deleted: key };
+}
+
+export function setDefaultBrandPolicy(policy) {
+  if (!POLICIES.includes(policy)) {
+    throw createAclError(`Política inválida: "${policy}" (use ${POLICIES.join(' ou ')})`, 'INVALID_ACL');
+  }
+  writeAcl({ ...getAcl(), defaultPolicy: policy });
+  return { defaultPolicy: policy };
+}
+
+// ═══ RESOLUÇÃO ═══
+
+/**
+ * Principal da ACL para uma identidade (null para admin)
+ */
+export function principalForIdentity(identity) {
+  if (identity?.role === 'admin') return null;
+  if (identity?.source === 'jwt' && identity.userId) return `user:${identity.userId}`;
+  if (identity?.source === 'jwt' && identity.role === 'service') return 'key:service_role';
+  if (identity?.source === 'api_key') return `key:${identity.keyId || 'default'}`;
+  return 'anonymous';
+}
+
+/**
+ * Acesso efetivo de uma identidade: null = sem restrição; senão
+ * { principal, scope, brands: Set, models: Map<marca, Set<modelo>>, allowUnbranded }
+ */
+export function resolveBrandAccess(identity) {
+  const principal = principalForIdentity(identity);
+  if (!principal) return null;
+
+  const current = getAcl();
+  const grant = current.grants[principal];
+  if (!grant) {
+    if (current.defaultPolicy === 'allow') return null;
+    return { principal, scope: `${principal}|deny`, brands: new Set(), models: new Map(), allowUnbranded: false };
+  }
+  if (grant.brands.includes('*')) return null;
+
+  const brands = new Set(grant.brands.map(canonicalBrand).filter(Boolean));
+  const models = new Map();
+  for (const [brand, list] of Object.entries(grant.models)) {
+    const b = canonicalBrand(brand);
+    if (!b || brands.has(b)) continue; // marca inteira liberada cobre os modelos
+    models.set(b, new Set(list.map(normalizeName)));
+  }
+  // Escopo entra na chave do cache de respostas (usuários com acessos diferentes não compartilham respostas)
+  const scope = [
+    principal,
+    [...brands].sort().join(','),
+    [...models.entries()].map(([b, m]) => `${b}:${[...m].sort().join('+')}`).sort().join(','),
+    grant.allowUnbranded ? 'u' : '',
+  ].join('|');
+  return { principal, scope, brands, models, allowUnbranded: grant.allowUnbranded };
+}
+
+/**
+ * A marca (inteira ou algum modelo dela) está liberada?
+ */
+export function isBrandAllowed(access, brand) {
+  if (!access) return true;
+  const b = canonicalBrand(brand);
+  return access.brands.has(b) || access.models.has(b);
+}
+
+/**
+ * Marcas liberadas (nomes do registro); null = todas
+ */
+export function listAllowedBrands(access) {
+  if (!access) return null;
+  return [...new Set([...access.brands, ...access.models.keys()])].map(b => getBrand(b)?.name || b);
+}
+
+function describeSource(source, title, brandName) {
+  const cacheKey = `${source}|${title}|${brandName}`;
+  let info = sourceCache.get(cacheKey);
+  if (!info) {
+    // "_" conta como letra no \b dos padrões do registro: otis_gen2.pdf → "otis gen2 pdf"
+    const spaced = `${source} ${title}`.replace(/[_.]+/g, ' ');
+    const brand = brandName || detectBrandFromFilename(source) || detectBrandFromFilename(spaced) || null;
+    const model = brand ? detectModelFromText(spaced, brand) : null;
+    info = { brand: brand ? canonicalBrand(brand) : '', model: model ? normalizeName(model) : '' };
+    if (sourceCache.size >= SOURCE_CACHE_MAX) sourceCache.delete(sourceCache.keys().next().value);
+    sourceCache.set(cacheKey, info);
+  }
+  return info;
+}
+
+function isAllowed(access, source, title, brandName, explicitModel) {
+  const { brand, model } = describeSource(String(source || ''), String(title || ''), String(brandName || ''));
+  if (!brand) return access.allowUnbranded;
+  if (access.brands.has(brand)) return true;
+  const models = access.models.get(brand);
+  if (!models) return false;
+  const chunkModel = explicitModel ? normalizeName(explicitModel) : model;
+  return !!chunkModel && models.has(chunkModel);
+}
+
+/**
+ * O chunk (metadata do store) pode ser usado por este acesso?
+ */
+export function isChunkAllowed(access, metadata) {
+  if (!access) return true;
+  return isAllowed(access, metadata?.source, metadata?.title, metadata?.brandName, metadata?.model);
+}
+
+/**
+ * Filtro para documentos do índice lexical ({ source, brandName, title, model }) — mesma regra
+ * de isChunkAllowed; null = sem restrição
+ */
+export function lexicalAccessFilter(access) {
+  if (!access) return null;
+  return (doc) => isChunkAllowed(access, doc);
+}
+
+export default {
+  reloadBrandAcl,
+  getBrandAcl,
+  setBrandGrant,
+  deleteBrandGrant,
+  setDefaultBrandPolicy,
+  principalForIdentity,
+  resolveBrandAccess,
+  isBrandAllowed,
+  listAllowedBrands,
+  isChunkAllowed,
+  lexicalAccessFilter,
+};
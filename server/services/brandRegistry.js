@@ -0,0 +1,316 @@
+/**
+ * Registro de Marcas/Modelos
+ * Fonte única de conhecimento de fabricantes (data/brands.json): aliases, modelos,
+ * placas, termos técnicos e padrões de nome de arquivo/conteúdo.
+ * Usado pelos detectores do RAG, pela ingestão (marca do PDF) e pelo organizador de pastas.
+ *
+ * O arquivo é relido automaticamente quando muda no disco (edição manual ou CRUD admin).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { createHotReloadConfig, writeJsonAtomic } from './jsonConfig.js';
+import { normalizeText, normalizeName } from './textNormalize.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const REGISTRY_FILE = process.env.BRAND_REGISTRY_PATH || path.join(__dirname, '..', 'data', 'brands.json');
+
+function createRegistryError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function uniqueStrings(list) {
+  return Array.from(new Set((Array.isArray(list) ? list : [])
+    .map(v => String(v || '').trim())
+    .filter(Boolean)));
+}
+
+function compilePatterns(list, label) {
+  return uniqueStrings(list).map(source => {
+    try {
+      return new RegExp(source, 'i');
+    } catch (e) {
+      throw createRegistryError(`Padrão inválido em ${label}: ${source} (${e.message})`, 'INVALID_BRAND');
+    }
+  });
+}
+
+/**
+ * Normaliza e valida uma marca (formato gravado no JSON)
+ */
+function normalizeBrand(input) {
+  const name = String(input?.name || '').trim();
+  if (!name) throw createRegistryError('Marca sem "name"', 'INVALID_BRAND');
+
+  const models = (Array.isArray(input.models) ? input.models : [])
+    .map(m => (typeof m === 'string' ? { name: m } : m))
+    .filter(m => String(m?.name || '').trim())
+    .map(m => ({ name: String(m.name).trim(), patterns: uniqueStrings(m.patterns) }));
+
+  const brand = {
+    name,
+    ...(input.folder ? { folder: String(input.folder).trim() } : {}),
+    aliases: uniqueStrings([name.toLowerCase(), ...(input.aliases || [])]),
+    techTerms: uniqueStrings(input.techTerms),
+    boards: uniqueStrings(input.boards).map(b => b.toUpperCase()),
+    models,
+    filePatterns: uniqueStrings(input.filePatterns),
+    contentPatterns: uniqueStrings(input.contentPatterns),
+  };
+
+  // Valida regex já na gravação (erro 400 em vez de falhar na detecção)
+  compilePatterns(brand.filePatterns, `${name}.filePatterns`);
+  compilePatterns(brand.contentPatterns, `${name}.contentPatterns`);
+  for (const m of brand.models) compilePatterns(m.patterns, `${name}.models.${m.name}`);
+  return brand;
+}
+
+function compileRegistry(raw) {
+  const brands = (Array.isArray(raw?.brands) ? raw.brands : []).map(normalizeBrand);
+  const compiled = brands.map(b => ({
+    ...b,
+    folder: b.folder || b.name,
+    // Termos que identificam a marca no texto livre (pergunta/histórico)
+    textTerms: uniqueStrings([...b.aliases, ...b.techTerms, ...b.boards]).map(normalizeText),
+    fileRegexes: compilePatterns(b.filePatterns, `${b.name}.filePatterns`),
+    contentRegexes: compilePatterns(b.contentPatterns, `${b.name}.contentPatterns`),
+    modelMatchers: b.models.map(m => ({
+      name: m.name,
+      regexes: m.patterns.length ? compilePatterns(m.patterns, `${b.name}.models.${m.name}`) : null,
+      needle: normalizeText(m.name),
+    })),
+  }));
+  return {
+    version: raw?.version || 1,
+    boards: uniqueStrings(raw?.boards).map(b => b.toUpperCase()),
+    brands: compiled,
+  };
+}
+
+function readRegistryFile() {
+  if (!fs.existsSync(REGISTRY_FILE)) {
+    console.warn(`⚠️  Registro de marcas não encontrado (${REGISTRY_FILE}), usando registro vazio`);
+    return { version: 1, boards: [], brands: [] };
+  }
+  return JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf-8'));
+}
+
+// { version, boards, brands } já compilado
+const registryConfig = createHotReloadConfig(REGISTRY_FILE, {
+  load: () => compileRegistry(readRegistryFile()),
+  onLoad: (registry) => console.log(`🏷️  Registro de marcas: ${registry.brands.length} marcas`),
+  label: 'Registro de marcas inválido',
+});
+
+/**
+ * Recarrega o registro do disco. Arquivo inválido mantém a versão anterior.
+ */
+export function reloadBrandRegistry() {
+  return registryConfig.reload();
+}
+
+function getRegistry() {
+  return registryConfig.get();
+}
+
+function toStoredBrand(b) {
+  return {
+    name: b.name,
+    ...(b.folder && b.folder !== b.name ? { folder: b.folder } : {}),
+    aliases: b.aliases,
+    techTerms: b.techTerms,
+    boards: b.boards,
+    models: b.models,
+    filePatterns: b.filePatterns,
+    contentPatterns: b.contentPatterns,
+  };
+}
+
+function writeRegistry(next) {
+  const data = {
+    version: next.version || 1,
+    boards: next.boards,
+    brands: next.brands.map(toStoredBrand),
+  };
+  writeJsonAtomic(REGISTRY_FILE, data, { pretty: true });
+  return reloadBrandRegistry();
+}
+
+function findBrandIndex(brands, name) {
+  const wanted = normalizeName(name);
+  return brands.findIndex(b => normalizeText(b.name) === wanted);
+}
+
+// ═══ CRUD ═══
+
+export function listBrands() {
+  const reg = getRegistry();
+  return { version: reg.version, boards: reg.boards, brands: reg.brands.map(toStoredBrand) };
+}
+
+export function getBrand(name) {
+  const reg = getRegistry();
+  const idx = findBrandIndex(reg.brands, name);
+  return idx >= 0 ? toStoredBrand(reg.brands[idx]) : null;
+}
+
+export function createBrand(input) {
+  const reg = getRegistry();
+  const brand = normalizeBrand(input);
+  if (findBrandIndex(reg.brands, brand.name) >= 0) {
+    throw createRegistryError(`Marca "${brand.name}" já existe`, 'BRAND_EXISTS');
+  }
+  writeRegistry({ ...reg, brands: [...reg.brands, brand] });
+  return getBrand(brand.name);
+}
+
+/**
+ * Atualiza campos de uma marca (campos ausentes no patch são mantidos)
+ */
+export function updateBrand(name, patch) {
+  const reg = getRegistry();
+  const idx = findBrandIndex(reg.brands, name);
+  if (idx < 0) throw createRegistryError(`Marca "${name}" não encontrada`, 'BRAND_NOT_FOUND');
+
+  const current = toStoredBrand(reg.brands[idx]);
+  const brand = normalizeBrand({ ...current, ...patch });
+  const clash = findBrandIndex(reg.brands, brand.name);
+  if (clash >= 0 && clash !== idx) {
+    throw createRegistryError(`Marca "${brand.name}" já existe`, 'BRAND_EXISTS');
+  }
+  const brands = reg.brands.slice();
+  brands[idx] = brand;
+  writeRegistry({ ...reg, brands });
+  return getBrand(brand.name);
+}
+
+export function deleteBrand(name) {
+  const reg = getRegistry();
+  const idx = findBrandIndex(reg.brands, name);
+  if (idx < 0) throw createRegistryError(`Marca "${name}" não encontrada`, 'BRAND_NOT_FOUND');
+  writeRegistry({ ...reg, brands: reg.brands.filter((_, i) => i !== idx) });
+  return { deleted: reg.brands[idx].name };
+}
+
+// ═══ DETECTORES ═══
+
+/**
+ * Nomes canônicos das marcas (ordem do registro)
+ */
+export function getBrandNames() {
+  return getRegistry().brands.map(b => b.name);
+}
+
+/**
+ * Pasta de PDFs da marca (campo "folder", padrão = nome)
+ */
+export function getBrandFolder(name) {
+  const reg = getRegistry();
+  const idx = findBrandIndex(reg.brands, name);
+  return idx >= 0 ? reg.brands[idx].folder : null;
+}
+
+/**
+ * Tokens de placa (maiúsculos) de todas as marcas + placas genéricas
+ */
+export function getBoardTokens() {
+  const reg = getRegistry();
+  return Array.from(new Set([...reg.brands.flatMap(b => b.boards), ...reg.boards]));
+}
+
+export function detectBrandFromFilename(filename) {
+  const name = String(filename || '');
+  if (!name) return null;
+  for (const brand of getRegistry().brands) {
+    if (brand.fileRegexes.some(p => p.test(name))) return brand.name;
+  }
+  return null;
+}
+
+/**
+ * Marca pela pasta (pdfs/Otis/Gen2/arquivo.pdf → Otis): testa cada parte do caminho relativo
+ */
+export function detectBrandFromPath(relativePath) {
+  for (const part of String(relativePath || '').split(/[\\/]/)) {
+    const brand = detectBrandFromFilename(part);
+    if (brand) return brand;
+  }
+  return null;
+}
+
+export function detectBrandFromContent(text) {
+  const preview = String(text || '').slice(0, 5000); // Primeiras ~2 páginas
+  if (!preview) return null;
+  for (const brand of getRegistry().brands) {
+    if (brand.contentRegexes.some(p => p.test(preview))) return brand.name;
+  }
+  return null;
+}
+
+/**
+ * Todas as marcas citadas no texto (aliases, termos técnicos e placas exclusivas)
+ */
+export function detectBrandsInText(text) {
+  const normalized = normalizeText(text);
+  if (!normalized) return [];
+  return getRegistry().brands
+    .filter(b => b.textTerms.some(t => normalized.includes(t)))
+    .map(b => b.name);
+}
+
+/**
+ * Primeira marca citada no texto. Ex: "GECB" → Otis, "Arca" → Orona, "ADV-210" → Sectron
+ */
+export function detectBrandFromTechTerms(text) {
+  return detectBrandsInText(text)[0] || null;
+}
+
+/**
+ * Modelo citado no texto (restrito à marca, quando informada) — retorna o nome canônico
+ */
+export function detectModelFromText(text, brand = null) {
+  const raw = String(text || '');
+  const normalized = normalizeText(raw);
+  if (!normalized) return null;
+
+  const reg = getRegistry();
+  const targets = brand
+    ? reg.brands.filter(b => normalizeText(b.name) === normalizeText(brand))
+    : reg.brands;
+
+  for (const b of targets) {
+    for (const m of b.modelMatchers) {
+      const hit = m.regexes
+        ? m.regexes.some(p => p.test(raw) || p.test(normalized))
+        : normalized.includes(m.needle);
+      if (hit) return m.name;
+    }
+  }
+  return null;
+}
+
+export default {
+  reloadBrandRegistry,
+  listBrands,
+  getBrand,
+  createBrand,
+  updateBrand,
+  deleteBrand,
+  getBrandNames,
+  getBrandFolder,
+  getBoardTokens,
+  detectBrandFromFilename,
+  detectBrandFromPath,
+  detectBrandFromContent,
+  detectBrandsInText,
+  detectBrandFromTechTerms,
+  detectModelFromText,
+};
@@ -0,0 +1,233 @@
+/**
+ * Memória de atendimentos longos
+ * O prompt só leva as últimas mensagens (CONVERSATION_MEMORY_WINDOW). Tudo que sai dessa janela
+ * é resumido de forma incremental num registro estruturado:
+ *   { facts: [...], testsDone: [...], ruledOut: [...], coveredSeq, updatedAt }
+ *   facts     → fatos estabelecidos (medições, modelo, sintomas, o que foi trocado)
+ *   testsDone → testes/verificações já feitos (com resultado)
+ *   ruledOut  → hipóteses descartadas
+ * coveredSeq = seq da última mensagem já resumida (mensagens de sessão têm seq; no histórico
+ * enviado pelo cliente, seq = posição na lista).
+ *
+ * Resumo via Gemini; se falhar, extração heurística (medições, verbos de teste, "está ok").
+ * Sem sessão no servidor, o resultado fica num cache em memória pelo hash do trecho resumido,
+ * então cada nova pergunta só resume as mensagens que acabaram de sair da janela.
+ */
+
+import crypto from 'crypto';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const MEMORY_ENABLED = !/^(0|false|no)$/i.test(String(process.env.CONVERSATION_MEMORY_ENABLED || 'true').trim());
+export const MEMORY_WINDOW_MESSAGES = Math.max(2, parseInt(process.env.CONVERSATION_MEMORY_WINDOW || '10', 10));
+const MEMORY_MAX_ITEMS = Math.max(3, parseInt(process.env.CONVERSATION_MEMORY_MAX_ITEMS || '12', 10));
+const MEMORY_FOLD_BATCH = 20; // mensagens por chamada de resumo
+const MEMORY_ITEM_CHARS = 200;
+const MEMORY_CACHE_MAX = 200;
+
+const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const summarizer = genAI.getGenerativeModel({
+  model: 'gemini-2.5-flash',
+  generationConfig: {
+    temperature: 0.1,
+    maxOutputTokens: 1024,
+  },
+});
+
+// hash do trecho resumido → memória (históricos enviados pelo cliente, sem sessão)
+const memoryCache = new Map();
+
+const MEASUREMENT_RE = /\b\d+(?:[.,]\d+)?\s*(?:v|vac|vdc|volts?|a|ma|amperes?|ohms?|Ω|hz|mm|°c)\b/i;
+const TEST_RE = /\b(medi|medimos|verifiquei|testei|testamos|chequei|conferi|troquei|trocamos|substitu\w*|resetei|reiniciei|jumpe\w*|limpei|apertei|ajustei|desliguei|religuei)\b/i;
+const RULED_OUT_RE = /\b(esta ok|está ok|estão ok|estao ok|ta ok|tá ok|normal|sem defeito|sem problema|descart\w*|nao e (?:isso|o|a)|não é (?:isso|o|a)|continua igual|nao resolveu|não resolveu)\b/i;
+
+export function emptyMemory() {
+  return { facts: [], testsDone: [], ruledOut: [], coveredSeq: -1, updatedAt: null };
+}
+
+export function isMemoryEmpty(memory) {
+  return !memory || (!memory.facts?.length && !memory.testsDone?.length && !memory.ruledOut?.length);
+}
+
+function messageText(m) {
+  return String(typeof m?.text === 'string' ? m.text : m?.parts?.[0]?.text || '');
+}
+
+function withSeq(messages) {
+  return (messages || []).map((m, i) => ({
+    role: m?.role === 'user' ? 'user' : 'model',
+    text: messageText(m),
+    seq: Number.isInteger(m?.seq) ? m.seq : i,
+  }));
+}
+
+function cleanItems(list) {
+  const seen = new Set();
+  const out = [];
+  for (const raw of Array.isArray(list) ? list : []) {
+    const item = String(raw || '').replace(/\s+/g, ' ').trim().slice(0, MEMORY_ITEM_CHARS);
+    const key = item.toLowerCase();
+    if (!item || seen.has(key)) continue;
+    seen.add(key);
+    out.push(item);
+  }
+  // Mantém os mais recentes quando estoura o limite
+  return out.slice(-MEMORY_MAX_ITEMS);
+}
+
+/**
+ * Fallback sem LLM: frases do técnico com medições, verbos de teste ou "está ok"
+ */
+function extractHeuristicMemory(memory, messages) {
+  const facts = [...memory.facts];
+  const testsDone = [...memory.testsDone];
+  const ruledOut = [...memory.ruledOut];
+  for (const m of messages) {
+    if (m.role !== 'user') continue;
+    let lastTest = -1;
+    for (const sentence of m.text.split(/[.!?\n;]+/).map(s => s.trim()).filter(s => s.length > 3)) {
+      if (RULED_OUT_RE.test(sentence)) {
+        // "Troquei o F2. Continua igual" → resultado do teste anterior
+        if (lastTest >= 0 && sentence.length < 30) testsDone[lastTest] = `${testsDone[lastTest]} (${sentence.toLowerCase()})`;
+        else ruledOut.push(sentence);
+      } else if (TEST_RE.test(sentence)) {
+        lastTest = testsDone.push(sentence) - 1;
+      } else if (MEASUREMENT_RE.test(sentence)) {
+        facts.push(sentence);
+      }
+    }
+  }
+  return { facts: cleanItems(facts), testsDone: cleanItems(testsDone), ruledOut: cleanItems(ruledOut) };
+}
+
+async function summarizeBatch(memory, messages) {
+  const transcript = messages
+    .map(m => `${m.role === 'user' ? 'TÉCNICO' : 'ASSISTENTE'}: ${m.text.slice(0, 1500)}`)
+    .join('\n');
+  const prompt = `Você mantém o registro de um atendimento técnico de elevador. Atualize o registro com as mensagens novas.
+
+Regras:
+- Só registre o que foi DITO nas mensagens (medições com valores e unidades, conectores/placas já verificados, peças trocadas, resultados de testes). NÃO invente nada.
+- facts: fatos estabelecidos (modelo, sintomas, medições, o que foi trocado).
+- testsDone: testes/verificações já feitos e o resultado.
+- ruledOut: hipóteses/causas já descartadas.
+- Itens curtos (até 1 frase), no máximo ${MEMORY_MAX_ITEMS} por lista; mantenha os itens anteriores que continuam válidos.
+- Responda APENAS com JSON: {"facts":[...],"testsDone":[...],"ruledOut":[...]}
+
+Registro atual:
+${JSON.stringify({ facts: memory.facts, testsDone: memory.testsDone, ruledOut: memory.ruledOut })}
+
+Mensagens novas:
+${transcript}`;
+
+  const result = await summarizer.generateContent(prompt);
+  const text = String(result?.response?.text?.() || '').trim();
+  const jsonMatch = text.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) throw new Error('Resumo sem JSON');
+  const parsed = JSON.parse(jsonMatch[0]);
+  return {
+    facts: cleanItems(parsed.facts),
+    testsDone: cleanItems(parsed.testsDone),
+    ruledOut: cleanItems(parsed.ruledOut),
+  };
+}
+
+/**
+ * Resume as mensagens ainda não cobertas (em lotes). Retorna nova memória.
+ */
+async function foldMessages(memory, pending) {
+  let next = { ...emptyMemory(), ...structuredClone(memory) };
+  for (let i = 0; i < pending.length; i += MEMORY_FOLD_BATCH) {
+    const batch = pending.slice(i, i + MEMORY_FOLD_BATCH);
+    let lists;
+    try {
+      lists = await summarizeBatch(next, batch);
+    } catch (error) {
+      console.warn(`⚠️  Resumo da conversa falhou (${error.message}), usando extração heurística`);
+      lists = extractHeuristicMemory(next, batch);
+    }
+    next = { ...next, ...lists, coveredSeq: batch[batch.length - 1].seq, updatedAt: Date.now() };
+  }
+  return next;
+}
+
+function prefixHash(messages) {
+  const hash = crypto.createHash('sha1');
+  for (const m of messages) hash.update(`${m.role}\u0000${m.text}\u0001`);
+  return hash.digest('hex');
+}
+
+function cacheMemory(key, memory) {
+  if (memoryCache.has(key)) memoryCache.delete(key);
+  memoryCache.set(key, memory);
+  if (memoryCache.size > MEMORY_CACHE_MAX) memoryCache.delete(memoryCache.keys().next().value);
+}
+
+/**
+ * Atualiza a memória com as mensagens que já saíram da janela do prompt.
+ * @param {Array} messages - histórico completo ({ role, text, seq } da sessão ou { role, parts } do cliente)
+ * @param {object} [options.memory] - memória persistida na sessão (sem ela, usa o cache por hash)
+ * @returns {Promise<{ memory: object|null, changed: boolean }>}
+ */
+export async function updateConversationMemory(messages, { memory = null } = {}) {
+  if (!MEMORY_ENABLED) return { memory, changed: false };
+  const all = withSeq(messages);
+  const outside = all.slice(0, Math.max(0, all.length - MEMORY_WINDOW_MESSAGES));
+  if (!outside.length) return { memory, changed: false };
+
+  // Sessão: incremental pelo seq
+  if (memory) {
+    const pending = outside.filter(m => m.seq > memory.coveredSeq);
+    if (!pending.length) return { memory, changed: false };
+    return { memory: await foldMessages(memory, pending), changed: true };
+  }
+
+  // Histórico do cliente: reaproveita o resumo do trecho anterior (1 ou 2 mensagens a menos)
+  const key = prefixHash(outside);
+  if (memoryCache.has(key)) return { memory: memoryCache.get(key), changed: false };
+  let base = emptyMemory();
+  for (const back of [1, 2]) {
+    if (outside.length - back <= 0) break;
+    const prev = memoryCache.get(prefixHash(outside.slice(0, outside.length - back)));
+    if (prev) {
+      base = prev;
+      break;
+    }
+  }
+  const pending = outside.filter(m => m.seq > base.coveredSeq);
+  const next = pending.length ? await foldMessages(base, pending) : base;
+  cacheMemory(key, next);
+  return { memory: next, changed: true };
+}
+
+/**
+ * Bloco de texto para o prompt
+ */
+export function formatMemoryForPrompt(memory) {
+  if (isMemoryEmpty(memory)) return '';
+  const section = (title, items) => (items?.length ? `${title}:\n${items.map(i => `- ${i}`).join('\n')}` : '');
+  return [
+    section('Fatos estabelecidos', memory.facts),
+    section('Testes já feitos', memory.testsDone),
+    section('Hipóteses descartadas', memory.ruledOut),
+  ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Texto para enriquecer a busca (fatos e testes; hipóteses descartadas ficam de fora)
+ */
+export function memoryToSearchText(memory) {
+  if (isMemoryEmpty(memory)) return '';
+  return [...memory.facts, ...memory.testsDone].join(' ');
+}
+
+export default {
+  MEMORY_WINDOW_MESSAGES,
+  emptyMemory,
+  isMemoryEmpty,
+  updateConversationMemory,
+  formatMemoryForPrompt,
+  memoryToSearchText,
+};
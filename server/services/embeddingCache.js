@@ -0,0 +1,359 @@
+/**
+ * Cache persistente de embeddings
+ * Chave: sha256(assinatura do provedor/modelo + texto completo) — textos com o mesmo
+ * prefixo não colidem, e trocar de modelo não reaproveita vetores incompatíveis.
+ *
+ * Armazenamento: data/embedding_cache.bin, log append-only de registros
+ *   [chave 32B][tamanho da assinatura u8][assinatura][dim u32][float32 × dim]
+ * Em memória fica só o índice chave → offset (os vetores são lidos do disco sob demanda)
+ * e um LRU pequeno dos vetores mais recentes (queries repetidas).
+ * Vários processos podem anexar ao mesmo arquivo: o offset de cada gravação vem do tamanho real
+ * do arquivo após o append, e a leitura confere a chave do registro (divergência = miss).
+ *
+ * Limites: EMBEDDING_CACHE_MAX_MB / EMBEDDING_CACHE_MAX_ENTRIES. Ao estourar, o arquivo
+ * é reescrito mantendo as entradas usadas mais recentemente até a marca baixa
+ * (EMBEDDING_CACHE_COMPACT_RATIO, padrão 90% do limite): a reescrita O(n) só volta a acontecer
+ * depois de (1 - ratio) × limite gravações novas, não a cada gravação no limite.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CACHE_MAGIC = 'EVXEMB01';
+const KEY_BYTES = 32;
+
+const CACHE_ENABLED = String(process.env.EMBEDDING_CACHE_ENABLED || 'true').toLowerCase() !== 'false';
+const CACHE_FILE = process.env.EMBEDDING_CACHE_PATH || path.join(__dirname, '..', 'data', 'embedding_cache.bin');
+const CACHE_MAX_BYTES = parseInt(process.env.EMBEDDING_CACHE_MAX_MB || '1024', 10) * 1024 * 1024;
+const CACHE_MAX_ENTRIES = parseInt(process.env.EMBEDDING_CACHE_MAX_ENTRIES || '200000', 10);
+const MEMORY_MAX_ENTRIES = parseInt(process.env.EMBEDDING_CACHE_MEMORY_ENTRIES || '100', 10);
+const COMPACT_RATIO = Math.min(0.95, Math.max(0.1, Number.parseFloat(process.env.EMBEDDING_CACHE_COMPACT_RATIO || '0.9') || 0.9));
+// Marca baixa da compactação (marca alta = limites acima)
+const LOW_WATER_BYTES = Math.floor(CACHE_MAX_BYTES * COMPACT_RATIO);
+const LOW_WATER_ENTRIES = Math.floor(CACHE_MAX_ENTRIES * COMPACT_RATIO);
+
+// chave (hex) → { offset, dim, signature, size }; ordem do Map = ordem de uso (LRU)
+let entries = null;
+let fileBytes = 0;
+let deadBytes = 0;
+const memory = new Map();
+const counters = { hits: 0, memoryHits: 0, misses: 0, writes: 0, evictions: 0, compactions: 0 };
+
+export function embeddingCacheKey(signature, text) {
+  return crypto.createHash('sha256').update(`${signature}\0${text}`).digest('hex');
+}
+
+function recordSize(signatureBytes, dim) {
+  return KEY_BYTES + 1 + signatureBytes + 4 + dim * 4;
+}
+
+/**
+ * Carrega o índice (lendo só os cabeçalhos dos registros).
+ * Registro truncado no fim (processo morto no meio da escrita) é descartado.
+ */
+function ensureLoaded() {
+  if (entries) return;
+  entries = new Map();
+  fileBytes = 0;
+  deadBytes = 0;
+
+  if (!fs.existsSync(CACHE_FILE)) {
+    fs.mkdirSync(path.dirname(CACHE_FILE), { recursive: true });
+    fs.writeFileSync(CACHE_FILE, CACHE_MAGIC, 'ascii');
+    fileBytes = CACHE_MAGIC.length;
+    return;
+  }
+
+  const fd = fs.openSync(CACHE_FILE, 'r');
+  let validEnd = 0;
+  try {
+    const size = fs.fstatSync(fd).size;
+    const magic = Buffer.alloc(CACHE_MAGIC.length);
+    fs.readSync(fd, magic, 0, magic.length, 0);
+    if (magic.toString('ascii') !== CACHE_MAGIC) {
+      console.warn('⚠️  Cache de embeddings com formato inválido, recriando');
+    } else {
+      let offset = CACHE_MAGIC.length;
+      validEnd = offset;
+      const head = Buffer.alloc(KEY_BYTES + 1);
+      const dimBuf = Buffer.alloc(4);
+      while (offset + head.length <= size) {
+        fs.readSync(fd, head, 0, head.length, offset);
+        const sigLen = head[KEY_BYTES];
+        if (offset + head.length + sigLen + 4 > size) break;
+        const sigBuf = Buffer.alloc(sigLen);
+        fs.readSync(fd, sigBuf, 0, sigLen, offset + head.length);
+        fs.readSync(fd, dimBuf, 0, 4, offset + head.length + sigLen);
+        const dim = dimBuf.readUInt32LE(0);
+        const total = recordSize(sigLen, dim);
+        if (offset + total > size) break;
+
+        const key = head.toString('hex', 0, KEY_BYTES);
+        const previous = entries.get(key);
+        if (previous) {
+          deadBytes += previous.size;
+          entries.delete(key);
+        }
+        entries.set(key, {
+          offset: offset + head.length + sigLen + 4,
+          dim,
+          signature: sigBuf.toString('utf-8'),
+          size: total,
+        });
+        offset += total;
+        validEnd = offset;
+      }
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  if (validEnd <= CACHE_MAGIC.length) {
+    entries.clear();
+    fs.writeFileSync(CACHE_FILE, CACHE_MAGIC, 'ascii');
+    fileBytes = CACHE_MAGIC.length;
+    return;
+  }
+  if (validEnd < fs.statSync(CACHE_FILE).size) {
+    console.warn('⚠️  Cache de embeddings com registro incompleto no fim, truncando');
+    fs.truncateSync(CACHE_FILE, validEnd);
+  }
+  fileBytes = validEnd;
+  console.log(`📦 Cache de embeddings: ${entries.size} vetores (${(fileBytes / 1024 / 1024).toFixed(1)} MB)`);
+}
+
+function rememberInMemory(key, vector) {
+  if (MEMORY_MAX_ENTRIES <= 0) return;
+  memory.delete(key);
+  memory.set(key, vector);
+  if (memory.size > MEMORY_MAX_ENTRIES) memory.delete(memory.keys().next().value);
+}
+
+/**
+ * Lê o registro inteiro e confere a chave gravada nele: se outro processo reescreveu o arquivo
+ * (compactação) ou o offset não corresponde, devolve null (tratado como miss)
+ */
+function readVector(key, entry) {
+  const start = entry.offset - (entry.size - entry.dim * 4);
+  if (start < CACHE_MAGIC.length) return null;
+  const record = Buffer.alloc(entry.size);
+  const fd = fs.openSync(CACHE_FILE, 'r');
+  let read = 0;
+  try {
+    read = fs.readSync(fd, record, 0, record.length, start);
+  } finally {
+    fs.closeSync(fd);
+  }
+  if (read !== record.length || record.toString('hex', 0, KEY_BYTES) !== key) return null;
+  if (record.readUInt32LE(entry.size - entry.dim * 4 - 4) !== entry.dim) return null;
+  const base = entry.size - entry.dim * 4;
+  return Array.from(new Float32Array(record.buffer.slice(record.byteOffset + base, record.byteOffset + entry.size)));
+}
+
+/**
+ * Busca um embedding no cache (null se ausente ou cache desabilitado)
+ */
+export function getCachedEmbedding(signature, text) {
+  if (!CACHE_ENABLED) return null;
+  const key = embeddingCacheKey(signature, text);
+
+  const hot = memory.get(key);
+  if (hot) {
+    rememberInMemory(key, hot);
+    counters.hits++;
+    counters.memoryHits++;
+    return hot;
+  }
+
+  try {
+    ensureLoaded();
+    const entry = entries.get(key);
+    if (!entry) {
+      counters.misses++;
+      return null;
+    }
+    const vector = readVector(key, entry);
+    if (!vector) {
+      console.warn('⚠️  Cache de embeddings: registro não confere com o índice (arquivo alterado por outro processo?), ignorando');
+      entries.delete(key);
+      counters.misses++;
+      return null;
+    }
+    entries.delete(key);
+    entries.set(key, entry);
+    rememberInMemory(key, vector);
+    counters.hits++;
+    return vector;
+  } catch (error) {
+    console.warn('⚠️  Falha ao ler cache de embeddings:', error.message);
+    counters.misses++;
+    return null;
+  }
+}
+
+/**
+ * Grava um embedding no cache (append) e aplica os limites de tamanho
+ */
+export function setCachedEmbedding(signature, text, vector) {
+  if (!CACHE_ENABLED || !vector || !vector.length) return;
+  const key = embeddingCacheKey(signature, text);
+  rememberInMemory(key, vector);
+
+  try {
+    ensureLoaded();
+    if (entries.has(key)) return;
+
+    const sigBuf = Buffer.from(signature, 'utf-8').subarray(0, 255);
+    const dim = vector.length;
+    const total = recordSize(sigBuf.length, dim);
+    const record = Buffer.alloc(total);
+    Buffer.from(key, 'hex').copy(record, 0);
+    record[KEY_BYTES] = sigBuf.length;
+    sigBuf.copy(record, KEY_BYTES + 1);
+    record.writeUInt32LE(dim, KEY_BYTES + 1 + sigBuf.length);
+    const base = total - dim * 4;
+    for (let i = 0; i < dim; i++) record.writeFloatLE(vector[i], base + i * 4);
+
+    // Registro inteiro em uma única escrita O_APPEND; o offset vem da posição real no arquivo
+    // (outro processo pode ter anexado registros depois que este carregou o índice)
+    const fd = fs.openSync(CACHE_FILE, 'a');
+    let end;
+    try {
+      fs.writeSync(fd, record);
+      end = fs.fstatSync(fd).size;
+    } finally {
+      fs.closeSync(fd);
+    }
+    entries.set(key, { offset: end - dim * 4, dim, signature: sigBuf.toString('utf-8'), size: total });
+    fileBytes = end;
+    counters.writes++;
+
+    if (entries.size > CACHE_MAX_ENTRIES || fileBytes > CACHE_MAX_BYTES) {
+      compactCache({ targetBytes: LOW_WATER_BYTES, targetEntries: LOW_WATER_ENTRIES });
+    }
+  } catch (error) {
+    console.warn('⚠️  Falha ao gravar cache de embeddings:', error.message);
+  }
+}
+
+/**
+ * Reescreve o arquivo só com as entradas mantidas (mais recentes primeiro na escolha).
+ * Registro cuja chave não confere (arquivo reescrito por outro processo) é descartado, não copiado.
+ */
+function compactCache({ targetBytes = Infinity, targetEntries = Infinity, keep = () => true } = {}) {
+  ensureLoaded();
+
+  // Escolhe a partir do fim do LRU (mais recentes) até caber no alvo
+  const all = [...entries.entries()];
+  const kept = [];
+  let bytes = CACHE_MAGIC.length;
+  for (let i = all.length - 1; i >= 0; i--) {
+    const [key, entry] = all[i];
+    if (!keep(key, entry)) continue;
+    if (kept.length >= targetEntries || bytes + entry.size > targetBytes) break;
+    kept.push(all[i]);
+    bytes += entry.size;
+  }
+  kept.reverse();
+
+  const tmp = `${CACHE_FILE}.tmp`;
+  const src = fs.openSync(CACHE_FILE, 'r');
+  const dst = fs.openSync(tmp, 'w');
+  const next = new Map();
+  let offset = 0;
+  try {
+    offset += fs.writeSync(dst, Buffer.from(CACHE_MAGIC, 'ascii'));
+    for (const [key, entry] of kept) {
+      const record = Buffer.alloc(entry.size);
+      const read = fs.readSync(src, record, 0, entry.size, entry.offset - (entry.size - entry.dim * 4));
+      if (read !== entry.size || record.toString('hex', 0, KEY_BYTES) !== key) continue;
+      fs.writeSync(dst, record);
+      next.set(key, { ...entry, offset: offset + entry.size - entry.dim * 4 });
+      offset += entry.size;
+    }
+  } finally {
+    fs.closeSync(src);
+    fs.closeSync(dst);
+  }
+  fs.renameSync(tmp, CACHE_FILE);
+
+  const evicted = entries.size - next.size;
+  entries = next;
+  fileBytes = offset;
+  deadBytes = 0;
+  counters.compactions++;
+  counters.evictions += evicted;
+  for (const key of memory.keys()) {
+    if (!entries.has(key)) memory.delete(key);
+  }
+  if (evicted > 0) console.log(`🧹 Cache de embeddings: ${evicted} vetores removidos, ${entries.size} mantidos`);
+  return { removed: evicted, remaining: entries.size };
+}
+
+/**
+ * Remove entradas do cache: todas ou só as de uma assinatura (provider:model)
+ */
+export function purgeEmbeddingCache({ signature = null } = {}) {
+  if (!signature) {
+    ensureLoaded();
+    const removed = entries.size;
+    memory.clear();
+    if (fs.existsSync(CACHE_FILE)) fs.unlinkSync(CACHE_FILE);
+    entries = null;
+    fileBytes = 0;
+    deadBytes = 0;
+    console.log(`🗑️  Cache de embeddings limpo (${removed} vetores)`);
+    return { removed, remaining: 0 };
+  }
+
+  ensureLoaded();
+  memory.clear();
+  return compactCache({ keep: (key, entry) => entry.signature !== signature });
+}
+
+export function getEmbeddingCacheStats() {
+  if (CACHE_ENABLED) {
+    try {
+      ensureLoaded();
+    } catch (error) {
+      return { enabled: true, error: error.message, ...counters };
+    }
+  }
+
+  const bySignature = {};
+  for (const entry of entries?.values() || []) {
+    bySignature[entry.signature] = (bySignature[entry.signature] || 0) + 1;
+  }
+  const lookups = counters.hits + counters.misses;
+  return {
+    enabled: CACHE_ENABLED,
+    path: CACHE_FILE,
+    entries: entries ? entries.size : 0,
+    bytes: fileBytes,
+    deadBytes,
+    maxBytes: CACHE_MAX_BYTES,
+    maxEntries: CACHE_MAX_ENTRIES,
+    lowWaterBytes: LOW_WATER_BYTES,
+    lowWaterEntries: LOW_WATER_ENTRIES,
+    memoryEntries: memory.size,
+    bySignature,
+    ...counters,
+    hitRate: lookups ? Number((counters.hits / lookups).toFixed(3)) : null,
+  };
+}
+
+export default {
+  embeddingCacheKey,
+  getCachedEmbedding,
+  setCachedEmbedding,
+  purgeEmbeddingCache,
+  getEmbeddingCacheStats,
+};
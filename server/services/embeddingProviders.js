@@ -0,0 +1,189 @@
+/**
+ * Provedores de Embedding
+ * - gemini: API Google (gemini-embedding-001) — padrão
+ * - local: modelo ONNX via transformers.js, 100% offline
+ * - hash: embedder determinístico por hashing de features (testes/dev, sem rede)
+ *
+ * Selecionado por EMBEDDING_PROVIDER. Cada provedor expõe { name, model, embed, embedBatch }.
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const EMBEDDING_PROVIDERS = ['gemini', 'local', 'hash'];
+
+// Registros antigos (sem provider/model nos metadados) foram gerados com o Gemini
+export const LEGACY_EMBEDDING_PROVIDER = 'gemini';
+export const LEGACY_EMBEDDING_MODEL = 'gemini-embedding-001';
+
+export function embeddingSignature(provider, model) {
+  return `${provider || LEGACY_EMBEDDING_PROVIDER}:${model || LEGACY_EMBEDDING_MODEL}`;
+}
+
+/**
+ * Assinatura de embedding gravada nos metadados de um registro do store
+ */
+export function signatureFromMetadata(metadata) {
+  if (!metadata?.embeddingProvider) return embeddingSignature(LEGACY_EMBEDDING_PROVIDER, LEGACY_EMBEDDING_MODEL);
+  return embeddingSignature(metadata.embeddingProvider, metadata.embeddingModel);
+}
+
+/**
+ * Erro de incompatibilidade entre o embedding da query e o dos documentos
+ */
+export function createEmbeddingMismatchError(message) {
+  const error = new Error(message);
+  error.code = 'EMBEDDING_MISMATCH';
+  return error;
+}
+
+function createGeminiProvider(model = LEGACY_EMBEDDING_MODEL) {
+  const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  const embeddingModel = genAI.getGenerativeModel({ model });
+
+  return {
+    name: 'gemini',
+    model,
+    async embed(text) {
+      const result = await embeddingModel.embedContent(text);
+      return result.embedding.values;
+    },
+    // Batch real se o SDK suportar (muito mais rápido e estável)
+    embedBatch: typeof embeddingModel.batchEmbedContents === 'function'
+      ? async (texts) => {
+        const resp = await embeddingModel.batchEmbedContents({
+          requests: texts.map((t) => ({ content: { parts: [{ text: t }] } })),
+        });
+        return texts.map((_, j) => resp?.embeddings?.[j]?.values || null);
+      }
+      : null,
+  };
+}
+
+/**
+ * Modelo local via transformers.js (@huggingface/transformers ou @xenova/transformers).
+ * O modelo é baixado uma vez para o cache do transformers.js e roda offline depois.
+ */
+function createLocalProvider(model = 'Xenova/paraphrase-multilingual-MiniLM-L12-v2') {
+  let extractorPromise = null;
+
+  async function getExtractor() {
+    if (!extractorPromise) {
+      extractorPromise = (async () => {
+        let transformers;
+        try {
+          transformers = await import('@huggingface/transformers');
+        } catch {
+          try {
+            transformers = await import('@xenova/transformers');
+          } catch {
+            throw new Error('EMBEDDING_PROVIDER=local requer o pacote @huggingface/transformers (npm install @huggingface/transformers)');
+          }
+        }
+        if (process.env.LOCAL_EMBEDDING_CACHE_DIR) transformers.env.cacheDir = process.env.LOCAL_EMBEDDING_CACHE_DIR;
+        console.log(`🧠 Carregando modelo de embedding local: ${model}`);
+        return transformers.pipeline('feature-extraction', model);
+      })().catch(err => {
+        extractorPromise = null;
+        throw err;
+      });
+    }
+    return extractorPromise;
+  }
+
+  return {
+    name: 'local',
+    model,
+    async embed(text) {
+      const extractor = await getExtractor();
+      const output = await extractor(text, { pooling: 'mean', normalize: true });
+      return Array.from(output.data);
+    },
+    async embedBatch(texts) {
+      const extractor = await getExtractor();
+      const output = await extractor(texts, { pooling: 'mean', normalize: true });
+      return output.tolist();
+    },
+  };
+}
+
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Embedder determinístico: hashing de palavras e trigramas de caracteres
+ * em `dim` posições com sinal, normalizado (L2). Mesmo texto → mesmo vetor.
+ */
+function createHashProvider(dim = 256) {
+  const size = Math.max(16, dim);
+
+  function embedSync(text) {
+    const vector = new Array(size).fill(0);
+    const words = String(text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean);
+
+    const add = (feature, weight) => {
+      const h = fnv1a(feature);
+      vector[h % size] += (h & 0x80000000) ? -weight : weight;
+    };
+    for (const w of words) {
+      add(`w:${w}`, 1);
+      const padded = ` ${w} `;
+      for (let i = 0; i + 3 <= padded.length; i++) add(`c:${padded.slice(i, i + 3)}`, 0.5);
+    }
+
+    let norm = 0;
+    for (const v of vector) norm += v * v;
+    norm = Math.sqrt(norm) || 1;
+    return vector.map(v => v / norm);
+  }
+
+  return {
+    name: 'hash',
+    model: `hash-${size}`,
+    async embed(text) {
+      return embedSync(text);
+    },
+    async embedBatch(texts) {
+      return texts.map(embedSync);
+    },
+  };
+}
+
+/**
+ * Cria o provedor configurado (EMBEDDING_PROVIDER / EMBEDDING_MODEL)
+ */
+export function createEmbeddingProvider(name = process.env.EMBEDDING_PROVIDER || 'gemini', model = process.env.EMBEDDING_MODEL || '') {
+  const provider = String(name || 'gemini').toLowerCase();
+  switch (provider) {
+    case 'gemini':
+      return createGeminiProvider(model || LEGACY_EMBEDDING_MODEL);
+    case 'local':
+      return createLocalProvider(model || undefined);
+    case 'hash':
+      return createHashProvider(parseInt(process.env.HASH_EMBEDDING_DIM || '256', 10));
+    default:
+      throw new Error(`EMBEDDING_PROVIDER inválido: "${name}" (use ${EMBEDDING_PROVIDERS.join(', ')})`);
+  }
+}
+
+export default {
+  EMBEDDING_PROVIDERS,
+  createEmbeddingProvider,
+  embeddingSignature,
+  signatureFromMetadata,
+  createEmbeddingMismatchError,
+};
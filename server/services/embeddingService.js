@@ -1,45 +1,39 @@
 /**
  * Serviço de Embeddings
- * Gera vetores semânticos usando Google Gemini (gemini-embedding-001)
+ * Gera vetores semânticos com o provedor configurado (EMBEDDING_PROVIDER):
+ * Gemini (gemini-embedding-001, padrão), modelo local offline ou hash determinístico
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import dotenv from 'dotenv';
+import { createEmbeddingProvider, embeddingSignature } from './embeddingProviders.js';
+import { getCachedEmbedding, setCachedEmbedding } from './embeddingCache.js';
 
 dotenv.config();
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const provider = createEmbeddingProvider();
 
-// Modelo de embedding atual do Google (fev 2026)
-const embeddingModel = genAI.getGenerativeModel({ model: 'gemini-embedding-001' });
-
-// --- LRU Cache para embeddings de queries ---
-const embeddingCache = new Map();
-const EMBEDDING_CACHE_MAX = 100;
+/**
+ * Provedor/modelo ativos — gravados em cada registro do vector store
+ */
+export function getEmbeddingInfo() {
+  return {
+    provider: provider.name,
+    model: provider.model,
+    signature: embeddingSignature(provider.name, provider.model),
+  };
+}
 
 /**
- * Gera embedding para um texto (com cache LRU)
+ * Gera embedding para um texto (com cache persistente por hash do texto + modelo)
  */
 export async function generateEmbedding(text) {
-  // Cache key: primeiros 300 chars normalizados
-  const cacheKey = text.trim().toLowerCase().substring(0, 300);
-  
-  if (embeddingCache.has(cacheKey)) {
-    console.log('📦 Embedding do cache');
-    return embeddingCache.get(cacheKey);
-  }
-  
+  const signature = embeddingSignature(provider.name, provider.model);
+  const cached = getCachedEmbedding(signature, text);
+  if (cached) return cached;
+
   try {
-    const result = await embeddingModel.embedContent(text);
-    const embedding = result.embedding.values;
-    
-    // LRU eviction
-    if (embeddingCache.size >= EMBEDDING_CACHE_MAX) {
-      const firstKey = embeddingCache.keys().next().value;
-      embeddingCache.delete(firstKey);
-    }
-    embeddingCache.set(cacheKey, embedding);
-    
+    const embedding = await provider.embed(text);
+    setCachedEmbedding(signature, text, embedding);
     return embedding;
   } catch (error) {
     console.error('Erro ao gerar embedding:', error);
@@ -49,9 +43,41 @@ export async function generateEmbedding(text) {
 
 /**
  * Gera embeddings para múltiplos textos em batch
- * Usa batches de 50 textos com a API Gemini (rápido e eficiente)
+ * Textos já no cache não vão para o provedor; o progresso conta os dois.
  */
 export async function generateEmbeddings(texts, onProgress) {
+  const signature = embeddingSignature(provider.name, provider.model);
+  const embeddings = new Array(texts.length).fill(null);
+  const missing = [];
+  for (let i = 0; i < texts.length; i++) {
+    embeddings[i] = getCachedEmbedding(signature, texts[i]);
+    if (!embeddings[i]) missing.push(i);
+  }
+
+  const cachedCount = texts.length - missing.length;
+  if (cachedCount > 0) console.log(`📦 ${cachedCount}/${texts.length} embeddings do cache`);
+  if (missing.length === 0) {
+    if (onProgress && texts.length > 0) onProgress({ current: texts.length, total: texts.length, percentage: 100 });
+    return embeddings;
+  }
+
+  const generated = await embedTexts(missing.map(i => texts[i]), onProgress && ((p) => {
+    const current = cachedCount + p.current;
+    onProgress({ current, total: texts.length, percentage: Math.round((current / texts.length) * 100) });
+  }));
+
+  for (let j = 0; j < missing.length; j++) {
+    const i = missing[j];
+    embeddings[i] = generated[j];
+    if (generated[j]) setCachedEmbedding(signature, texts[i], generated[j]);
+  }
+  return embeddings;
+}
+
+/**
+ * Chama o provedor para os textos (batch do provedor quando existir — Gemini: batchEmbedContents)
+ */
+async function embedTexts(texts, onProgress) {
   const embeddings = new Array(texts.length).fill(null);
 
   const batchSize = Math.max(1, parseInt(process.env.EMBED_BATCH_SIZE || '32', 10));
@@ -59,17 +85,12 @@ export async function generateEmbeddings(texts, onProgress) {
   const batchDelayMs = Math.max(0, parseInt(process.env.EMBED_BATCH_DELAY_MS || '150', 10));
   const requestDelayMs = Math.max(0, parseInt(process.env.EMBED_REQUEST_DELAY_MS || '0', 10));
 
-  // Preferir batch real se o SDK suportar (muito mais rápido e estável)
-  const hasBatch = typeof embeddingModel.batchEmbedContents === 'function';
-
-  if (hasBatch) {
+  // Preferir batch real se o provedor suportar (muito mais rápido e estável)
+  if (typeof provider.embedBatch === 'function') {
     for (let i = 0; i < texts.length; i += batchSize) {
       const batch = texts.slice(i, i + batchSize);
       try {
-        const resp = await embeddingModel.batchEmbedContents({
-          requests: batch.map((t) => ({ content: { parts: [{ text: t }] } })),
-        });
-        const values = resp?.embeddings?.map(e => e.values) || [];
+        const values = await provider.embedBatch(batch);
         for (let j = 0; j < batch.length; j++) {
           embeddings[i + j] = values[j] || null;
         }
@@ -93,7 +114,7 @@ export async function generateEmbeddings(texts, onProgress) {
         });
       }
 
-      if (i + batchSize < texts.length && batchDelayMs > 0) {
+      if (i + batchSize < texts.length && batchDelayMs > 0 && provider.name === 'gemini') {
         await new Promise(resolve => setTimeout(resolve, batchDelayMs));
       }
     }
@@ -152,6 +173,7 @@ export function cosineSimilarity(vecA, vecB) {
 }
 
 export default {
+  getEmbeddingInfo,
   generateEmbedding,
   generateEmbeddings,
   cosineSimilarity
@@ -0,0 +1,73 @@
+/**
+ * Tokens "críticos" de uma resposta técnica: tensões, códigos de falha e conectores (e instrução de jumper/bypass).
+ * Usados pela validação de ancoragem do ragService (valor citado tem que estar no contexto) e pela
+ * avaliação (scripts/evaluateRag.js: tokens alucinados), para as duas medirem a mesma coisa.
+ */
+
+import { normalizeText } from './textNormalize.js';
+
+/**
+ * Forma compacta para comparação: sem acento, minúsculo, só [a-z0-9] ("24 VDC" → "24vdc")
+ */
+export function normalizeCompact(s) {
+  return normalizeText(s).replace(/[^a-z0-9]+/g, '');
+}
+
+export function extractVoltageTokens(text) {
+  const raw = String(text || '');
+  const matches = raw.match(/\b\d{1,4}(?:[\.,]\d{1,2})?\s*(?:vdc|vac|vcc|v)\b/gi) || [];
+  return Array.from(new Set(matches.map(m => m.replace(',', '.').toLowerCase().replace(/\s+/g, ''))));
+}
+
+export function extractFaultCodeTokens(text) {
+  const raw = String(text || '');
+  const tokens = [];
+
+  // fault 29, fault29
+  for (const m of raw.match(/\bfault\s*\d{1,4}\b/gi) || []) tokens.push(m);
+
+  // erro 597, código 597, codigo 597
+  for (const m of raw.match(/\b(?:erro|c[oó]digo)\s*\d{1,4}\b/gi) || []) tokens.push(m);
+
+  // E123, E-123
+  for (const m of raw.match(/\bE\s*-?\s*\d{2,4}\b/g) || []) tokens.push(m);
+
+  return Array.from(new Set(tokens.map(t => t.toLowerCase().replace(/\s+/g, ''))));
+}
+
+export function extractConnectorTokens(text) {
+  if (!text) return [];
+  return Array.from(
+    new Set(
+      (String(text).toUpperCase().match(/\b(?:CN|J|P)\s*-?\s*\d{1,3}\b/g) || [])
+        .map(s => s.replace(/\s+/g, ''))
+    )
+  );
+}
+
+/**
+ * Instrução de jumper/bypass/ponte (só pode aparecer se o contexto trouxer o procedimento)
+ */
+export function containsRiskyActionLanguage(text) {
+  return /\b(jumper|bypass|pontear|ponte|desativar\s+seguran|anular\s+seguran|burlar\s+seguran)\b/i.test(text || '');
+}
+
+/**
+ * Todos os tokens críticos do texto (tensões, códigos e conectores)
+ */
+export function extractEvidenceTokens(text) {
+  return Array.from(new Set([
+    ...extractVoltageTokens(text),
+    ...extractFaultCodeTokens(text),
+    ...extractConnectorTokens(text),
+  ]));
+}
+
+export default {
+  normalizeCompact,
+  extractVoltageTokens,
+  extractFaultCodeTokens,
+  extractConnectorTokens,
+  extractEvidenceTokens,
+  containsRiskyActionLanguage,
+};
@@ -0,0 +1,223 @@
+/**
+ * Tabela de códigos de falha
+ * Na ingestão, cada chunk fault_code (pdfExtractor.createSpecializedFaultChunks) vira um registro
+ * estruturado em data/fault_codes.json:
+ *   { id, brand, model, code, description, causes, source, page, chunkId, excerpt, createdAt }
+ * id = chunkId, então o registro é citável pelo mesmo trecho que a busca vetorial retornaria.
+ *
+ * Mantida pelo vectorStoreAdapter (addDocuments/removeSources/clearCollection): qualquer caminho
+ * de ingestão (upload, reindex, import, scripts) atualiza a tabela.
+ * Códigos são comparados normalizados: "E-12", "e 12" e "E12" são o mesmo código.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { getBrand, detectBrandsInText, detectBrandFromFilename, detectModelFromText } from './brandRegistry.js';
+import { isChunkAllowed } from './brandAcl.js';
+import { writeJsonAtomic } from './jsonConfig.js';
+import { normalizeName } from './textNormalize.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FAULT_CODES_FILE = process.env.FAULT_CODES_PATH || path.join(__dirname, '..', 'data', 'fault_codes.json');
+const EXCERPT_CHARS = 600;
+const MAX_LIMIT = 500;
+
+let records = null; // lista de registros
+let byCode = null; // código normalizado → registros
+
+/**
+ * "E-12" / "e 12" → "E12"
+ */
+export function normalizeFaultCode(code) {
+  return String(code || '').replace(/[\s\-_.]+/g, '').toUpperCase();
+}
+
+// Modelo sem espaços/hífens: "Gen 2" = "gen2"
+function compactModel(model) {
+  return normalizeName(model).replace(/[\s\-_]+/g, '');
+}
+
+function canonicalBrandName(name) {
+  const raw = String(name || '').trim();
+  if (!raw) return null;
+  return getBrand(raw)?.name || detectBrandsInText(raw)[0] || raw;
+}
+
+function rebuildIndex() {
+  byCode = new Map();
+  for (const record of records) {
+    const key = normalizeFaultCode(record.code);
+    if (!byCode.has(key)) byCode.set(key, []);
+    byCode.get(key).push(record);
+  }
+}
+
+function ensureLoaded() {
+  if (records) return;
+  records = [];
+  try {
+    if (fs.existsSync(FAULT_CODES_FILE)) {
+      const raw = JSON.parse(fs.readFileSync(FAULT_CODES_FILE, 'utf-8'));
+      records = Array.isArray(raw.records) ? raw.records : [];
+      console.log(`🧾 Códigos de falha: ${records.length} registros`);
+    }
+  } catch (error) {
+    console.error('❌ Tabela de códigos de falha inválida, iniciando vazia:', error.message);
+    records = [];
+  }
+  rebuildIndex();
+}
+
+function persist() {
+  rebuildIndex();
+  writeJsonAtomic(FAULT_CODES_FILE, { version: 1, updatedAt: Date.now(), records });
+}
+
+/**
+ * Registro de fallback para chunks indexados antes do faultRecord: descrição = linha do código
+ */
+function legacyRecord(code, content) {
+  const lines = String(content || '').split('\n').slice(1).map(l => l.trim()).filter(Boolean);
+  const target = normalizeFaultCode(code);
+  const line = lines.find(l => normalizeFaultCode(l).includes(target)) || '';
+  const description = line
+    .replace(/^\s*(?:falha|erro|fault|code|c[oó]digo)\s*[:#-]?\s*/i, '')
+    .replace(/^[A-Z]?\s*-?\s*\d{2,4}\b/i, '')
+    .replace(/^\s*[:\-–=.]+\s*/, '')
+    .trim();
+  return { code, description: description.slice(0, 300), causes: [] };
+}
+
+function recordFromChunk(chunk) {
+  const meta = chunk?.metadata || {};
+  if (meta.chunkType !== 'fault_code' || !meta.faultCode || !chunk.id) return null;
+
+  const parsed = meta.faultRecord || legacyRecord(meta.faultCode, chunk.content);
+  const source = String(meta.source || '');
+  // Detecção por nome de arquivo precisa de separadores: otis_gen2.pdf → "otis gen2 pdf"
+  const spaced = `${source} ${meta.title || ''}`.replace(/[_.]+/g, ' ');
+  const brand = canonicalBrandName(meta.brandName) || detectBrandFromFilename(source) || detectBrandFromFilename(spaced) || null;
+  const model = meta.model || (brand ? detectModelFromText(spaced, brand) : null) || null;
+
+  return {
+    id: chunk.id,
+    brand,
+    model,
+    code: String(parsed.code || meta.faultCode),
+    description: parsed.description || '',
+    causes: Array.isArray(parsed.causes) ? parsed.causes : [],
+    source,
+    title: meta.title || null,
+    page: Number.isFinite(meta.page) ? meta.page : null,
+    chunkIndex: Number.isFinite(meta.chunkIndex) ? meta.chunkIndex : null,
+    chunkId: chunk.id,
+    excerpt: String(chunk.content || '').slice(0, EXCERPT_CHARS),
+    createdAt: Date.now(),
+  };
+}
+
+function dedupeKey(record) {
+  return [record.brand || '', compactModel(record.model), normalizeFaultCode(record.code), record.source, record.page ?? ''].join('|');
+}
+
+/**
+ * Extrai registros dos chunks fault_code recém-indexados. Retorna quantos entraram.
+ */
+export function indexFaultCodeChunks(chunks) {
+  const incoming = (chunks || []).map(recordFromChunk).filter(Boolean);
+  if (!incoming.length) return 0;
+  ensureLoaded();
+
+  const byKey = new Map(records.map((r, i) => [dedupeKey(r), i]));
+  let added = 0;
+  for (const record of incoming) {
+    const key = dedupeKey(record);
+    const existing = byKey.get(key);
+    if (existing === undefined) {
+      byKey.set(key, records.push(record) - 1);
+      added++;
+    } else if (!records[existing].causes.length && record.causes.length) {
+      // Mesmo código/página em duas janelas: fica o registro mais completo
+      records[existing] = record;
+    }
+  }
+  persist();
+  return added;
+}
+
+export function removeFaultCodesBySource(sourceNames) {
+  const names = new Set((Array.isArray(sourceNames) ? sourceNames : []).filter(Boolean));
+  if (!names.size) return 0;
+  ensureLoaded();
+  const before = records.length;
+  records = records.filter(r => !names.has(r.source));
+  const removed = before - records.length;
+  if (removed) persist();
+  return removed;
+}
+
+export function clearFaultCodes() {
+  ensureLoaded();
+  records = [];
+  persist();
+}
+
+/**
+ * Refaz a tabela a partir dos chunks do corpus (exportCorpus)
+ */
+export function rebuildFaultCodes(chunks) {
+  ensureLoaded();
+  records = [];
+  persist();
+  const added = indexFaultCodeChunks(chunks);
+  return { total: records.length, added };
+}
+
+/**
+ * Consulta exata. brand/model aceitam aliases e variações de grafia; code é normalizado.
+ * access = acesso da ACL de marcas (resolveBrandAccess); null = sem restrição.
+ */
+export function findFaultCodes({ brand = null, model = null, code = null, source = null, access = null, limit = 50 } = {}) {
+  ensureLoaded();
+  const brandName = brand ? normalizeName(canonicalBrandName(brand)) : '';
+  const modelKey = model ? compactModel(model) : '';
+  const codeKey = code ? normalizeFaultCode(code) : '';
+  const pool = codeKey ? (byCode.get(codeKey) || []) : records;
+
+  const out = [];
+  for (const record of pool) {
+    if (brandName && normalizeName(record.brand) !== brandName) continue;
+    if (modelKey && compactModel(record.model) !== modelKey) continue;
+    if (source && record.source !== source) continue;
+    if (!isChunkAllowed(access, { source: record.source, title: record.title, brandName: record.brand, model: record.model })) continue;
+    out.push(record);
+    if (out.length >= Math.min(MAX_LIMIT, Math.max(1, limit))) break;
+  }
+  return out;
+}
+
+export function getFaultCodeStats() {
+  ensureLoaded();
+  const brands = {};
+  for (const record of records) {
+    const key = record.brand || '(sem marca)';
+    brands[key] = (brands[key] || 0) + 1;
+  }
+  return { total: records.length, codes: byCode.size, brands };
+}
+
+export default {
+  normalizeFaultCode,
+  indexFaultCodeChunks,
+  removeFaultCodesBySource,
+  clearFaultCodes,
+  rebuildFaultCodes,
+  findFaultCodes,
+  getFaultCodeStats,
+};
@@ -0,0 +1,447 @@
+/**
+ * Índice HNSW (Hierarchical Navigable Small World) para busca aproximada por cosseno
+ * Implementação em JS puro: grafo em memória, vetores referenciados do store
+ * (sem cópia) e persistência binária do grafo ao lado de vectors.json.
+ *
+ * Remoções usam tombstone (o nó continua navegável, mas não volta nos resultados);
+ * o store reconstrói o índice quando a fração removida fica alta.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const FILE_MAGIC = 'HNSWIDX1';
+
+/**
+ * Heap binário por distância (min ou max)
+ */
+class DistHeap {
+  constructor(isMax = false) {
+    this.items = [];
+    this.sign = isMax ? -1 : 1;
+  }
+
+  get size() { return this.items.length; }
+
+  peek() { return this.items[0]; }
+
+  push(item) {
+    const a = this.items;
+    a.push(item);
+    let i = a.length - 1;
+    while (i > 0) {
+      const p = (i - 1) >> 1;
+      if (this.sign * (a[i].dist - a[p].dist) >= 0) break;
+      [a[i], a[p]] = [a[p], a[i]];
+      i = p;
+    }
+  }
+
+  pop() {
+    const a = this.items;
+    const top = a[0];
+    const last = a.pop();
+    if (a.length > 0) {
+      a[0] = last;
+      let i = 0;
+      while (true) {
+        const l = 2 * i + 1;
+        const r = l + 1;
+        let m = i;
+        if (l < a.length && this.sign * (a[l].dist - a[m].dist) < 0) m = l;
+        if (r < a.length && this.sign * (a[r].dist - a[m].dist) < 0) m = r;
+        if (m === i) break;
+        [a[i], a[m]] = [a[m], a[i]];
+        i = m;
+      }
+    }
+    return top;
+  }
+}
+
+function vectorNorm(v) {
+  let s = 0;
+  for (let i = 0; i < v.length; i++) s += v[i] * v[i];
+  return Math.sqrt(s);
+}
+
+/**
+ * Cria um índice HNSW.
+ * @param {object} options
+ * @param {string} options.filePath - arquivo binário do grafo
+ * @param {number} [options.M=16] - vizinhos por nó (2*M na camada 0)
+ * @param {number} [options.efConstruction=200] - largura da busca na inserção
+ * @param {number} [options.efSearch=64] - largura da busca na consulta
+ */
+export function createHnswIndex({ filePath, M = 16, efConstruction = 200, efSearch = 64 } = {}) {
+  const maxM = Math.max(2, M);
+  const maxM0 = maxM * 2;
+  const levelMult = 1 / Math.log(maxM);
+
+  let ids = [];
+  let vectors = [];
+  let norms = [];
+  let levels = [];
+  let links = []; // nó → camada → number[]
+  let deleted = [];
+  let deletedCount = 0;
+  let idToNode = new Map();
+  let entryPoint = -1;
+  let maxLevel = -1;
+  let dim = 0;
+
+  let visitedTags = new Uint32Array(0);
+  let visitTag = 0;
+
+  function reset() {
+    ids = [];
+    vectors = [];
+    norms = [];
+    levels = [];
+    links = [];
+    deleted = [];
+    deletedCount = 0;
+    idToNode = new Map();
+    entryPoint = -1;
+    maxLevel = -1;
+    dim = 0;
+  }
+
+  function nextVisitTag() {
+    if (visitedTags.length < ids.length) {
+      visitedTags = new Uint32Array(Math.max(1024, ids.length * 2));
+      visitTag = 0;
+    }
+    visitTag++;
+    if (visitTag === 0xffffffff) {
+      visitedTags.fill(0);
+      visitTag = 1;
+    }
+    return visitTag;
+  }
+
+  function distance(query, queryNorm, node) {
+    const v = vectors[node];
+    if (!v || v.length !== query.length) return 2;
+    let dot = 0;
+    for (let i = 0; i < query.length; i++) dot += query[i] * v[i];
+    const denom = queryNorm * norms[node];
+    return denom > 0 ? 1 - dot / denom : 2;
+  }
+
+  function nodeDistance(a, b) {
+    // Tombstones carregados do disco não têm vetor
+    if (!vectors[a]) return 2;
+    return distance(vectors[a], norms[a], b);
+  }
+
+  /**
+   * Busca gulosa em uma camada; `accept` decide quem entra no resultado
+   * (nós recusados continuam sendo navegados).
+   */
+  function searchLayer(query, queryNorm, entries, ef, level, accept = null) {
+    const tag = nextVisitTag();
+    const candidates = new DistHeap(false);
+    const results = new DistHeap(true);
+
+    for (const ep of entries) {
+      visitedTags[ep] = tag;
+      const item = { node: ep, dist: distance(query, queryNorm, ep) };
+      candidates.push(item);
+      if (!accept || accept(ep)) results.push(item);
+    }
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.dist > results.peek().dist) break;
+
+      const neighbors = links[current.node][level] || [];
+      for (const nb of neighbors) {
+        if (visitedTags[nb] === tag) continue;
+        visitedTags[nb] = tag;
+        const dist = distance(query, queryNorm, nb);
+        if (results.size < ef || dist < results.peek().dist) {
+          const item = { node: nb, dist };
+          candidates.push(item);
+          if (!accept || accept(nb)) {
+            results.push(item);
+            if (results.size > ef) results.pop();
+          }
+        }
+      }
+    }
+
+    return results.items.sort((a, b) => a.dist - b.dist);
+  }
+
+  /**
+   * Heurística de seleção de vizinhos (mantém diversidade de direções)
+   */
+  function selectNeighbors(candidates, m) {
+    if (candidates.length <= m) return candidates.map(c => c.node);
+    const selected = [];
+    for (const c of candidates) {
+      if (selected.length >= m) break;
+      let keep = true;
+      for (const s of selected) {
+        if (nodeDistance(c.node, s) < c.dist) {
+          keep = false;
+          break;
+        }
+      }
+      if (keep) selected.push(c.node);
+    }
+    return selected;
+  }
+
+  function greedyDescend(query, queryNorm, fromLevel, toLevel) {
+    let ep = entryPoint;
+    let epDist = distance(query, queryNorm, ep);
+    for (let level = fromLevel; level > toLevel; level--) {
+      let changed = true;
+      while (changed) {
+        changed = false;
+        for (const nb of links[ep][level] || []) {
+          const d = distance(query, queryNorm, nb);
+          if (d < epDist) {
+            ep = nb;
+            epDist = d;
+            changed = true;
+          }
+        }
+      }
+    }
+    return ep;
+  }
+
+  function addNode(id, vector, level) {
+    const node = ids.length;
+    ids.push(id);
+    vectors.push(vector);
+    norms.push(vectorNorm(vector));
+    levels.push(level);
+    links.push(Array.from({ length: level + 1 }, () => []));
+    deleted.push(false);
+    idToNode.set(id, node);
+    if (!dim) dim = vector.length;
+    return node;
+  }
+
+  /**
+   * Insere um vetor (id já existente vira tombstone e é reinserido)
+   */
+  function insert(id, vector) {
+    if (!vector || !vector.length) return;
+    if (dim && vector.length !== dim) return;
+    if (idToNode.has(id)) markDeleted([id]);
+
+    const level = Math.floor(-Math.log(Math.random() || 1e-12) * levelMult);
+    const node = addNode(id, vector, level);
+    if (entryPoint < 0) {
+      entryPoint = node;
+      maxLevel = level;
+      return;
+    }
+
+    const queryNorm = norms[node];
+    let entries = [greedyDescend(vector, queryNorm, maxLevel, level)];
+
+    for (let l = Math.min(level, maxLevel); l >= 0; l--) {
+      const found = searchLayer(vector, queryNorm, entries, efConstruction, l);
+      const neighbors = selectNeighbors(found, maxM);
+      links[node][l] = neighbors;
+
+      const limit = l === 0 ? maxM0 : maxM;
+      for (const nb of neighbors) {
+        const nbLinks = links[nb][l];
+        nbLinks.push(node);
+        if (nbLinks.length > limit) {
+          const scored = nbLinks
+            .map(n => ({ node: n, dist: nodeDistance(nb, n) }))
+            .sort((a, b) => a.dist - b.dist);
+          links[nb][l] = selectNeighbors(scored, limit);
+        }
+      }
+      entries = found.map(f => f.node);
+    }
+
+    if (level > maxLevel) {
+      entryPoint = node;
+      maxLevel = level;
+    }
+  }
+
+  function markDeleted(idList) {
+    let count = 0;
+    for (const id of idList) {
+      const node = idToNode.get(id);
+      if (node === undefined) continue;
+      idToNode.delete(id);
+      if (!deleted[node]) {
+        deleted[node] = true;
+        deletedCount++;
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Busca os k vizinhos mais próximos.
+   * @param {number[]} query
+   * @param {number} k
+   * @param {{ ef?: number, filter?: (id: string) => boolean }} [options]
+   * @returns {{ id: string, similarity: number }[]}
+   */
+  function search(query, k = 5, { ef = efSearch, filter = null } = {}) {
+    if (entryPoint < 0 || !query || query.length !== dim) return [];
+    const queryNorm = vectorNorm(query);
+    if (!queryNorm) return [];
+
+    const ep = greedyDescend(query, queryNorm, maxLevel, 0);
+    const accept = (deletedCount > 0 || filter)
+      ? (node) => !deleted[node] && (!filter || filter(ids[node]))
+      : null;
+    const found = searchLayer(query, queryNorm, [ep], Math.max(ef, k), 0, accept);
+
+    return found.slice(0, k).map(f => ({ id: ids[f.node], similarity: 1 - f.dist }));
+  }
+
+  /**
+   * Constrói o índice do zero, cedendo o event loop periodicamente.
+   * @param {{ id: string, vector: number[] }[]} entries
+   */
+  async function build(entries, { onProgress, yieldEvery = 200 } = {}) {
+    reset();
+    for (let i = 0; i < entries.length; i++) {
+      insert(entries[i].id, entries[i].vector);
+      if ((i + 1) % yieldEvery === 0) {
+        if (onProgress) onProgress(i + 1, entries.length);
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+    if (onProgress && entries.length % yieldEvery !== 0) onProgress(entries.length, entries.length);
+  }
+
+  /**
+   * Grava o grafo em disco (os vetores ficam no store, não são duplicados)
+   */
+  function save() {
+    try {
+      const dir = path.dirname(filePath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+      const header = Buffer.from(JSON.stringify({ M: maxM, efConstruction, dim, entryPoint, maxLevel, ids }));
+      const tmp = `${filePath}.tmp`;
+      const fd = fs.openSync(tmp, 'w');
+      const prefix = Buffer.alloc(FILE_MAGIC.length + 4);
+      prefix.write(FILE_MAGIC, 0, 'ascii');
+      prefix.writeUInt32LE(header.length, FILE_MAGIC.length);
+      fs.writeSync(fd, prefix);
+      fs.writeSync(fd, header);
+
+      for (let node = 0; node < ids.length; node++) {
+        const nodeLinks = links[node];
+        let size = 2;
+        for (const list of nodeLinks) size += 1 + list.length;
+        const buf = new Int32Array(size);
+        let o = 0;
+        buf[o++] = levels[node];
+        buf[o++] = deleted[node] ? 1 : 0;
+        for (const list of nodeLinks) {
+          buf[o++] = list.length;
+          for (const nb of list) buf[o++] = nb;
+        }
+        fs.writeSync(fd, Buffer.from(buf.buffer));
+      }
+      fs.closeSync(fd);
+      fs.renameSync(tmp, filePath);
+      return true;
+    } catch (error) {
+      console.error('Erro ao salvar índice HNSW:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Carrega o grafo do disco. `resolveVector(id)` devolve o vetor do store;
+   * ids que não existem mais no store viram tombstone.
+   */
+  function load(resolveVector) {
+    reset();
+    if (!fs.existsSync(filePath)) return false;
+
+    try {
+      const data = fs.readFileSync(filePath);
+      if (data.toString('ascii', 0, FILE_MAGIC.length) !== FILE_MAGIC) throw new Error('formato inválido');
+      const headerLen = data.readUInt32LE(FILE_MAGIC.length);
+      const headerStart = FILE_MAGIC.length + 4;
+      const header = JSON.parse(data.toString('utf-8', headerStart, headerStart + headerLen));
+      if (header.M !== maxM) throw new Error(`M=${header.M} difere da configuração (${maxM})`);
+
+      let offset = headerStart + headerLen;
+      const readInt = () => {
+        const v = data.readInt32LE(offset);
+        offset += 4;
+        return v;
+      };
+
+      for (const id of header.ids) {
+        const level = readInt();
+        let isDeleted = readInt() === 1;
+        const nodeLinks = [];
+        for (let l = 0; l <= level; l++) {
+          const count = readInt();
+          const list = new Array(count);
+          for (let j = 0; j < count; j++) list[j] = readInt();
+          nodeLinks.push(list);
+        }
+
+        const vector = isDeleted ? null : resolveVector(id);
+        if (!vector) isDeleted = true;
+
+        const node = ids.length;
+        ids.push(id);
+        vectors.push(vector);
+        norms.push(vector ? vectorNorm(vector) : 0);
+        levels.push(level);
+        links.push(nodeLinks);
+        deleted.push(isDeleted);
+        if (isDeleted) deletedCount++;
+        else idToNode.set(id, node);
+      }
+
+      entryPoint = header.entryPoint;
+      maxLevel = header.maxLevel;
+      dim = header.dim;
+      return true;
+    } catch (error) {
+      console.warn(`⚠️ Índice HNSW inválido (${error.message}), será reconstruído`);
+      reset();
+      return false;
+    }
+  }
+
+  function remove() {
+    reset();
+    try { if (fs.existsSync(filePath)) fs.unlinkSync(filePath); } catch {}
+  }
+
+  return {
+    insert,
+    markDeleted,
+    search,
+    build,
+    save,
+    load,
+    remove,
+    has: (id) => idToNode.has(id),
+    size: () => ids.length - deletedCount,
+    deletedRatio: () => (ids.length ? deletedCount / ids.length : 0),
+    getStats: () => ({ nodes: ids.length - deletedCount, deleted: deletedCount, maxLevel, M: maxM, efConstruction, efSearch }),
+  };
+}
+
+export default {
+  createHnswIndex,
+};
@@ -0,0 +1,379 @@
+/**
+ * Fila de Jobs persistente
+ * Cada job é salvo em disco (data/jobs/<id>/job.json) junto com seus checkpoints,
+ * para sobreviver a restart/crash do servidor. Jobs interrompidos são retomados
+ * na inicialização e falhas temporárias são re-tentadas com backoff exponencial.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { writeJsonAtomic } from './jsonConfig.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config();
+
+const JOBS_DIR = process.env.JOBS_PATH || path.join(__dirname, '..', 'data', 'jobs');
+const JOB_CONCURRENCY = Math.max(1, parseInt(process.env.INGEST_JOB_CONCURRENCY || '1', 10));
+const JOB_MAX_ATTEMPTS = Math.max(1, parseInt(process.env.INGEST_JOB_MAX_ATTEMPTS || '3', 10));
+const JOB_RETRY_BASE_MS = Math.max(1000, parseInt(process.env.INGEST_JOB_RETRY_BASE_MS || '30000', 10));
+const JOB_RETENTION_MS = Math.max(1, parseInt(process.env.INGEST_JOB_RETENTION_HOURS || '24', 10)) * 60 * 60 * 1000;
+
+const TERMINAL_STATUSES = new Set(['done', 'error', 'cancelled']);
+
+const jobs = new Map();
+const handlers = new Map();
+let runningCount = 0;
+let wakeTimer = null;
+let initialized = false;
+
+function jobDir(id) {
+  return path.join(JOBS_DIR, id);
+}
+
+function persistJob(job) {
+  try {
+    job.updatedAt = Date.now();
+    writeJsonAtomic(path.join(jobDir(job.id), 'job.json'), job);
+  } catch (error) {
+    console.error(`Erro ao persistir job ${job.id}:`, error.message);
+  }
+}
+
+function removeJobFromDisk(id) {
+  try {
+    fs.rmSync(jobDir(id), { recursive: true, force: true });
+  } catch {}
+}
+
+function generateJobId() {
+  return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+function getRetryDelayMs(attempts) {
+  return JOB_RETRY_BASE_MS * Math.pow(2, Math.max(0, attempts - 1));
+}
+
+/**
+ * Cria um erro que não deve ser re-tentado (ex.: PDF sem texto legível).
+ */
+export function createPermanentError(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
+/**
+ * Registra o handler que executa jobs de um tipo.
+ * handler(job, ctx) recebe helpers de progresso, checkpoint e cancelamento.
+ */
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+function buildContext(job) {
+  const dir = jobDir(job.id);
+  return {
+    update(patch = {}) {
+      Object.assign(job, patch);
+      persistJob(job);
+    },
+    startStage(stage) {
+      job.stage = stage;
+      job.stages[stage] = { ...(job.stages[stage] || {}), status: 'running', startedAt: Date.now() };
+      persistJob(job);
+    },
+    completeStage(stage) {
+      job.stages[stage] = { ...(job.stages[stage] || {}), status: 'done', finishedAt: Date.now() };
+      persistJob(job);
+    },
+    isStageDone(stage) {
+      return job.stages?.[stage]?.status === 'done';
+    },
+    readCheckpoint(name) {
+      const file = path.join(dir, `${name}.json`);
+      if (!fs.existsSync(file)) return null;
+      try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+      } catch {
+        return null;
+      }
+    },
+    writeCheckpoint(name, data) {
+      writeJsonAtomic(path.join(dir, `${name}.json`), data);
+    },
+    appendCheckpointLines(name, items) {
+      if (!items.length) return;
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      fs.appendFileSync(path.join(dir, `${name}.ndjson`), items.map(i => JSON.stringify(i)).join('\n') + '\n');
+    },
+    readCheckpointLines(name) {
+      const file = path.join(dir, `${name}.ndjson`);
+      if (!fs.existsSync(file)) return [];
+      const out = [];
+      for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+        if (!line.trim()) continue;
+        try { out.push(JSON.parse(line)); } catch {}
+      }
+      return out;
+    },
+    isCancelled() {
+      return Boolean(job.cancelRequested);
+    },
+    throwIfCancelled() {
+      if (job.cancelRequested) {
+        const error = createPermanentError('Job cancelado pelo administrador');
+        error.cancelled = true;
+        throw error;
+      }
+    },
+  };
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  if (!handler) {
+    job.status = 'error';
+    job.lastError = `Nenhum handler registrado para o tipo "${job.type}"`;
+    job.finishedAt = Date.now();
+    persistJob(job);
+    return;
+  }
+
+  runningCount++;
+  job.status = 'running';
+  job.attempts = (job.attempts || 0) + 1;
+  job.startedAt = job.startedAt || Date.now();
+  job.nextRunAt = null;
+  persistJob(job);
+
+  try {
+    await handler(job, buildContext(job));
+    job.status = 'done';
+    job.progress = 100;
+    job.finishedAt = Date.now();
+    job.lastError = null;
+  } catch (error) {
+    const message = error?.message || String(error);
+    job.lastError = message;
+
+    if (error?.cancelled || job.cancelRequested) {
+      job.status = 'cancelled';
+      job.message = 'Cancelado pelo administrador';
+      job.finishedAt = Date.now();
+    } else if (error?.retryable !== false && job.attempts < job.maxAttempts) {
+      const delay = getRetryDelayMs(job.attempts);
+      job.status = 'retrying';
+      job.nextRunAt = Date.now() + delay;
+      job.message = `Falha na tentativa ${job.attempts}/${job.maxAttempts}: ${message}. Nova tentativa em ${Math.round(delay / 1000)}s`;
+      console.warn(`⚠️ [job ${job.id}] ${job.message}`);
+    } else {
+      job.status = 'error';
+      job.message = `Erro: ${message}`;
+      job.finishedAt = Date.now();
+      console.error(`❌ [job ${job.id}] ${message}`);
+    }
+  } finally {
+    runningCount--;
+    persistJob(job);
+    scheduleJobs();
+  }
+}
+
+function pruneExpiredJobs() {
+  const now = Date.now();
+  for (const job of jobs.values()) {
+    if (!TERMINAL_STATUSES.has(job.status)) continue;
+    if (now - (job.finishedAt || job.updatedAt || now) > JOB_RETENTION_MS) {
+      jobs.delete(job.id);
+      removeJobFromDisk(job.id);
+    }
+  }
+}
+
+function scheduleJobs() {
+  // Até initializeJobQueue() (vector store carregado), jobs só ficam persistidos na fila
+  if (!initialized) return;
+
+  if (wakeTimer) {
+    clearTimeout(wakeTimer);
+    wakeTimer = null;
+  }
+
+  const now = Date.now();
+  const pending = [...jobs.values()]
+    .filter(j => j.status === 'queued' || j.status === 'retrying')
+    .sort((a, b) => (a.nextRunAt || a.createdAt) - (b.nextRunAt || b.createdAt));
+
+  let nextWakeAt = null;
+  for (const job of pending) {
+    if (runningCount >= JOB_CONCURRENCY) break;
+    if (job.nextRunAt && job.nextRunAt > now) {
+      nextWakeAt = nextWakeAt ? Math.min(nextWakeAt, job.nextRunAt) : job.nextRunAt;
+      continue;
+    }
+    runJob(job);
+  }
+
+  if (nextWakeAt) {
+    wakeTimer = setTimeout(scheduleJobs, Math.max(250, nextWakeAt - now));
+    wakeTimer.unref?.();
+  }
+}
+
+/**
+ * Carrega jobs do disco e retoma os que ficaram pendentes/interrompidos.
+ */
+export function initializeJobQueue() {
+  if (initialized) return;
+  initialized = true;
+
+  if (!fs.existsSync(JOBS_DIR)) fs.mkdirSync(JOBS_DIR, { recursive: true });
+
+  let resumed = 0;
+  for (const entry of fs.readdirSync(JOBS_DIR, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+    const file = path.join(JOBS_DIR, entry.name, 'job.json');
+    if (!fs.existsSync(file)) continue;
+    try {
+      const job = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      if (job.status === 'running') {
+        // Interrompido por restart/crash: volta para a fila (ou falha se esgotou tentativas)
+        if ((job.attempts || 0) >= job.maxAttempts) {
+          job.status = 'error';
+          job.message = 'Erro: servidor reiniciou durante o processamento (tentativas esgotadas)';
+          job.finishedAt = Date.now();
+        } else {
+          job.status = 'queued';
+          job.message = 'Retomando após reinício do servidor...';
+          resumed++;
+        }
+        persistJob(job);
+      } else if (job.status === 'queued' || job.status === 'retrying') {
+        resumed++;
+      }
+      jobs.set(job.id, job);
+    } catch (error) {
+      console.warn(`   ⚠️ Job inválido em ${file}: ${error.message}`);
+    }
+  }
+
+  pruneExpiredJobs();
+  const pruneTimer = setInterval(pruneExpiredJobs, 60 * 60 * 1000);
+  pruneTimer.unref?.();
+
+  console.log(`🗂️  Fila de jobs: ${jobs.size} jobs carregados, ${resumed} para retomar`);
+  scheduleJobs();
+}
+
+/**
+ * Enfileira um novo job.
+ */
+export function enqueueJob(type, payload = {}, fields = {}) {
+  const now = Date.now();
+  const job = {
+    id: generateJobId(),
+    type,
+    payload,
+    status: 'queued',
+    stage: null,
+    stages: {},
+    progress: 0,
+    message: 'Na fila de processamento...',
+    attempts: 0,
+    maxAttempts: JOB_MAX_ATTEMPTS,
+    nextRunAt: null,
+    lastError: null,
+    cancelRequested: false,
+    createdAt: now,
+    startedAt: null,
+    finishedAt: null,
+    updatedAt: now,
+    ...fields,
+  };
+  jobs.set(job.id, job);
+  persistJob(job);
+  scheduleJobs();
+  return job;
+}
+
+export function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+/**
+ * Lista jobs (mais recentes primeiro), com filtro opcional por status/tipo.
+ */
+export function listJobs({ status = null, type = null, limit = 100 } = {}) {
+  const max = Math.max(1, Math.min(1000, Number(limit) || 100));
+  return [...jobs.values()]
+    .filter(j => (!status || j.status === status) && (!type || j.type === type))
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, max);
+}
+
+/**
+ * Cancela um job. Jobs na fila são cancelados imediatamente; jobs em execução
+ * param no próximo checkpoint entre estágios/lotes.
+ */
+export function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  if (TERMINAL_STATUSES.has(job.status)) return job;
+
+  job.cancelRequested = true;
+  if (job.status !== 'running') {
+    job.status = 'cancelled';
+    job.message = 'Cancelado pelo administrador';
+    job.finishedAt = Date.now();
+  } else {
+    job.message = 'Cancelamento solicitado, aguardando checkpoint...';
+  }
+  persistJob(job);
+  scheduleJobs();
+  return job;
+}
+
+/**
+ * Re-enfileira um job que terminou em erro/cancelado, mantendo os checkpoints.
+ */
+export function retryJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  if (job.status !== 'error' && job.status !== 'cancelled') return job;
+
+  Object.assign(job, {
+    status: 'queued',
+    attempts: 0,
+    cancelRequested: false,
+    nextRunAt: null,
+    finishedAt: null,
+    message: 'Re-enfileirado manualmente...',
+  });
+  persistJob(job);
+  scheduleJobs();
+  return job;
+}
+
+export function getJobQueueStats() {
+  const byStatus = {};
+  for (const job of jobs.values()) {
+    byStatus[job.status] = (byStatus[job.status] || 0) + 1;
+  }
+  return { total: jobs.size, running: runningCount, concurrency: JOB_CONCURRENCY, byStatus };
+}
+
+export default {
+  initializeJobQueue,
+  registerJobHandler,
+  enqueueJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  retryJob,
+  getJobQueueStats,
+  createPermanentError,
+};
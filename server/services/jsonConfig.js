@@ -0,0 +1,79 @@
+/**
+ * Arquivos JSON do servidor (data/): gravação atômica e configuração recarregada quando o
+ * arquivo muda no disco (edição manual ou CRUD admin)
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// Hot reload: confere o mtime do arquivo no máximo 1x por segundo
+const RELOAD_CHECK_MS = 1000;
+
+function getMtimeMs(filePath) {
+  return fs.existsSync(filePath) ? fs.statSync(filePath).mtimeMs : 0;
+}
+
+/**
+ * Grava via arquivo .tmp + rename: leitor nunca vê o arquivo pela metade
+ * @param {boolean} [options.pretty] - indentado e com quebra de linha final (arquivos editados à mão)
+ */
+export function writeJsonAtomic(filePath, data, { pretty = false } = {}) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const tmp = `${filePath}.tmp`;
+  fs.writeFileSync(tmp, pretty ? JSON.stringify(data, null, 2) + '\n' : JSON.stringify(data));
+  fs.renameSync(tmp, filePath);
+}
+
+/**
+ * Configuração lida de um arquivo e recarregada quando o mtime muda.
+ * Arquivo inválido mantém a versão anterior; sem versão anterior, usa fallback() ou propaga o erro.
+ * @param {string} filePath
+ * @param {object} options
+ * @param {() => any} options.load - lê e valida o arquivo (ausente → valor padrão)
+ * @param {(value: any) => void} [options.onLoad] - log após carregar
+ * @param {string} options.label - nome no log de erro ("ACL de marcas inválida")
+ * @param {() => any} [options.fallback] - valor quando a primeira carga falha
+ * @returns {{ get: () => any, reload: () => any }}
+ */
+export function createHotReloadConfig(filePath, { load, onLoad = null, label, fallback = null }) {
+  let value = null;
+  let loadedMtimeMs = 0;
+  let lastCheckAt = 0;
+
+  function reload() {
+    try {
+      value = load();
+      loadedMtimeMs = getMtimeMs(filePath);
+      if (onLoad) onLoad(value);
+    } catch (error) {
+      if (value === null && !fallback) throw error;
+      console.error(`❌ ${label}, mantendo versão anterior:`, error.message);
+      if (value === null) value = fallback();
+      // Não relê o mesmo arquivo inválido a cada segundo
+      loadedMtimeMs = fs.existsSync(filePath) ? fs.statSync(filePath).mtimeMs : loadedMtimeMs;
+    }
+    return value;
+  }
+
+  function get() {
+    if (value === null) return reload();
+    const now = Date.now();
+    if (now - lastCheckAt >= RELOAD_CHECK_MS) {
+      lastCheckAt = now;
+      try {
+        if (getMtimeMs(filePath) !== loadedMtimeMs) reload();
+      } catch {
+        // mantém a versão atual
+      }
+    }
+    return value;
+  }
+
+  return { get, reload };
+}
+
+export default {
+  writeJsonAtomic,
+  createHotReloadConfig,
+};
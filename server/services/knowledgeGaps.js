@@ -0,0 +1,285 @@
+/**
+ * Relatório de lacunas da base de conhecimento a partir das consultas em que o RAG se absteve
+ * (telemetria persistida em telemetryStore.js).
+ *
+ * - clusters: abstenções agrupadas por marca, modelo, placa e código de falha (com motivos e exemplos)
+ * - missingManuals: modelo/placa/código com abstenções repetidas que nenhum trecho indexado cita
+ *   → manual provavelmente fora do índice (adquirir/enviar o PDF)
+ * - weakSources: PDFs que a busca encontrou mas sem evidência suficiente (legenda, pinagem, texto
+ *   literal); com a cobertura de OCR do arquivo, indica páginas faltando/ilegíveis (reprocessar)
+ *
+ * Só entram nos clusters abstenções por falta de trecho/evidência (isKnowledgeGapReason); as que
+ * pedem dado ao técnico (marca, modelo, pergunta vaga) ou barram por permissão são só contadas.
+ *
+ * Contexto por consulta: `context` gravado pelo ragQuery (estado do atendimento); entradas antigas
+ * ou bloqueadas antes da análise caem na detecção pelo texto da pergunta.
+ */
+
+import { listRagTelemetry } from './telemetryStore.js';
+import { searchLexical, getIndexedSources } from './vectorStoreAdapter.js';
+import { detectBrandFromTechTerms, detectModelFromText, getBoardTokens } from './brandRegistry.js';
+import { findFaultCodes, normalizeFaultCode } from './faultCodeStore.js';
+import { findPinouts } from './pinoutStore.js';
+import { normalizeCompact, extractFaultCodeTokens } from './evidenceTokens.js';
+
+const NO_BRAND = '(sem marca)';
+const SAMPLE_QUESTIONS = 3;
+const LEXICAL_PROBE_TOP_K = 5;
+const CANDIDATE_SOURCES_PER_ENTRY = 3;
+
+// Abstenções que apontam lacuna na base: busca sem trechos relevantes ou trechos sem a evidência exigida
+function isKnowledgeGapReason(reason) {
+  const r = String(reason || '');
+  return r.startsWith('no_relevant_docs')
+    || r.includes('_without_evidence')
+    || r === 'indicator_without_legend'
+    || r === 'literal_evidence_missing'
+    || r === 'hardware_specific_missing_board';
+}
+
+// Abstenções em que a busca achou trechos, mas sem a evidência exigida: suspeita recai sobre a fonte
+function isEvidenceGapReason(reason) {
+  const r = String(reason || '');
+  return r.includes('without_evidence') || r.includes('without_legend') || r === 'literal_evidence_missing';
+}
+
+/**
+ * Marca, modelo, placas e códigos de falha de uma abstenção
+ */
+function describeEntry(entry) {
+  const ctx = entry.context || {};
+  const question = String(entry.questionPreview || '');
+  const brand = ctx.brand || entry.brandFilter || detectBrandFromTechTerms(question) || null;
+  const model = ctx.model || detectModelFromText(question, brand) || null;
+  const upper = question.toUpperCase();
+  const boards = ctx.board
+    ? String(ctx.board).split(/\s*,\s*/).filter(Boolean)
+    : getBoardTokens().filter(t => upper.includes(t));
+  const faultCodes = Array.from(new Set(
+    (Array.isArray(ctx.faultCodes) && ctx.faultCodes.length ? ctx.faultCodes : extractFaultCodeTokens(question))
+      .map(code => normalizeFaultCode(String(code).replace(/^(?:fault|erro|c[oó]digo)/i, '')))
+      .filter(Boolean)
+  ));
+  return { brand, model, boards, faultCodes, question };
+}
+
+function addToCluster(map, key, fields, entry, question) {
+  let cluster = map.get(key);
+  if (!cluster) {
+    cluster = { ...fields, abstentions: 0, reasons: {}, sampleQuestions: [], lastAt: null };
+    map.set(key, cluster);
+  }
+  cluster.abstentions++;
+  const reason = entry.blockedReason || 'unknown';
+  cluster.reasons[reason] = (cluster.reasons[reason] || 0) + 1;
+  if (question && cluster.sampleQuestions.length < SAMPLE_QUESTIONS && !cluster.sampleQuestions.includes(question)) {
+    cluster.sampleQuestions.push(question);
+  }
+  if (!cluster.lastAt || entry.at > cluster.lastAt) cluster.lastAt = entry.at;
+}
+
+function topClusters(map, limit) {
+  return [...map.values()]
+    .sort((a, b) => b.abstentions - a.abstentions || String(b.lastAt).localeCompare(String(a.lastAt)))
+    .slice(0, limit);
+}
+
+/**
+ * Quantos trechos indexados (busca lexical, filtrada pela marca) citam o termo literalmente
+ */
+async function countIndexedMentions(term, brand) {
+  const needle = normalizeCompact(term);
+  if (!needle) return 0;
+  const docs = await searchLexical(String(term), LEXICAL_PROBE_TOP_K, brand || null);
+  return docs.filter(doc => normalizeCompact(doc.content).includes(needle)).length;
+}
+
+/**
+ * Cobertura no índice de um cluster de modelo/placa/código (0 menções = manual provavelmente ausente).
+ * Modelo e placa também contam pelo nome do PDF ("Otis_Gen2_manual.pdf" cobre Gen2).
+ */
+async function probeCoverage(dimension, cluster, sourceNames) {
+  const brand = cluster.brand === NO_BRAND ? null : cluster.brand;
+  const value = cluster[dimension];
+  const needle = normalizeCompact(value);
+  let tableRecords = 0;
+  if (dimension === 'faultCode') tableRecords = findFaultCodes({ brand, code: value, limit: 1 }).length;
+  if (dimension === 'board') tableRecords = findPinouts({ brand, board: value, limit: 1 }).length;
+  const sourceMatches = dimension === 'faultCode' ? 0 : sourceNames.filter(name => name.includes(needle)).length;
+  const indexedMentions = await countIndexedMentions(value, brand);
+  return { indexedMentions, tableRecords, sourceMatches };
+}
+
+const MISSING_MANUAL_SUGGESTIONS = {
+  model: (c) => `Adquirir/enviar o manual do modelo ${c.model}${c.brand !== NO_BRAND ? ` (${c.brand})` : ''}`,
+  board: (c) => `Adquirir/enviar o manual ou esquema da placa ${c.board}${c.brand !== NO_BRAND ? ` (${c.brand})` : ''}`,
+  faultCode: (c) => `Adquirir/enviar a tabela de falhas que contém ${c.faultCode}${c.brand !== NO_BRAND ? ` (${c.brand})` : ''}`,
+};
+
+function suggestForSource(source) {
+  const coverage = source.ocrCoverage;
+  if (coverage?.missingPages?.length) {
+    return `Reprocessar OCR das ${coverage.missingPages.length} página(s) faltantes (POST /api/ocr/missing)`;
+  }
+  if (coverage?.illegiblePages?.length) {
+    return `Substituir por digitalização melhor: ${coverage.illegiblePages.length} página(s) ilegíveis no OCR`;
+  }
+  if (source.reasons.indicator_without_legend) return 'Conferir se a legenda de LEDs/indicadores foi extraída (tabela/figura)';
+  if (source.reasons.pinout_without_evidence) return 'Conferir se as tabelas de pinagem foram extraídas (reprocessar com OCR)';
+  return 'Conferir a qualidade do texto extraído das páginas citadas';
+}
+
+/**
+ * Monta o relatório de lacunas
+ * @param {Object} options
+ * @param {number} [options.hours=168] - janela (ou since/until, como em summarizeRagTelemetry)
+ * @param {string} [options.brand] - só abstenções dessa marca
+ * @param {number} [options.minCount=2] - abstenções mínimas para apontar manual ausente
+ * @param {number} [options.limit=20] - itens por lista
+ * @param {function} [options.ocrCoverage] - async (source) → cobertura de OCR do PDF (getOcrCoverage) ou null
+ */
+export async function buildKnowledgeGapReport({
+  hours = 168,
+  since = null,
+  until = null,
+  brand = null,
+  minCount = 2,
+  limit = 20,
+  ocrCoverage = null,
+} = {}) {
+  const maxItems = Math.max(1, Math.min(200, Number(limit) || 20));
+  const threshold = Math.max(1, Number(minCount) || 2);
+  const wantedBrand = brand ? String(brand).trim().toLowerCase() : null;
+
+  const { window, entries } = await listRagTelemetry({ hours, since, until });
+  const byBrand = new Map();
+  const byModel = new Map();
+  const byBoard = new Map();
+  const byFaultCode = new Map();
+  const sources = new Map();
+  let total = 0;
+  let abstained = 0;
+  const otherAbstentions = {};
+
+  for (const entry of entries) {
+    if (entry.outcome !== 'abstained' && entry.outcome !== 'answered' && entry.outcome !== 'cache_hit') continue;
+    const info = describeEntry(entry);
+    const brandKey = info.brand || NO_BRAND;
+    if (wantedBrand && brandKey.toLowerCase() !== wantedBrand) continue;
+    total++;
+    if (entry.outcome !== 'abstained') continue;
+    abstained++;
+    if (!isKnowledgeGapReason(entry.blockedReason)) {
+      const reason = entry.blockedReason || 'unknown';
+      otherAbstentions[reason] = (otherAbstentions[reason] || 0) + 1;
+      continue;
+    }
+
+    addToCluster(byBrand, brandKey, { brand: brandKey }, entry, info.question);
+    if (info.model) addToCluster(byModel, `${brandKey}|${info.model}`, { brand: brandKey, model: info.model }, entry, info.question);
+    for (const board of info.boards) {
+      addToCluster(byBoard, `${brandKey}|${board}`, { brand: brandKey, board }, entry, info.question);
+    }
+    for (const code of info.faultCodes) {
+      addToCluster(byFaultCode, `${brandKey}|${code}`, { brand: brandKey, faultCode: code }, entry, info.question);
+    }
+
+    if (!isEvidenceGapReason(entry.blockedReason)) continue;
+    for (const candidate of (entry.candidateSources || []).slice(0, CANDIDATE_SOURCES_PER_ENTRY)) {
+      if (!candidate?.source) continue;
+      let source = sources.get(candidate.source);
+      if (!source) {
+        source = { source: candidate.source, abstentions: 0, reasons: {}, pages: new Set(), sampleQuestions: [] };
+        sources.set(candidate.source, source);
+      }
+      source.abstentions++;
+      source.reasons[entry.blockedReason] = (source.reasons[entry.blockedReason] || 0) + 1;
+      if (Number.isFinite(candidate.page)) source.pages.add(candidate.page);
+      if (source.sampleQuestions.length < SAMPLE_QUESTIONS && !source.sampleQuestions.includes(info.question)) {
+        source.sampleQuestions.push(info.question);
+      }
+    }
+  }
+
+  // Manuais provavelmente ausentes: cluster recorrente sem nenhuma menção no índice
+  const missingManuals = [];
+  const sourceNames = (await getIndexedSources()).map(name => normalizeCompact(name));
+  for (const [dimension, map] of [['model', byModel], ['board', byBoard], ['faultCode', byFaultCode]]) {
+    for (const cluster of topClusters(map, maxItems)) {
+      if (cluster.abstentions < threshold) continue;
+      const coverage = await probeCoverage(dimension, cluster, sourceNames);
+      if (coverage.indexedMentions > 0 || coverage.tableRecords > 0 || coverage.sourceMatches > 0) continue;
+      missingManuals.push({
+        dimension,
+        brand: cluster.brand,
+        value: cluster[dimension],
+        abstentions: cluster.abstentions,
+        sampleQuestions: cluster.sampleQuestions,
+        suggestion: MISSING_MANUAL_SUGGESTIONS[dimension](cluster),
+      });
+    }
+  }
+  missingManuals.sort((a, b) => b.abstentions - a.abstentions);
+
+  // Fontes com evidência fraca, cruzadas com a cobertura de OCR do PDF
+  const weakSources = [];
+  for (const source of [...sources.values()].sort((a, b) => b.abstentions - a.abstentions).slice(0, maxItems)) {
+    const pages = [...source.pages].sort((a, b) => a - b);
+    let coverage = null;
+    if (typeof ocrCoverage === 'function') {
+      try {
+        coverage = await ocrCoverage(source.source);
+      } catch (error) {
+        console.warn(`⚠️  Lacunas: cobertura de OCR indisponível para ${source.source}: ${error.message}`);
+      }
+    }
+    const weakPages = coverage
+      ? pages.filter(p => (coverage.missingPages || []).includes(p) || (coverage.illegiblePages || []).includes(p))
+      : [];
+    const item = {
+      source: source.source,
+      abstentions: source.abstentions,
+      reasons: source.reasons,
+      pages,
+      sampleQuestions: source.sampleQuestions,
+      ocrCoverage: coverage
+        ? {
+          numPages: coverage.numPages,
+          candidatePages: coverage.candidatePages,
+          cachedPages: coverage.cachedPages,
+          missingPages: coverage.missingPages,
+          illegiblePages: coverage.illegiblePages,
+          complete: coverage.complete,
+        }
+        : null,
+      weakPages,
+    };
+    item.suggestion = suggestForSource(item);
+    weakSources.push(item);
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    window,
+    brand: brand || null,
+    totals: {
+      queries: total,
+      abstained,
+      abstentionRate: total ? Number((abstained / total).toFixed(4)) : 0,
+      knowledgeGapAbstentions: abstained - Object.values(otherAbstentions).reduce((sum, n) => sum + n, 0),
+    },
+    otherAbstentions,
+    clusters: {
+      byBrand: topClusters(byBrand, maxItems),
+      byModel: topClusters(byModel, maxItems),
+      byBoard: topClusters(byBoard, maxItems),
+      byFaultCode: topClusters(byFaultCode, maxItems),
+    },
+    missingManuals: missingManuals.slice(0, maxItems),
+    weakSources,
+  };
+}
+
+export default {
+  buildKnowledgeGapReport,
+};
@@ -0,0 +1,418 @@
+/**
+ * Índice Invertido BM25 (busca lexical)
+ * Posting lists + tamanho dos documentos + IDF, persistidos em disco e
+ * mantidos incrementalmente (add/remove) — a query não re-tokeniza o corpus.
+ *
+ * Formato em disco (NDJSON):
+ * - <arquivo>.ndjson: snapshot (header, uma linha por doc, uma linha por termo)
+ * - <arquivo>.append.ndjson: operações desde o último snapshot (add/del)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+
+// v2: docs guardam title/model (filtro de acesso igual ao dos chunks)
+const INDEX_VERSION = 2;
+const BM25_K1 = 1.5;
+const BM25_B = 0.75;
+
+export function tokenizeForLexical(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(t => t.length >= 2);
+}
+
+function termFrequencies(text) {
+  const tf = Object.create(null);
+  let len = 0;
+  for (const t of tokenizeForLexical(text)) {
+    tf[t] = (tf[t] || 0) + 1;
+    len++;
+  }
+  return { tf, len };
+}
+
+async function* readLines(file) {
+  const rl = readline.createInterface({ input: fs.createReadStream(file, 'utf-8'), crlfDelay: Infinity });
+  for await (const line of rl) {
+    if (line.trim()) yield line;
+  }
+}
+
+/**
+ * Cria um índice BM25 persistido em `filePath` (.ndjson).
+ * Cada documento: { id, content, source, brandName, title, model }.
+ */
+export function createLexicalIndex(filePath) {
+  const appendPath = filePath.replace(/\.ndjson$/, '') + '.append.ndjson';
+
+  // slot → { id, len, source, brandName, title, model, sourceLower, brandLower } | null (removido)
+  let docs = [];
+  let idToSlot = new Map();
+  // termo → { slots: number[], tfs: number[] }
+  let postings = new Map();
+  let liveDocs = 0;
+  let totalLen = 0;
+  let idfCache = new Map();
+  let loaded = false;
+
+  function reset() {
+    docs = [];
+    idToSlot = new Map();
+    postings = new Map();
+    liveDocs = 0;
+    totalLen = 0;
+    idfCache = new Map();
+  }
+
+  function insert(id, len, tf, source, brandName, title, model) {
+    const slot = docs.length;
+    docs.push({
+      id,
+      len,
+      source: source || null,
+      brandName: brandName || null,
+      title: title || null,
+      model: model || null,
+      sourceLower: String(source || '').toLowerCase(),
+      brandLower: String(brandName || '').toLowerCase(),
+    });
+    idToSlot.set(id, slot);
+    liveDocs++;
+    totalLen += len;
+    for (const term in tf) {
+      let list = postings.get(term);
+      if (!list) {
+        list = { slots: [], tfs: [] };
+        postings.set(term, list);
+      }
+      list.slots.push(slot);
+      list.tfs.push(tf[term]);
+    }
+  }
+
+  /**
+   * Marca slots como removidos e limpa as posting lists (df volta a ser exato).
+   */
+  function dropIds(ids) {
+    let dropped = 0;
+    for (const id of ids) {
+      const slot = idToSlot.get(id);
+      if (slot === undefined) continue;
+      liveDocs--;
+      totalLen -= docs[slot].len;
+      docs[slot] = null;
+      idToSlot.delete(id);
+      dropped++;
+    }
+    if (!dropped) return 0;
+
+    for (const [term, list] of postings) {
+      const slots = [];
+      const tfs = [];
+      for (let i = 0; i < list.slots.length; i++) {
+        if (docs[list.slots[i]]) {
+          slots.push(list.slots[i]);
+          tfs.push(list.tfs[i]);
+        }
+      }
+      if (slots.length) postings.set(term, { slots, tfs });
+      else postings.delete(term);
+    }
+    idfCache = new Map();
+    return dropped;
+  }
+
+  function appendOps(lines) {
+    if (!lines.length) return;
+    try {
+      const dir = path.dirname(appendPath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      fs.appendFileSync(appendPath, lines.join('\n') + '\n');
+    } catch (error) {
+      console.error('Erro ao gravar append do índice lexical:', error.message);
+      save();
+    }
+  }
+
+  /**
+   * Carrega snapshot + append do disco. Retorna false se não existir índice.
+   */
+  async function load() {
+    reset();
+    loaded = true;
+    if (!fs.existsSync(filePath)) {
+      return fs.existsSync(appendPath) ? replayAppend() : false;
+    }
+
+    try {
+      let header = null;
+      for await (const line of readLines(filePath)) {
+        const row = JSON.parse(line);
+        if (row.v !== undefined) {
+          header = row;
+          if (row.v !== INDEX_VERSION) throw new Error(`versão ${row.v} não suportada`);
+        } else if (row.d) {
+          const [id, len, source, brandName, title = null, model = null] = row.d;
+          docs.push({
+            id, len, source, brandName, title, model,
+            sourceLower: String(source || '').toLowerCase(),
+            brandLower: String(brandName || '').toLowerCase(),
+          });
+          idToSlot.set(id, docs.length - 1);
+          liveDocs++;
+          totalLen += len;
+        } else if (row.t) {
+          const slots = [];
+          const tfs = [];
+          for (let i = 0; i < row.p.length; i += 2) {
+            slots.push(row.p[i]);
+            tfs.push(row.p[i + 1]);
+          }
+          postings.set(row.t, { slots, tfs });
+        }
+      }
+      if (!header) throw new Error('header ausente');
+    } catch (error) {
+      console.warn(`⚠️ Índice lexical inválido (${error.message}), será reconstruído`);
+      reset();
+      return false;
+    }
+
+    await replayAppend();
+    return true;
+  }
+
+  async function replayAppend() {
+    if (!fs.existsSync(appendPath)) return docs.length > 0;
+    for await (const line of readLines(appendPath)) {
+      try {
+        const op = JSON.parse(line);
+        if (op.op === 'add') {
+          if (idToSlot.has(op.id)) dropIds([op.id]);
+          insert(op.id, op.len, op.tf, op.source, op.brandName, op.title, op.model);
+        } else if (op.op === 'del') {
+          dropIds(op.ids || []);
+        }
+      } catch {
+        console.warn('   ⚠️ Linha inválida no append do índice lexical, ignorando');
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Grava snapshot compacto (renumera slots) e zera o append.
+   */
+  function save() {
+    try {
+      const dir = path.dirname(filePath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+      const remap = new Map();
+      const tmp = `${filePath}.tmp`;
+      const fd = fs.openSync(tmp, 'w');
+      fs.writeSync(fd, JSON.stringify({ v: INDEX_VERSION, docs: liveDocs, savedAt: new Date().toISOString() }) + '\n');
+      for (let slot = 0; slot < docs.length; slot++) {
+        const d = docs[slot];
+        if (!d) continue;
+        remap.set(slot, remap.size);
+        fs.writeSync(fd, JSON.stringify({ d: [d.id, d.len, d.source, d.brandName, d.title, d.model] }) + '\n');
+      }
+      const newPostings = new Map();
+      for (const [term, list] of postings) {
+        const p = [];
+        const slots = [];
+        const tfs = [];
+        for (let i = 0; i < list.slots.length; i++) {
+          const s = remap.get(list.slots[i]);
+          if (s === undefined) continue;
+          p.push(s, list.tfs[i]);
+          slots.push(s);
+          tfs.push(list.tfs[i]);
+        }
+        if (!slots.length) continue;
+        newPostings.set(term, { slots, tfs });
+        fs.writeSync(fd, JSON.stringify({ t: term, p }) + '\n');
+      }
+      fs.closeSync(fd);
+      fs.renameSync(tmp, filePath);
+      if (fs.existsSync(appendPath)) fs.unlinkSync(appendPath);
+
+      docs = docs.filter(Boolean);
+      idToSlot = new Map(docs.map((d, i) => [d.id, i]));
+      postings = newPostings;
+    } catch (error) {
+      console.error('Erro ao salvar índice lexical:', error.message);
+    }
+  }
+
+  /**
+   * Adiciona (ou substitui, mesmo id) documentos — incremental via append.
+   */
+  function addDocuments(entries) {
+    const replaced = entries.filter(e => idToSlot.has(e.id)).map(e => e.id);
+    if (replaced.length) dropIds(replaced);
+
+    const lines = [];
+    for (const e of entries) {
+      const { tf, len } = termFrequencies(e.content);
+      insert(e.id, len, tf, e.source, e.brandName, e.title, e.model);
+      lines.push(JSON.stringify({
+        op: 'add', id: e.id, len, tf,
+        source: e.source || null, brandName: e.brandName || null, title: e.title || null, model: e.model || null,
+      }));
+    }
+    idfCache = new Map();
+    appendOps(lines);
+  }
+
+  function removeIds(ids) {
+    const dropped = dropIds(ids);
+    if (dropped) appendOps([JSON.stringify({ op: 'del', ids })]);
+    return dropped;
+  }
+
+  /**
+   * Remove documentos cujo metadado satisfaz o predicado ({ id, source, brandName }).
+   */
+  function removeWhere(predicate) {
+    const ids = docs.filter(d => d && predicate(d)).map(d => d.id);
+    return ids.length ? removeIds(ids) : 0;
+  }
+
+  /**
+   * Reconstrói o índice do zero a partir do corpus completo e grava snapshot.
+   */
+  function rebuild(entries) {
+    reset();
+    for (const e of entries) {
+      const { tf, len } = termFrequencies(e.content);
+      insert(e.id, len, tf, e.source, e.brandName, e.title, e.model);
+    }
+    loaded = true;
+    save();
+  }
+
+  function clear() {
+    reset();
+    loaded = true;
+    save();
+  }
+
+  function idf(term, df) {
+    let v = idfCache.get(term);
+    if (v === undefined) {
+      v = Math.log(1 + (liveDocs - df + 0.5) / (df + 0.5));
+      idfCache.set(term, v);
+    }
+    return v;
+  }
+
+  /**
+   * Busca BM25 percorrendo apenas as posting lists dos termos da query.
+   * @param {string} query
+   * @param {number} topK
+   * @param {(doc: object) => boolean} [filter] - filtro por metadados do doc
+   * @returns {{ id: string, score: number }[]}
+   */
+  function search(query, topK = 10, filter = null) {
+    const queryTerms = Array.from(new Set(tokenizeForLexical(query)));
+    if (!queryTerms.length || !liveDocs) return [];
+
+    const avgDocLen = totalLen / Math.max(1, liveDocs);
+    const scores = new Map();
+    const allowed = new Map();
+
+    for (const term of queryTerms) {
+      const list = postings.get(term);
+      if (!list) continue;
+      const termIdf = idf(term, list.slots.length);
+      for (let i = 0; i < list.slots.length; i++) {
+        const slot = list.slots[i];
+        const doc = docs[slot];
+        if (!doc) continue;
+        if (filter) {
+          let ok = allowed.get(slot);
+          if (ok === undefined) {
+            ok = Boolean(filter(doc));
+            allowed.set(slot, ok);
+          }
+          if (!ok) continue;
+        }
+        const freq = list.tfs[i];
+        const denom = freq + BM25_K1 * (1 - BM25_B + BM25_B * (doc.len / Math.max(1, avgDocLen)));
+        scores.set(slot, (scores.get(slot) || 0) + termIdf * ((freq * (BM25_K1 + 1)) / Math.max(1e-9, denom)));
+      }
+    }
+
+    return [...scores.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, topK)
+      .map(([slot, score]) => ({ id: docs[slot].id, score }));
+  }
+
+  /**
+   * Verifica se o índice cobre exatamente esse conjunto de ids.
+   */
+  function matches(ids) {
+    if (ids.length !== liveDocs) return false;
+    for (const id of ids) {
+      if (!idToSlot.has(id)) return false;
+    }
+    return true;
+  }
+
+  function getStats() {
+    return {
+      documents: liveDocs,
+      terms: postings.size,
+      avgDocLen: liveDocs ? Math.round((totalLen / liveDocs) * 10) / 10 : 0,
+    };
+  }
+
+  return {
+    load,
+    save,
+    rebuild,
+    clear,
+    addDocuments,
+    removeIds,
+    removeWhere,
+    search,
+    matches,
+    getStats,
+    isLoaded: () => loaded,
+    size: () => liveDocs,
+  };
+}
+
+/**
+ * Filtro de marca usado pelas buscas (match parcial em source ou brandName).
+ */
+export function brandMatchFilter(brandFilter) {
+  const filterLower = String(brandFilter || '').toLowerCase();
+  if (!filterLower) return null;
+  return (doc) => doc.sourceLower.includes(filterLower) || doc.brandLower.includes(filterLower);
+}
+
+/**
+ * Combina filtros de documento (null = sem filtro); o doc precisa passar em todos.
+ */
+export function combineDocFilters(...filters) {
+  const active = filters.filter(Boolean);
+  if (active.length <= 1) return active[0] || null;
+  return (doc) => active.every(f => f(doc));
+}
+
+export default {
+  createLexicalIndex,
+  tokenizeForLexical,
+  brandMatchFilter,
+  combineDocFilters,
+};
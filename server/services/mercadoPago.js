@@ -0,0 +1,129 @@
+/**
+ * Cliente Mercado Pago
+ * - MERCADO_PAGO_API_BASE permite apontar para um mock local (testes do webhook)
+ * - Validação da assinatura x-signature das notificações de webhook
+ *
+ * Assinatura (painel MP → Webhooks → "Assinatura secreta"):
+ *   x-signature: ts=<timestamp>,v1=<hmac>
+ *   v1 = HMAC-SHA256(secret, "id:<data.id>;request-id:<x-request-id>;ts:<ts>;")
+ * Partes ausentes na notificação são omitidas do manifesto.
+ */
+
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const MERCADO_PAGO_API_BASE = (process.env.MERCADO_PAGO_API_BASE || 'https://api.mercadopago.com').replace(/\/+$/, '');
+const WEBHOOK_SECRET = (process.env.MERCADO_PAGO_WEBHOOK_SECRET || '').trim();
+// Idade máxima do ts da assinatura (0 = não verifica)
+const WEBHOOK_MAX_AGE_MS = parseInt(process.env.MERCADO_PAGO_WEBHOOK_MAX_AGE_SEC || '0', 10) * 1000;
+// Só desenvolvimento: aceita notificações sem assinatura quando não há segredo configurado
+const WEBHOOK_INSECURE = /^(1|true|yes)$/i.test(String(process.env.MERCADO_PAGO_WEBHOOK_INSECURE || '').trim());
+
+function createMercadoPagoError(message, code, status = null) {
+  const error = new Error(message);
+  error.code = code;
+  if (status) error.status = status;
+  return error;
+}
+
+/**
+ * Lê "ts=...,v1=..." → { ts, v1 }
+ */
+export function parseSignatureHeader(header) {
+  const parts = {};
+  for (const piece of String(header || '').split(',')) {
+    const [key, ...rest] = piece.split('=');
+    if (key && rest.length) parts[key.trim()] = rest.join('=').trim();
+  }
+  return { ts: parts.ts || null, v1: parts.v1 || null };
+}
+
+export function buildSignatureManifest({ dataId, requestId, ts }) {
+  let manifest = '';
+  // IDs alfanuméricos chegam em maiúsculas na URL mas são assinados em minúsculas
+  if (dataId) manifest += `id:${String(dataId).toLowerCase()};`;
+  if (requestId) manifest += `request-id:${requestId};`;
+  if (ts) manifest += `ts:${ts};`;
+  return manifest;
+}
+
+export function signWebhookManifest(manifest, secret = WEBHOOK_SECRET) {
+  return crypto.createHmac('sha256', secret).update(manifest).digest('hex');
+}
+
+export function isWebhookSecretConfigured() {
+  return !!WEBHOOK_SECRET;
+}
+
+export function isInsecureWebhookAllowed() {
+  return !WEBHOOK_SECRET && WEBHOOK_INSECURE;
+}
+
+/**
+ * Valida a assinatura de uma notificação. Retorna { valid, reason }.
+ */
+export function verifyWebhookSignature({ signatureHeader, requestId, dataId, secret = WEBHOOK_SECRET, now = Date.now() }) {
+  if (!secret) return { valid: false, reason: 'secret_not_configured' };
+  const { ts, v1 } = parseSignatureHeader(signatureHeader);
+  if (!ts || !v1) return { valid: false, reason: 'missing_signature' };
+
+  const expected = signWebhookManifest(buildSignatureManifest({ dataId, requestId, ts }), secret);
+  const a = Buffer.from(expected, 'hex');
+  const b = Buffer.from(v1, 'hex');
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return { valid: false, reason: 'invalid_signature' };
+  }
+
+  if (WEBHOOK_MAX_AGE_MS > 0) {
+    // ts do MP vem em milissegundos; aceita segundos também
+    const tsNum = Number(ts);
+    const tsMs = tsNum < 1e12 ? tsNum * 1000 : tsNum;
+    if (!Number.isFinite(tsMs) || Math.abs(now - tsMs) > WEBHOOK_MAX_AGE_MS) {
+      return { valid: false, reason: 'expired_signature' };
+    }
+  }
+  return { valid: true, reason: null };
+}
+
+/**
+ * Busca um pagamento na API do MP (GET /v1/payments/:id)
+ */
+export async function fetchPayment(paymentId, accessToken) {
+  const response = await fetch(`${MERCADO_PAGO_API_BASE}/v1/payments/${encodeURIComponent(paymentId)}`, {
+    method: 'GET',
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw createMercadoPagoError(
+      data?.message || data?.error || `Falha ao buscar pagamento ${paymentId} (HTTP ${response.status})`,
+      'MP_FETCH_FAILED',
+      response.status
+    );
+  }
+  return data;
+}
+
+/**
+ * Status do MP → status simplificado usado pelo frontend
+ */
+export function normalizePaymentStatus(status) {
+  const s = String(status || '').toLowerCase();
+  if (s === 'approved') return 'approved';
+  if (s === 'pending' || s === 'in_process' || s === 'authorized') return 'pending';
+  return 'rejected';
+}
+
+export default {
+  MERCADO_PAGO_API_BASE,
+  parseSignatureHeader,
+  buildSignatureManifest,
+  signWebhookManifest,
+  isWebhookSecretConfigured,
+  isInsecureWebhookAllowed,
+  verifyWebhookSignature,
+  fetchPayment,
+  normalizePaymentStatus,
+};
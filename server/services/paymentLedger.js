@@ -0,0 +1,218 @@
+/**
+ * Livro-razão de pagamentos
+ * Registra cada transição de status de pagamento do Mercado Pago, agrupada pelo
+ * external_reference (userId|planId|timestamp) criado no checkout.
+ *
+ * Armazenamento: data/payments/ledger.ndjson, log append-only de eventos
+ *   transition   → { externalReference, paymentId, from, to, statusDetail, amount, source, at }
+ *   notification → { id, paymentId, at }   (notificações de webhook já processadas)
+ *   activation   → { externalReference, paymentId, planId, userId, ok, error, retryable, at }
+ * O estado em memória é reconstruído relendo o log na inicialização.
+ *
+ * Idempotência: a mesma notificação (ou o mesmo status repetido para um pagamento)
+ * não gera evento novo.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const LEDGER_FILE = process.env.PAYMENT_LEDGER_PATH || path.join(__dirname, '..', 'data', 'payments', 'ledger.ndjson');
+
+// externalReference → { externalReference, userId, planId, createdAt, status, updatedAt, payments, history, activation }
+let references = null;
+let notifications = null;
+
+/**
+ * Decompõe "userId|planId|timestamp" (userId "anon" quando o checkout não tinha login)
+ */
+export function parseExternalReference(externalReference) {
+  const [userId = '', planId = '', ts = ''] = String(externalReference || '').split('|');
+  const createdAt = parseInt(ts, 10);
+  return {
+    userId: userId && userId !== 'anon' ? userId : null,
+    planId: planId ? planId.toLowerCase() : null,
+    createdAt: Number.isFinite(createdAt) ? createdAt : null,
+  };
+}
+
+function getOrCreateReference(externalReference) {
+  let entry = references.get(externalReference);
+  if (!entry) {
+    entry = {
+      externalReference,
+      ...parseExternalReference(externalReference),
+      status: null,
+      updatedAt: null,
+      payments: {},
+      history: [],
+      activation: null,
+    };
+    references.set(externalReference, entry);
+  }
+  return entry;
+}
+
+function applyEvent(event) {
+  if (event.type === 'notification') {
+    notifications.add(String(event.id));
+    return;
+  }
+  if (!event.externalReference) return;
+  const entry = getOrCreateReference(event.externalReference);
+
+  if (event.type === 'transition') {
+    entry.payments[event.paymentId] = {
+      status: event.to,
+      statusDetail: event.statusDetail || null,
+      amount: event.amount ?? null,
+      updatedAt: event.at,
+    };
+    entry.status = event.to;
+    entry.updatedAt = event.at;
+    entry.history.push({
+      paymentId: event.paymentId,
+      from: event.from,
+      to: event.to,
+      statusDetail: event.statusDetail || null,
+      source: event.source || null,
+      at: event.at,
+    });
+  } else if (event.type === 'activation') {
+    entry.activation = {
+      paymentId: event.paymentId,
+      planId: event.planId,
+      ok: !!event.ok,
+      error: event.error || null,
+      retryable: !!event.retryable,
+      at: event.at,
+    };
+  }
+}
+
+/**
+ * Carrega o log. Linha inválida no fim (processo morto no meio da escrita) é ignorada.
+ */
+function ensureLoaded() {
+  if (references) return;
+  references = new Map();
+  notifications = new Set();
+  if (!fs.existsSync(LEDGER_FILE)) return;
+
+  let invalid = 0;
+  for (const line of fs.readFileSync(LEDGER_FILE, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      applyEvent(JSON.parse(line));
+    } catch {
+      invalid++;
+    }
+  }
+  if (invalid) console.warn(`⚠️  Livro de pagamentos: ${invalid} linha(s) inválida(s) ignorada(s)`);
+  console.log(`💳 Livro de pagamentos: ${references.size} referências`);
+}
+
+function appendEvent(event) {
+  const dir = path.dirname(LEDGER_FILE);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  fs.appendFileSync(LEDGER_FILE, JSON.stringify(event) + '\n');
+  applyEvent(event);
+  return event;
+}
+
+export function hasProcessedNotification(notificationId) {
+  if (!notificationId) return false;
+  ensureLoaded();
+  return notifications.has(String(notificationId));
+}
+
+export function markNotificationProcessed(notificationId, paymentId = null) {
+  if (!notificationId || hasProcessedNotification(notificationId)) return;
+  appendEvent({ type: 'notification', id: String(notificationId), paymentId: paymentId ? String(paymentId) : null, at: Date.now() });
+}
+
+/**
+ * Registra o status atual de um pagamento do MP (objeto de /v1/payments/:id).
+ * Só grava quando o status mudou — retorna { changed, from, to, entry }.
+ */
+export function recordPaymentState(payment, { source = 'webhook' } = {}) {
+  const externalReference = String(payment?.external_reference || '').trim();
+  const paymentId = String(payment?.id ?? '').trim();
+  const to = String(payment?.status || '').toLowerCase();
+  if (!externalReference || !paymentId || !to) {
+    return { changed: false, from: null, to: to || null, entry: null };
+  }
+
+  ensureLoaded();
+  const from = references.get(externalReference)?.payments[paymentId]?.status || null;
+  if (from === to) {
+    return { changed: false, from, to, entry: getPaymentLedgerEntry(externalReference) };
+  }
+
+  appendEvent({
+    type: 'transition',
+    externalReference,
+    paymentId,
+    from,
+    to,
+    statusDetail: payment.status_detail || null,
+    amount: payment.transaction_amount ?? null,
+    currency: payment.currency_id || null,
+    source,
+    at: Date.now(),
+  });
+  console.log(`💳 Pagamento ${paymentId} (${externalReference}): ${from || '∅'} → ${to} [${source}]`);
+  return { changed: true, from, to, entry: getPaymentLedgerEntry(externalReference) };
+}
+
+/**
+ * Registra o resultado da ativação do plano para uma referência
+ */
+export function recordPlanActivation(externalReference, { paymentId, planId, userId, ok, error = null, retryable = false }) {
+  ensureLoaded();
+  appendEvent({
+    type: 'activation',
+    externalReference,
+    paymentId: paymentId ? String(paymentId) : null,
+    planId: planId || null,
+    userId: userId || null,
+    ok: !!ok,
+    error,
+    retryable: !!retryable,
+    at: Date.now(),
+  });
+}
+
+export function getPaymentLedgerEntry(externalReference) {
+  ensureLoaded();
+  const entry = references.get(String(externalReference || ''));
+  return entry ? structuredClone(entry) : null;
+}
+
+/**
+ * Lista referências (mais recentes primeiro), com filtros opcionais
+ */
+export function listPaymentLedger({ userId = null, status = null, limit = 100 } = {}) {
+  ensureLoaded();
+  return [...references.values()]
+    .filter(e => (!userId || e.userId === userId) && (!status || e.status === status))
+    .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))
+    .slice(0, Math.max(1, limit))
+    .map(e => structuredClone(e));
+}
+
+export default {
+  parseExternalReference,
+  hasProcessedNotification,
+  markNotificationProcessed,
+  recordPaymentState,
+  recordPlanActivation,
+  getPaymentLedgerEntry,
+  listPaymentLedger,
+};
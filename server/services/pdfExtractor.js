@@ -6,12 +6,17 @@
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
 import pdfParse from 'pdf-parse';
 import Tesseract from 'tesseract.js';
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import dotenv from 'dotenv';
 import { v4 as uuidv4 } from 'uuid';
 
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
 dotenv.config();
 
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY || '');
@@ -352,6 +357,59 @@ function extractFaultCodeFromLine(line) {
   return null;
 }
 
+const FAULT_CAUSE_LABEL_RE = /^\s*(?:causas?(?:\s+prov[aá]ve(?:l|is))?|poss[ií]ve(?:l|is)\s+causas?|motivos?|probable\s+causes?|causes?)\s*(?:[:\-–]\s*|$)/i;
+const FAULT_BULLET_RE = /^\s*(?:[-•*·▪]|\d{1,2}[.)]|[a-z][.)])\s+/i;
+const FAULT_RECORD_MAX_LINES = 8;
+
+/**
+ * Registro estruturado de um código de falha a partir da linha i:
+ * descrição = resto da linha do código (ou a linha seguinte); causas = linhas seguintes
+ * rotuladas ("Causa:", "Causas prováveis:") ou em tópicos, até o próximo código.
+ */
+function parseFaultCodeRecord(lines, i, code) {
+  const codeLine = lines[i];
+  const rest = codeLine
+    .replace(/^\s*(?:falha|erro|fault|code|c[oó]digo)\s*[:#-]?\s*/i, '')
+    .replace(/^[A-Z]?\s*-?\s*\d{2,4}\b/i, '')
+    .replace(/^\s*[:\-–=.]+\s*/, '')
+    .trim();
+
+  const following = [];
+  for (let j = i + 1; j < lines.length && following.length < FAULT_RECORD_MAX_LINES; j++) {
+    if (extractFaultCodeFromLine(lines[j])) break;
+    following.push(lines[j]);
+  }
+
+  let description = rest;
+  let startIdx = 0;
+  if (!description && following.length && !FAULT_CAUSE_LABEL_RE.test(following[0])) {
+    description = following[0];
+    startIdx = 1;
+  }
+
+  const causes = [];
+  let inCauses = false;
+  for (const line of following.slice(startIdx)) {
+    if (FAULT_CAUSE_LABEL_RE.test(line)) {
+      inCauses = true;
+      const inline = line.replace(FAULT_CAUSE_LABEL_RE, '').trim();
+      if (inline) causes.push(...inline.split(/\s*;\s*/));
+      continue;
+    }
+    if (inCauses || FAULT_BULLET_RE.test(line)) {
+      // Outro rótulo ("Solução:", "Ação:") encerra a lista de causas
+      if (/^\s*(?:solu[cç][aã]o|a[cç][aã]o|procedimento|remedy|action)\b/i.test(line)) break;
+      causes.push(line.replace(FAULT_BULLET_RE, ''));
+    }
+  }
+
+  return {
+    code,
+    description: description.slice(0, 300),
+    causes: causes.map(c => c.trim()).filter(c => c.length > 2).slice(0, 6).map(c => c.slice(0, 200)),
+  };
+}
+
 function splitLongTextWithOverlap(text, size = TECH_CHUNK_SIZE, overlap = TECH_CHUNK_OVERLAP) {
   const source = normalizeExtractedText(text);
   if (!source) return [];
@@ -407,6 +465,7 @@ function createSpecializedFaultChunks(pageText, baseMetadata, nextChunkIndexRef)
       metadata: {
         ...baseMetadata,
         faultCode: code,
+        faultRecord: parseFaultCodeRecord(lines, i, code),
         chunkType: 'fault_code',
         chunkIndex: nextChunkIndexRef.value++
       }
@@ -416,6 +475,125 @@ function createSpecializedFaultChunks(pageText, baseMetadata, nextChunkIndexRef)
   return chunks;
 }
 
+// ═══ TABELAS DE PINAGEM ═══
+// O OCR (Gemini Vision) devolve tabelas em Markdown. Tabelas com coluna de pino e de sinal/função
+// viram chunks pinout_table com as linhas estruturadas em metadata.pinoutTable.
+const PINOUT_CONNECTOR_RE = /\b((?:CN|J|P|X)\s*-?\s*\d{1,3}[A-Z]?)\b/i;
+const PINOUT_VOLTAGE_RE = /[+-]?\d{1,4}(?:[.,]\d{1,2})?\s*(?:vdc|vac|vcc|v)\b/i;
+const PINOUT_TABLE_MAX_ROWS = 64;
+const PINOUT_CONTEXT_LINES = 3;
+
+function normalizeHeaderCell(cell) {
+  return String(cell || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+function splitTableRow(line) {
+  return line.replace(/^\s*\|/, '').replace(/\|\s*$/, '').split('|').map(c => c.replace(/\*\*/g, '').trim());
+}
+
+function isTableSeparator(line) {
+  return /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/.test(line);
+}
+
+/**
+ * Tabelas Markdown da página: { start, end, header, headerLine, rows: [{ cells, line }] }
+ */
+function findMarkdownTables(lines) {
+  const tables = [];
+  for (let i = 0; i < lines.length - 1; i++) {
+    if (!lines[i].startsWith('|') || !isTableSeparator(lines[i + 1])) continue;
+    const header = splitTableRow(lines[i]);
+    const rows = [];
+    let j = i + 2;
+    for (; j < lines.length && lines[j].startsWith('|'); j++) {
+      // Tabela colada logo abaixo (sem linha em branco): o próximo separador começa outra
+      if (j + 1 < lines.length && isTableSeparator(lines[j + 1])) break;
+      rows.push({ cells: splitTableRow(lines[j]), line: lines[j] });
+    }
+    tables.push({ start: i, end: j, header, headerLine: lines[i], rows });
+    i = j - 1;
+  }
+  return tables;
+}
+
+function normalizeConnector(value) {
+  const m = String(value || '').match(PINOUT_CONNECTOR_RE);
+  return m ? m[1].replace(/[\s-]+/g, '').toUpperCase() : null;
+}
+
+/**
+ * Linhas estruturadas de uma tabela de pinagem, ou null se a tabela não for de pinagem.
+ * Conector: coluna própria, cabeçalho ("Pino CN1") ou título logo acima da tabela.
+ */
+function parsePinoutTable(table, contextLines) {
+  const header = table.header.map(normalizeHeaderCell);
+  const pinCol = header.findIndex(h => /^(pinos?|pin|n[ºo°.]*|borne|terminal|#)(\s|$)/.test(h) || /\b(pino|pin)\b/.test(h));
+  if (pinCol < 0) return null;
+  let signalCol = header.findIndex((h, i) => i !== pinCol && /(sinal|signal|funcao|function|descricao|description|nome|ligacao)/.test(h));
+  if (signalCol < 0 && header.length === 2) signalCol = pinCol === 0 ? 1 : 0;
+  if (signalCol < 0) return null;
+  const voltageCol = header.findIndex((h, i) => i !== pinCol && i !== signalCol && /(tensao|voltage|nivel|\bv\b|vdc|vac)/.test(h));
+  const connectorCol = header.findIndex((h, i) => i !== pinCol && i !== signalCol && /(conector|connector|plug|^cn$)/.test(h));
+
+  const tableConnector = normalizeConnector(table.header.join(' ')) ||
+    [...contextLines].reverse().map(normalizeConnector).find(Boolean) ||
+    null;
+
+  const rows = [];
+  for (const row of table.rows.slice(0, PINOUT_TABLE_MAX_ROWS)) {
+    const pin = String(row.cells[pinCol] || '').trim();
+    const signal = String(row.cells[signalCol] || '').trim();
+    if (!pin || !signal || pin.length > 12) continue;
+    const connector = (connectorCol >= 0 ? normalizeConnector(row.cells[connectorCol]) : null) || tableConnector;
+    if (!connector) continue;
+    const voltageCell = voltageCol >= 0 ? String(row.cells[voltageCol] || '').trim() : '';
+    const voltage = voltageCell || (signal.match(PINOUT_VOLTAGE_RE)?.[0] || null);
+    rows.push({ connector, pin, signal: signal.slice(0, 160), voltage: voltage ? voltage.slice(0, 40) : null, row: row.line.slice(0, 300) });
+  }
+  return rows.length ? rows : null;
+}
+
+function createPinoutTableChunks(pageText, baseMetadata, nextChunkIndexRef) {
+  // Linhas em branco ficam: separam tabelas seguidas
+  const lines = normalizeExtractedText(pageText).split('\n').map(l => l.trim());
+  const chunks = [];
+
+  let previousEnd = 0;
+  for (const table of findMarkdownTables(lines)) {
+    // Título da tabela: texto entre a tabela anterior e esta
+    const contextLines = lines
+      .slice(previousEnd, table.start)
+      .filter(Boolean)
+      .slice(-PINOUT_CONTEXT_LINES);
+    previousEnd = table.end;
+    const rows = parsePinoutTable(table, contextLines);
+    if (!rows) continue;
+
+    const connectors = Array.from(new Set(rows.map(r => r.connector)));
+    const context = contextLines.join('\n');
+    const content = [
+      `PINAGEM ${connectors.join('/')}`,
+      context,
+      table.headerLine,
+      ...rows.map(r => r.row),
+    ].filter(Boolean).join('\n');
+
+    chunks.push({
+      id: uuidv4(),
+      content,
+      metadata: {
+        ...baseMetadata,
+        connector: connectors[0],
+        pinoutTable: { context: context.slice(0, 300), header: table.headerLine.slice(0, 300), rows },
+        chunkType: 'pinout_table',
+        chunkIndex: nextChunkIndexRef.value++
+      }
+    });
+  }
+
+  return chunks;
+}
+
 /**
  * Extrai texto de um arquivo PDF (texto puro via pdf-parse)
  */
@@ -440,45 +618,95 @@ export async function extractTextFromPDF(filePath) {
   }
 }
 
-/**
- * Extrai texto de um PDF usando OCR nas páginas que têm pouco texto
- * Combina pdf-parse (texto) + Tesseract (OCR para imagens/scans)
- * 
- * Robusto: se pdf-parse falhar, tenta OCR puro.
- * Se OCR falhar, usa o que conseguiu do pdf-parse.
- */
-export async function extractTextWithOCR(filePath, onProgress) {
-  let dataBuffer;
+const OCR_MARKDOWN_PROMPT = [
+  'Você é um extrator OCR técnico para manuais de elevadores.',
+  'Transcreva EXATAMENTE o conteúdo da imagem para Markdown.',
+  'Regras obrigatórias:',
+  '1) Saída SOMENTE em Markdown, sem explicações.',
+  '2) Preserve tabelas usando sintaxe Markdown de tabela (| coluna | coluna |).',
+  '3) Preserve códigos técnicos, pinagem, labels, números e unidades.',
+  '4) Mantenha a ordem visual da página.',
+  '5) Não invente texto que não aparece na imagem.',
+  '6) Se a página estiver ilegível ou vazia, retorne exatamente: [PAGINA_ILEGIVEL]'
+].join('\n');
+
+// ═══ CACHE DE OCR POR PÁGINA ═══
+// Resultado do Gemini Vision salvo em disco por hash do arquivo + número da página.
+// Reprocessar/reindexar o mesmo PDF só faz OCR das páginas que ainda faltam.
+const OCR_CACHE_DIR = process.env.OCR_CACHE_PATH || path.join(__dirname, '..', 'data', 'ocr_cache');
+
+function hashFileBuffer(dataBuffer) {
+  return crypto.createHash('sha256').update(dataBuffer).digest('hex');
+}
+
+function ocrCacheDir(fileHash) {
+  return path.join(OCR_CACHE_DIR, fileHash);
+}
+
+function readOcrManifest(fileHash) {
+  const file = path.join(ocrCacheDir(fileHash), 'manifest.json');
+  if (!fs.existsSync(file)) return null;
   try {
-    dataBuffer = fs.readFileSync(filePath);
-  } catch (readErr) {
-    console.error(`   ❌ Não foi possível ler o arquivo: ${readErr.message}`);
-    throw new Error(`Arquivo não encontrado ou sem permissão: ${readErr.message}`);
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    return null;
   }
+}
 
-  if (!dataBuffer || dataBuffer.length === 0) {
-    throw new Error('Arquivo PDF vazio (0 bytes)');
+function writeOcrManifest(fileHash, data) {
+  try {
+    const dir = ocrCacheDir(fileHash);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const current = readOcrManifest(fileHash) || {};
+    fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify({ ...current, ...data, fileHash, updatedAt: new Date().toISOString() }, null, 2));
+  } catch (error) {
+    console.warn(`   ⚠️ Não foi possível salvar manifesto do cache OCR: ${error.message}`);
+  }
+}
+
+function writeCachedOcrPage(fileHash, pageNum, entry) {
+  try {
+    const dir = ocrCacheDir(fileHash);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `page-${String(pageNum).padStart(4, '0')}.json`);
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ page: pageNum, ...entry, cachedAt: new Date().toISOString() }));
+    fs.renameSync(tmp, file);
+  } catch (error) {
+    console.warn(`   ⚠️ Não foi possível salvar cache OCR da página ${pageNum}: ${error.message}`);
+  }
+}
+
+/**
+ * Lê todas as páginas em cache de um arquivo: Map(page → { status: 'ok'|'illegible', text })
+ */
+function readCachedOcrPages(fileHash) {
+  const out = new Map();
+  const dir = ocrCacheDir(fileHash);
+  if (!fs.existsSync(dir)) return out;
+  for (const name of fs.readdirSync(dir)) {
+    if (!/^page-\d+\.json$/.test(name)) continue;
+    try {
+      const entry = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf-8'));
+      if (Number.isInteger(entry?.page)) out.set(entry.page, entry);
+    } catch {}
   }
+  return out;
+}
 
-  // 1. Tenta extrair texto com pdf-parse por página (melhor para tabelas/diagramas)
+/**
+ * Analisa a camada de texto do PDF e define quais páginas precisam de OCR.
+ */
+async function analyzeTextLayer(dataBuffer) {
+  // Tenta extrair texto com pdf-parse por página (melhor para tabelas/diagramas)
   const pdfDataByPage = await safePdfParseByPage(dataBuffer);
   const pdfData = pdfDataByPage || await safePdfParse(dataBuffer);
-  
-  let parsedText = '';
-  let numPages = 0;
-  let info = {};
-  let metadata = {};
 
+  const parsedText = pdfData?.text || '';
+  const numPages = pdfData?.numpages || 0;
   const parsedPages = pdfDataByPage?.pages || null;
 
-  if (pdfData) {
-    parsedText = pdfData.text || '';
-    numPages = pdfData.numpages || 0;
-    info = pdfData.info || {};
-    metadata = pdfData.metadata || {};
-  }
-  
-  // 2. Verifica se o texto é suficiente
+  // Verifica se o texto é suficiente
   const avgCharsPerPage = numPages > 0 ? parsedText.length / numPages : 0;
   const hasGoodText = parsedText.trim().length > 200 && avgCharsPerPage >= OCR_TEXT_THRESHOLD;
 
@@ -494,8 +722,245 @@ export async function extractTextWithOCR(filePath, onProgress) {
     }
   }
 
+  return {
+    pdfData,
+    parsedText,
+    numPages,
+    info: pdfData?.info || {},
+    metadata: pdfData?.metadata || {},
+    avgCharsPerPage,
+    hasGoodText,
+    pagesToOCR,
+    needsOcr: !(hasGoodText && pagesToOCR.size === 0),
+  };
+}
+
+/**
+ * Lista de páginas candidatas a OCR: seletivo (páginas fracas) ou todas.
+ * Retorna null quando o total de páginas ainda é desconhecido (pdf-parse falhou).
+ */
+function resolveCandidatePages(analysis, totalPagesHint = 0) {
+  if (!analysis.needsOcr) return [];
+  if (analysis.pagesToOCR.size > 0) return [...analysis.pagesToOCR].sort((a, b) => a - b);
+  const total = analysis.numPages || totalPagesHint;
+  if (!total) return null;
+  return Array.from({ length: total }, (_, i) => i + 1);
+}
+
+/**
+ * Renderiza o PDF e transcreve com Gemini Vision apenas as páginas pedidas,
+ * gravando cada página no cache assim que termina.
+ * @returns {{ totalPages: number, processed: number[], partial: boolean }}
+ */
+async function runVisionOcrOnPages(dataBuffer, fileHash, pagesWanted, { onProgress, deadline, selective = false } = {}) {
+  if (!process.env.GEMINI_API_KEY) {
+    throw new Error('GEMINI_API_KEY não configurada para OCR multimodal');
+  }
+
+  // Requisito: renderização com scale 2.0 para nitidez
+  const pageImages = await renderPdfPagesAsImages(dataBuffer, 2.0);
+  if (!pageImages.length) {
+    throw new Error('Nenhuma página convertida para imagem');
+  }
+
+  const totalPages = pageImages.length;
+  const wanted = pagesWanted || Array.from({ length: totalPages }, (_, i) => i + 1);
+  const indicesToProcess = wanted.filter(p => p >= 1 && p <= totalPages).map(p => p - 1);
+
+  const perPageTimeoutMs = getVisionPageTimeoutMs();
+  const maxRetries = getVisionMaxRetries();
+  const concurrency = Math.max(1, Math.min(getVisionConcurrency(), indicesToProcess.length || 1));
+  const processed = [];
+  let withText = 0;
+  let partial = false;
+  let processedCount = 0;
+  let nextIdx = 0;
+
+  const processOnePage = async (pageIndex) => {
+    const pageNum = pageIndex + 1;
+    const imageBase64 = pageImages[pageIndex].toString('base64');
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      try {
+        const timeoutPromise = new Promise((_, reject) => {
+          setTimeout(() => reject(new Error(`Timeout Gemini página (${perPageTimeoutMs}ms)`)), perPageTimeoutMs);
+        });
+
+        const result = await Promise.race([
+          visionModel.generateContent([
+            { text: OCR_MARKDOWN_PROMPT },
+            {
+              inlineData: {
+                mimeType: 'image/png',
+                data: imageBase64
+              }
+            }
+          ]),
+          timeoutPromise
+        ]);
+
+        const pageMarkdown = normalizeMarkdownOutput(result?.response?.text?.() || '');
+        if (pageMarkdown && pageMarkdown !== '[PAGINA_ILEGIVEL]') {
+          writeCachedOcrPage(fileHash, pageNum, { status: 'ok', text: cleanOCRText(pageMarkdown) });
+          withText++;
+        } else {
+          writeCachedOcrPage(fileHash, pageNum, { status: 'illegible', text: '' });
+        }
+        processed.push(pageNum);
+        return;
+      } catch (err) {
+        const isLastAttempt = attempt >= maxRetries;
+        if (isLastAttempt) {
+          // Falha não vai para o cache: a página continua "faltando" e é re-tentada depois
+          console.warn(`   ⚠️ Gemini OCR falhou na página ${pageNum}: ${err.message}`);
+          return;
+        }
+        await sleep(getVisionRetryBackoffMs(attempt + 1));
+      }
+    }
+  };
+
+  const worker = async () => {
+    while (true) {
+      const idx = nextIdx++;
+      if (idx >= indicesToProcess.length) return;
+
+      const pageIndex = indicesToProcess[idx];
+      const pageNum = pageIndex + 1;
+
+      if (deadline && Date.now() > deadline) {
+        partial = true;
+        return;
+      }
+
+      if (onProgress) {
+        const progressPct = Math.round(((processedCount + 1) / Math.max(1, indicesToProcess.length)) * 100);
+        onProgress({
+          phase: 'ocr',
+          message: `Gemini OCR página ${pageNum}/${totalPages}${selective ? ' (seletivo)' : ''}...`,
+          progress: progressPct
+        });
+      }
+
+      await processOnePage(pageIndex);
+      processedCount++;
+
+      if (processedCount % 10 === 0 || processedCount === indicesToProcess.length) {
+        console.log(`   📄 Gemini OCR: ${processedCount}/${indicesToProcess.length} páginas processadas (${withText} com texto)`);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: concurrency }, () => worker()));
+
+  return { totalPages, processed, partial };
+}
+
+function summarizeOcrCoverage(fileHash, candidatePages, numPages) {
+  const cached = readCachedOcrPages(fileHash);
+  const candidates = candidatePages || [];
+  const missingPages = candidates.filter(p => !cached.has(p));
+  const illegiblePages = candidates.filter(p => cached.get(p)?.status === 'illegible');
+  return {
+    fileHash,
+    numPages,
+    candidatePages: candidates.length,
+    cachedPages: candidates.length - missingPages.length,
+    illegiblePages,
+    missingPages,
+    complete: missingPages.length === 0,
+  };
+}
+
+/**
+ * Cobertura de OCR de um PDF: quais páginas candidatas já estão no cache
+ * e quais ainda faltam (timeout/falha em execuções anteriores).
+ */
+export async function getOcrCoverage(filePath) {
+  const dataBuffer = fs.readFileSync(filePath);
+  const fileHash = hashFileBuffer(dataBuffer);
+  const manifest = readOcrManifest(fileHash);
+
+  let candidatePages = Array.isArray(manifest?.candidatePages) ? manifest.candidatePages : null;
+  let numPages = manifest?.numPages || 0;
+  if (!candidatePages) {
+    const analysis = await analyzeTextLayer(dataBuffer);
+    numPages = analysis.numPages;
+    candidatePages = resolveCandidatePages(analysis) || [];
+  }
+
+  return { fileName: path.basename(filePath), ...summarizeOcrCoverage(fileHash, candidatePages, numPages) };
+}
+
+/**
+ * Executa OCR somente nas páginas que ainda faltam no cache (ou nas páginas informadas).
+ * Não reindexa: o próximo extractTextWithOCR/reindex usa o cache atualizado.
+ */
+export async function ocrMissingPages(filePath, { pages = null, onProgress } = {}) {
+  const dataBuffer = fs.readFileSync(filePath);
+  const fileHash = hashFileBuffer(dataBuffer);
+  const analysis = await analyzeTextLayer(dataBuffer);
+
+  let candidatePages = resolveCandidatePages(analysis);
+  const cached = readCachedOcrPages(fileHash);
+  let wanted = candidatePages ? candidatePages.filter(p => !cached.has(p)) : null;
+  if (Array.isArray(pages) && pages.length) {
+    const requested = new Set(pages.map(Number).filter(Number.isInteger));
+    wanted = [...requested].sort((a, b) => a - b);
+  }
+
+  let totalPages = analysis.numPages;
+  if (!wanted || wanted.length > 0) {
+    console.log(`   🔍 OCR de páginas faltantes: ${wanted ? wanted.length : 'todas as'} páginas de ${path.basename(filePath)}`);
+    const run = await runVisionOcrOnPages(dataBuffer, fileHash, wanted, { onProgress, selective: true });
+    totalPages = totalPages || run.totalPages;
+    if (!candidatePages) candidatePages = resolveCandidatePages(analysis, run.totalPages) || [];
+  }
+
+  writeOcrManifest(fileHash, { fileName: path.basename(filePath), numPages: totalPages, candidatePages });
+  return { fileName: path.basename(filePath), ...summarizeOcrCoverage(fileHash, candidatePages, totalPages) };
+}
+
+/**
+ * Extrai texto de um PDF usando OCR nas páginas que têm pouco texto
+ * Combina pdf-parse (texto) + Gemini Vision (OCR para imagens/scans)
+ * 
+ * Robusto: se pdf-parse falhar, tenta OCR puro.
+ * Se OCR falhar, usa o que conseguiu do pdf-parse.
+ * Páginas já transcritas em execuções anteriores vêm do cache de OCR.
+ * options.pages: OCR só dessas páginas (refeito mesmo se já em cache, mesmo em PDF com texto bom);
+ * as demais vêm só do cache. O texto e ocrPagesMissing cobrem candidatas + pedidas.
+ */
+export async function extractTextWithOCR(filePath, onProgress, { pages = null } = {}) {
+  let dataBuffer;
+  try {
+    dataBuffer = fs.readFileSync(filePath);
+  } catch (readErr) {
+    console.error(`   ❌ Não foi possível ler o arquivo: ${readErr.message}`);
+    throw new Error(`Arquivo não encontrado ou sem permissão: ${readErr.message}`);
+  }
+
+  if (!dataBuffer || dataBuffer.length === 0) {
+    throw new Error('Arquivo PDF vazio (0 bytes)');
+  }
+
+  // 1-2. Texto via pdf-parse + detecção de páginas que precisam de OCR
+  const analysis = await analyzeTextLayer(dataBuffer);
+  const { pdfData, parsedText, avgCharsPerPage, hasGoodText, pagesToOCR, info, metadata } = analysis;
+  let numPages = analysis.numPages;
+
+  let requestedPages = Array.isArray(pages) && pages.length
+    ? [...new Set(pages.map(Number).filter(p => Number.isInteger(p) && p > 0))].sort((a, b) => a - b)
+    : null;
+  if (requestedPages && numPages > 0) {
+    const outOfRange = requestedPages.filter(p => p > numPages);
+    if (outOfRange.length) console.warn(`   ⚠️ Páginas fora do PDF (${numPages} págs) ignoradas: ${outOfRange.join(', ')}`);
+    requestedPages = requestedPages.filter(p => p <= numPages);
+  }
+  if (requestedPages && !requestedPages.length) requestedPages = null;
+
   // Se o texto geral está bom, ainda assim fazemos OCR seletivo nas páginas fracas.
-  if (hasGoodText && pagesToOCR.size === 0) {
+  if (!analysis.needsOcr && !requestedPages) {
     if (onProgress) onProgress({ phase: 'text', message: `Texto extraído normalmente (${parsedText.length} chars)` });
     return {
       text: parsedText,
@@ -509,146 +974,61 @@ export async function extractTextWithOCR(filePath, onProgress) {
   // 3. PDF sem texto suficiente OU páginas fracas detectadas — OCR multimodal com Gemini
   const reason = !pdfData
     ? 'pdf-parse falhou completamente'
-    : (hasGoodText ? `páginas com pouco texto detectadas (${pagesToOCR.size})` : `pouco texto (${Math.round(avgCharsPerPage)} chars/pág)`);
+    : !analysis.needsOcr
+      ? `OCR pedido para ${requestedPages.length} página(s)`
+      : (hasGoodText ? `páginas com pouco texto detectadas (${pagesToOCR.size})` : `pouco texto (${Math.round(avgCharsPerPage)} chars/pág)`);
   console.log(`   🔍 ${reason} — ativando OCR multimodal (Gemini 2.5 Flash)...`);
   if (onProgress) onProgress({ phase: 'ocr_start', message: 'Iniciando transcrição multimodal com Gemini...' });
 
-  let ocrText = '';
-  let ocrPages = 0;
+  const fileHash = hashFileBuffer(dataBuffer);
+  let candidatePages = resolveCandidatePages(analysis);
+  const cachedBefore = readCachedOcrPages(fileHash);
+  const missingBefore = requestedPages || (candidatePages ? candidatePages.filter(p => !cachedBefore.has(p)) : null);
   let ocrPartialResult = false;
-  let ocrPagesTotal = 0;
 
   const envOcrTimeout = Number.parseInt(process.env.OCR_GLOBAL_TIMEOUT_MS || '', 10);
   const globalOcrTimeoutMs = (Number.isFinite(envOcrTimeout) && envOcrTimeout >= 1800000) ? envOcrTimeout : 1800000;
-  const ocrStartTime = Date.now();
-
-  try {
-    if (!process.env.GEMINI_API_KEY) {
-      throw new Error('GEMINI_API_KEY não configurada para OCR multimodal');
-    }
-
-    // Requisito: renderização com scale 2.0 para nitidez
-    const pageImages = await renderPdfPagesAsImages(dataBuffer, 2.0);
-    if (!pageImages.length) {
-      throw new Error('Nenhuma página convertida para imagem');
-    }
-
-    const totalPages = numPages > 0 ? numPages : pageImages.length;
-    const indicesToProcess = [];
-    for (let i = 0; i < pageImages.length; i++) {
-      const page = i + 1;
-      if (pagesToOCR.size > 0 && !pagesToOCR.has(page)) continue;
-      indicesToProcess.push(i);
-    }
-
-    const markdownPrompt = [
-      'Você é um extrator OCR técnico para manuais de elevadores.',
-      'Transcreva EXATAMENTE o conteúdo da imagem para Markdown.',
-      'Regras obrigatórias:',
-      '1) Saída SOMENTE em Markdown, sem explicações.',
-      '2) Preserve tabelas usando sintaxe Markdown de tabela (| coluna | coluna |).',
-      '3) Preserve códigos técnicos, pinagem, labels, números e unidades.',
-      '4) Mantenha a ordem visual da página.',
-      '5) Não invente texto que não aparece na imagem.',
-      '6) Se a página estiver ilegível ou vazia, retorne exatamente: [PAGINA_ILEGIVEL]'
-    ].join('\n');
-
-    const perPageTimeoutMs = getVisionPageTimeoutMs();
-    const maxRetries = getVisionMaxRetries();
-    const concurrency = Math.max(1, Math.min(getVisionConcurrency(), indicesToProcess.length || 1));
-    const resultsByPage = new Map();
-    let processedCount = 0;
-    let nextIdx = 0;
-
-    const processOnePage = async (pageIndex) => {
-      const pageNum = pageIndex + 1;
-      const imageBase64 = pageImages[pageIndex].toString('base64');
-
-      for (let attempt = 0; attempt <= maxRetries; attempt++) {
-        try {
-          const timeoutPromise = new Promise((_, reject) => {
-            setTimeout(() => reject(new Error(`Timeout Gemini página (${perPageTimeoutMs}ms)`)), perPageTimeoutMs);
-          });
-
-          const result = await Promise.race([
-            visionModel.generateContent([
-              { text: markdownPrompt },
-              {
-                inlineData: {
-                  mimeType: 'image/png',
-                  data: imageBase64
-                }
-              }
-            ]),
-            timeoutPromise
-          ]);
-
-          const pageMarkdown = normalizeMarkdownOutput(result?.response?.text?.() || '');
-          if (pageMarkdown && pageMarkdown !== '[PAGINA_ILEGIVEL]') {
-            resultsByPage.set(pageNum, cleanOCRText(pageMarkdown));
-          }
-          return;
-        } catch (err) {
-          const isLastAttempt = attempt >= maxRetries;
-          if (isLastAttempt) {
-            console.warn(`   ⚠️ Gemini OCR falhou na página ${pageNum}: ${err.message}`);
-            return;
-          }
-          await sleep(getVisionRetryBackoffMs(attempt + 1));
-        }
-      }
-    };
-
-    const worker = async () => {
-      while (true) {
-        const idx = nextIdx++;
-        if (idx >= indicesToProcess.length) return;
-
-        const pageIndex = indicesToProcess[idx];
-        const pageNum = pageIndex + 1;
 
-        if (Date.now() - ocrStartTime > globalOcrTimeoutMs) {
-          ocrPartialResult = true;
-          return;
-        }
-
-        if (onProgress) {
-          const progressPct = Math.round(((processedCount + 1) / Math.max(1, indicesToProcess.length)) * 100);
-          onProgress({
-            phase: 'ocr',
-            message: `Gemini OCR página ${pageNum}/${totalPages}${pagesToOCR.size > 0 ? ' (seletivo)' : ''}...`,
-            progress: progressPct
-          });
-        }
-
-        await processOnePage(pageIndex);
-        processedCount++;
-
-        if (processedCount % 10 === 0 || processedCount === indicesToProcess.length) {
-          console.log(`   📄 Gemini OCR: ${processedCount}/${indicesToProcess.length} páginas processadas (${resultsByPage.size} com texto)`);
-        }
-      }
-    };
-
-    await Promise.all(Array.from({ length: concurrency }, () => worker()));
+  if (candidatePages && missingBefore.length < candidatePages.length) {
+    console.log(`   💾 Cache OCR: ${candidatePages.length - missingBefore.length}/${candidatePages.length} páginas já transcritas`);
+  }
 
-    const sortedPages = [...resultsByPage.keys()].sort((a, b) => a - b);
-    for (const pageNum of sortedPages) {
-      const pageMarkdown = resultsByPage.get(pageNum);
-      if (!pageMarkdown) continue;
-      ocrText += `\n--- Página ${pageNum} (OCR) ---\n${pageMarkdown}\n`;
-      ocrPages++;
+  try {
+    if (!missingBefore || missingBefore.length > 0) {
+      const run = await runVisionOcrOnPages(dataBuffer, fileHash, missingBefore, {
+        onProgress,
+        deadline: Date.now() + globalOcrTimeoutMs,
+        selective: pagesToOCR.size > 0 || Boolean(requestedPages),
+      });
+      ocrPartialResult = run.partial;
+      if (numPages === 0) numPages = run.totalPages;
+      if (!candidatePages) candidatePages = resolveCandidatePages(analysis, run.totalPages) || [];
     }
-
-    ocrPagesTotal = indicesToProcess.length;
-    if (numPages === 0) numPages = totalPages;
-    console.log(`   ${ocrPartialResult ? '⏱️' : '✅'} Gemini OCR ${ocrPartialResult ? 'parcial' : 'concluído'}: ${ocrPages}/${ocrPagesTotal} páginas com texto, ${ocrText.length} chars`);
   } catch (ocrError) {
     console.error('   ❌ Erro no OCR multimodal (Gemini):', ocrError.message);
     if (parsedText.trim().length > 0) {
       console.log(`   ↩️ Fallback: usando ${parsedText.length} chars do pdf-parse`);
     }
   }
+
+  // Monta texto OCR a partir do cache (páginas novas + já transcritas antes); páginas pedidas
+  // fora das candidatas também entram no texto e na cobertura
+  const candidates = [...new Set([...(candidatePages || []), ...(requestedPages || [])])].sort((a, b) => a - b);
+  const cachedAfter = readCachedOcrPages(fileHash);
+  let ocrText = '';
+  let ocrPages = 0;
+  for (const pageNum of candidates) {
+    const entry = cachedAfter.get(pageNum);
+    if (entry?.status !== 'ok' || !entry.text) continue;
+    ocrText += `\n--- Página ${pageNum} (OCR) ---\n${entry.text}\n`;
+    ocrPages++;
+  }
+
+  const ocrPagesMissing = candidates.filter(p => !cachedAfter.has(p));
+  if (candidates.length) {
+    writeOcrManifest(fileHash, { fileName: path.basename(filePath), numPages, candidatePages: candidates });
+    console.log(`   ${ocrPagesMissing.length ? '⏱️' : '✅'} Gemini OCR ${ocrPagesMissing.length ? 'parcial' : 'concluído'}: ${ocrPages}/${candidates.length} páginas com texto, ${ocrText.length} chars${ocrPagesMissing.length ? ` (${ocrPagesMissing.length} páginas faltando)` : ''}`);
+  }
   
   // 4. Combina texto disponível
   const combinedText = normalizeExtractedText([parsedText.trim(), ocrText.trim()].filter(Boolean).join('\n\n'));
@@ -664,8 +1044,10 @@ export async function extractTextWithOCR(filePath, onProgress) {
     metadata,
     ocrUsed: ocrText.length > 0,
     ocrChars: ocrText.length,
-    ocrPartial: ocrPartialResult,
-    ocrPagesProcessed: ocrPagesTotal
+    ocrPartial: ocrPartialResult || ocrPagesMissing.length > 0,
+    ocrPagesProcessed: candidates.length - ocrPagesMissing.length,
+    ocrPagesMissing,
+    ocrFileHash: fileHash,
   };
 }
 
@@ -716,8 +1098,11 @@ export function splitTextIntoChunks(text, metadata = {}) {
   for (const pageBlock of pages) {
     const pageMeta = pageBlock.page ? { page: pageBlock.page } : {};
 
-    const specializedFaultChunks = createSpecializedFaultChunks(pageBlock.content, { ...metadata, ...pageMeta }, nextChunkIndexRef);
-    for (const chunk of specializedFaultChunks) {
+    const specializedChunks = [
+      ...createSpecializedFaultChunks(pageBlock.content, { ...metadata, ...pageMeta }, nextChunkIndexRef),
+      ...createPinoutTableChunks(pageBlock.content, { ...metadata, ...pageMeta }, nextChunkIndexRef),
+    ];
+    for (const chunk of specializedChunks) {
       const key = normalizeExtractedText(chunk.content).toLowerCase().replace(/\s+/g, ' ').slice(0, 240);
       if (!dedupe.has(key)) {
         dedupe.add(key);
@@ -851,6 +1236,8 @@ export function estimatePages(chunks) {
 export default {
   extractTextFromPDF,
   extractTextWithOCR,
+  getOcrCoverage,
+  ocrMissingPages,
   splitTextIntoChunks,
   processDirectory,
   estimatePages,
@@ -0,0 +1,228 @@
+/**
+ * Tabela de pinagem de conectores
+ * Na ingestão, cada chunk pinout_table (pdfExtractor.createPinoutTableChunks) vira um registro
+ * por pino em data/pinouts.json:
+ *   { id, brand, model, board, connector, pin, signal, voltage, source, page, chunkId, context, header, row, createdAt }
+ * chunkId aponta para o trecho da tabela indexado, que é o que a resposta cita.
+ *
+ * Placa = token do registro de marcas (boards) citado no título acima da tabela ou no nome do arquivo.
+ * Mantida pelo vectorStoreAdapter junto com a tabela de códigos de falha.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { getBrand, detectBrandsInText, detectBrandFromFilename, detectModelFromText, getBoardTokens } from './brandRegistry.js';
+import { isChunkAllowed } from './brandAcl.js';
+import { writeJsonAtomic } from './jsonConfig.js';
+import { normalizeName } from './textNormalize.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PINOUTS_FILE = process.env.PINOUTS_PATH || path.join(__dirname, '..', 'data', 'pinouts.json');
+const MAX_LIMIT = 500;
+
+let records = null; // lista de registros (um por pino)
+let byConnector = null; // conector normalizado → registros
+
+/**
+ * "cn 1" / "CN-1" → "CN1"; também serve para pino e placa ("ADV-210" → "ADV210")
+ */
+export function normalizePinoutToken(value) {
+  return String(value || '').replace(/[\s\-_.]+/g, '').toUpperCase();
+}
+
+function canonicalBrandName(name) {
+  const raw = String(name || '').trim();
+  if (!raw) return null;
+  return getBrand(raw)?.name || detectBrandsInText(raw)[0] || raw;
+}
+
+/**
+ * Placa citada no texto: o token mais longo do registro ("MCP100" antes de "MCP")
+ */
+function detectBoard(text) {
+  const upper = ` ${String(text || '').toUpperCase().replace(/[_.]+/g, ' ')} `;
+  const escape = (t) => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const hits = getBoardTokens()
+    .filter(token => new RegExp(`[^A-Z0-9]${escape(token)}[^A-Z0-9]`).test(upper))
+    .sort((a, b) => b.length - a.length);
+  return hits[0] || null;
+}
+
+function rebuildIndex() {
+  byConnector = new Map();
+  for (const record of records) {
+    const key = normalizePinoutToken(record.connector);
+    if (!byConnector.has(key)) byConnector.set(key, []);
+    byConnector.get(key).push(record);
+  }
+}
+
+function ensureLoaded() {
+  if (records) return;
+  records = [];
+  try {
+    if (fs.existsSync(PINOUTS_FILE)) {
+      const raw = JSON.parse(fs.readFileSync(PINOUTS_FILE, 'utf-8'));
+      records = Array.isArray(raw.records) ? raw.records : [];
+      console.log(`🔌 Pinagens: ${records.length} registros`);
+    }
+  } catch (error) {
+    console.error('❌ Tabela de pinagem inválida, iniciando vazia:', error.message);
+    records = [];
+  }
+  rebuildIndex();
+}
+
+function persist() {
+  rebuildIndex();
+  writeJsonAtomic(PINOUTS_FILE, { version: 1, updatedAt: Date.now(), records });
+}
+
+function recordsFromChunk(chunk) {
+  const meta = chunk?.metadata || {};
+  const table = meta.pinoutTable;
+  if (meta.chunkType !== 'pinout_table' || !Array.isArray(table?.rows) || !chunk.id) return [];
+
+  const source = String(meta.source || '');
+  const spaced = `${source} ${meta.title || ''}`.replace(/[_.]+/g, ' ');
+  const brand = canonicalBrandName(meta.brandName) || detectBrandFromFilename(source) || detectBrandFromFilename(spaced) || null;
+  const model = meta.model || (brand ? detectModelFromText(`${spaced} ${table.context || ''}`, brand) : null) || null;
+  const board = detectBoard(table.context) || detectBoard(spaced);
+  const now = Date.now();
+
+  return table.rows.map((row, i) => ({
+    id: `${chunk.id}:${i}`,
+    brand,
+    model,
+    board,
+    connector: row.connector,
+    pin: row.pin,
+    signal: row.signal,
+    voltage: row.voltage || null,
+    source,
+    title: meta.title || null,
+    page: Number.isFinite(meta.page) ? meta.page : null,
+    chunkIndex: Number.isFinite(meta.chunkIndex) ? meta.chunkIndex : null,
+    chunkId: chunk.id,
+    context: table.context || '',
+    header: table.header || '',
+    row: row.row || '',
+    createdAt: now,
+  }));
+}
+
+function dedupeKey(record) {
+  return [
+    record.brand || '',
+    normalizePinoutToken(record.model),
+    normalizePinoutToken(record.board),
+    normalizePinoutToken(record.connector),
+    normalizePinoutToken(record.pin),
+    record.source,
+    record.page ?? '',
+  ].join('|');
+}
+
+/**
+ * Extrai registros dos chunks pinout_table recém-indexados. Retorna quantos entraram.
+ */
+export function indexPinoutChunks(chunks) {
+  const incoming = (chunks || []).flatMap(recordsFromChunk);
+  if (!incoming.length) return 0;
+  ensureLoaded();
+
+  const keys = new Set(records.map(dedupeKey));
+  let added = 0;
+  for (const record of incoming) {
+    const key = dedupeKey(record);
+    if (keys.has(key)) continue;
+    keys.add(key);
+    records.push(record);
+    added++;
+  }
+  if (added) persist();
+  return added;
+}
+
+export function removePinoutsBySource(sourceNames) {
+  const names = new Set((Array.isArray(sourceNames) ? sourceNames : []).filter(Boolean));
+  if (!names.size) return 0;
+  ensureLoaded();
+  const before = records.length;
+  records = records.filter(r => !names.has(r.source));
+  const removed = before - records.length;
+  if (removed) persist();
+  return removed;
+}
+
+export function clearPinouts() {
+  ensureLoaded();
+  records = [];
+  persist();
+}
+
+/**
+ * Refaz a tabela a partir dos chunks do corpus (exportCorpus)
+ */
+export function rebuildPinouts(chunks) {
+  ensureLoaded();
+  records = [];
+  persist();
+  const added = indexPinoutChunks(chunks);
+  return { total: records.length, added };
+}
+
+/**
+ * Consulta exata por conector/pino; signal busca por trecho ("24v", "porta").
+ * access = acesso da ACL de marcas (resolveBrandAccess); null = sem restrição.
+ */
+export function findPinouts({ brand = null, model = null, board = null, connector = null, pin = null, signal = null, source = null, access = null, limit = 100 } = {}) {
+  ensureLoaded();
+  const brandName = brand ? normalizeName(canonicalBrandName(brand)) : '';
+  const modelKey = model ? normalizePinoutToken(model) : '';
+  const boardKey = board ? normalizePinoutToken(board) : '';
+  const connectorKey = connector ? normalizePinoutToken(connector) : '';
+  const pinKey = pin ? normalizePinoutToken(pin) : '';
+  const signalText = signal ? normalizeName(signal) : '';
+  const pool = connectorKey ? (byConnector.get(connectorKey) || []) : records;
+
+  const out = [];
+  for (const record of pool) {
+    if (brandName && normalizeName(record.brand) !== brandName) continue;
+    if (modelKey && normalizePinoutToken(record.model) !== modelKey) continue;
+    if (boardKey && normalizePinoutToken(record.board) !== boardKey) continue;
+    if (pinKey && normalizePinoutToken(record.pin) !== pinKey) continue;
+    if (signalText && !normalizeName(record.signal).includes(signalText)) continue;
+    if (source && record.source !== source) continue;
+    if (!isChunkAllowed(access, { source: record.source, title: record.title, brandName: record.brand, model: record.model })) continue;
+    out.push(record);
+    if (out.length >= Math.min(MAX_LIMIT, Math.max(1, limit))) break;
+  }
+  return out;
+}
+
+export function getPinoutStats() {
+  ensureLoaded();
+  const brands = {};
+  for (const record of records) {
+    const key = record.brand || '(sem marca)';
+    brands[key] = (brands[key] || 0) + 1;
+  }
+  return { total: records.length, connectors: byConnector.size, brands };
+}
+
+export default {
+  normalizePinoutToken,
+  indexPinoutChunks,
+  removePinoutsBySource,
+  clearPinouts,
+  rebuildPinouts,
+  findPinouts,
+  getPinoutStats,
+};
@@ -5,7 +5,17 @@
 
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import { generateEmbedding } from './embeddingService.js';
-import { searchSimilar, searchLexical, getIndexedSources } from './vectorStoreAdapter.js';
+import { searchSimilar, searchLexical, getIndexedSources, getChunksByRange } from './vectorStoreAdapter.js';
+import { detectBrandsInText, detectBrandFromTechTerms, detectModelFromText, getBoardTokens, getBrandNames } from './brandRegistry.js';
+import { isBrandAllowed, isChunkAllowed } from './brandAcl.js';
+import { findFaultCodes, normalizeFaultCode } from './faultCodeStore.js';
+import { findPinouts, normalizePinoutToken } from './pinoutStore.js';
+import { getSession, appendSessionMessages, setSessionMemory, getConversationHistory, SESSION_STATE_FIELDS } from './sessionStore.js';
+import { MEMORY_WINDOW_MESSAGES, emptyMemory, isMemoryEmpty, updateConversationMemory, formatMemoryForPrompt, memoryToSearchText } from './conversationMemory.js';
+import { resolveFusionProfile, fuseCandidates, getEvidenceSimilarity, mmrSelect } from './retrievalFusion.js';
+import { normalizeCompact, extractVoltageTokens, extractFaultCodeTokens, extractConnectorTokens, containsRiskyActionLanguage } from './evidenceTokens.js';
+import { recordRagTelemetry } from './telemetryStore.js';
+import { normalizeText } from './textNormalize.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -37,31 +47,28 @@ const responseCache = new Map();
 const RESPONSE_CACHE_TTL = 5 * 60 * 1000; // 5 minutos
 const RESPONSE_CACHE_MAX = 50;
 // Bump this when changing prompts/guardrails to avoid serving stale cached answers
-const RESPONSE_CACHE_VERSION = '2026-02-12-10';
+const RESPONSE_CACHE_VERSION = '2026-10-19-05';
 
 const ENABLE_CROSS_RERANKER = /^(1|true|yes)$/i.test(String(process.env.RAG_ENABLE_CROSS_RERANKER || '').trim());
 const CROSS_RERANKER_CANDIDATES = Math.max(5, parseInt(process.env.RAG_CROSS_RERANKER_CANDIDATES || '18', 10));
 const CROSS_RERANKER_KEEP = Math.max(5, parseInt(process.env.RAG_CROSS_RERANKER_KEEP || '12', 10));
-const TELEMETRY_BUFFER_MAX = Math.max(50, parseInt(process.env.RAG_TELEMETRY_BUFFER_MAX || '400', 10));
-const telemetryBuffer = [];
-
-function pushRagTelemetry(entry) {
-  if (!entry || typeof entry !== 'object') return;
-  telemetryBuffer.push({ ...entry, at: new Date().toISOString() });
-  if (telemetryBuffer.length > TELEMETRY_BUFFER_MAX) {
-    telemetryBuffer.splice(0, telemetryBuffer.length - TELEMETRY_BUFFER_MAX);
-  }
-}
-
-export function getRecentRagTelemetry(limit = 100) {
-  const capped = Math.max(1, Math.min(500, Number(limit) || 100));
-  return telemetryBuffer.slice(-capped).reverse();
-}
-
-export function clearRagTelemetry() {
-  telemetryBuffer.length = 0;
-}
-
+// Pergunta direta por código ("o que é a falha E12?") responde pela tabela de códigos, sem LLM
+const FAULT_CODE_FAST_PATH = !/^(0|false|no)$/i.test(String(process.env.RAG_FAULT_CODE_FAST_PATH || 'true').trim());
+// Idem para pinagem ("pinagem do CN1 da GECB"): lista os pinos da tabela extraída do manual
+const PINOUT_FAST_PATH = !/^(0|false|no)$/i.test(String(process.env.RAG_PINOUT_FAST_PATH || 'true').trim());
+const TABLE_FAST_PATH_MAX_CHARS = 160;
+const PINOUT_ANSWER_MAX_ROWS = 24;
+// Expansão de contexto dos trechos selecionados: off | neighbors (chunks vizinhos por chunkIndex) | page (página inteira)
+const CONTEXT_EXPANSION_MODES = ['off', 'neighbors', 'page'];
+const CONTEXT_EXPANSION = CONTEXT_EXPANSION_MODES.includes(String(process.env.RAG_CONTEXT_EXPANSION || '').trim())
+  ? String(process.env.RAG_CONTEXT_EXPANSION).trim()
+  : 'off';
+const CONTEXT_EXPANSION_NEIGHBORS = Math.max(1, parseInt(process.env.RAG_CONTEXT_EXPANSION_NEIGHBORS || '1', 10));
+const CONTEXT_EXPANSION_TOKENS = Math.max(0, parseInt(process.env.RAG_CONTEXT_EXPANSION_TOKENS || '4000', 10));
+const CHARS_PER_TOKEN = 4;
+const MAX_CONTEXT_DOCS = 15; // Mais contexto = respostas mais completas
+const FAULT_CODE_FAST_PATH_RECORDS = 3; // registros por código (fontes/páginas diferentes)
+const TELEMETRY_CANDIDATE_SOURCES = 5;
 /**
  * Corrige encoding corrompido (UTF-8 decodificado como Latin-1)
  * Ex: "TÃCNICO" → "TÉCNICO", "RÃPIDA" → "RÁPIDA", "versÃ£o" → "versão"
@@ -135,18 +142,18 @@ function fixEncoding(str) {
   return result;
 }
 
-function getResponseCacheKey(question, brandFilter) {
-  return `${RESPONSE_CACHE_VERSION}|${(question || '').trim().toLowerCase().substring(0, 200)}|${brandFilter || ''}`;
+function getResponseCacheKey(question, brandFilter, accessScope = '', variant = '') {
+  return `${RESPONSE_CACHE_VERSION}|${(question || '').trim().toLowerCase().substring(0, 200)}|${brandFilter || ''}|${accessScope}|${variant}`;
 }
 
-const BOARD_TOKENS = [
-  'LCBII', 'LCB', 'MCSS', 'MCP', 'MCB', 'RBI', 'GMUX', 'PLA6001', 'DCB', 'PIB',
-  'GCIOB', 'MCP100', 'PLA6001', 'URM', 'CAVF', 'GDCB',
-  'GECB', 'GEN2', 'OHC4000', 'LM1', 'LM2', 'SMC', 'VARIODYN',
-  'ADV-210', 'ADV210', 'ADV-310', 'ADV310', 'BOS9693',
-  'CPIC', 'MC2', 'MC3', 'TCI', 'TCI4',
-  'YOUNG', 'QUADRO DE COMANDO YOUNG',
-];
+/**
+ * Fontes indexadas visíveis para o acesso (ACL por marca)
+ */
+async function getAccessibleSources(access) {
+  const indexedRaw = await Promise.resolve(getIndexedSources?.() || []);
+  const indexed = Array.isArray(indexedRaw) ? indexedRaw : [];
+  return access ? indexed.filter(source => isChunkAllowed(access, { source })) : indexed;
+}
 
 const INTENT = {
   safetyChain: 'safety_chain',
@@ -210,111 +217,6 @@ const STATUS_INDICATOR_KEYWORDS = [
   'codigo',
 ];
 
-const BRAND_CANONICAL_MAP = [
-  {
-    canonical: 'Orona',
-    aliases: ['orona', 'arca'],
-    // Termos técnicos exclusivos Orona (placas, módulos)
-    techTerms: ['arca', 'orona'],
-    models: ['arca ii', 'arca iii', 'arca iv'],
-  },
-  {
-    canonical: 'Otis',
-    aliases: ['otis'],
-    // Placas e componentes exclusivos Otis
-    techTerms: ['gecb', 'gen2', 'gen 2', 'lcb', 'lcbii', 'lcb2', 'lcb ii', 'mcss', 'mcp', 'mcb', 'rbi', 'gmux', 'gdcb', 'gciob', 'pla6001', 'dcb', 'pib', 'urm', 'cavf', 'mcp100', 'otis 2000', 'skyrise', '2000a', 'ohc4000', 'lm1', 'lm2'],
-    models: ['gen2', 'gen 2', 'skyrise', '2000', '2000a', 'mrl'],
-  },
-  {
-    canonical: 'Schindler',
-    aliases: ['schindler'],
-    techTerms: ['schindler', 'variodyn', 'miconic', 'bionic', 'smc'],
-    models: ['3300', '5500', '7000', '3100', '3300ap'],
-  },
-  {
-    canonical: 'Sectron',
-    aliases: ['sectron'],
-    techTerms: ['sectron', 'adv-210', 'adv210', 'adv 210', 'adv-310', 'adv310', 'bos9693'],
-    models: ['adv-210', 'adv-310', 'adv 210', 'adv 310'],
-  },
-  {
-    canonical: 'Thyssen',
-    aliases: ['thyssen', 'tk', 'tke', 'thyssenkrupp'],
-    techTerms: ['thyssen', 'mc2', 'mc3', 'cpic', 'tke', 'tci', 'tci4'],
-    models: ['mc2', 'mc3', 'cpic'],
-  },
-  {
-    canonical: 'Atlas',
-    aliases: ['atlas'],
-    techTerms: ['atlas'],
-    models: [],
-  },
-];
-
-/**
- * Detecta marca a partir de termos técnicos exclusivos.
- * Ex: "GECB" → Otis, "Arca" → Orona, "ADV-210" → Sectron
- */
-function detectBrandFromTechTerms(text) {
-  const normalized = normalizeText(text || '');
-  if (!normalized) return null;
-  for (const brand of BRAND_CANONICAL_MAP) {
-    if (brand.techTerms && brand.techTerms.some(t => normalized.includes(normalizeText(t)))) {
-      return brand.canonical;
-    }
-  }
-  return null;
-}
-
-/**
- * Detecta modelo a partir do texto usando os patterns de modelo de cada marca.
- */
-function detectModelFromText(text, brand) {
-  const normalized = normalizeText(text || '');
-  if (!normalized) return null;
-  
-  const targets = brand
-    ? BRAND_CANONICAL_MAP.filter(b => b.canonical === brand)
-    : BRAND_CANONICAL_MAP;
-  
-  for (const b of targets) {
-    if (!b.models) continue;
-    for (const model of b.models) {
-      if (normalized.includes(normalizeText(model))) {
-        return model;
-      }
-    }
-  }
-  return null;
-}
-
-function detectBrandsInText(text) {
-  const normalized = normalizeText(text || '');
-  if (!normalized) return [];
-
-  const found = new Set();
-  for (const brand of BRAND_CANONICAL_MAP) {
-    // Verifica aliases tradicionais
-    if (brand.aliases.some(alias => normalized.includes(normalizeText(alias)))) {
-      found.add(brand.canonical);
-      continue;
-    }
-    // Verifica termos técnicos exclusivos (placas, módulos, componentes)
-    if (brand.techTerms && brand.techTerms.some(t => normalized.includes(normalizeText(t)))) {
-      found.add(brand.canonical);
-    }
-  }
-  return [...found];
-}
-
-function normalizeText(s) {
-  return (s || '')
-    .toString()
-    .normalize('NFKD')
-    .replace(/[\u0300-\u036f]/g, '')
-    .toLowerCase();
-}
-
 function classifyIntent(question) {
   const q = normalizeText(question);
   if (SAFETY_CHAIN_KEYWORDS.some(k => q.includes(k))) return INTENT.safetyChain;
@@ -440,34 +342,45 @@ function stripConnectorLikeTokens(text) {
     .trim();
 }
 
-function normalizeCompact(s) {
-  return normalizeText(s || '').replace(/[^a-z0-9]+/g, '');
-}
-
-function extractVoltageTokens(text) {
-  const raw = String(text || '');
-  const matches = raw.match(/\b\d{1,4}(?:[\.,]\d{1,2})?\s*(?:vdc|vac|vcc|v)\b/gi) || [];
-  return Array.from(new Set(matches.map(m => m.replace(',', '.').toLowerCase().replace(/\s+/g, ''))));
-}
-
-function extractFaultCodeTokens(text) {
-  const raw = String(text || '');
-  const tokens = [];
-
-  // fault 29, fault29
-  for (const m of raw.match(/\bfault\s*\d{1,4}\b/gi) || []) tokens.push(m);
-
-  // erro 597, código 597, codigo 597
-  for (const m of raw.match(/\b(?:erro|c[oó]digo)\s*\d{1,4}\b/gi) || []) tokens.push(m);
-
-  // E123, E-123
-  for (const m of raw.match(/\bE\s*-?\s*\d{2,4}\b/g) || []) tokens.push(m);
-
-  return Array.from(new Set(tokens.map(t => t.toLowerCase().replace(/\s+/g, ''))));
+/**
+ * Sanitização de saída (última linha de defesa):
+ * - Remove exemplos/sugestões no formato "(ex: ...)" ou "ex: ..." que podem induzir erro
+ * - Normaliza terminologia para bater com o banco de conhecimento
+ * - Sem evidência de conector no contexto/pergunta, remove conectores/pinos citados
+ * Só usa regras locais à linha, então também serve para o texto em streaming.
+ */
+function sanitizeAnswerText(text, hasConnectorEvidence) {
+  let out = String(text || '')
+    .replace(/\(\s*ex\s*:\s*[^)]+\)/gi, '')
+    .replace(/\bex\s*:\s*[^\n]+/gi, '')
+    .replace(/placa\s+controladora/gi, 'placa')
+    .replace(/[ \t]{2,}/g, ' ');
+  if (!hasConnectorEvidence) out = stripConnectorLikeTokens(out);
+  return out;
 }
 
-function containsRiskyActionLanguage(text) {
-  return /\b(jumper|bypass|pontear|ponte|desativar\s+seguran|anular\s+seguran|burlar\s+seguran)\b/i.test(text || '');
+/**
+ * Repassa deltas do modelo já sanitizados, uma linha completa por vez
+ */
+function createStreamingSanitizer(hasConnectorEvidence, onText) {
+  let pending = '';
+  const emitLines = (text) => {
+    const clean = text.split('\n').map(line => sanitizeAnswerText(line, hasConnectorEvidence)).join('\n');
+    if (clean) onText(clean);
+  };
+  return {
+    push(chunk) {
+      pending += chunk;
+      const lastBreak = pending.lastIndexOf('\n');
+      if (lastBreak < 0) return;
+      emitLines(pending.slice(0, lastBreak + 1));
+      pending = pending.slice(lastBreak + 1);
+    },
+    flush() {
+      if (pending) emitLines(pending);
+      pending = '';
+    },
+  };
 }
 
 function containsBlinkInterpretation(text) {
@@ -666,7 +579,12 @@ function rerankAndFilterDocs(docs, intent, pinoutQuery = false) {
   return filtered.length ? filtered : docs;
 }
 
-function extractSessionState(question, conversationHistory, brandFilter, signals) {
+/**
+ * Estado do atendimento (marca, modelo, placa, erro, conector) detectado no texto.
+ * Com sessão no servidor, campos não detectados agora vêm do estado acumulado e
+ * campos corrigidos pelo técnico (pinned) prevalecem.
+ */
+function extractSessionState(question, conversationHistory, brandFilter, signals, stored = null) {
   const allText = [
     ...(conversationHistory || []).map(m => m?.parts?.[0]?.text || ''),
     question || '',
@@ -676,23 +594,12 @@ function extractSessionState(question, conversationHistory, brandFilter, signals
 
   const upper = allText.toUpperCase();
   
-  // Detecção de marca: usa brandFilter explícito, depois aliases+techTerms, depois regex
-  const brand = brandFilter
-    || detectBrandFromTechTerms(allText)
-    || (/(\bORONA\b|\bOTIS\b|\bSCHINDLER\b|\bSECTRON\b|\bTHYSSEN\b|\bATLAS\b)/i.exec(allText)?.[1] || null);
+  // Detecção de marca: usa brandFilter explícito, depois aliases/termos técnicos/placas do registro
+  const brand = brandFilter || detectBrandFromTechTerms(allText);
 
-  // Detecção de modelo: usa patterns de cada marca + heurísticas
+  // Detecção de modelo: usa os patterns de modelo de cada marca no registro
   const modelFromMap = detectModelFromText(allText, brand);
 
-  // Heurísticas leves para modelo (somente quando o texto já traz explicitamente)
-  // Orona: "Arca II" etc.
-  const arcaMatch = /\b(ORONA\s+)?ARCA\s*(I{1,3}|IV|V|VI|\d+)\b/i.exec(allText);
-  const oronaModel = arcaMatch ? `Arca ${arcaMatch[2].toUpperCase()}` : null;
-
-  // Otis: detectar "Gen2" quando explícito (não inventa outros modelos)
-  const gen2Match = /\bGEN\s*2\b/i.exec(allText);
-  const otisModel = gen2Match ? 'Gen2' : null;
-
   // Extração genérica de modelo quando o técnico informa explicitamente
   // Ex.: "modelo Arca II", "modelo MRL", "modelo XYZ 300"
   const explicitModelMatch = /\bmodelo\s*[:\-]?\s*([a-z0-9][a-z0-9 ._\/-]{1,35})/i.exec(allText);
@@ -706,7 +613,7 @@ function extractSessionState(question, conversationHistory, brandFilter, signals
     if (explicitModel.length < 2) explicitModel = null;
   }
 
-  const model = modelFromMap || oronaModel || otisModel || explicitModel;
+  const model = modelFromMap || explicitModel;
 
   const board = (signals?.boardTokens?.length || 0) ? signals.boardTokens.join(', ') : null;
   const error = (signals?.errorTokens?.length || 0) ? signals.errorTokens[0] : null;
@@ -714,7 +621,15 @@ function extractSessionState(question, conversationHistory, brandFilter, signals
   // Conector citado (CN1 etc.)
   const connector = (upper.match(/\bCN\d{1,2}\b/g) || [])[0] || null;
 
-  return { brand, model, board, error, connector };
+  const detected = { brand, model, board, error, connector };
+  if (!stored?.state) return detected;
+  const merged = {};
+  for (const field of SESSION_STATE_FIELDS) {
+    merged[field] = (stored.pinned || []).includes(field)
+      ? stored.state[field]
+      : detected[field] || stored.state[field] || null;
+  }
+  return merged;
 }
 
 function isOtisBrand(brand) {
@@ -808,6 +723,16 @@ function docMentionsAnyFaultCode(doc, faultCodes) {
   });
 }
 
+/**
+ * Código citado no texto como token inteiro ("E-12", "e 12"), nunca como parte de outro (E12 em E123)
+ */
+function mentionsFaultCode(text, code) {
+  const c = normalizeFaultCode(code).replace(/[^0-9A-Z]/g, '');
+  if (!c) return false;
+  const pattern = c.replace(/^([A-Z]+)(?=\d)/, '$1[\\s\\-_.]*');
+  return new RegExp(`(^|[^0-9A-Z])${pattern}([^0-9A-Z]|$)`, 'i').test(String(text || ''));
+}
+
 function rerankDocsForFaultCodes(docs, faultCodes) {
   if (!docs || docs.length === 0 || !faultCodes || faultCodes.length === 0) return docs;
 
@@ -845,6 +770,121 @@ function rerankDocsForFaultCodes(docs, faultCodes) {
   return scored.sort((a, b) => b.score - a.score).map(s => s.doc);
 }
 
+/**
+ * Resposta direta pela tabela de códigos de falha (faultCodeStore).
+ * Só vale quando a consulta é inequívoca: todo código citado na pergunta tem registro com
+ * descrição para a marca, e o modelo (se informado) bate; registros de modelos diferentes
+ * sem modelo na sessão → null (segue o RAG completo, que pergunta o modelo).
+ * @returns {{ answer: string, docs: Array }|null} docs no formato do store, na ordem das citações
+ */
+function buildFaultCodeTableAnswer(question, faultCodes, sessionState, access) {
+  const codes = Array.from(new Set(faultCodes.map(normalizeFaultCode)))
+    .filter(c => c && mentionsFaultCode(question, c))
+    .slice(0, 3);
+  if (!codes.length || !sessionState?.brand) return null;
+
+  const modelKey = normalizeFaultCode(sessionState.model);
+  const docs = [];
+  const sections = [];
+  for (const code of codes) {
+    let records = findFaultCodes({ brand: sessionState.brand, code, access }).filter(r => r.description);
+    if (modelKey) {
+      const sameModel = records.filter(r => normalizeFaultCode(r.model) === modelKey);
+      records = sameModel.length ? sameModel : records.filter(r => !r.model);
+    } else if (new Set(records.map(r => normalizeFaultCode(r.model)).filter(Boolean)).size > 1) {
+      return null;
+    }
+    if (!records.length) return null;
+
+    const lines = [];
+    for (const record of records.slice(0, FAULT_CODE_FAST_PATH_RECORDS)) {
+      docs.push({
+        id: record.chunkId,
+        content: record.excerpt,
+        metadata: { source: record.source, title: record.title || '', page: record.page, chunkIndex: record.chunkIndex },
+        similarity: 1,
+      });
+      const n = docs.length;
+      const where = [record.model, record.page ? `pág. ${record.page}` : null].filter(Boolean).join(', ');
+      lines.push(`**Código ${record.code}**${where ? ` (${where})` : ''}: ${record.description} [${n}]`);
+      if (record.causes.length) {
+        lines.push('Causas prováveis:', ...record.causes.map(c => `- ${c} [${n}]`));
+      }
+    }
+    sections.push(lines.join('\n'));
+  }
+
+  const answer = `${sections.join('\n\n')}\n\nConferido na tabela de códigos de falha do manual. Se o código continuar depois dessas verificações, me conta o que já foi testado que eu sigo no diagnóstico.`;
+  return { answer, docs };
+}
+
+/**
+ * Resposta pela tabela de pinagem (pinoutStore): conector citado na pergunta (ou o da sessão).
+ * Filtra por placa/modelo conhecidos; tabelas de placas/modelos diferentes sem como escolher → null.
+ * Pinos citados ("pino 3", "pinos 1 e 2") ou tensão citada restringem as linhas.
+ * @returns {{ answer: string, docs: Array }|null}
+ */
+function buildPinoutTableAnswer(question, sessionState, access) {
+  const connectors = extractConnectorTokens(question);
+  if (!connectors.length && sessionState?.connector) connectors.push(normalizePinoutToken(sessionState.connector));
+  if (!connectors.length || !sessionState?.brand) return null;
+
+  const pinList = String(question || '').match(/\bpinos?\s+((?:\d{1,3}[A-Z]?(?:\s*(?:,|e|\/)\s*)?)+)/i)?.[1] || '';
+  const pins = new Set((pinList.match(/\d{1,3}[A-Z]?/gi) || []).map(normalizePinoutToken));
+  const voltages = extractVoltageTokens(question);
+
+  const docs = [];
+  const sections = [];
+  for (const connector of connectors.slice(0, 2)) {
+    let records = findPinouts({ brand: sessionState.brand, connector, access, limit: 500 });
+    for (const field of ['board', 'model']) {
+      const wanted = normalizePinoutToken(sessionState[field]);
+      if (!wanted) continue;
+      const same = records.filter(r => normalizePinoutToken(r[field]) === wanted);
+      records = same.length ? same : records.filter(r => !r[field]);
+    }
+    if (!records.length) return null;
+    const variants = new Set(records.map(r => `${normalizePinoutToken(r.board)}|${normalizePinoutToken(r.model)}`));
+    if (variants.size > 1) return null;
+
+    if (pins.size) records = records.filter(r => pins.has(normalizePinoutToken(r.pin)));
+    if (voltages.length) {
+      const byVoltage = records.filter(r => voltages.some(v => extractVoltageTokens(`${r.signal} ${r.voltage || ''}`).includes(v)));
+      if (byVoltage.length) records = byVoltage;
+    }
+    if (!records.length) return null;
+
+    // Uma seção por tabela (mesmo conector pode aparecer em manuais/páginas diferentes)
+    const byChunk = new Map();
+    for (const record of records) {
+      if (!byChunk.has(record.chunkId)) byChunk.set(record.chunkId, []);
+      byChunk.get(record.chunkId).push(record);
+    }
+    for (const rows of [...byChunk.values()].slice(0, 2)) {
+      const first = rows[0];
+      const shown = rows.slice(0, PINOUT_ANSWER_MAX_ROWS);
+      docs.push({
+        id: first.chunkId,
+        content: [`PINAGEM ${first.connector}`, first.context, first.header, ...shown.map(r => r.row)].filter(Boolean).join('\n'),
+        metadata: { source: first.source, title: first.title || '', page: first.page, chunkIndex: first.chunkIndex },
+        similarity: 1,
+      });
+      const n = docs.length;
+      const where = [first.board ? `placa ${first.board}` : null, first.model, first.page ? `pág. ${first.page}` : null].filter(Boolean).join(', ');
+      const lines = [`**${first.connector}**${where ? ` (${where})` : ''} [${n}]`];
+      for (const r of shown) {
+        const voltage = r.voltage && !r.signal.includes(r.voltage) ? ` (${r.voltage})` : '';
+        lines.push(`- Pino ${r.pin}: ${r.signal}${voltage} [${n}]`);
+      }
+      if (rows.length > shown.length) lines.push(`- … mais ${rows.length - shown.length} pinos na tabela [${n}]`);
+      sections.push(lines.join('\n'));
+    }
+  }
+
+  const answer = `${sections.join('\n\n')}\n\nPinagem conferida na tabela do manual. Antes de medir, confira se a identificação impressa na placa bate com a da tabela.`;
+  return { answer, docs };
+}
+
 function buildFaultCodeQueries(baseQuestion, faultCodes, sessionState) {
   if (!faultCodes || faultCodes.length === 0) return [];
 
@@ -978,7 +1018,7 @@ function extractSearchSignals(question, conversationHistory) {
     .join(' ');
 
   const upper = texts.toUpperCase();
-  const boardTokens = BOARD_TOKENS.filter(t => upper.includes(t));
+  const boardTokens = getBoardTokens().filter(t => upper.includes(t));
 
   const errorTokens = Array.from(
     new Set(
@@ -1085,16 +1125,6 @@ function shouldForcePrecisionClarification(question, sessionState = null, signal
   return isShortQuestion;
 }
 
-function extractConnectorTokens(text) {
-  if (!text) return [];
-  return Array.from(
-    new Set(
-      (String(text).toUpperCase().match(/\b(?:CN|J|P)\s*-?\s*\d{1,3}\b/g) || [])
-        .map(s => s.replace(/\s+/g, ''))
-    )
-  );
-}
-
 function buildDocKey(doc) {
   const source = doc?.metadata?.source || '';
   const chunk = doc?.metadata?.chunkIndex ?? '';
@@ -1160,7 +1190,133 @@ function diversifyDocs(docs, maxDocs = 25, maxPerSource = 8, nearDuplicateThresh
   return selected.map(({ _tokenSet, ...doc }) => doc);
 }
 
-async function rerankDocsWithCrossModel(question, docs, sessionState) {
+/**
+ * Junta dois trechos consecutivos do mesmo PDF removendo a sobreposição do split (CHUNK_OVERLAP)
+ */
+function mergeOverlappingText(a, b) {
+  const left = String(a || '');
+  const right = String(b || '');
+  for (let k = Math.min(600, left.length, right.length); k >= 20; k--) {
+    if (left.endsWith(right.slice(0, k))) return left + right.slice(k);
+  }
+  if (left.includes(right)) return left;
+  return `${left}\n${right}`;
+}
+
+/**
+ * Expande cada trecho selecionado com os chunks vizinhos (mesmo chunkType, ±N por chunkIndex) ou com
+ * a página inteira (chunks page_window) do mesmo source, para o LLM não receber meio procedimento/tabela.
+ * Orçamento total de CONTEXT_EXPANSION_TOKENS (≈4 chars/token), gasto na ordem de relevância.
+ * Chunk que já está no contexto, ou quase igual a um que está (mesmo critério do diversifyDocs), não entra.
+ * Trechos de tabela (fault_code, pinout_table) não são expandidos.
+ */
+async function expandContextDocs(docs, mode, access) {
+  const stats = { mode, expandedDocs: 0, addedTokens: 0 };
+  if (mode === 'off' || !docs.length || CONTEXT_EXPANSION_TOKENS <= 0) return { docs, stats };
+
+  let budgetChars = CONTEXT_EXPANSION_TOKENS * CHARS_PER_TOKEN;
+  const chunkKey = (meta) => `${meta?.source || ''}::${meta?.chunkIndex ?? ''}`;
+  const usedKeys = new Set(docs.map(d => chunkKey(d.metadata)));
+  const usedTokenSets = docs.map(d => tokenSet(d.content));
+  const isKnown = (chunk) => {
+    if (usedKeys.has(chunkKey(chunk.metadata))) return true;
+    const tokens = tokenSet(chunk.content);
+    return usedTokenSets.some(set => jaccardSimilarity(tokens, set) >= 0.9);
+  };
+
+  const out = [];
+  for (const doc of docs) {
+    const meta = doc.metadata || {};
+    const expandable = meta.source &&
+      !['fault_code', 'pinout_table'].includes(meta.chunkType) &&
+      (mode === 'page' ? Number.isFinite(meta.page) : Number.isFinite(meta.chunkIndex));
+    if (budgetChars <= 0 || !expandable) {
+      out.push(doc);
+      continue;
+    }
+
+    let chunks;
+    try {
+      chunks = mode === 'page'
+        ? await getChunksByRange(meta.source, { pageFrom: meta.page, pageTo: meta.page })
+        : await getChunksByRange(meta.source, {
+          // Tipos de chunk se intercalam no chunkIndex: busca uma faixa maior e filtra pelo tipo do trecho
+          chunkIndexFrom: meta.chunkIndex - CONTEXT_EXPANSION_NEIGHBORS * 4,
+          chunkIndexTo: meta.chunkIndex + CONTEXT_EXPANSION_NEIGHBORS * 4,
+        });
+    } catch (error) {
+      console.warn(`⚠️  Expansão de contexto falhou (${meta.source}): ${error.message}`);
+      out.push(doc);
+      continue;
+    }
+    chunks = chunks.filter(c => isChunkAllowed(access, c.metadata));
+
+    let content = doc.content;
+    let added = [];
+    if (mode === 'page') {
+      // Página = chunks page_window em ordem; substitui o trecho se couber no orçamento
+      const windows = chunks.filter(c => c.metadata?.chunkType === 'page_window');
+      const pageText = windows.reduce((acc, c) => (acc ? mergeOverlappingText(acc, c.content) : c.content), '');
+      const extra = pageText.length - content.length;
+      if (pageText && extra > 0 && extra <= budgetChars && !windows.every(isKnown)) {
+        content = pageText;
+        budgetChars -= extra;
+        added = windows.filter(c => chunkKey(c.metadata) !== chunkKey(meta));
+      }
+    } else {
+      const sameType = chunks.filter(c => (c.metadata?.chunkType || null) === (meta.chunkType || null));
+      const neighbors = {
+        before: sameType.filter(c => c.metadata.chunkIndex < meta.chunkIndex).slice(-CONTEXT_EXPANSION_NEIGHBORS).reverse(),
+        after: sameType.filter(c => c.metadata.chunkIndex > meta.chunkIndex).slice(0, CONTEXT_EXPANSION_NEIGHBORS),
+      };
+      const accepted = { before: [], after: [] };
+      const build = () => [...[...accepted.before].reverse(), { content: doc.content }, ...accepted.after]
+        .reduce((acc, c) => (acc ? mergeOverlappingText(acc, c.content) : c.content), '');
+      // Mais próximo primeiro, alternando depois/antes, até acabar o orçamento
+      for (let n = 0; n < CONTEXT_EXPANSION_NEIGHBORS; n++) {
+        for (const side of ['after', 'before']) {
+          const chunk = neighbors[side][n];
+          if (!chunk || isKnown(chunk)) continue;
+          accepted[side].push(chunk);
+          const merged = build();
+          const extra = merged.length - content.length;
+          if (extra > budgetChars) {
+            accepted[side].pop();
+            continue;
+          }
+          content = merged;
+          budgetChars -= extra;
+          added.push(chunk);
+        }
+      }
+    }
+
+    if (!added.length) {
+      out.push(doc);
+      continue;
+    }
+    for (const chunk of added) {
+      usedKeys.add(chunkKey(chunk.metadata));
+      usedTokenSets.push(tokenSet(chunk.content));
+    }
+    const pages = [meta.page, ...added.map(c => c.metadata?.page)].filter(Number.isFinite);
+    stats.expandedDocs += 1;
+    stats.addedTokens += Math.round((content.length - doc.content.length) / CHARS_PER_TOKEN);
+    out.push({
+      ...doc,
+      content,
+      expansion: {
+        mode,
+        chunks: added.length,
+        pages: pages.length ? [Math.min(...pages), Math.max(...pages)] : null,
+        originalContent: doc.content,
+      },
+    });
+  }
+  return { docs: out, stats };
+}
+
+async function rerankDocsWithCrossModel(question, docs, sessionState, { signal = null } = {}) {
   if (!ENABLE_CROSS_RERANKER) return { docs, applied: false, reason: 'disabled' };
   if (!Array.isArray(docs) || docs.length < 3) return { docs, applied: false, reason: 'insufficient_docs' };
 
@@ -1193,7 +1349,7 @@ Candidatos:
 ${JSON.stringify(payload)}`;
 
   try {
-    const result = await queryRewriter.generateContent(prompt);
+    const result = await queryRewriter.generateContent(prompt, { signal });
     const text = String(result?.response?.text?.() || '').trim();
     const jsonMatch = text.match(/\{[\s\S]*\}/);
     if (!jsonMatch) return { docs, applied: false, reason: 'no_json' };
@@ -1225,37 +1381,8 @@ ${JSON.stringify(payload)}`;
   }
 }
 
-function clamp01(value) {
-  if (!Number.isFinite(value)) return 0;
-  return Math.max(0, Math.min(1, value));
-}
-
-function buildHybridDocs(resultMap) {
-  const rows = Array.from(resultMap.values());
-  if (!rows.length) return [];
-
-  const maxLex = rows.reduce((max, r) => Math.max(max, r.lexicalRaw || 0), 0) || 1;
-
-  return rows
-    .map(r => {
-      const semantic = clamp01(r.semantic || 0);
-      const lexical = clamp01((r.lexicalRaw || 0) / maxLex);
-      const chunkType = String(r.doc?.metadata?.chunkType || '');
-      const chunkBonus = chunkType === 'fault_code' ? 0.07 : chunkType === 'page_window' ? 0.03 : 0;
-      const hybrid = clamp01((semantic * 0.68) + (lexical * 0.32) + chunkBonus);
-
-      return {
-        ...r.doc,
-        similarity: hybrid,
-        semanticSimilarity: semantic,
-        lexicalSimilarity: lexical,
-      };
-    })
-    .sort((a, b) => b.similarity - a.similarity);
-}
-
 function hasStrongEvidence(question, docs, faultCodes, pinoutQuery) {
-  const top = docs?.[0]?.similarity || 0;
+  const top = (docs || []).reduce((max, d) => Math.max(max, getEvidenceSimilarity(d)), 0);
   const hasFaultEvidence = !faultCodes?.length || docs.some(d => docMentionsAnyFaultCode(d, faultCodes));
   const hasPinEvidence = !pinoutQuery || docs.some(d => countHits(docText(d), PINOUT_KEYWORDS) > 0);
 
@@ -1270,23 +1397,451 @@ function hasStrongEvidence(question, docs, faultCodes, pinoutQuery) {
   return top >= 0.58 && docs.length >= 4;
 }
 
+// ═══ CITAÇÕES POR AFIRMAÇÃO ═══
+// O contexto numera os trechos ([1], [2], ...) e o modelo marca cada afirmação com o número do trecho.
+const CITATION_MARKER_REGEX = /\[(\d{1,2}(?:\s*,\s*\d{1,2})*)\]/g;
+
+function parseCitationMarkers(text) {
+  const ids = [];
+  for (const m of String(text || '').matchAll(CITATION_MARKER_REGEX)) {
+    for (const n of m[1].split(',')) ids.push(parseInt(n, 10));
+  }
+  return ids;
+}
+
+/**
+ * Remove marcadores que não apontam para nenhum trecho do contexto
+ */
+function dropInvalidCitationMarkers(answer, docCount) {
+  return answer.replace(/([ \t]*)\[(\d{1,2}(?:\s*,\s*\d{1,2})*)\]/g, (match, space, list) => {
+    const ids = Array.from(new Set(list.split(',').map(n => parseInt(n, 10)).filter(n => n >= 1 && n <= docCount)));
+    return ids.length ? `${space}[${ids.join(', ')}]` : '';
+  });
+}
+
+function splitIntoClaims(answer) {
+  return String(answer || '')
+    .split('\n')
+    .flatMap(line => line.split(/(?<=[.!?](?:\s*\[[\d,\s]+\])?)\s+(?=[A-ZÁÉÍÓÚÂÊÔÃÕÇ*])/))
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Trecho do chunk que melhor sustenta as frases que o citam
+ */
+function buildCitationExcerpt(content, claimText, maxLength = 240) {
+  const text = String(content || '');
+  const claimTokens = tokenSet(claimText);
+  let best = null;
+  let bestScore = 0;
+  for (const sentence of text.split(/(?<=[.!?;])\s+|\n+/)) {
+    const candidate = sentence.trim();
+    if (candidate.length < 15) continue;
+    const score = jaccardSimilarity(claimTokens, tokenSet(candidate));
+    if (score > bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  }
+  const excerpt = best || text.trim();
+  return excerpt.length > maxLength ? `${excerpt.substring(0, maxLength)}...` : excerpt;
+}
+
+function buildCitations(answer, docs) {
+  const claims = splitIntoClaims(answer);
+  const ids = Array.from(new Set(parseCitationMarkers(answer)))
+    .filter(id => id >= 1 && id <= docs.length)
+    .sort((a, b) => a - b);
+
+  return ids.map(id => {
+    const doc = docs[id - 1];
+    const citingText = claims.filter(c => parseCitationMarkers(c).includes(id)).join(' ');
+    return {
+      id,
+      source: doc.metadata?.source || 'Desconhecido',
+      title: doc.metadata?.title || '',
+      page: doc.metadata?.page ?? null,
+      chunkIndex: doc.metadata?.chunkIndex ?? null,
+      excerpt: buildCitationExcerpt(doc.content, citingText),
+    };
+  });
+}
+
+/**
+ * Frases com tensão, código ou conector que não dá para atribuir a um trecho citado:
+ * sem marcador, ou o valor não aparece em nenhum dos trechos que a frase cita.
+ */
+function findUnsupportedClaims(answer, docs) {
+  const flagged = [];
+  for (const sentence of splitIntoClaims(answer)) {
+    const plain = sentence.replace(CITATION_MARKER_REGEX, ' ');
+    const tokens = Array.from(new Set([
+      ...extractVoltageTokens(plain),
+      ...extractFaultCodeTokens(plain),
+      ...extractConnectorTokens(plain),
+    ]));
+    if (!tokens.length) continue;
+
+    const ids = Array.from(new Set(parseCitationMarkers(sentence))).filter(id => id >= 1 && id <= docs.length);
+    if (!ids.length) {
+      flagged.push({ sentence, tokens, reason: 'no_citation' });
+      continue;
+    }
+
+    const cited = normalizeCompact(ids.map(id => `${docs[id - 1].metadata?.title || ''} ${docs[id - 1].content || ''}`).join(' '));
+    const missing = tokens.filter(t => !cited.includes(normalizeCompact(t)));
+    if (missing.length) flagged.push({ sentence, tokens: missing, reason: 'not_in_cited_source', citations: ids });
+  }
+  return flagged;
+}
+
 /**
  * Realiza busca RAG completa: busca contexto relevante e gera resposta
+ * Com options.sessionId, histórico e estado vêm da sessão no servidor (conversationHistory é
+ * ignorado) e a pergunta/resposta + estado detectado são gravados nela ao final.
+ * Mensagens que saem da janela do prompt são resumidas na memória do atendimento
+ * (fatos, testes feitos, hipóteses descartadas), devolvida em `memory`.
  * @param {string} question - Pergunta do usuário
  * @param {string} agentSystemInstruction - Instrução do agente
  * @param {number} topK - Quantidade de documentos
  * @param {string|null} brandFilter - Nome da marca para filtrar documentos
  * @param {Array} conversationHistory - Histórico da conversa [{role, parts: [{text}]}]
+ * @param {object} [options]
+ * @param {(type: string, data: object) => void} [options.onEvent] - streaming (SSE):
+ *   'retrieval' (cada rodada da busca), 'sources', 'delta' (texto), 'correction' (guardrail trocou a resposta)
+ * @param {string} [options.userId] - usuário autenticado (telemetria)
+ * @param {string} [options.userRole] - papel do usuário: user, admin, service ou anonymous (telemetria)
+ * @param {object} [options.access] - acesso por marca (brandAcl.resolveBrandAccess); null = sem restrição
+ * @param {string} [options.sessionId] - sessão de conversa (sessionStore)
+ * @param {string} [options.sessionOwnerId] - dono exigido da sessão (null = admin, qualquer sessão)
+ * @param {AbortSignal} [options.signal] - cliente desconectou: interrompe entre etapas e cancela as
+ *   chamadas ao LLM (erro com code QUERY_ABORTED)
  */
-export async function ragQuery(question, agentSystemInstruction = '', topK = 10, brandFilter = null, conversationHistory = []) {
+export async function ragQuery(question, agentSystemInstruction = '', topK = 10, brandFilter = null, conversationHistory = [], options = {}) {
+  if (!options?.sessionId) {
+    // Memória só depois do cache de respostas: pergunta respondida pelo cache não gasta resumo
+    let memory = null;
+    const loadMemory = async () => {
+      ({ memory } = await updateConversationMemory(conversationHistory));
+      return memory;
+    };
+    const result = await runRagQuery(question, agentSystemInstruction, topK, brandFilter, conversationHistory, { ...options, loadMemory });
+    return isMemoryEmpty(memory) ? result : { ...result, memory };
+  }
+
+  const session = getSession(options.sessionId, { ownerId: options.sessionOwnerId || null });
+  const stored = { state: session.state, pinned: session.pinned };
+  const { memory, changed } = await updateConversationMemory(session.messages, { memory: session.memory || emptyMemory() });
+  if (changed) setSessionMemory(session.id, memory);
+
+  // Marca da sessão vale como filtro quando o cliente não mandou nenhum; marca detectada
+  // (não corrigida) cede lugar a outra citada explicitamente na pergunta nova
+  let sessionBrand = session.state.brand;
+  if (!session.pinned.includes('brand')) {
+    const questionBrands = detectBrandsInText(question);
+    if (questionBrands.length === 1) sessionBrand = questionBrands[0];
+  }
+
+  let detectedState = null;
+  const result = await runRagQuery(
+    question,
+    agentSystemInstruction,
+    topK,
+    brandFilter || session.brandFilter || sessionBrand || null,
+    getConversationHistory(session, MEMORY_WINDOW_MESSAGES),
+    { ...options, memory, sessionState: stored, onSessionState: (state) => { detectedState = state; } }
+  );
+
+  const updated = appendSessionMessages(session.id, [
+    { role: 'user', text: question },
+    { role: 'model', text: result.answer || '', sources: (result.sources || []).slice(0, 10).map(s => s.source || s.title).filter(Boolean) },
+  ], { state: detectedState });
+
+  return {
+    ...result,
+    sessionId: updated.id,
+    sessionState: { ...updated.state },
+    pinned: updated.pinned,
+    ...(isMemoryEmpty(memory) ? {} : { memory }),
+  };
+}
+
+/**
+ * Sinais da pergunta usados na montagem das queries e nos gates: intenção, placas/erros/conectores,
+ * estado do atendimento e palavras-chave técnicas.
+ * Memória resumida entra como uma mensagem a mais do técnico para extrair placas/erros/conectores
+ * citados em mensagens que já saíram da janela.
+ */
+function analyzeQuestion(question, conversationHistory, brandFilter, { memory = null, sessionState: storedState = null } = {}) {
+  const memoryText = memoryToSearchText(memory);
+  const signalHistory = memoryText
+    ? [{ role: 'user', parts: [{ text: memoryText }] }, ...(conversationHistory || [])]
+    : conversationHistory;
+  const signals = extractSearchSignals(question, signalHistory);
+  return {
+    intent: classifyIntent(question),
+    pinoutQuery: isPinoutQuery(question),
+    memoryText,
+    signals,
+    sessionState: extractSessionState(question, signalHistory, brandFilter, signals, storedState),
+    technicalKeywords: extractTechnicalKeywords(question, signalHistory, signals),
+    faultCodes: (signals?.faultCodes?.length ? signals.faultCodes : signals.errorTokens || []).slice(0, 8),
+    faultCodeQuery: isFaultCodeQuery(question, signals),
+  };
+}
+
+/**
+ * Etapas de montagem das queries e busca híbrida iterativa do ragQuery (vetor + BM25, fusão,
+ * threshold, reranks e diversificação). Usada pelo ragQuery e pela avaliação de recuperação.
+ * @param {object} analysis - resultado de analyzeQuestion
+ * @param {boolean} [options.rewriteQueries] - gera reformulações via LLM
+ * @param {function} [options.onRound] - chamado a cada rodada com o trace
+ * @param {AbortSignal} [options.signal] - cancela as chamadas ao LLM (reformulação e rerank)
+ */
+async function hybridRetrieve(question, analysis, { conversationHistory = [], brandFilter = null, access = null, fusionOverride = null, topK = 10, rewriteQueries = true, onRound = null, signal = null } = {}) {
+  const { intent, pinoutQuery, memoryText, signals, sessionState, technicalKeywords, faultCodes, faultCodeQuery } = analysis;
+  const hasHistory = conversationHistory && conversationHistory.length > 0;
+
+  // Query original enriquecida com contexto + sinais (placa/erro) para melhorar recall
+  let enrichedQuery = question;
+  if (hasHistory) {
+    const recentContext = conversationHistory
+      .slice(-MEMORY_WINDOW_MESSAGES)
+      .filter(m => m.role === 'user')
+      .map(m => m.parts[0]?.text || '')
+      .join(' ');
+    enrichedQuery = `${recentContext} ${question}`;
+  }
+  if (memoryText) enrichedQuery = `${enrichedQuery} ${memoryText.slice(0, 200)}`;
+  const intentSuffix = intent === INTENT.safetyChain
+    ? 'serie de seguranca serie de portas circuito de seguranca cadeia de seguranca' // ajuda recall sem inventar entidade
+    : '';
+  const pinoutSuffix = pinoutQuery ? 'conector pino pinagem cn tabela diagrama' : '';
+  const stateSuffixParts = [
+    sessionState?.brand,
+    sessionState?.model,
+    sessionState?.board,
+    sessionState?.connector,
+  ].filter(Boolean);
+  const stateSuffix = stateSuffixParts.length ? stateSuffixParts.join(' ') : '';
+
+  const signalSuffix = [...(signals.boardTokens || []), ...(signals.errorTokens || []), intentSuffix, pinoutSuffix, stateSuffix]
+    .filter(Boolean)
+    .join(' ');
+  if (signalSuffix) enrichedQuery = `${enrichedQuery} ${signalSuffix}`;
+  enrichedQuery = enrichedQuery.substring(0, 700);
+  
+  // Gera variações da pergunta para busca mais ampla
+  let searchQueries = [enrichedQuery];
+
+  // Para perguntas de código/falha, injeta buscas específicas para aumentar recall.
+  const codeQueries = buildFaultCodeQueries(question, faultCodes, sessionState);
+  if (codeQueries.length) {
+    searchQueries.push(...codeQueries);
+  }
+
+  // Busca suplementar por cobertura lexical/técnica (melhora casos além de códigos).
+  const supplementalQueries = buildSupplementalQueries(question, technicalKeywords, sessionState, signals);
+  if (supplementalQueries.length) {
+    searchQueries.push(...supplementalQueries);
+  }
+
+  // Dedup inicial
+  searchQueries = Array.from(new Set(searchQueries.map(q => String(q || '').trim()).filter(Boolean))).slice(0, 10);
+  // Reformulações via LLM (desligadas na avaliação de recuperação: custo e não determinismo)
+  if (rewriteQueries) {
+    try {
+      const rewritePrompt = `Você é um assistente de BUSCA (não de resposta) para banco de conhecimento técnico.
+
+    Tarefa: gere EXATAMENTE 2 reformulações da pergunta para melhorar a recuperação em um banco vetorial.
+
+    Regras INEGOCIÁVEIS:
+    - NÃO invente marcas, modelos, placas, códigos ou nomes.
+    - Se existirem tokens na pergunta/contexto (ex: nomes de placas tipo LCBII/MCSS/MCP, ou códigos/erros), mantenha-os IGUAIS.
+    - Pode trocar sinônimos e variar a ordem das palavras, mas sem adicionar entidades novas.
+    - Retorne APENAS as 2 linhas de reformulação (uma por linha), sem numeração e sem texto extra.
+
+    Pergunta: "${question}"${hasHistory ? `\nContexto (resumo): ${enrichedQuery.substring(0, 220)}` : ''}
+
+    Reformulações:`;
+    
+      const rewriteResult = await queryRewriter.generateContent(rewritePrompt, { signal });
+      const alternatives = rewriteResult.response.text()
+        .split('\n')
+        .map(l => l.trim())
+        .filter(l => l.length > 5 && l.length < 300)
+        .slice(0, 2);
+    
+      if (alternatives.length > 0) {
+        searchQueries.push(...alternatives);
+        searchQueries = Array.from(new Set(searchQueries.map(q => String(q || '').trim()).filter(Boolean))).slice(0, 12);
+        console.log(`📝 Multi-query: ${searchQueries.length} variações de busca`);
+      }
+    } catch (e) {
+      console.log('⚠️ Reescrita de query falhou, usando query original');
+    }
+  }
+  
+  // ═══ BUSCA HÍBRIDA ITERATIVA (VETOR + BM25) ═══
+  console.log(`📚 Buscando documentos...${brandFilter ? ` (filtro: ${brandFilter})` : ''}`);
+
+  const retrievalTrace = [];
+  // Perfil de fusão por marca/intenção (data/retrieval_fusion.json) + override da requisição
+  const intentLabel = faultCodeQuery ? 'fault_code' : pinoutQuery ? 'pinout' : intent;
+  const fusionProfile = resolveFusionProfile({
+    intent: intentLabel,
+    brand: sessionState?.brand || brandFilter || null,
+    override: fusionOverride,
+  });
+  const perQueryTopK = faultCodeQuery ? topK * 4 : topK * 3;
+
+  const expandedQueries = Array.from(new Set([
+    ...searchQueries,
+    ...buildSupplementalQueries(enrichedQuery, technicalKeywords, sessionState, signals),
+    ...buildFaultCodeQueries(question, faultCodes, sessionState),
+  ].map(q => String(q || '').trim()).filter(Boolean)));
+
+  const iterativePlans = [
+    { name: 'primary_hybrid', queries: searchQueries.slice(0, 10) },
+    { name: 'expanded_hybrid', queries: expandedQueries.slice(0, 14) },
+    { name: 'focused_retry', queries: Array.from(new Set([
+      question,
+      ...faultCodes.map(c => `falha ${c}`),
+      technicalKeywords.slice(0, 8).join(' '),
+    ])).filter(Boolean).slice(0, 8) },
+  ];
+
+  // Candidatos acumulados entre rodadas: a fusão é refeita sobre todos, então a normalização
+  // do BM25 e as posições do RRF valem para a busca inteira, não para cada rodada
+  const candidateMap = new Map();
+  let mergedDocs = [];
+
+  for (const plan of iterativePlans) {
+    const planQueries = plan.queries.filter(q => String(q || '').trim().length > 3);
+
+    for (const query of planQueries) {
+      const queryEmb = await generateEmbedding(query);
+      const semanticDocs = await searchSimilar(queryEmb, perQueryTopK, brandFilter, { access });
+      const lexicalDocs = await searchLexical(query, perQueryTopK, brandFilter, { access });
+
+      semanticDocs.forEach((doc, i) => {
+        const key = buildDocKey(doc);
+        const existing = candidateMap.get(key) || { doc, semantic: 0, lexicalRaw: 0, semanticRank: Infinity, lexicalRank: Infinity };
+        existing.semantic = Math.max(existing.semantic || 0, doc.similarity || 0);
+        existing.semanticRank = Math.min(existing.semanticRank, i + 1);
+        candidateMap.set(key, existing);
+      });
+
+      lexicalDocs.forEach((doc, i) => {
+        const key = buildDocKey(doc);
+        const existing = candidateMap.get(key) || { doc, semantic: 0, lexicalRaw: 0, semanticRank: Infinity, lexicalRank: Infinity };
+        existing.lexicalRaw = Math.max(existing.lexicalRaw || 0, doc.similarity || 0);
+        existing.lexicalRank = Math.min(existing.lexicalRank, i + 1);
+        candidateMap.set(key, existing);
+      });
+    }
+
+    mergedDocs = fuseCandidates(candidateMap, fusionProfile);
+
+    const strong = hasStrongEvidence(question, mergedDocs.slice(0, Math.max(topK * 2, 15)), faultCodes, pinoutQuery);
+    const roundTrace = {
+      round: plan.name,
+      queriesTried: planQueries.length,
+      docsAfterRound: mergedDocs.length,
+      topSimilarity: mergedDocs.length ? getEvidenceSimilarity(mergedDocs[0]) : 0,
+      strongEvidence: strong,
+    };
+    retrievalTrace.push(roundTrace);
+    if (onRound) onRound(roundTrace);
+
+    if (strong) break;
+  }
+
+  mergedDocs = rerankDocsByLexicalCoverage(mergedDocs, technicalKeywords);
+
+  if (faultCodeQuery && faultCodes.length) {
+    mergedDocs = rerankDocsForFaultCodes(mergedDocs, faultCodes);
+  }
+
+  mergedDocs = diversifyDocs(mergedDocs, Math.max(topK * 6, 40), 12, 0.9);
+  
+  // ═══ FILTRA POR SIMILARIDADE MÍNIMA ═══
+  const dynamicMinSimilarity = faultCodeQuery ? fusionProfile.faultCodeMinSimilarity : fusionProfile.minSimilarity;
+  let relevantDocs = mergedDocs.filter(doc => getEvidenceSimilarity(doc) >= dynamicMinSimilarity);
+
+  if (faultCodeQuery && faultCodes.length) {
+    const codeMatchedDocs = mergedDocs.filter(doc => docMentionsAnyFaultCode(doc, faultCodes));
+    if (codeMatchedDocs.length) {
+      const merged = [];
+      const seen = new Set();
+      for (const doc of [...codeMatchedDocs, ...relevantDocs]) {
+        const key = `${doc?.metadata?.source || ''}::${doc?.metadata?.chunkIndex ?? ''}::${doc?.metadata?.title || ''}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        merged.push(doc);
+      }
+      relevantDocs = merged;
+    }
+  }
+
+  // ═══ DESAMBIGUAÇÃO (SÉRIE/SEGURANÇA vs. CAN/BUS) ═══
+  relevantDocs = rerankAndFilterDocs(relevantDocs, intent, pinoutQuery);
+
+  const reranked = await rerankDocsWithCrossModel(question, relevantDocs, sessionState, { signal });
+  relevantDocs = reranked.docs;
+
+  relevantDocs = fusionProfile.strategy === 'mmr'
+    ? mmrSelect(relevantDocs, { maxDocs: Math.max(topK * 4, 24), maxPerSource: 10, lambda: fusionProfile.mmrLambda, tokenize: tokenSet })
+    : diversifyDocs(relevantDocs, Math.max(topK * 4, 24), 10, 0.88);
+
+  return {
+    intent: intentLabel,
+    searchQueries,
+    mergedDocs,
+    relevantDocs,
+    retrievalTrace,
+    fusionProfile,
+    minSimilarity: dynamicMinSimilarity,
+    rerankerApplied: reranked.applied,
+    rerankerReason: reranked.reason,
+  };
+}
+
+/**
+ * Cliente desconectou (options.signal): para antes da próxima etapa cara
+ */
+function throwIfAborted(signal) {
+  if (!signal?.aborted) return;
+  const error = new Error('Consulta cancelada: cliente desconectou');
+  error.code = 'QUERY_ABORTED';
+  throw error;
+}
+
+async function runRagQuery(question, agentSystemInstruction = '', topK = 10, brandFilter = null, conversationHistory = [], options = {}) {
   const startTime = Date.now();
+  const streaming = typeof options?.onEvent === 'function';
+  const emit = (type, data) => {
+    if (!streaming) return;
+    try {
+      options.onEvent(type, data);
+    } catch (e) {
+      console.warn(`⚠️  Falha ao emitir evento ${type}:`, e.message);
+    }
+  };
   let telemetryOutcome = 'started';
   let telemetryBlockedReason = null;
   let telemetryDocsSelected = 0;
   let telemetryThreshold = null;
+  // Contexto do atendimento e fontes candidatas: base do relatório de lacunas (knowledgeGaps.js)
+  let telemetryContext = null;
+  let telemetryCandidateSources = [];
   let retrievalTrace = [];
   let rerankerApplied = false;
   let rerankerReason = null;
+  let fusionProfile = null;
+  const access = options?.access || null;
+  const signal = options?.signal || null;
   
   // Similaridade mínima para considerar um documento relevante
   const MIN_SIMILARITY = 0.45; // Com server-side brand filter, podemos ser mais permissivos
@@ -1306,7 +1861,7 @@ export async function ragQuery(question, agentSystemInstruction = '', topK = 10,
       effectiveBrandFilter = explicitBrands[0];
     } else if (explicitBrands.length > 1) {
       return {
-        answer: `Pra não misturar marcas diferentes no seu banco de conhecimento, preciso confirmar a marca antes de responder:\n- Qual marca é esse equipamento (Orona, Otis, Schindler, Sectron, etc.)?`,
+        answer: `Pra não misturar marcas diferentes no seu banco de conhecimento, preciso confirmar a marca antes de responder:\n- Qual marca é esse equipamento (${getBrandNames().slice(0, 4).join(', ')}, etc.)?`,
         sources: [],
         searchTime: Date.now() - startTime,
       };
@@ -1314,8 +1869,7 @@ export async function ragQuery(question, agentSystemInstruction = '', topK = 10,
   }
 
   if (!effectiveBrandFilter) {
-    const indexedRaw = await Promise.resolve(getIndexedSources?.() || []);
-    const indexed = Array.isArray(indexedRaw) ? indexedRaw : [];
+    const indexed = await getAccessibleSources(access);
     const indexedBrands = detectBrandsInText(indexed.join(' '));
 
     if (indexedBrands.length === 1) {
@@ -1331,13 +1885,19 @@ export async function ragQuery(question, agentSystemInstruction = '', topK = 10,
 
   // Verifica cache de respostas (desabilita cache quando há histórico para manter contexto)
   const hasHistory = conversationHistory && conversationHistory.length > 0;
-  const cacheKey = getResponseCacheKey(question, effectiveBrandFilter);
+  // Trecho no meio de tabela/procedimento: completa com vizinhos ou a página (RAG_CONTEXT_EXPANSION)
+  const expansionMode = CONTEXT_EXPANSION_MODES.includes(options?.contextExpansion) ? options.contextExpansion : CONTEXT_EXPANSION;
+  // Perfil de fusão da requisição (avaliações comparando estratégias); já validado por normalizeFusionProfile
+  const fusionOverride = options?.fusion && Object.keys(options.fusion).length ? options.fusion : null;
+  const cacheKey = getResponseCacheKey(question, effectiveBrandFilter, access?.scope, `${expansionMode}|${fusionOverride ? JSON.stringify(fusionOverride) : ''}`);
   if (!hasHistory) {
     const cached = responseCache.get(cacheKey);
     if (cached && (Date.now() - cached.timestamp < RESPONSE_CACHE_TTL)) {
       console.log('📦 Resposta do cache (TTL 5min)');
-      pushRagTelemetry({
+      recordRagTelemetry({
         outcome: 'cache_hit',
+        userId: options?.userId || null,
+        userRole: options?.userRole || null,
         questionPreview: String(question || '').slice(0, 200),
         brandFilter: effectiveBrandFilter || null,
         hasHistory,
@@ -1349,18 +1909,36 @@ export async function ragQuery(question, agentSystemInstruction = '', topK = 10,
   }
   
   try {
-    const intent = classifyIntent(question);
-    const pinoutQuery = isPinoutQuery(question);
+    // Marca fora dos grants do usuário (configurada ou detectada na pergunta): não busca nada
+    if (effectiveBrandFilter && !isBrandAllowed(access, effectiveBrandFilter)) {
+      telemetryOutcome = 'abstained';
+      telemetryBlockedReason = 'brand_not_authorized';
+      return {
+        answer: `Sua conta não tem acesso à documentação da marca **${effectiveBrandFilter}**. Fale com o administrador para liberar essa marca.`,
+        sources: [],
+        searchTime: Date.now() - startTime,
+      };
+    }
+
+    if (!options?.memory && typeof options?.loadMemory === 'function') {
+      options = { ...options, memory: await options.loadMemory() };
+    }
+    throwIfAborted(signal);
 
     // ═══ MULTI-QUERY RETRIEVAL ═══
     // Em vez de buscar com uma query só, gera variações para encontrar mais documentos relevantes
     console.log('🔍 Gerando queries de busca...');
-    
-    const signals = extractSearchSignals(question, conversationHistory);
-    const sessionState = extractSessionState(question, conversationHistory, effectiveBrandFilter, signals);
-    const technicalKeywords = extractTechnicalKeywords(question, conversationHistory, signals);
-    const faultCodes = (signals?.faultCodes?.length ? signals.faultCodes : signals.errorTokens || []).slice(0, 8);
-    const faultCodeQuery = isFaultCodeQuery(question, signals);
+
+    const analysis = analyzeQuestion(question, conversationHistory, effectiveBrandFilter, options);
+    const { intent, pinoutQuery, memoryText, signals, sessionState, technicalKeywords, faultCodes, faultCodeQuery } = analysis;
+    if (typeof options?.onSessionState === 'function') options.onSessionState(sessionState);
+    telemetryContext = {
+      brand: sessionState?.brand || null,
+      model: sessionState?.model || null,
+      board: sessionState?.board || null,
+      faultCodes: (faultCodes || []).slice(0, 6),
+      intent,
+    };
 
     // Gate obrigatório: confirmar marca antes de responder diagnóstico.
     // MAS: se a marca foi detectada via termo técnico (ex: GECB → Otis),
@@ -1435,194 +2013,87 @@ ${qs.map(q => `- ${q}`).join('\n')}`,
       };
     }
 
-    // Query original enriquecida com contexto + sinais (placa/erro) para melhorar recall
-    let enrichedQuery = question;
-    if (hasHistory) {
-      const recentContext = conversationHistory
-        .slice(-10)
-        .filter(m => m.role === 'user')
-        .map(m => m.parts[0]?.text || '')
-        .join(' ');
-      enrichedQuery = `${recentContext} ${question}`;
-    }
-    const intentSuffix = intent === INTENT.safetyChain
-      ? 'serie de seguranca serie de portas circuito de seguranca cadeia de seguranca' // ajuda recall sem inventar entidade
-      : '';
-    const pinoutSuffix = pinoutQuery ? 'conector pino pinagem cn tabela diagrama' : '';
-    const stateSuffixParts = [
-      sessionState?.brand,
-      sessionState?.model,
-      sessionState?.board,
-      sessionState?.connector,
-    ].filter(Boolean);
-    const stateSuffix = stateSuffixParts.length ? stateSuffixParts.join(' ') : '';
-
-    const signalSuffix = [...(signals.boardTokens || []), ...(signals.errorTokens || []), intentSuffix, pinoutSuffix, stateSuffix]
-      .filter(Boolean)
-      .join(' ');
-    if (signalSuffix) enrichedQuery = `${enrichedQuery} ${signalSuffix}`;
-    enrichedQuery = enrichedQuery.substring(0, 700);
-    
-    // Gera variações da pergunta para busca mais ampla
-    let searchQueries = [enrichedQuery];
-
-    // Para perguntas de código/falha, injeta buscas específicas para aumentar recall.
-    const codeQueries = buildFaultCodeQueries(question, faultCodes, sessionState);
-    if (codeQueries.length) {
-      searchQueries.push(...codeQueries);
-    }
-
-    // Busca suplementar por cobertura lexical/técnica (melhora casos além de códigos).
-    const supplementalQueries = buildSupplementalQueries(question, technicalKeywords, sessionState, signals);
-    if (supplementalQueries.length) {
-      searchQueries.push(...supplementalQueries);
-    }
-
-    // Dedup inicial
-    searchQueries = Array.from(new Set(searchQueries.map(q => String(q || '').trim()).filter(Boolean))).slice(0, 10);
-    try {
-      const rewritePrompt = `Você é um assistente de BUSCA (não de resposta) para banco de conhecimento técnico.
-
-    Tarefa: gere EXATAMENTE 2 reformulações da pergunta para melhorar a recuperação em um banco vetorial.
-
-    Regras INEGOCIÁVEIS:
-    - NÃO invente marcas, modelos, placas, códigos ou nomes.
-    - Se existirem tokens na pergunta/contexto (ex: nomes de placas tipo LCBII/MCSS/MCP, ou códigos/erros), mantenha-os IGUAIS.
-    - Pode trocar sinônimos e variar a ordem das palavras, mas sem adicionar entidades novas.
-    - Retorne APENAS as 2 linhas de reformulação (uma por linha), sem numeração e sem texto extra.
-
-    Pergunta: "${question}"${hasHistory ? `\nContexto (resumo): ${enrichedQuery.substring(0, 220)}` : ''}
-
-    Reformulações:`;
-      
-      const rewriteResult = await queryRewriter.generateContent(rewritePrompt);
-      const alternatives = rewriteResult.response.text()
-        .split('\n')
-        .map(l => l.trim())
-        .filter(l => l.length > 5 && l.length < 300)
-        .slice(0, 2);
-      
-      if (alternatives.length > 0) {
-        searchQueries.push(...alternatives);
-        searchQueries = Array.from(new Set(searchQueries.map(q => String(q || '').trim()).filter(Boolean))).slice(0, 12);
-        console.log(`📝 Multi-query: ${searchQueries.length} variações de busca`);
-      }
-    } catch (e) {
-      console.log('⚠️ Reescrita de query falhou, usando query original');
-    }
-    
-    // ═══ BUSCA HÍBRIDA ITERATIVA (VETOR + BM25) ═══
-    console.log(`📚 Buscando documentos...${effectiveBrandFilter ? ` (filtro: ${effectiveBrandFilter})` : ''}`);
-
-    retrievalTrace = [];
-    const perQueryTopK = faultCodeQuery ? topK * 4 : topK * 3;
-
-    const expandedQueries = Array.from(new Set([
-      ...searchQueries,
-      ...buildSupplementalQueries(enrichedQuery, technicalKeywords, sessionState, signals),
-      ...buildFaultCodeQueries(question, faultCodes, sessionState),
-    ].map(q => String(q || '').trim()).filter(Boolean)));
-
-    const iterativePlans = [
-      { name: 'primary_hybrid', queries: searchQueries.slice(0, 10) },
-      { name: 'expanded_hybrid', queries: expandedQueries.slice(0, 14) },
-      { name: 'focused_retry', queries: Array.from(new Set([
-        question,
-        ...faultCodes.map(c => `falha ${c}`),
-        technicalKeywords.slice(0, 8).join(' '),
-      ])).filter(Boolean).slice(0, 8) },
-    ];
-
-    let mergedDocs = [];
-
-    for (const plan of iterativePlans) {
-      const roundMap = new Map();
-      const planQueries = plan.queries.filter(q => String(q || '').trim().length > 3);
-
-      for (const query of planQueries) {
-        const queryEmb = await generateEmbedding(query);
-        const semanticDocs = await searchSimilar(queryEmb, perQueryTopK, effectiveBrandFilter);
-        const lexicalDocs = await searchLexical(query, perQueryTopK, effectiveBrandFilter);
-
-        for (const doc of semanticDocs) {
-          const key = buildDocKey(doc);
-          const existing = roundMap.get(key) || { doc, semantic: 0, lexicalRaw: 0 };
-          existing.semantic = Math.max(existing.semantic || 0, doc.similarity || 0);
-          existing.doc = existing.doc || doc;
-          roundMap.set(key, existing);
-        }
-
-        for (const doc of lexicalDocs) {
-          const key = buildDocKey(doc);
-          const existing = roundMap.get(key) || { doc, semantic: 0, lexicalRaw: 0 };
-          existing.lexicalRaw = Math.max(existing.lexicalRaw || 0, doc.similarity || 0);
-          existing.doc = existing.doc || doc;
-          roundMap.set(key, existing);
-        }
+    // Resposta montada das tabelas extraídas na ingestão (códigos de falha, pinagem): citável,
+    // sem LLM; entra no cache como qualquer resposta
+    const answerFromTable = ({ answer, docs }, strategy) => {
+      const responseSources = docs.map((doc, i) => ({
+        id: i + 1,
+        source: doc.metadata.source || 'Desconhecido',
+        title: doc.metadata.title || '',
+        page: doc.metadata.page ?? null,
+        chunkIndex: doc.metadata.chunkIndex ?? null,
+        excerpt: doc.content.substring(0, 200) + '...',
+        similarity: 100,
+      }));
+      emit('sources', { sources: responseSources });
+      emit('delta', { text: answer });
+      const citations = buildCitations(answer, docs);
+      const response = {
+        answer,
+        sources: responseSources,
+        citations,
+        unsupportedClaims: findUnsupportedClaims(answer, docs),
+        searchTime: Date.now() - startTime,
+        documentsFound: docs.length,
+        telemetry: {
+          strategy,
+          rounds: retrievalTrace,
+          citations: citations.length,
+        },
+      };
+      telemetryOutcome = 'answered';
+      telemetryDocsSelected = docs.length;
+      if (!hasHistory) {
+        if (responseCache.size >= RESPONSE_CACHE_MAX) responseCache.delete(responseCache.keys().next().value);
+        responseCache.set(cacheKey, { response, timestamp: Date.now() });
       }
+      return response;
+    };
 
-      const roundDocs = buildHybridDocs(roundMap);
-
-      const mergedMap = new Map();
-      for (const doc of [...mergedDocs, ...roundDocs]) {
-        const key = buildDocKey(doc);
-        const existing = mergedMap.get(key);
-        if (!existing || (doc.similarity || 0) > (existing.similarity || 0)) {
-          mergedMap.set(key, doc);
-        }
+    // ═══ CAMINHO RÁPIDO: TABELAS DE CÓDIGOS DE FALHA E PINAGEM ═══
+    // Pergunta curta e direta por código/conector: responde com os registros extraídos na ingestão
+    // (sem busca vetorial). Perguntas de diagnóstico em andamento seguem o RAG completo.
+    const directTableQuestion = question.length <= TABLE_FAST_PATH_MAX_CHARS && !isDiagnosticWorkflowQuery(question);
+    if (FAULT_CODE_FAST_PATH && directTableQuestion && faultCodeQuery && faultCodes.length && !extractConnectorTokens(question).length) {
+      const tableAnswer = buildFaultCodeTableAnswer(question, faultCodes, sessionState, access);
+      if (tableAnswer) {
+        console.log(`🧾 Resposta pela tabela de códigos de falha (${tableAnswer.docs.length} registros)`);
+        return answerFromTable(tableAnswer, 'fault_code_table');
       }
-      mergedDocs = Array.from(mergedMap.values()).sort((a, b) => (b.similarity || 0) - (a.similarity || 0));
-
-      const strong = hasStrongEvidence(question, mergedDocs.slice(0, Math.max(topK * 2, 15)), faultCodes, pinoutQuery);
-      retrievalTrace.push({
-        round: plan.name,
-        queriesTried: planQueries.length,
-        docsAfterRound: mergedDocs.length,
-        topSimilarity: mergedDocs[0]?.similarity || 0,
-        strongEvidence: strong,
-      });
-
-      if (strong) break;
-    }
-
-    mergedDocs = rerankDocsByLexicalCoverage(mergedDocs, technicalKeywords);
-
-    if (faultCodeQuery && faultCodes.length) {
-      mergedDocs = rerankDocsForFaultCodes(mergedDocs, faultCodes);
     }
-
-    mergedDocs = diversifyDocs(mergedDocs, Math.max(topK * 6, 40), 12, 0.9);
-    
-    // ═══ FILTRA POR SIMILARIDADE MÍNIMA ═══
-    const dynamicMinSimilarity = faultCodeQuery ? 0.40 : 0.48;
-    telemetryThreshold = dynamicMinSimilarity;
-    let relevantDocs = mergedDocs.filter(doc => doc.similarity >= dynamicMinSimilarity);
-
-    if (faultCodeQuery && faultCodes.length) {
-      const codeMatchedDocs = mergedDocs.filter(doc => docMentionsAnyFaultCode(doc, faultCodes));
-      if (codeMatchedDocs.length) {
-        const merged = [];
-        const seen = new Set();
-        for (const doc of [...codeMatchedDocs, ...relevantDocs]) {
-          const key = `${doc?.metadata?.source || ''}::${doc?.metadata?.chunkIndex ?? ''}::${doc?.metadata?.title || ''}`;
-          if (seen.has(key)) continue;
-          seen.add(key);
-          merged.push(doc);
-        }
-        relevantDocs = merged;
+    if (PINOUT_FAST_PATH && directTableQuestion && pinoutQuery) {
+      const tableAnswer = buildPinoutTableAnswer(question, sessionState, access);
+      if (tableAnswer) {
+        console.log(`🔌 Resposta pela tabela de pinagem (${tableAnswer.docs.length} tabelas)`);
+        return answerFromTable(tableAnswer, 'pinout_table');
       }
     }
 
-    // ═══ DESAMBIGUAÇÃO (SÉRIE/SEGURANÇA vs. CAN/BUS) ═══
-    relevantDocs = rerankAndFilterDocs(relevantDocs, intent, pinoutQuery);
-
-    const reranked = await rerankDocsWithCrossModel(question, relevantDocs, sessionState);
-    relevantDocs = reranked.docs;
-    rerankerApplied = reranked.applied;
-    rerankerReason = reranked.reason;
+    // ═══ MONTAGEM DAS QUERIES + BUSCA HÍBRIDA ITERATIVA ═══
+    const retrieval = await hybridRetrieve(question, analysis, {
+      conversationHistory,
+      brandFilter: effectiveBrandFilter,
+      access,
+      fusionOverride,
+      topK,
+      onRound: (roundTrace) => emit('retrieval', roundTrace),
+      signal,
+    });
+    throwIfAborted(signal);
+    const { mergedDocs, relevantDocs } = retrieval;
+    const dynamicMinSimilarity = retrieval.minSimilarity;
+    retrievalTrace = retrieval.retrievalTrace;
+    fusionProfile = retrieval.fusionProfile;
+    telemetryThreshold = dynamicMinSimilarity;
+    rerankerApplied = retrieval.rerankerApplied;
+    rerankerReason = retrieval.rerankerReason;
+    telemetryCandidateSources = mergedDocs.slice(0, TELEMETRY_CANDIDATE_SOURCES).map(doc => ({
+      source: doc.metadata?.source || null,
+      page: doc.metadata?.page ?? null,
+      chunkType: doc.metadata?.chunkType || null,
+      similarity: Number((doc.similarity || 0).toFixed(4)),
+    }));
 
-    relevantDocs = diversifyDocs(relevantDocs, Math.max(topK * 4, 24), 10, 0.88);
-    
     console.log(`📊 ${mergedDocs.length} docs únicos encontrados, ${relevantDocs.length} acima do threshold (${dynamicMinSimilarity * 100}%)`);
     if (retrievalTrace.length) {
       const compactTrace = retrievalTrace.map(t => `${t.round}:${t.docsAfterRound}:${Math.round((t.topSimilarity || 0) * 100)}%:${t.strongEvidence ? 'ok' : 'weak'}`).join(' | ');
@@ -1667,8 +2138,7 @@ ${qs.map(q => `- ${q}`).join('\n')}`,
         };
       }
 
-      const indexedRaw = await Promise.resolve(getIndexedSources?.() || []);
-      const indexed = (Array.isArray(indexedRaw) ? indexedRaw : [])
+      const indexed = (await getAccessibleSources(access))
         .map(s => fixEncoding((s || '').replace(/^\d+-\d+-/, '').replace(/\.pdf$/i, '')))
         .filter(Boolean);
       const sourcesText = indexed.length ? `Fontes disponíveis no banco de conhecimento: ${indexed.slice(0, 20).join(', ')}.` : 'Nenhuma fonte parece estar indexada no banco de conhecimento no momento.';
@@ -1748,6 +2218,12 @@ ${questions.map(q => `- ${q}`).join('\n')}`,
     // Se é pergunta de pinagem (CN/pinos) e não há nenhum indício de CN/conector/pino no contexto, peça a página/trecho do diagrama.
     if (pinoutQuery) {
       const hasPinoutEvidence = relevantDocs.some(d => countHits(docText(d), PINOUT_KEYWORDS) > 0);
+      // Antes de pedir a página do diagrama: a tabela de pinagem extraída na ingestão pode ter o conector
+      const tableAnswer = hasPinoutEvidence ? null : buildPinoutTableAnswer(question, sessionState, access);
+      if (tableAnswer) {
+        console.log(`🔌 Pinagem sem trecho na busca, respondendo pela tabela (${tableAnswer.docs.length} tabelas)`);
+        return answerFromTable(tableAnswer, 'pinout_table');
+      }
       if (!hasPinoutEvidence) {
         telemetryOutcome = 'abstained';
         telemetryBlockedReason = 'pinout_without_evidence';
@@ -1783,8 +2259,11 @@ Para eu confirmar os pinos sem chute, me envie uma destas coisas:
 
     // ═══ SELECIONA OS MELHORES DOCUMENTOS (diversidade de fontes) ═══
     // Garante que documentos de diferentes fontes apareçam (não só do mesmo PDF)
-    const MAX_CONTEXT_DOCS = 15; // Mais contexto = respostas mais completas
-    const selectedDocs = diversifyDocs(relevantDocs, MAX_CONTEXT_DOCS, 8, 0.9);
+    const diversifiedDocs = diversifyDocs(relevantDocs, MAX_CONTEXT_DOCS, 8, 0.9);
+    const { docs: selectedDocs, stats: expansionStats } = await expandContextDocs(diversifiedDocs, expansionMode, access);
+    if (expansionStats.expandedDocs) {
+      console.log(`🧩 Contexto expandido (${expansionMode}): ${expansionStats.expandedDocs} trechos, +${expansionStats.addedTokens} tokens`);
+    }
     telemetryDocsSelected = selectedDocs.length;
 
     if (isCriticalLiteralQuestion(question) && !hasLiteralCriticalEvidence(question, selectedDocs)) {
@@ -1844,17 +2323,21 @@ Me envie um destes itens para eu responder com exatidão:
       return fixEncoding(clean);
     }).join(', ');
     
-    // 5. Monta o contexto - inclui a fonte de cada trecho
+    // 5. Monta o contexto - numera cada trecho (marcador de citação) e inclui fonte/página
     const context = selectedDocs.map((doc, i) => {
       const sourceName = fixEncoding((doc.metadata?.source || 'Desconhecido').replace(/^\d+-\d+-/, '').replace(/\.pdf$/i, ''));
-      return `[FONTE: ${sourceName}]\n${doc.content}`;
+      const pages = doc.expansion?.pages;
+      const pageLabel = pages && pages[0] !== pages[1]
+        ? ` | págs. ${pages[0]}-${pages[1]}`
+        : (doc.metadata?.page ? ` | pág. ${doc.metadata.page}` : '');
+      return `[${i + 1}] [FONTE: ${sourceName}${pageLabel}]\n${doc.content}`;
     }).join('\n\n---\n\n');
     
     // 6. Monta o histórico da conversa formatado
     let conversationBlock = '';
     if (hasHistory) {
-      // Pega as últimas 10 mensagens (5 trocas) para manter o contexto sem estourar tokens
-      const recentHistory = conversationHistory.slice(-10);
+      // Últimas mensagens (janela da memória); as anteriores entram resumidas no memoryBlock
+      const recentHistory = conversationHistory.slice(-MEMORY_WINDOW_MESSAGES);
       conversationBlock = recentHistory.map(msg => {
         const role = msg.role === 'user' ? 'TÉCNICO' : 'ASSISTENTE';
         const text = msg.parts[0]?.text || '';
@@ -1863,6 +2346,7 @@ Me envie um destes itens para eu responder com exatidão:
         return `${role}: ${truncated}`;
       }).join('\n\n');
     }
+    const memoryBlock = formatMemoryForPrompt(options?.memory);
     
     // 7. System Prompt — TÉCNICO SÊNIOR RESOLUTIVO com guardrails
     const brandContext = brandFilter 
@@ -1898,7 +2382,13 @@ ${conversationBlock ? `Este é o histórico da conversa até agora. LEMBRE de TU
 
 ⚠️ REGRA CRÍTICA DE MEMÓRIA: NUNCA, JAMAIS pergunte algo que o técnico JÁ respondeu no histórico. Se ele já disse o modelo, NÃO pergunte o modelo de novo. Se ele já disse a placa, NÃO pergunte a placa de novo. Repetir perguntas é o PIOR erro que você pode cometer — mostra que você não presta atenção.
 
---- HISTÓRICO ---
+${memoryBlock ? `--- RESUMO DO INÍCIO DO ATENDIMENTO (mensagens antigas) ---
+${memoryBlock}
+--- FIM DO RESUMO ---
+
+NÃO peça de novo medições/testes que já constam no resumo e NÃO volte a sugerir hipóteses já descartadas, a menos que haja motivo novo (explique qual).
+
+` : ''}--- HISTÓRICO ---
 ${conversationBlock}
 --- FIM DO HISTÓRICO ---
 
@@ -2040,7 +2530,9 @@ REGRA ANTI-GENERICIDADE:
 TOM E FORMATO:
 - Português do Brasil, linguagem natural de técnico
 - Use **negrito** pra valores, conectores e termos importantes
-- NÃO cite nomes de arquivo, "[Trecho X]" ou metadados
+- Cada trecho da BASE começa com um número entre colchetes. Marque cada afirmação técnica com o número do trecho que a sustenta, no fim da frase, como [2] ou [1, 3]
+- Toda frase com tensão, código de falha ou conector/pino PRECISA de marcador. Se nenhum trecho sustenta o valor, não escreva o valor
+- NÃO cite nomes de arquivo, páginas ou outros metadados no texto (o marcador numérico basta)
 - NÃO comece com "Olá!" nem "Claro!" — vá direto ao assunto
 - Se a documentação responde completamente, NÃO faça perguntas extras
 - Quando fizer perguntas, faça de forma natural, não como formulário
@@ -2054,24 +2546,39 @@ ${context}
     console.log(`🤖 Gerando resposta... [history: ${conversationHistory.length} msgs]`);
     
     const fullPrompt = `${systemPrompt}\n\nPERGUNTA DO TÉCNICO: ${question}`;
-    const result = await model.generateContent(fullPrompt);
-    let answer = result.response.text();
-
-    // Sanitização de saída (última linha de defesa):
-    // - Remove exemplos/sugestões no formato "(ex: ...)" ou "ex: ..." que podem induzir erro
-    // - Normaliza terminologia para bater com o banco de conhecimento
-    answer = answer
-      .replace(/\(\s*ex\s*:\s*[^)]+\)/gi, '')
-      .replace(/\bex\s*:\s*[^\n]+/gi, '')
-      .replace(/placa\s+controladora/gi, 'placa')
-      .replace(/[ \t]{2,}/g, ' ')
+    throwIfAborted(signal);
+    const responseSources = selectedDocs.map((doc, i) => ({
+      id: i + 1,
+      source: doc.metadata?.source || 'Desconhecido',
+      title: doc.metadata?.title || '',
+      page: doc.metadata?.page ?? null,
+      chunkIndex: doc.metadata?.chunkIndex ?? null,
+      excerpt: (doc.expansion?.originalContent || doc.content).substring(0, 200) + '...',
+      similarity: Math.round(doc.similarity * 100)
+    }));
+
+    let answer;
+    if (streaming) {
+      emit('sources', { sources: responseSources });
+      const sanitizer = createStreamingSanitizer(hasConnectorEvidence, text => emit('delta', { text }));
+      const streamResult = await model.generateContentStream(fullPrompt, { signal });
+      answer = '';
+      for await (const chunk of streamResult.stream) {
+        const text = chunk.text();
+        answer += text;
+        sanitizer.push(text);
+      }
+      sanitizer.flush();
+    } else {
+      const result = await model.generateContent(fullPrompt, { signal });
+      answer = result.response.text();
+    }
+
+    answer = dropInvalidCitationMarkers(sanitizeAnswerText(answer, hasConnectorEvidence), selectedDocs.length)
       .replace(/\n{3,}/g, '\n\n')
       .trim();
-
-    // Se a resposta veio com conectores/pinos mas não existe evidência no contexto/pergunta, remove.
-    if (!hasConnectorEvidence) {
-      answer = stripConnectorLikeTokens(answer);
-    }
+    const streamedAnswer = answer;
+    let correctionReason = null;
 
     // Validação de ancoragem (segurança): bloqueia afirmações arriscadas sem evidência literal no contexto recuperado.
     // Isso evita "chutes" de tensão, códigos, significados de piscadas e instruções de bypass/jumper.
@@ -2104,6 +2611,7 @@ ${context}
 
     if (missingEvidence.length) {
       answer = buildUnsafeUngroundedReply(sessionState, missingEvidence);
+      correctionReason = 'missing_evidence';
     }
 
     // Linha de defesa contra confusão Série/Segurança vs. BUS/CAN
@@ -2111,6 +2619,7 @@ ${context}
       const hasBusTokens = /\b(c_l|c_h|can|bus|barramento)\b/i.test(answer);
       if (hasBusTokens) {
         answer = buildBusVsSafetyAnswer();
+        correctionReason = correctionReason || 'bus_vs_safety';
       }
     }
 
@@ -2125,25 +2634,43 @@ ${context}
       }
     }
     
+    // O texto já enviado não volta atrás: guardrail que troca a resposta vira uma correção no fim do stream
+    if (answer !== streamedAnswer) {
+      if (!correctionReason && answer.startsWith(streamedAnswer)) {
+        emit('delta', { text: answer.slice(streamedAnswer.length) });
+      } else {
+        emit('correction', { reason: correctionReason, missingEvidence, text: answer });
+      }
+    }
+
+    // Citações por afirmação (marcador → fonte/página/trecho) e frases críticas sem respaldo
+    const citations = correctionReason ? [] : buildCitations(answer, selectedDocs);
+    const unsupportedClaims = correctionReason ? [] : findUnsupportedClaims(answer, selectedDocs);
+    if (unsupportedClaims.length) {
+      console.log(`⚠️  ${unsupportedClaims.length} afirmação(ões) crítica(s) sem citação válida`);
+    }
+
     const endTime = Date.now();
     
     // 9. Retorna resposta formatada com metadados
     const response = {
       answer,
-      sources: selectedDocs.map(doc => ({
-        source: doc.metadata?.source || 'Desconhecido',
-        title: doc.metadata?.title || '',
-        excerpt: doc.content.substring(0, 200) + '...',
-        similarity: Math.round(doc.similarity * 100)
-      })),
+      sources: responseSources,
+      citations,
+      unsupportedClaims,
       searchTime: endTime - startTime,
       documentsFound: selectedDocs.length,
       telemetry: {
         strategy: 'hybrid_bm25_vector_iterative',
         rounds: typeof retrievalTrace !== 'undefined' ? retrievalTrace : [],
         threshold: dynamicMinSimilarity,
+        fusion: { strategy: fusionProfile.strategy, applied: fusionProfile.applied },
         rerankerApplied,
         rerankerReason,
+        citations: citations.length,
+        unsupportedClaims: unsupportedClaims.length,
+        ...(expansionStats.expandedDocs ? { contextExpansion: expansionStats } : {}),
+        ...(correctionReason ? { guardrailCorrection: correctionReason } : {}),
       }
     };
 
@@ -2162,20 +2689,30 @@ ${context}
     return response;
     
   } catch (error) {
+    if (signal?.aborted) {
+      telemetryOutcome = 'aborted';
+      console.log('🔌 RAG interrompido: cliente desconectou');
+      throwIfAborted(signal);
+    }
     telemetryOutcome = 'error';
     telemetryBlockedReason = error?.message || 'unknown_error';
     console.error('Erro no RAG:', error);
     throw error;
   } finally {
-    pushRagTelemetry({
+    recordRagTelemetry({
       outcome: telemetryOutcome,
       blockedReason: telemetryBlockedReason,
+      userId: options?.userId || null,
+      userRole: options?.userRole || null,
       questionPreview: String(question || '').slice(0, 200),
       brandFilter: effectiveBrandFilter || null,
       hasHistory: Boolean(hasHistory),
       topK,
       selectedDocs: telemetryDocsSelected,
       threshold: telemetryThreshold,
+      fusionStrategy: fusionProfile?.strategy || null,
+      context: telemetryContext,
+      candidateSources: telemetryCandidateSources,
       rerankerApplied,
       rerankerReason,
       rounds: Array.isArray(retrievalTrace) ? retrievalTrace.slice(0, 6) : [],
@@ -2187,9 +2724,43 @@ ${context}
 /**
  * Busca simples sem geração (apenas retorna documentos relevantes)
  */
-export async function searchOnly(question, topK = 10, brandFilter = null) {
+export async function searchOnly(question, topK = 10, brandFilter = null, { access = null } = {}) {
+  if (brandFilter && !isBrandAllowed(access, brandFilter)) return [];
   const queryEmbedding = await generateEmbedding(question);
-  return await searchSimilar(queryEmbedding, topK, brandFilter);
+  return await searchSimilar(queryEmbedding, topK, brandFilter, { access });
+}
+
+/**
+ * Só a recuperação do ragQuery (análise da pergunta, montagem das queries e busca híbrida), sem gates,
+ * tabelas e geração. Para a avaliação de recuperação (scripts/evaluateRetrieval.js).
+ * Sem marca informada, usa a marca citada na pergunta (se for uma só).
+ * @returns {Promise<{ docs: Array, candidates: number, intent: string, threshold: number, fusion: string, rounds: Array }>}
+ *   docs na ordem final (mesma lista que o ragQuery seleciona para o contexto, antes da expansão)
+ */
+export async function retrieveOnly(question, { topK = 10, brandFilter = null, conversationHistory = [], access = null, fusion = null, rewriteQueries = false } = {}) {
+  const detected = detectBrandsInText(question);
+  const effectiveBrandFilter = String(brandFilter || '').trim() || (detected.length === 1 ? detected[0] : null);
+  if (effectiveBrandFilter && !isBrandAllowed(access, effectiveBrandFilter)) {
+    return { docs: [], candidates: 0, intent: null, threshold: null, fusion: null, rounds: [] };
+  }
+
+  const analysis = analyzeQuestion(question, conversationHistory, effectiveBrandFilter);
+  const retrieval = await hybridRetrieve(question, analysis, {
+    conversationHistory,
+    brandFilter: effectiveBrandFilter,
+    access,
+    fusionOverride: fusion && Object.keys(fusion).length ? fusion : null,
+    topK,
+    rewriteQueries,
+  });
+  return {
+    docs: diversifyDocs(retrieval.relevantDocs, MAX_CONTEXT_DOCS, 8, 0.9),
+    candidates: retrieval.mergedDocs.length,
+    intent: retrieval.intent,
+    threshold: retrieval.minSimilarity,
+    fusion: retrieval.fusionProfile.strategy,
+    rounds: retrieval.retrievalTrace,
+  };
 }
 
 /**
@@ -2204,7 +2775,6 @@ export async function hasKnowledgeAbout(topic) {
 export default {
   ragQuery,
   searchOnly,
+  retrieveOnly,
   hasKnowledgeAbout,
-  getRecentRagTelemetry,
-  clearRagTelemetry,
 };
@@ -0,0 +1,288 @@
+/**
+ * Fusão da busca híbrida (vetor + BM25)
+ * Estratégias:
+ *   linear → semântico × weights.semantic + léxico × weights.lexical + bônus por chunkType
+ *   rrf    → Reciprocal Rank Fusion: Σ peso / (rrfK + melhor posição do chunk em cada canal),
+ *            normalizado pelo máximo possível (1º lugar nos dois canais = 1)
+ *            (só ordena: o score de posição não diz se o trecho é relevante)
+ *   mmr    → pontuação linear + seleção final por Maximal Marginal Relevance (mmrLambda)
+ * O score léxico é normalizado pelo maior BM25 de todas as rodadas (não por rodada).
+ * minSimilarity/faultCodeMinSimilarity valem sobre evidenceSimilarity — a combinação linear dos
+ * scores brutos (similaridade do vetor + BM25) —, em qualquer estratégia; assim o limiar de
+ * abstenção significa o mesmo no linear e no rrf.
+ *
+ * Perfis em data/retrieval_fusion.json (recarregado ao mudar no disco), do mais geral ao mais específico:
+ *   {
+ *     "default": { "strategy": "linear", "weights": { "semantic": 0.68, "lexical": 0.32 } },
+ *     "intents": { "fault_code": { "minSimilarity": 0.40 }, "pinout": {...}, "safety_chain": {...}, "general": {...} },
+ *     "brands": { "Otis": { "strategy": "rrf", "minSimilarity": 0.45 } }
+ *   }
+ * Requisições de admin podem sobrescrever o perfil (campo fusion em /api/query) para comparar estratégias em avaliações.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { getBrand } from './brandRegistry.js';
+import { createHotReloadConfig } from './jsonConfig.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FUSION_FILE = process.env.RETRIEVAL_FUSION_PATH || path.join(__dirname, '..', 'data', 'retrieval_fusion.json');
+
+export const FUSION_STRATEGIES = ['linear', 'rrf', 'mmr'];
+
+// Valores históricos do buildHybridDocs/dynamicMinSimilarity
+export const DEFAULT_FUSION_PROFILE = Object.freeze({
+  strategy: 'linear',
+  weights: Object.freeze({ semantic: 0.68, lexical: 0.32 }),
+  chunkTypeBonus: Object.freeze({ fault_code: 0.07, page_window: 0.03 }),
+  rrfK: 60,
+  mmrLambda: 0.7,
+  minSimilarity: 0.48,
+  faultCodeMinSimilarity: 0.40,
+});
+
+function createFusionError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function clamp01(value) {
+  if (!Number.isFinite(value)) return 0;
+  return Math.max(0, Math.min(1, value));
+}
+
+/**
+ * Valida um perfil parcial (só os campos informados). Campo inválido → erro INVALID_FUSION.
+ */
+export function normalizeFusionProfile(input) {
+  if (input === null || input === undefined || input === '') return {};
+  if (typeof input === 'string') input = { strategy: input };
+  if (typeof input !== 'object' || Array.isArray(input)) throw createFusionError('Perfil de fusão deve ser um objeto ou o nome da estratégia', 'INVALID_FUSION');
+
+  const out = {};
+  const unit = (value, field) => {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0 || n > 1) throw createFusionError(`${field} deve estar entre 0 e 1`, 'INVALID_FUSION');
+    return n;
+  };
+
+  if (input.strategy !== undefined) {
+    const strategy = String(input.strategy).trim().toLowerCase();
+    if (!FUSION_STRATEGIES.includes(strategy)) {
+      throw createFusionError(`Estratégia de fusão inválida: "${input.strategy}" (use ${FUSION_STRATEGIES.join(', ')})`, 'INVALID_FUSION');
+    }
+    out.strategy = strategy;
+  }
+  if (input.weights !== undefined) {
+    const weights = {};
+    for (const channel of ['semantic', 'lexical']) {
+      if (input.weights?.[channel] !== undefined) weights[channel] = unit(input.weights[channel], `weights.${channel}`);
+    }
+    out.weights = weights;
+  }
+  if (input.chunkTypeBonus !== undefined) {
+    if (!input.chunkTypeBonus || typeof input.chunkTypeBonus !== 'object') throw createFusionError('chunkTypeBonus deve ser um objeto', 'INVALID_FUSION');
+    out.chunkTypeBonus = {};
+    for (const [type, bonus] of Object.entries(input.chunkTypeBonus)) out.chunkTypeBonus[type] = unit(bonus, `chunkTypeBonus.${type}`);
+  }
+  if (input.rrfK !== undefined) {
+    const k = parseInt(input.rrfK, 10);
+    if (!Number.isFinite(k) || k < 1 || k > 1000) throw createFusionError('rrfK deve estar entre 1 e 1000', 'INVALID_FUSION');
+    out.rrfK = k;
+  }
+  for (const field of ['mmrLambda', 'minSimilarity', 'faultCodeMinSimilarity']) {
+    if (input[field] !== undefined) out[field] = unit(input[field], field);
+  }
+  return out;
+}
+
+function mergeProfile(base, patch) {
+  return {
+    ...base,
+    ...patch,
+    weights: { ...base.weights, ...(patch.weights || {}) },
+    chunkTypeBonus: { ...base.chunkTypeBonus, ...(patch.chunkTypeBonus || {}) },
+  };
+}
+
+function readFusionFile() {
+  if (!fs.existsSync(FUSION_FILE)) return { default: {}, intents: {}, brands: {} };
+  const raw = JSON.parse(fs.readFileSync(FUSION_FILE, 'utf-8'));
+  const section = (obj) => Object.fromEntries(
+    Object.entries(obj && typeof obj === 'object' ? obj : {}).map(([key, profile]) => [key, normalizeFusionProfile(profile)])
+  );
+  return {
+    default: normalizeFusionProfile(raw.default),
+    intents: section(raw.intents),
+    brands: section(raw.brands),
+  };
+}
+
+const fusionConfig = createHotReloadConfig(FUSION_FILE, {
+  load: readFusionFile,
+  onLoad: (config) => {
+    const overrides = Object.keys(config.intents).length + Object.keys(config.brands).length;
+    if (overrides || Object.keys(config.default).length) {
+      console.log(`🧮 Fusão da busca: padrão ${config.default.strategy || DEFAULT_FUSION_PROFILE.strategy}, ${overrides} perfis por intenção/marca`);
+    }
+  },
+  label: 'Configuração de fusão inválida',
+  fallback: () => ({ default: {}, intents: {}, brands: {} }),
+});
+
+export function reloadFusionConfig() {
+  return fusionConfig.reload();
+}
+
+function getConfig() {
+  return fusionConfig.get();
+}
+
+export function getFusionConfig() {
+  return { defaults: DEFAULT_FUSION_PROFILE, ...structuredClone(getConfig()) };
+}
+
+/**
+ * Perfil efetivo: padrão → intenção → marca → override da requisição
+ * @param {string} [options.intent] - fault_code | pinout | safety_chain | general
+ * @param {string} [options.brand] - marca (aceita alias do registro)
+ * @param {object|string} [options.override] - perfil parcial já validado por normalizeFusionProfile
+ * @returns {object} perfil completo + applied (camadas usadas, para telemetria)
+ */
+export function resolveFusionProfile({ intent = null, brand = null, override = null } = {}) {
+  const current = getConfig();
+  const applied = ['default'];
+  let profile = mergeProfile(DEFAULT_FUSION_PROFILE, current.default);
+
+  if (intent && current.intents[intent]) {
+    profile = mergeProfile(profile, current.intents[intent]);
+    applied.push(`intent:${intent}`);
+  }
+  if (brand) {
+    const canonical = getBrand(brand)?.name || brand;
+    const key = Object.keys(current.brands).find(b => b.toLowerCase() === String(canonical).toLowerCase());
+    if (key) {
+      profile = mergeProfile(profile, current.brands[key]);
+      applied.push(`brand:${key}`);
+    }
+  }
+  if (override && Object.keys(override).length) {
+    profile = mergeProfile(profile, override);
+    applied.push('request');
+  }
+  return { ...profile, applied };
+}
+
+/**
+ * Pontua os candidatos acumulados de todas as rodadas.
+ * @param {Map} candidates - chave → { doc, semantic, lexicalRaw, semanticRank, lexicalRank }
+ *   semantic = maior similaridade do vetor; lexicalRaw = maior BM25; *Rank = melhor posição (1 = topo)
+ *   numa lista de resultados do canal (Infinity se o canal não trouxe o chunk)
+ * @returns {Array} docs ordenados com similarity (score fundido, 0..1), evidenceSimilarity (scores brutos,
+ *   usado nos limiares), semanticSimilarity e lexicalSimilarity
+ */
+export function fuseCandidates(candidates, profile) {
+  const rows = Array.from(candidates.values());
+  if (!rows.length) return [];
+
+  const maxLex = rows.reduce((max, r) => Math.max(max, r.lexicalRaw || 0), 0) || 1;
+  const { semantic: wSem, lexical: wLex } = profile.weights;
+  const k = profile.rrfK;
+  const rrfMax = (wSem + wLex) / (k + 1) || 1;
+
+  return rows
+    .map(r => {
+      const semantic = clamp01(r.semantic || 0);
+      const lexical = clamp01((r.lexicalRaw || 0) / maxLex);
+      const chunkBonus = profile.chunkTypeBonus[String(r.doc?.metadata?.chunkType || '')] || 0;
+
+      const evidence = clamp01((semantic * wSem) + (lexical * wLex) + chunkBonus);
+      let score = evidence;
+      if (profile.strategy === 'rrf') {
+        const rrf = (Number.isFinite(r.semanticRank) ? wSem / (k + r.semanticRank) : 0)
+          + (Number.isFinite(r.lexicalRank) ? wLex / (k + r.lexicalRank) : 0);
+        score = clamp01((rrf / rrfMax) + chunkBonus);
+      }
+
+      return {
+        ...r.doc,
+        similarity: score,
+        evidenceSimilarity: evidence,
+        semanticSimilarity: semantic,
+        lexicalSimilarity: lexical,
+      };
+    })
+    .sort((a, b) => b.similarity - a.similarity);
+}
+
+/**
+ * Score comparado com os limiares (minSimilarity, evidência forte); docs sem fusão usam similarity
+ */
+export function getEvidenceSimilarity(doc) {
+  return Number.isFinite(doc?.evidenceSimilarity) ? doc.evidenceSimilarity : (doc?.similarity || 0);
+}
+
+/**
+ * Seleção MMR: a cada passo escolhe o doc com maior λ·relevância − (1−λ)·semelhança com os já escolhidos.
+ * Semelhança = Jaccard dos tokens (tokenize: texto → Set). Mantém o limite por fonte e descarta quase-duplicatas.
+ */
+export function mmrSelect(docs, { maxDocs = 25, maxPerSource = 8, lambda = 0.7, nearDuplicateThreshold = 0.88, tokenize } = {}) {
+  if (!Array.isArray(docs) || docs.length === 0) return [];
+
+  const jaccard = (a, b) => {
+    if (!a.size || !b.size) return 0;
+    let intersection = 0;
+    for (const t of a) if (b.has(t)) intersection += 1;
+    return intersection / (a.size + b.size - intersection);
+  };
+
+  const pool = docs
+    .map(doc => ({ doc, tokens: tokenize(`${doc?.metadata?.title || ''} ${doc?.content || ''}`), maxSim: 0 }))
+    .filter(c => c.tokens.size > 0);
+  const selected = [];
+  const sourceCounts = new Map();
+
+  while (selected.length < maxDocs && pool.length) {
+    let bestIdx = -1;
+    let bestScore = -Infinity;
+    for (let i = 0; i < pool.length; i++) {
+      const source = pool[i].doc?.metadata?.source || 'unknown';
+      if ((sourceCounts.get(source) || 0) >= maxPerSource || pool[i].maxSim >= nearDuplicateThreshold) continue;
+      const score = (lambda * (pool[i].doc.similarity || 0)) - ((1 - lambda) * pool[i].maxSim);
+      if (score > bestScore) {
+        bestScore = score;
+        bestIdx = i;
+      }
+    }
+    if (bestIdx < 0) break;
+
+    const [chosen] = pool.splice(bestIdx, 1);
+    const source = chosen.doc?.metadata?.source || 'unknown';
+    sourceCounts.set(source, (sourceCounts.get(source) || 0) + 1);
+    selected.push(chosen.doc);
+    for (const candidate of pool) {
+      candidate.maxSim = Math.max(candidate.maxSim, jaccard(candidate.tokens, chosen.tokens));
+    }
+  }
+
+  return selected;
+}
+
+export default {
+  FUSION_STRATEGIES,
+  DEFAULT_FUSION_PROFILE,
+  normalizeFusionProfile,
+  reloadFusionConfig,
+  getFusionConfig,
+  resolveFusionProfile,
+  fuseCandidates,
+  getEvidenceSimilarity,
+  mmrSelect,
+};
@@ -0,0 +1,286 @@
+/**
+ * Sessões de conversa (lado servidor)
+ * O cliente manda só o sessionId: o histórico e o estado acumulado do atendimento ficam aqui,
+ * um arquivo por sessão em data/sessions/<id>.json:
+ *   { id, ownerId, title, brandFilter, state, pinned, memory, messages, nextSeq, createdAt, updatedAt }
+ *
+ * state = { brand, model, board, error, connector } detectado a cada resposta do RAG.
+ * Campos corrigidos pelo técnico (PATCH) ficam em `pinned` e não são sobrescritos pela
+ * detecção automática até nova correção (valor null libera o campo).
+ * memory = resumo das mensagens que saíram da janela do prompt (conversationMemory.js).
+ * Cada mensagem tem um seq crescente, que a memória usa para saber até onde já resumiu.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { writeJsonAtomic } from './jsonConfig.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SESSIONS_DIR = process.env.SESSIONS_PATH || path.join(__dirname, '..', 'data', 'sessions');
+const SESSION_TTL_MS = Math.max(1, parseInt(process.env.SESSION_TTL_DAYS || '30', 10)) * 24 * 60 * 60 * 1000;
+const SESSION_MAX_MESSAGES = Math.max(10, parseInt(process.env.SESSION_MAX_MESSAGES || '200', 10));
+const SESSION_HISTORY_MESSAGES = Math.max(1, parseInt(process.env.SESSION_HISTORY_MESSAGES || '10', 10));
+const MAX_MESSAGE_CHARS = 20000;
+
+export const SESSION_STATE_FIELDS = ['brand', 'model', 'board', 'error', 'connector'];
+const MESSAGE_ROLES = ['user', 'model'];
+const ID_PATTERN = /^[a-f0-9-]{36}$/;
+
+let sessions = null; // id → sessão
+
+function createSessionError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function sessionFile(id) {
+  return path.join(SESSIONS_DIR, `${id}.json`);
+}
+
+function removeSessionFile(id) {
+  try {
+    fs.rmSync(sessionFile(id), { force: true });
+  } catch {}
+}
+
+function emptyState() {
+  return Object.fromEntries(SESSION_STATE_FIELDS.map(f => [f, null]));
+}
+
+/**
+ * Carrega as sessões do disco (uma vez) e descarta as inativas há mais de SESSION_TTL_DAYS
+ */
+function ensureLoaded() {
+  if (sessions) return;
+  sessions = new Map();
+  if (!fs.existsSync(SESSIONS_DIR)) return;
+
+  const now = Date.now();
+  let expired = 0;
+  for (const file of fs.readdirSync(SESSIONS_DIR)) {
+    if (!file.endsWith('.json')) continue;
+    try {
+      const session = JSON.parse(fs.readFileSync(path.join(SESSIONS_DIR, file), 'utf-8'));
+      if (!session?.id) continue;
+      // Sessões anteriores ao seq/memória
+      if (!Number.isInteger(session.nextSeq)) {
+        session.messages = (session.messages || []).map((m, i) => ({ ...m, seq: i }));
+        session.nextSeq = session.messages.length;
+      }
+      if (session.memory === undefined) session.memory = null;
+      if (now - (session.updatedAt || 0) > SESSION_TTL_MS) {
+        removeSessionFile(session.id);
+        expired++;
+        continue;
+      }
+      sessions.set(session.id, session);
+    } catch (error) {
+      console.warn(`⚠️  Sessão ${file} ignorada: ${error.message}`);
+    }
+  }
+  console.log(`💬 Sessões de conversa: ${sessions.size} ativas${expired ? `, ${expired} expiradas removidas` : ''}`);
+}
+
+function persist(session) {
+  session.updatedAt = Date.now();
+  writeJsonAtomic(sessionFile(session.id), session);
+}
+
+/**
+ * Sessão do dono (ownerId null = admin, acessa qualquer uma).
+ * Sessão de outro usuário responde como inexistente.
+ */
+function loadSession(id, ownerId) {
+  ensureLoaded();
+  const session = ID_PATTERN.test(String(id || '')) ? sessions.get(String(id)) : null;
+  if (!session || (ownerId && session.ownerId !== ownerId)) {
+    throw createSessionError(`Sessão "${id}" não encontrada`, 'SESSION_NOT_FOUND');
+  }
+  return session;
+}
+
+function normalizeStateValue(field, value) {
+  if (value === null) return null;
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    throw createSessionError(`Valor inválido para "${field}"`, 'INVALID_SESSION');
+  }
+  const text = String(value).trim().slice(0, 120);
+  return text || null;
+}
+
+function normalizeMessages(messages) {
+  if (!Array.isArray(messages) || !messages.length) {
+    throw createSessionError('messages deve ser uma lista não vazia', 'INVALID_SESSION');
+  }
+  const now = Date.now();
+  return messages.map((m, i) => {
+    // Aceita também o formato do Gemini ({ role, parts: [{ text }] }) usado em conversationHistory
+    const role = String(m?.role || '');
+    const text = typeof m?.text === 'string' ? m.text : m?.parts?.[0]?.text;
+    if (!MESSAGE_ROLES.includes(role)) {
+      throw createSessionError(`messages[${i}].role inválido (use ${MESSAGE_ROLES.join(' ou ')})`, 'INVALID_SESSION');
+    }
+    if (typeof text !== 'string' || !text.trim()) {
+      throw createSessionError(`messages[${i}].text é obrigatório`, 'INVALID_SESSION');
+    }
+    return {
+      role,
+      text: text.slice(0, MAX_MESSAGE_CHARS),
+      at: now,
+      ...(m.sources ? { sources: m.sources } : {}),
+    };
+  });
+}
+
+function toSummary(session) {
+  const last = session.messages[session.messages.length - 1];
+  return {
+    id: session.id,
+    ownerId: session.ownerId,
+    title: session.title,
+    brandFilter: session.brandFilter,
+    state: { ...session.state },
+    pinned: [...session.pinned],
+    memory: session.memory,
+    messageCount: session.messages.length,
+    preview: last ? last.text.slice(0, 90) : '',
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+  };
+}
+
+export function createSession(ownerId, { title = null, brandFilter = null, state = {} } = {}) {
+  if (!ownerId) throw createSessionError('ownerId é obrigatório', 'INVALID_SESSION');
+  ensureLoaded();
+  const now = Date.now();
+  const session = {
+    id: crypto.randomUUID(),
+    ownerId: String(ownerId),
+    title: title ? String(title).slice(0, 120) : null,
+    brandFilter: brandFilter ? String(brandFilter).trim() || null : null,
+    state: emptyState(),
+    pinned: [],
+    memory: null,
+    messages: [],
+    nextSeq: 0,
+    createdAt: now,
+    updatedAt: now,
+  };
+  // Estado inicial informado pelo cliente conta como correção explícita
+  for (const field of SESSION_STATE_FIELDS) {
+    if (state?.[field] === undefined) continue;
+    session.state[field] = normalizeStateValue(field, state[field]);
+    if (session.state[field] !== null) session.pinned.push(field);
+  }
+  sessions.set(session.id, session);
+  persist(session);
+  return structuredClone(session);
+}
+
+export function getSession(id, { ownerId = null } = {}) {
+  return structuredClone(loadSession(id, ownerId));
+}
+
+export function listSessions({ ownerId = null, limit = 50 } = {}) {
+  ensureLoaded();
+  return [...sessions.values()]
+    .filter(s => !ownerId || s.ownerId === ownerId)
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+    .slice(0, Math.max(1, limit))
+    .map(toSummary);
+}
+
+/**
+ * Acrescenta mensagens ao log. `state` (detectado pelo RAG) atualiza só os campos não corrigidos.
+ */
+export function appendSessionMessages(id, messages, { ownerId = null, state = null } = {}) {
+  const session = loadSession(id, ownerId);
+  const normalized = normalizeMessages(messages).map(m => ({ ...m, seq: session.nextSeq++ }));
+  session.messages.push(...normalized);
+  if (session.messages.length > SESSION_MAX_MESSAGES) {
+    session.messages.splice(0, session.messages.length - SESSION_MAX_MESSAGES);
+  }
+  if (!session.title) {
+    const firstUser = session.messages.find(m => m.role === 'user');
+    if (firstUser) session.title = firstUser.text.slice(0, 60);
+  }
+  if (state) {
+    for (const field of SESSION_STATE_FIELDS) {
+      if (session.pinned.includes(field)) continue;
+      const value = state[field];
+      if (value !== undefined && value !== null && value !== '') session.state[field] = normalizeStateValue(field, value);
+    }
+  }
+  persist(session);
+  return structuredClone(session);
+}
+
+/**
+ * Correção explícita (PATCH): campos de estado, título e filtro de marca
+ */
+export function updateSession(id, { state, title, brandFilter } = {}, { ownerId = null } = {}) {
+  const session = loadSession(id, ownerId);
+  if (state !== undefined) {
+    if (!state || typeof state !== 'object') throw createSessionError('state deve ser um objeto', 'INVALID_SESSION');
+    const unknown = Object.keys(state).filter(f => !SESSION_STATE_FIELDS.includes(f));
+    if (unknown.length) {
+      throw createSessionError(`Campos inválidos: ${unknown.join(', ')} (use ${SESSION_STATE_FIELDS.join(', ')})`, 'INVALID_SESSION');
+    }
+    for (const [field, raw] of Object.entries(state)) {
+      const value = normalizeStateValue(field, raw);
+      session.state[field] = value;
+      session.pinned = session.pinned.filter(f => f !== field);
+      if (value !== null) session.pinned.push(field);
+    }
+  }
+  if (title !== undefined) session.title = title ? String(title).slice(0, 120) : null;
+  if (brandFilter !== undefined) session.brandFilter = brandFilter ? String(brandFilter).trim() || null : null;
+  persist(session);
+  return structuredClone(session);
+}
+
+/**
+ * Grava a memória resumida da sessão (conversationMemory.updateConversationMemory)
+ */
+export function setSessionMemory(id, memory) {
+  const session = loadSession(id, null);
+  session.memory = memory;
+  persist(session);
+  return structuredClone(session.memory);
+}
+
+export function deleteSession(id, { ownerId = null } = {}) {
+  loadSession(id, ownerId);
+  sessions.delete(id);
+  removeSessionFile(id);
+  return { deleted: id };
+}
+
+/**
+ * Últimas mensagens no formato conversationHistory do ragQuery ([{ role, parts: [{ text }] }])
+ */
+export function getConversationHistory(session, limit = SESSION_HISTORY_MESSAGES) {
+  return (session?.messages || [])
+    .slice(-Math.max(1, limit))
+    .map(m => ({ role: m.role, parts: [{ text: m.text }], seq: m.seq }));
+}
+
+export default {
+  SESSION_STATE_FIELDS,
+  createSession,
+  getSession,
+  listSessions,
+  appendSessionMessages,
+  updateSession,
+  setSessionMemory,
+  deleteSession,
+  getConversationHistory,
+};
@@ -0,0 +1,329 @@
+/**
+ * Assinaturas e cotas de consulta (lado servidor)
+ * Um registro por usuário em data/subscriptions.json:
+ *   { userId, planId, status, periodStart, periodEnd, expiresAt, used, renewals, payments, history }
+ *
+ * Ciclo de vida:
+ *   - free: janela de cota de SUBSCRIPTION_PERIOD_DAYS que rola automaticamente
+ *   - pago: cada pagamento aprovado ativa (ou renova) o plano por um período; renovação
+ *     antecipada acumula em expiresAt e o próximo ciclo começa quando o atual termina
+ *   - vencido: past_due durante SUBSCRIPTION_GRACE_DAYS (mantém o plano), depois expired
+ *     (volta para as cotas do free até um novo pagamento)
+ *
+ * Os limites vêm dos planos registrados com setSubscriptionPlans (SUBSCRIPTION_PLANS do index.js).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { writeJsonAtomic } from './jsonConfig.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SUBSCRIPTIONS_FILE = process.env.SUBSCRIPTIONS_PATH || path.join(__dirname, '..', 'data', 'subscriptions.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_MS = Math.max(1, parseInt(process.env.SUBSCRIPTION_PERIOD_DAYS || '30', 10)) * DAY_MS;
+const GRACE_MS = Math.max(0, parseInt(process.env.SUBSCRIPTION_GRACE_DAYS || '3', 10)) * DAY_MS;
+const FREE_PLAN_ID = 'free';
+const MAX_HISTORY = 50;
+const MAX_PAYMENTS = 50;
+
+export const SUBSCRIPTION_STATUSES = ['active', 'past_due', 'expired', 'cancelled'];
+
+let plans = {};
+let subscriptions = null; // userId → registro
+
+function createSubscriptionError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Registra os planos ({ id, planName, price, monthlyQueries })
+ */
+export function setSubscriptionPlans(nextPlans) {
+  plans = nextPlans || {};
+}
+
+function ensureLoaded() {
+  if (subscriptions) return;
+  subscriptions = new Map();
+  if (!fs.existsSync(SUBSCRIPTIONS_FILE)) return;
+  try {
+    const raw = JSON.parse(fs.readFileSync(SUBSCRIPTIONS_FILE, 'utf-8'));
+    for (const sub of raw.subscriptions || []) subscriptions.set(sub.userId, sub);
+    console.log(`🎫 Assinaturas: ${subscriptions.size} usuários`);
+  } catch (error) {
+    console.error('❌ Arquivo de assinaturas inválido, iniciando vazio:', error.message);
+  }
+}
+
+function persist() {
+  try {
+    writeJsonAtomic(SUBSCRIPTIONS_FILE, { version: 1, subscriptions: [...subscriptions.values()] });
+  } catch (error) {
+    console.error('Erro ao persistir assinaturas:', error.message);
+  }
+}
+
+function pushHistory(sub, event, extra = {}) {
+  sub.history.push({ event, planId: sub.planId, status: sub.status, at: Date.now(), ...extra });
+  if (sub.history.length > MAX_HISTORY) sub.history.splice(0, sub.history.length - MAX_HISTORY);
+}
+
+function isPaidPlan(planId) {
+  return !!plans[planId]?.price;
+}
+
+function hasPaidAccess(sub) {
+  return isPaidPlan(sub.planId) && (sub.status === 'active' || sub.status === 'past_due');
+}
+
+/**
+ * Plano que define a cota agora (free quando a assinatura paga não está vigente)
+ */
+function effectivePlanId(sub) {
+  return hasPaidAccess(sub) ? sub.planId : FREE_PLAN_ID;
+}
+
+function createFreeSubscription(userId, now) {
+  const sub = {
+    userId,
+    planId: FREE_PLAN_ID,
+    status: 'active',
+    periodStart: now,
+    periodEnd: now + PERIOD_MS,
+    expiresAt: null,
+    used: 0,
+    renewals: 0,
+    payments: [],
+    createdAt: now,
+    updatedAt: now,
+    history: [],
+  };
+  pushHistory(sub, 'created');
+  return sub;
+}
+
+/**
+ * Avança o ciclo de vida até "now" (renovação de ciclo, past_due, expiração, janela free).
+ * Retorna true se o registro mudou.
+ */
+function refreshLifecycle(sub, now) {
+  let changed = false;
+  while (now >= sub.periodEnd) {
+    if (hasPaidAccess(sub) && sub.expiresAt && sub.periodEnd < sub.expiresAt) {
+      // Renovação paga antecipada: próximo ciclo
+      sub.periodStart = sub.periodEnd;
+      sub.periodEnd = Math.min(sub.periodEnd + PERIOD_MS, sub.expiresAt);
+      sub.used = 0;
+      sub.status = 'active';
+      pushHistory(sub, 'cycle');
+    } else if (hasPaidAccess(sub) && now < sub.periodEnd + GRACE_MS) {
+      if (sub.status !== 'past_due') {
+        sub.status = 'past_due';
+        pushHistory(sub, 'past_due');
+        changed = true;
+      }
+      break;
+    } else if (hasPaidAccess(sub)) {
+      sub.status = 'expired';
+      sub.periodStart = now;
+      sub.periodEnd = now + PERIOD_MS;
+      sub.used = 0;
+      pushHistory(sub, 'expired');
+    } else {
+      // Janela free rola a partir do fim da anterior (ou de agora, se ficou muito para trás)
+      sub.periodStart = now - sub.periodEnd >= PERIOD_MS ? now : sub.periodEnd;
+      sub.periodEnd = sub.periodStart + PERIOD_MS;
+      sub.used = 0;
+    }
+    changed = true;
+  }
+  if (changed) sub.updatedAt = now;
+  return changed;
+}
+
+function loadSubscription(userId, { create = true } = {}) {
+  ensureLoaded();
+  const now = Date.now();
+  let sub = subscriptions.get(userId);
+  if (!sub) {
+    if (!create) return null;
+    sub = createFreeSubscription(userId, now);
+    subscriptions.set(userId, sub);
+    persist();
+    return sub;
+  }
+  if (refreshLifecycle(sub, now)) persist();
+  return sub;
+}
+
+/**
+ * overrides = { limit, planName }: cota fixa fora dos planos (ex.: chaves de serviço)
+ */
+function buildQuota(sub, overrides = {}) {
+  const planId = effectivePlanId(sub);
+  const plan = plans[planId] || {};
+  const limit = overrides.limit !== undefined ? overrides.limit : (plan.monthlyQueries ?? null);
+  return {
+    userId: sub.userId,
+    planId,
+    plan: overrides.planName || plan.planName || planId,
+    subscribedPlanId: sub.planId,
+    status: sub.status,
+    limit,
+    used: sub.used,
+    remaining: limit === null ? null : Math.max(0, limit - sub.used),
+    periodStart: sub.periodStart,
+    periodEnd: sub.periodEnd,
+    resetAt: sub.periodEnd,
+    expiresAt: sub.expiresAt,
+  };
+}
+
+export function getSubscription(userId) {
+  const sub = loadSubscription(String(userId), { create: false });
+  return sub ? { ...structuredClone(sub), quota: buildQuota(sub) } : null;
+}
+
+export function listSubscriptions({ planId = null, status = null, limit = 200 } = {}) {
+  ensureLoaded();
+  const now = Date.now();
+  let dirty = false;
+  const out = [];
+  for (const sub of subscriptions.values()) {
+    if (refreshLifecycle(sub, now)) dirty = true;
+    if (planId && sub.planId !== planId) continue;
+    if (status && sub.status !== status) continue;
+    out.push({ ...structuredClone(sub), quota: buildQuota(sub) });
+  }
+  if (dirty) persist();
+  return out.sort((a, b) => b.updatedAt - a.updatedAt).slice(0, Math.max(1, limit));
+}
+
+export function getQuotaStatus(userId, overrides = {}) {
+  return buildQuota(loadSubscription(String(userId)), overrides);
+}
+
+/**
+ * Consome 1 consulta da cota. Retorna { allowed, code, quota }.
+ * code: PAYMENT_REQUIRED (cota do free/assinatura vencida esgotada) ou QUOTA_EXCEEDED (plano pago ou cota fixa esgotada)
+ */
+export function consumeQueryCredit(userId, overrides = {}) {
+  const sub = loadSubscription(String(userId));
+  const quota = buildQuota(sub, overrides);
+  if (quota.limit !== null && sub.used >= quota.limit) {
+    const paid = isPaidPlan(quota.planId) || overrides.limit !== undefined;
+    return { allowed: false, code: paid ? 'QUOTA_EXCEEDED' : 'PAYMENT_REQUIRED', quota };
+  }
+  sub.used += 1;
+  sub.updatedAt = Date.now();
+  persist();
+  return { allowed: true, code: null, quota: buildQuota(sub, overrides) };
+}
+
+/**
+ * Devolve uma consulta consumida (erro antes de gerar a resposta)
+ */
+export function refundQueryCredit(userId) {
+  ensureLoaded();
+  const sub = subscriptions.get(String(userId));
+  if (!sub || sub.used <= 0) return;
+  sub.used -= 1;
+  persist();
+}
+
+/**
+ * Ativa ou renova um plano pago a partir de um pagamento aprovado.
+ * Idempotente por paymentId. Mesmo plano vigente → estende expiresAt; outro plano → novo ciclo.
+ */
+export function activateSubscription(userId, planId, { paymentId = null, externalReference = null } = {}) {
+  if (!isPaidPlan(planId)) throw createSubscriptionError(`Plano inválido: "${planId}"`, 'INVALID_PLAN');
+  const sub = loadSubscription(String(userId));
+  const payment = paymentId ? String(paymentId) : null;
+  if (payment && sub.payments.includes(payment)) {
+    return { ...structuredClone(sub), quota: buildQuota(sub), duplicate: true };
+  }
+
+  const now = Date.now();
+  if (sub.planId === planId && sub.status === 'active' && now < sub.periodEnd) {
+    sub.expiresAt = Math.max(sub.expiresAt || sub.periodEnd, now) + PERIOD_MS;
+    sub.renewals += 1;
+    pushHistory(sub, 'renewed', { paymentId: payment, externalReference });
+  } else {
+    const event = sub.planId === planId && isPaidPlan(sub.planId) ? 'renewed' : 'activated';
+    sub.planId = planId;
+    sub.status = 'active';
+    sub.periodStart = now;
+    sub.periodEnd = now + PERIOD_MS;
+    sub.expiresAt = sub.periodEnd;
+    sub.used = 0;
+    if (event === 'renewed') sub.renewals += 1;
+    pushHistory(sub, event, { paymentId: payment, externalReference });
+  }
+
+  if (payment) {
+    sub.payments.push(payment);
+    if (sub.payments.length > MAX_PAYMENTS) sub.payments.splice(0, sub.payments.length - MAX_PAYMENTS);
+  }
+  sub.updatedAt = now;
+  persist();
+  console.log(`🎫 Assinatura ${sub.planId} ${sub.status} para ${sub.userId} até ${new Date(sub.expiresAt).toISOString()}`);
+  return { ...structuredClone(sub), quota: buildQuota(sub), duplicate: false };
+}
+
+/**
+ * Ajuste administrativo: plano, status, vencimento e/ou zerar o uso do ciclo
+ */
+export function updateSubscription(userId, { planId, status, expiresAt, resetUsage = false } = {}) {
+  const sub = loadSubscription(String(userId));
+  const now = Date.now();
+
+  if (planId !== undefined) {
+    if (!plans[planId]) throw createSubscriptionError(`Plano inválido: "${planId}"`, 'INVALID_PLAN');
+    if (planId !== sub.planId) {
+      sub.planId = planId;
+      sub.periodStart = now;
+      sub.periodEnd = now + PERIOD_MS;
+      sub.expiresAt = isPaidPlan(planId) ? sub.periodEnd : null;
+      sub.used = 0;
+    }
+  }
+  if (status !== undefined) {
+    if (!SUBSCRIPTION_STATUSES.includes(status)) {
+      throw createSubscriptionError(`Status inválido: "${status}" (use ${SUBSCRIPTION_STATUSES.join(', ')})`, 'INVALID_SUBSCRIPTION');
+    }
+    sub.status = status;
+  }
+  if (expiresAt !== undefined && isPaidPlan(sub.planId)) {
+    const ts = typeof expiresAt === 'number' ? expiresAt : Date.parse(expiresAt);
+    if (!Number.isFinite(ts)) throw createSubscriptionError(`expiresAt inválido: "${expiresAt}"`, 'INVALID_SUBSCRIPTION');
+    sub.expiresAt = ts;
+    sub.periodEnd = Math.min(sub.periodStart + PERIOD_MS, ts);
+  }
+  if (resetUsage) sub.used = 0;
+
+  sub.updatedAt = now;
+  pushHistory(sub, 'admin_update');
+  refreshLifecycle(sub, now);
+  persist();
+  return { ...structuredClone(sub), quota: buildQuota(sub) };
+}
+
+export default {
+  SUBSCRIPTION_STATUSES,
+  setSubscriptionPlans,
+  getSubscription,
+  listSubscriptions,
+  getQuotaStatus,
+  consumeQueryCredit,
+  refundQueryCredit,
+  activateSubscription,
+  updateSubscription,
+};
@@ -0,0 +1,323 @@
+/**
+ * Telemetria do RAG persistida em disco
+ * Cada consulta (ragQuery) vira uma linha NDJSON em data/telemetry/rag-AAAA-MM-DD.ndjson (um arquivo
+ * por dia UTC), então sobrevive a restarts. Retenção por idade (RAG_TELEMETRY_RETENTION_DAYS) e por
+ * tamanho total (RAG_TELEMETRY_MAX_MB): os arquivos de dias mais antigos são apagados primeiro.
+ *
+ * As últimas RAG_TELEMETRY_BUFFER_MAX entradas ficam também em memória (GET /api/telemetry/rag);
+ * o resumo (GET /api/telemetry/rag/summary) relê os arquivos da janela pedida em streaming (linha a
+ * linha, sem bloquear o event loop), guardando só as entradas da janela.
+ * Com RAG_TELEMETRY_PERSIST=false só o buffer em memória é usado, como antes.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const TELEMETRY_DIR = process.env.RAG_TELEMETRY_PATH || path.join(__dirname, '..', 'data', 'telemetry');
+const TELEMETRY_PERSIST = !/^(0|false|no)$/i.test(String(process.env.RAG_TELEMETRY_PERSIST || 'true').trim());
+const TELEMETRY_BUFFER_MAX = Math.max(50, parseInt(process.env.RAG_TELEMETRY_BUFFER_MAX || '400', 10));
+const RETENTION_DAYS = Math.max(1, parseInt(process.env.RAG_TELEMETRY_RETENTION_DAYS || '30', 10));
+const MAX_BYTES = Math.max(1, parseInt(process.env.RAG_TELEMETRY_MAX_MB || '200', 10)) * 1024 * 1024;
+const FILE_PATTERN = /^rag-(\d{4}-\d{2}-\d{2})\.ndjson$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOP_BLOCKED_REASONS = 10;
+const NO_BRAND = '(sem marca)';
+
+const buffer = [];
+let loaded = false;
+let lastPruneDay = null;
+
+function dayKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function fileForDay(day) {
+  return path.join(TELEMETRY_DIR, `rag-${day}.ndjson`);
+}
+
+/**
+ * Arquivos de telemetria (mais antigos primeiro)
+ */
+function listTelemetryFiles() {
+  if (!fs.existsSync(TELEMETRY_DIR)) return [];
+  return fs.readdirSync(TELEMETRY_DIR)
+    .map(name => ({ name, match: name.match(FILE_PATTERN) }))
+    .filter(f => f.match)
+    .map(f => ({ day: f.match[1], file: path.join(TELEMETRY_DIR, f.name) }))
+    .sort((a, b) => a.day.localeCompare(b.day));
+}
+
+/**
+ * Linha inválida (processo morto no meio da escrita) é ignorada
+ */
+function readEntries(file) {
+  const entries = [];
+  for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // ignora
+    }
+  }
+  return entries;
+}
+
+/**
+ * Versão em streaming de readEntries: só guarda as entradas aceitas por `keep`
+ */
+async function streamEntries(file, keep, out) {
+  const rl = readline.createInterface({ input: fs.createReadStream(file, 'utf-8'), crlfDelay: Infinity });
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    if (keep(entry)) out.push(entry);
+  }
+  return out;
+}
+
+/**
+ * Apaga dias fora da retenção e, se ainda passar de RAG_TELEMETRY_MAX_MB, os mais antigos
+ * (o arquivo de hoje nunca é apagado)
+ */
+export function pruneTelemetry() {
+  if (!TELEMETRY_PERSIST) return { removed: 0 };
+  const today = dayKey(Date.now());
+  const oldestKept = dayKey(Date.now() - (RETENTION_DAYS - 1) * DAY_MS);
+  const files = listTelemetryFiles().map(f => ({ ...f, size: fs.statSync(f.file).size }));
+  let total = files.reduce((sum, f) => sum + f.size, 0);
+  let removed = 0;
+
+  for (const f of files) {
+    if (f.day === today) break;
+    if (f.day >= oldestKept && total <= MAX_BYTES) break;
+    try {
+      fs.unlinkSync(f.file);
+      total -= f.size;
+      removed++;
+    } catch (error) {
+      console.warn(`⚠️  Telemetria: não foi possível remover ${f.file}: ${error.message}`);
+    }
+  }
+  lastPruneDay = today;
+  if (removed) console.log(`🧹 Telemetria RAG: ${removed} arquivo(s) antigo(s) removido(s)`);
+  return { removed };
+}
+
+/**
+ * Na primeira leitura/escrita: aplica a retenção e recarrega as entradas mais recentes no buffer
+ */
+function ensureLoaded() {
+  if (loaded) return;
+  loaded = true;
+  if (!TELEMETRY_PERSIST) return;
+
+  try {
+    pruneTelemetry();
+    const files = listTelemetryFiles();
+    for (let i = files.length - 1; i >= 0 && buffer.length < TELEMETRY_BUFFER_MAX; i--) {
+      buffer.unshift(...readEntries(files[i].file).slice(-(TELEMETRY_BUFFER_MAX - buffer.length)));
+    }
+    if (buffer.length) console.log(`📈 Telemetria RAG: ${buffer.length} entradas recentes carregadas de ${TELEMETRY_DIR}`);
+  } catch (error) {
+    console.warn(`⚠️  Telemetria RAG: falha ao carregar (${error.message})`);
+  }
+}
+
+/**
+ * Registra uma consulta. Falha de disco só gera aviso — nunca derruba a consulta.
+ */
+export function recordRagTelemetry(entry) {
+  if (!entry || typeof entry !== 'object') return;
+  ensureLoaded();
+  const record = { ...entry, at: new Date().toISOString() };
+  buffer.push(record);
+  if (buffer.length > TELEMETRY_BUFFER_MAX) {
+    buffer.splice(0, buffer.length - TELEMETRY_BUFFER_MAX);
+  }
+  if (!TELEMETRY_PERSIST) return;
+
+  try {
+    const day = record.at.slice(0, 10);
+    if (day !== lastPruneDay) pruneTelemetry();
+    if (!fs.existsSync(TELEMETRY_DIR)) fs.mkdirSync(TELEMETRY_DIR, { recursive: true });
+    fs.appendFileSync(fileForDay(day), JSON.stringify(record) + '\n');
+  } catch (error) {
+    console.warn(`⚠️  Telemetria RAG: falha ao gravar (${error.message})`);
+  }
+}
+
+export function getRecentRagTelemetry(limit = 100) {
+  ensureLoaded();
+  const capped = Math.max(1, Math.min(500, Number(limit) || 100));
+  return buffer.slice(-capped).reverse();
+}
+
+/**
+ * Limpa o buffer e apaga os arquivos de telemetria
+ */
+export function clearRagTelemetry() {
+  ensureLoaded();
+  buffer.length = 0;
+  let removed = 0;
+  for (const f of listTelemetryFiles()) {
+    fs.unlinkSync(f.file);
+    removed++;
+  }
+  return { removed };
+}
+
+/**
+ * Entradas com `at` dentro de [from, to] que passam em `filter` (lê só os arquivos dos dias da janela)
+ */
+async function loadEntriesInWindow(from, to, filter = null) {
+  ensureLoaded();
+  const keep = e => {
+    const at = Date.parse(e?.at);
+    return Number.isFinite(at) && at >= from && at <= to && (!filter || filter(e));
+  };
+  if (!TELEMETRY_PERSIST) return buffer.filter(keep);
+
+  const firstDay = dayKey(from);
+  const lastDay = dayKey(to);
+  const entries = [];
+  for (const f of listTelemetryFiles().filter(f => f.day >= firstDay && f.day <= lastDay)) {
+    try {
+      await streamEntries(f.file, keep, entries);
+    } catch (error) {
+      // arquivo removido pela retenção durante a leitura
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  return entries;
+}
+
+/**
+ * Janela [from, to] em epoch ms: `since`/`until` (ISO ou epoch ms) ou as últimas `hours` horas
+ */
+function resolveWindow({ hours = 24, since = null, until = null } = {}) {
+  const parseTime = v => (v === null || v === undefined || v === '' ? NaN : (/^\d+$/.test(String(v)) ? Number(v) : Date.parse(v)));
+  const to = Number.isFinite(parseTime(until)) ? parseTime(until) : Date.now();
+  const windowHours = Math.max(1, Math.min(RETENTION_DAYS * 24, Number(hours) || 24));
+  const from = Number.isFinite(parseTime(since)) ? parseTime(since) : to - windowHours * 60 * 60 * 1000;
+  return { from, to };
+}
+
+/**
+ * Entradas da janela (mais antigas primeiro), opcionalmente só de um desfecho
+ * @returns {Promise<{ window: { from: string, to: string }, entries: Object[] }>}
+ */
+export async function listRagTelemetry({ hours = 24, since = null, until = null, outcome = null } = {}) {
+  const { from, to } = resolveWindow({ hours, since, until });
+  const entries = await loadEntriesInWindow(from, to, outcome ? e => e.outcome === outcome : null);
+  return { window: { from: new Date(from).toISOString(), to: new Date(to).toISOString() }, entries };
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const idx = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+  return sorted[idx];
+}
+
+function rate(part, total) {
+  return total ? Number((part / total).toFixed(4)) : 0;
+}
+
+/**
+ * Latência só das consultas processadas (cache_hit tem latência 0 e distorceria os percentis)
+ */
+function summarizeEntries(entries) {
+  const outcomes = {};
+  const blocked = {};
+  const latencies = [];
+  let cacheHits = 0;
+  let rerankerApplied = 0;
+  const rerankerReasons = {};
+
+  for (const e of entries) {
+    const outcome = e.outcome || 'unknown';
+    outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+    if (outcome === 'cache_hit') {
+      cacheHits++;
+      continue;
+    }
+    if (e.blockedReason) blocked[e.blockedReason] = (blocked[e.blockedReason] || 0) + 1;
+    if (Number.isFinite(e.latencyMs)) latencies.push(e.latencyMs);
+    if (e.rerankerApplied) rerankerApplied++;
+    if (e.rerankerReason) rerankerReasons[e.rerankerReason] = (rerankerReasons[e.rerankerReason] || 0) + 1;
+  }
+
+  latencies.sort((a, b) => a - b);
+  const processed = entries.length - cacheHits;
+  return {
+    count: entries.length,
+    latencyMs: {
+      p50: percentile(latencies, 50),
+      p95: percentile(latencies, 95),
+      max: latencies.length ? latencies[latencies.length - 1] : null,
+    },
+    outcomes,
+    outcomeRates: Object.fromEntries(Object.entries(outcomes).map(([k, v]) => [k, rate(v, entries.length)])),
+    topBlockedReasons: Object.entries(blocked)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, TOP_BLOCKED_REASONS)
+      .map(([reason, count]) => ({ reason, count })),
+    reranker: {
+      applied: rerankerApplied,
+      rate: rate(rerankerApplied, processed),
+      reasons: rerankerReasons,
+    },
+    cacheHitRate: rate(cacheHits, entries.length),
+  };
+}
+
+/**
+ * Resumo da telemetria numa janela de tempo, geral e por marca (brandFilter da consulta)
+ * @param {Object} options
+ * @param {number} [options.hours=24] - janela terminando agora (ignorada se `since` vier)
+ * @param {string|number} [options.since] - início da janela (ISO ou epoch ms)
+ * @param {string|number} [options.until] - fim da janela (padrão: agora)
+ * @param {string} [options.brand] - só consultas dessa marca
+ */
+export async function summarizeRagTelemetry({ hours = 24, since = null, until = null, brand = null } = {}) {
+  const brandKey = e => e.brandFilter || NO_BRAND;
+  const wantedBrand = brand ? String(brand).trim().toLowerCase() : null;
+  const { from, to } = resolveWindow({ hours, since, until });
+  const entries = await loadEntriesInWindow(from, to, wantedBrand ? e => brandKey(e).toLowerCase() === wantedBrand : null);
+  const window = { from: new Date(from).toISOString(), to: new Date(to).toISOString() };
+
+  const groups = {};
+  for (const e of entries) (groups[brandKey(e)] ||= []).push(e);
+
+  return {
+    window,
+    persisted: TELEMETRY_PERSIST,
+    retentionDays: RETENTION_DAYS,
+    overall: summarizeEntries(entries),
+    byBrand: Object.fromEntries(Object.entries(groups)
+      .sort((a, b) => b[1].length - a[1].length)
+      .map(([key, list]) => [key, summarizeEntries(list)])),
+  };
+}
+
+export default {
+  recordRagTelemetry,
+  getRecentRagTelemetry,
+  clearRagTelemetry,
+  pruneTelemetry,
+  listRagTelemetry,
+  summarizeRagTelemetry,
+};
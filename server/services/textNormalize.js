@@ -0,0 +1,27 @@
+/**
+ * Normalização de texto para comparação (detecção de marca, ACL, tabelas de falha/pinagem, juiz):
+ * sem acento e minúsculo
+ */
+
+/**
+ * "Régua de Segurança" → "regua de seguranca"
+ */
+export function normalizeText(s) {
+  return (s || '')
+    .toString()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Nome (marca, modelo, sinal) para comparação por igualdade: normalizeText sem espaços nas pontas
+ */
+export function normalizeName(s) {
+  return normalizeText(s).trim();
+}
+
+export default {
+  normalizeText,
+  normalizeName,
+};
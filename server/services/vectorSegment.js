@@ -0,0 +1,366 @@
+/**
+ * Formato binário do vector store
+ * - vectors.<geração>.bin: header + vetores contíguos (float32, float16 ou int8 quantizado)
+ * - vectors_docs.<geração>.ndjson: uma linha por documento { id, document, metadata }, mesma ordem
+ * - vectors_segment.json: manifesto com a geração atual, gravado por último (rename atômico).
+ *   Um processo morto no meio da escrita deixa o manifesto apontando para o par anterior, ainda
+ *   íntegro; os arquivos de outras gerações são apagados só depois do manifesto novo.
+ *   Sem manifesto vale o par legado vectors.bin + vectors_docs.ndjson.
+ *
+ * Os vetores são lidos em blocos direto para TypedArrays (sem parse de JSON),
+ * e cada embedding vira uma view (subarray) do bloco — sem cópia por vetor.
+ * No int8, a escala de cada vetor fica gravada antes dos vetores e é usada para
+ * desquantizar na conversão para f32/f16/json.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import readline from 'readline';
+
+const SEGMENT_MAGIC = 'EVXVEC01';
+export const VECTOR_FORMATS = ['f32', 'f16', 'int8'];
+const BYTES_PER_VALUE = { f32: 4, f16: 2, int8: 1 };
+const READ_BLOCK_VECTORS = 4096;
+const MANIFEST_FILE = 'vectors_segment.json';
+// Arquivos de segmento (qualquer geração, legado e .tmp) — limpeza após trocar de geração
+const SEGMENT_FILE_PATTERN = /^(vectors(\.[0-9a-z]+)?\.bin|vectors_docs(\.[0-9a-z]+)?\.ndjson)(\.tmp)?$/;
+// Int8Array lido do segmento → escala do vetor (regravação e desquantização)
+const int8Scales = new WeakMap();
+
+// ═══ Conversão float16 (IEEE 754 half) ═══
+const f32Buf = new Float32Array(1);
+const u32Buf = new Uint32Array(f32Buf.buffer);
+
+function toHalf(value) {
+  f32Buf[0] = value;
+  const x = u32Buf[0];
+  const sign = (x >>> 16) & 0x8000;
+  const exp = (x >>> 23) & 0xff;
+  let mant = x & 0x7fffff;
+
+  if (exp === 0xff) return sign | 0x7c00 | (mant ? 0x200 : 0);
+  const e = exp - 127 + 15;
+  if (e >= 0x1f) return sign | 0x7c00;
+  if (e <= 0) {
+    if (e < -10) return sign;
+    mant = (mant | 0x800000) >>> (1 - e);
+    return sign | ((mant + 0x1000) >>> 13);
+  }
+  return (sign | (e << 10) | (mant >>> 13)) + ((mant >>> 12) & 1);
+}
+
+function fromHalf(h) {
+  const sign = h & 0x8000 ? -1 : 1;
+  const exp = (h >>> 10) & 0x1f;
+  const mant = h & 0x3ff;
+  if (exp === 0) return sign * Math.pow(2, -14) * (mant / 1024);
+  if (exp === 0x1f) return mant ? NaN : sign * Infinity;
+  return sign * Math.pow(2, exp - 15) * (1 + mant / 1024);
+}
+
+/**
+ * Escala int8 simétrica por vetor (cosseno não depende da escala,
+ * então o Int8Array pode ser usado direto na similaridade).
+ */
+function int8Scale(vector) {
+  let maxAbs = 0;
+  for (let i = 0; i < vector.length; i++) {
+    const a = Math.abs(vector[i]);
+    if (a > maxAbs) maxAbs = a;
+  }
+  return maxAbs > 0 ? maxAbs / 127 : 1;
+}
+
+function knownInt8Scale(vector) {
+  const scale = int8Scales.get(vector);
+  if (scale === undefined) throw new Error('Vetor int8 sem escala conhecida: conversão recusada (perderia a magnitude)');
+  return scale;
+}
+
+/**
+ * Vetor int8 do segmento → Float32Array com a magnitude original; outros formatos voltam como estão
+ */
+export function dequantizeVector(vector) {
+  if (!(vector instanceof Int8Array)) return vector;
+  const scale = knownInt8Scale(vector);
+  const out = new Float32Array(vector.length);
+  for (let j = 0; j < vector.length; j++) out[j] = vector[j] * scale;
+  return out;
+}
+
+/**
+ * Garante que todo vetor int8 do store pode ser desquantizado (antes de abrir qualquer arquivo)
+ */
+export function assertDequantizable(embeddings) {
+  for (const v of embeddings) {
+    if (v instanceof Int8Array) knownInt8Scale(v);
+  }
+}
+
+function readManifest(dataDir) {
+  const file = path.join(dataDir, MANIFEST_FILE);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+function generationPaths(dataDir, generation) {
+  return {
+    vectors: path.join(dataDir, `vectors.${generation}.bin`),
+    docs: path.join(dataDir, `vectors_docs.${generation}.ndjson`),
+  };
+}
+
+/**
+ * Par de arquivos da geração atual (manifesto) ou o par legado
+ */
+export function segmentPaths(dataDir) {
+  const manifest = readManifest(dataDir);
+  if (manifest?.generation) return { ...generationPaths(dataDir, manifest.generation), generation: manifest.generation };
+  return {
+    vectors: path.join(dataDir, 'vectors.bin'),
+    docs: path.join(dataDir, 'vectors_docs.ndjson'),
+    generation: null,
+  };
+}
+
+export function hasSegment(dataDir) {
+  const p = segmentPaths(dataDir);
+  return fs.existsSync(p.vectors) && fs.existsSync(p.docs);
+}
+
+function writeFileSynced(file, data) {
+  const fd = fs.openSync(file, 'w');
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Apaga arquivos de segmento que não são da geração `keep`
+ */
+function removeStaleSegmentFiles(dataDir, keep) {
+  const current = keep ? new Set(Object.values(generationPaths(dataDir, keep)).map(f => path.basename(f))) : new Set();
+  for (const name of fs.readdirSync(dataDir)) {
+    if (!SEGMENT_FILE_PATTERN.test(name) || current.has(name)) continue;
+    try {
+      fs.unlinkSync(path.join(dataDir, name));
+    } catch (error) {
+      console.warn(`⚠️  Segmento: não foi possível remover ${name}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Desativa o segmento (store voltou para vectors.json): manifesto e par atual viram .migrated
+ */
+export function retireSegment(dataDir) {
+  const p = segmentPaths(dataDir);
+  for (const file of [path.join(dataDir, MANIFEST_FILE), p.vectors, p.docs]) {
+    if (fs.existsSync(file)) fs.renameSync(file, `${file}.migrated`);
+  }
+}
+
+/**
+ * Grava o store no formato binário numa geração nova e troca o manifesto por último.
+ * @param {string} dataDir
+ * @param {{ ids: string[], documents: string[], metadatas: object[], embeddings: ArrayLike<number>[] }} store
+ * @param {'f32'|'f16'|'int8'} format
+ */
+export function writeSegment(dataDir, store, format = 'f32') {
+  if (!VECTOR_FORMATS.includes(format)) throw new Error(`Formato de vetor inválido: ${format}`);
+  assertDequantizable(store.embeddings);
+  if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
+
+  const count = store.ids.length;
+  const dim = store.embeddings.find(e => e && e.length)?.length || 0;
+  const generation = `${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`;
+  const paths = generationPaths(dataDir, generation);
+
+  // Documentos + metadados
+  const docsFd = fs.openSync(paths.docs, 'w');
+  for (let i = 0; i < count; i++) {
+    fs.writeSync(docsFd, JSON.stringify({ id: store.ids[i], document: store.documents[i], metadata: store.metadatas[i] }) + '\n');
+  }
+  fs.fsyncSync(docsFd);
+  fs.closeSync(docsFd);
+
+  // Vetores
+  const header = Buffer.from(JSON.stringify({ format, dim, count, generation, writtenAt: new Date().toISOString() }));
+  const prefix = Buffer.alloc(SEGMENT_MAGIC.length + 4);
+  prefix.write(SEGMENT_MAGIC, 0, 'ascii');
+  prefix.writeUInt32LE(header.length, SEGMENT_MAGIC.length);
+
+  const fd = fs.openSync(paths.vectors, 'w');
+  fs.writeSync(fd, prefix);
+  fs.writeSync(fd, header);
+
+  // int8 já quantizado (lido de outro segmento int8) mantém valores e escala originais
+  let scales = null;
+  if (format === 'int8') {
+    scales = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+      const v = store.embeddings[i];
+      if (v?.length !== dim) continue;
+      scales[i] = v instanceof Int8Array ? knownInt8Scale(v) : int8Scale(v);
+    }
+    fs.writeSync(fd, Buffer.from(scales.buffer));
+  }
+
+  const bytes = BYTES_PER_VALUE[format];
+  for (let start = 0; start < count; start += READ_BLOCK_VECTORS) {
+    const end = Math.min(count, start + READ_BLOCK_VECTORS);
+    const block = Buffer.alloc((end - start) * dim * bytes);
+    const view = format === 'f32'
+      ? new Float32Array(block.buffer, block.byteOffset, (end - start) * dim)
+      : format === 'f16'
+        ? new Uint16Array(block.buffer, block.byteOffset, (end - start) * dim)
+        : new Int8Array(block.buffer, block.byteOffset, (end - start) * dim);
+
+    for (let i = start; i < end; i++) {
+      const stored = store.embeddings[i];
+      // Vetor ausente/dimensão errada fica zerado (similaridade 0)
+      if (!stored || stored.length !== dim) continue;
+      const o = (i - start) * dim;
+      if (format === 'int8') {
+        if (stored instanceof Int8Array) {
+          view.set(stored, o);
+        } else {
+          for (let j = 0; j < dim; j++) view[o + j] = Math.max(-127, Math.min(127, Math.round(stored[j] / scales[i])));
+        }
+        continue;
+      }
+      const v = dequantizeVector(stored);
+      if (format === 'f32') {
+        for (let j = 0; j < dim; j++) view[o + j] = v[j];
+      } else {
+        for (let j = 0; j < dim; j++) view[o + j] = toHalf(v[j]);
+      }
+    }
+    fs.writeSync(fd, block);
+  }
+  fs.fsyncSync(fd);
+  fs.closeSync(fd);
+
+  // Commit: o manifesto novo passa a apontar para esta geração
+  const manifestFile = path.join(dataDir, MANIFEST_FILE);
+  writeFileSynced(`${manifestFile}.tmp`, JSON.stringify({ generation, format, dim, count, writtenAt: new Date().toISOString() }));
+  fs.renameSync(`${manifestFile}.tmp`, manifestFile);
+  removeStaleSegmentFiles(dataDir, generation);
+  return { format, dim, count, generation, bytes: fs.statSync(paths.vectors).size };
+}
+
+function readSegmentHeader(fd) {
+  const prefix = Buffer.alloc(SEGMENT_MAGIC.length + 4);
+  fs.readSync(fd, prefix, 0, prefix.length, 0);
+  if (prefix.toString('ascii', 0, SEGMENT_MAGIC.length) !== SEGMENT_MAGIC) {
+    throw new Error('vectors.bin com formato inválido');
+  }
+  const headerLen = prefix.readUInt32LE(SEGMENT_MAGIC.length);
+  const headerBuf = Buffer.alloc(headerLen);
+  fs.readSync(fd, headerBuf, 0, headerLen, prefix.length);
+  return { header: JSON.parse(headerBuf.toString('utf-8')), dataOffset: prefix.length + headerLen };
+}
+
+/**
+ * Lê os vetores do segmento. f32 e int8 viram views dos blocos lidos (o int8 guarda a
+ * escala para dequantizeVector); f16 é convertido para Float32Array (a conversão por
+ * valor é cara demais na busca).
+ */
+export function readSegmentVectors(dataDir, { onProgress } = {}) {
+  const { vectors: file, generation } = segmentPaths(dataDir);
+  const fd = fs.openSync(file, 'r');
+  try {
+    const { header, dataOffset } = readSegmentHeader(fd);
+    const { format, dim, count } = header;
+    if (!VECTOR_FORMATS.includes(format)) throw new Error(`Formato de vetor desconhecido: ${format}`);
+    if (generation && header.generation !== generation) {
+      throw new Error(`vectors.bin da geração ${header.generation} não corresponde ao manifesto (${generation})`);
+    }
+
+    let offset = dataOffset;
+    let scales = null;
+    if (format === 'int8') {
+      scales = new Float32Array(count);
+      fs.readSync(fd, new Uint8Array(scales.buffer), 0, scales.byteLength, offset);
+      offset += scales.byteLength;
+    }
+
+    const bytes = BYTES_PER_VALUE[format];
+    const embeddings = new Array(count);
+    for (let start = 0; start < count; start += READ_BLOCK_VECTORS) {
+      const n = Math.min(READ_BLOCK_VECTORS, count - start);
+      const block = new ArrayBuffer(n * dim * bytes);
+      fs.readSync(fd, new Uint8Array(block), 0, block.byteLength, offset);
+      offset += block.byteLength;
+
+      if (format === 'f32') {
+        const all = new Float32Array(block);
+        for (let i = 0; i < n; i++) embeddings[start + i] = all.subarray(i * dim, (i + 1) * dim);
+      } else if (format === 'int8') {
+        const all = new Int8Array(block);
+        for (let i = 0; i < n; i++) {
+          const view = all.subarray(i * dim, (i + 1) * dim);
+          int8Scales.set(view, scales[start + i]);
+          embeddings[start + i] = view;
+        }
+      } else {
+        const half = new Uint16Array(block);
+        const all = new Float32Array(n * dim);
+        for (let j = 0; j < all.length; j++) all[j] = fromHalf(half[j]);
+        for (let i = 0; i < n; i++) embeddings[start + i] = all.subarray(i * dim, (i + 1) * dim);
+      }
+      if (onProgress) onProgress(Math.min(count, start + n), count);
+    }
+    return { format, dim, count, embeddings };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Lê ids/documentos/metadados do NDJSON do segmento
+ */
+export async function readSegmentDocs(dataDir) {
+  const { docs: file } = segmentPaths(dataDir);
+  const ids = [];
+  const documents = [];
+  const metadatas = [];
+  const rl = readline.createInterface({ input: fs.createReadStream(file, 'utf-8'), crlfDelay: Infinity });
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    const row = JSON.parse(line);
+    ids.push(row.id);
+    documents.push(row.document);
+    metadatas.push(row.metadata);
+  }
+  return { ids, documents, metadatas };
+}
+
+export function getSegmentInfo(dataDir) {
+  const { vectors: file } = segmentPaths(dataDir);
+  if (!fs.existsSync(file)) return null;
+  const fd = fs.openSync(file, 'r');
+  try {
+    const { header } = readSegmentHeader(fd);
+    return { ...header, bytes: fs.statSync(file).size };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+export default {
+  VECTOR_FORMATS,
+  segmentPaths,
+  hasSegment,
+  retireSegment,
+  writeSegment,
+  dequantizeVector,
+  assertDequantizable,
+  readSegmentVectors,
+  readSegmentDocs,
+  getSegmentInfo,
+};
@@ -10,14 +10,62 @@ import { fileURLToPath } from 'url';
 import { createReadStream } from 'fs';
 import JSONStream from 'JSONStream';
 import dotenv from 'dotenv';
+import { createLexicalIndex, brandMatchFilter, combineDocFilters } from './lexicalIndex.js';
+import { isChunkAllowed, lexicalAccessFilter } from './brandAcl.js';
+import { createHnswIndex } from './hnswIndex.js';
+import { signatureFromMetadata, createEmbeddingMismatchError } from './embeddingProviders.js';
+import { VECTOR_FORMATS, hasSegment, retireSegment, writeSegment, dequantizeVector, assertDequantizable, readSegmentVectors, readSegmentDocs, getSegmentInfo } from './vectorSegment.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 dotenv.config();
 
-const DATA_FILE = path.join(__dirname, '..', 'data', 'vectors.json');
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const DATA_FILE = path.join(DATA_DIR, 'vectors.json');
 const APPEND_FILE = path.join(__dirname, '..', 'data', 'vectors_append.ndjson');
+const LEXICAL_INDEX_FILE = path.join(__dirname, '..', 'data', 'lexical_index.ndjson');
+
+// Formato de um store novo: f32 | f16 | int8 (segmento binário) ou json (legado, vectors.json).
+// Store já em disco mantém o formato; trocar é migração explícita (npm run migrate:vectors)
+const STORAGE_FORMAT = (() => {
+  const f = String(process.env.VECTOR_STORAGE_FORMAT || 'f32').toLowerCase();
+  return f === 'json' || VECTOR_FORMATS.includes(f) ? f : 'f32';
+})();
+
+// Índice BM25 persistente (posting lists), mantido junto com o store
+const lexicalIndex = createLexicalIndex(LEXICAL_INDEX_FILE);
+// id → posição nos arrays do store (recriado sob demanda após add/remove)
+let idPositionMap = null;
+// source → posições ordenadas por chunkIndex (vizinhos/página de um chunk; recriado sob demanda)
+let sourcePositionMap = null;
+// assinatura de embedding (provider:model) → nº de registros (recriado sob demanda)
+let signatureCounts = null;
+
+// ═══ ÍNDICE ANN (HNSW) ═══
+// Abaixo de HNSW_MIN_DOCS o scan exato é rápido o bastante; acima, o grafo HNSW
+// responde a busca e o scan exato cobre só os docs ainda não inseridos no grafo.
+const HNSW_FILE = path.join(__dirname, '..', 'data', 'vectors.hnsw');
+const HNSW_ENABLED = String(process.env.HNSW_ENABLED || 'true').toLowerCase() !== 'false';
+const HNSW_MIN_DOCS = Math.max(0, parseInt(process.env.HNSW_MIN_DOCS || '5000', 10));
+const HNSW_EF_SEARCH = Math.max(8, parseInt(process.env.HNSW_EF_SEARCH || '64', 10));
+// Filtro de marca com poucos candidatos: scan exato nos candidatos é mais barato e preciso
+const HNSW_FILTER_EXACT_MAX = Math.max(0, parseInt(process.env.HNSW_FILTER_EXACT_MAX || '2000', 10));
+// Fração de tombstones (docs removidos) que dispara reconstrução do grafo
+const HNSW_REBUILD_DELETED_RATIO = Number.parseFloat(process.env.HNSW_REBUILD_DELETED_RATIO || '0.25');
+
+const annIndex = createHnswIndex({
+  filePath: HNSW_FILE,
+  M: Math.max(4, parseInt(process.env.HNSW_M || '16', 10)),
+  efConstruction: Math.max(16, parseInt(process.env.HNSW_EF_CONSTRUCTION || '200', 10)),
+  efSearch: HNSW_EF_SEARCH,
+});
+let annReady = false;
+let annBuilding = null;
+let annDraining = false;
+let annSaveTimer = null;
+// ids adicionados ao store mas ainda não inseridos no grafo
+let annPending = new Set();
 
 // Store em memória
 let vectorStore = {
@@ -35,64 +83,24 @@ export function isLoading() { return _isLoading; }
 export function getLoadingProgress() { return _loadingProgress; }
 
 /**
- * Carrega dados do arquivo usando streaming JSON para suportar arquivos >500MB
+ * Carrega o store: segmento binário (vectors.bin) se existir, senão vectors.json legado
  */
 async function loadFromFile() {
   try {
-    if (!fs.existsSync(DATA_FILE)) return;
-    
-    const fileSize = fs.statSync(DATA_FILE).size;
-    const sizeMB = (fileSize / 1024 / 1024).toFixed(0);
-    console.log(`📦 Carregando vector store (${sizeMB} MB) via streaming...`);
-    
-    const startTime = Date.now();
-    
-    _isLoading = true;
-    _loadingProgress = 'Iniciando carregamento...';
-    
-    // Reset store
-    vectorStore = { documents: [], embeddings: [], metadatas: [], ids: [] };
-    
-    // Parse each array separately using JSONStream
-    const loadArray = (key) => {
-      return new Promise((resolve, reject) => {
-        const stream = createReadStream(DATA_FILE);
-        const parser = JSONStream.parse(`${key}.*`);
-        const items = [];
-        
-        parser.on('data', (item) => items.push(item));
-        parser.on('end', () => resolve(items));
-        parser.on('error', reject);
-        stream.on('error', reject);
-        
-        stream.pipe(parser);
-      });
-    };
-    
-    // Load metadatas first (smallest, needed for brand filtering)
-    _loadingProgress = 'Carregando metadados...';
-    console.log(`   📖 Loading metadatas...`);
-    vectorStore.metadatas = await loadArray('metadatas');
-    
-    _loadingProgress = `Carregando documentos (${vectorStore.metadatas.length} itens)...`;
-    console.log(`   📖 Loading documents (${vectorStore.metadatas.length} items)...`);
-    vectorStore.documents = await loadArray('documents');
-    
-    _loadingProgress = 'Carregando IDs...';
-    console.log(`   📖 Loading ids...`);
-    vectorStore.ids = await loadArray('ids');
-    
-    _loadingProgress = 'Carregando embeddings (etapa mais demorada)...';
-    console.log(`   📖 Loading embeddings (this takes a moment)...`);
-    vectorStore.embeddings = await loadArray('embeddings');
-    
-    _isLoading = false;
-    _loadingProgress = '';
-    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-    console.log(`📦 Carregados ${vectorStore.documents.length} documentos em ${elapsed}s`);
+    if (hasSegment(DATA_DIR)) {
+      await loadFromSegment();
+    } else if (fs.existsSync(DATA_FILE)) {
+      await loadFromJsonFile();
+    }
 
     // Carrega documentos pendentes do NDJSON append (se houver)
     await loadAppendFile();
+    idPositionMap = null;
+    sourcePositionMap = null;
+    signatureCounts = null;
+
+    await loadLexicalIndex();
+    initializeAnnIndex();
 
   } catch (error) {
     console.error('Erro ao carregar dados:', error.message);
@@ -102,6 +110,221 @@ async function loadFromFile() {
   }
 }
 
+/**
+ * Carrega o segmento binário: vetores lidos em blocos direto para TypedArrays
+ */
+async function loadFromSegment() {
+  const startTime = Date.now();
+  const info = getSegmentInfo(DATA_DIR);
+  console.log(`📦 Carregando vector store binário (${info.format}, ${(info.bytes / 1024 / 1024).toFixed(0)} MB)...`);
+
+  _isLoading = true;
+  _loadingProgress = 'Carregando documentos e metadados...';
+  const docs = await readSegmentDocs(DATA_DIR);
+
+  _loadingProgress = 'Carregando vetores...';
+  const { embeddings, count } = readSegmentVectors(DATA_DIR);
+  if (count !== docs.ids.length) {
+    throw new Error(`Segmento inconsistente: ${count} vetores para ${docs.ids.length} documentos`);
+  }
+
+  vectorStore = { ...docs, embeddings };
+  _isLoading = false;
+  _loadingProgress = '';
+  console.log(`📦 Carregados ${vectorStore.documents.length} documentos em ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+}
+
+/**
+ * Carrega dados do vectors.json legado usando streaming JSON para suportar arquivos >500MB
+ */
+async function loadFromJsonFile() {
+  const fileSize = fs.statSync(DATA_FILE).size;
+  const sizeMB = (fileSize / 1024 / 1024).toFixed(0);
+  console.log(`📦 Carregando vector store (${sizeMB} MB) via streaming...`);
+  
+  const startTime = Date.now();
+  
+  _isLoading = true;
+  _loadingProgress = 'Iniciando carregamento...';
+  
+  // Reset store
+  vectorStore = { documents: [], embeddings: [], metadatas: [], ids: [] };
+  
+  // Parse each array separately using JSONStream
+  const loadArray = (key) => {
+    return new Promise((resolve, reject) => {
+      const stream = createReadStream(DATA_FILE);
+      const parser = JSONStream.parse(`${key}.*`);
+      const items = [];
+      
+      parser.on('data', (item) => items.push(item));
+      parser.on('end', () => resolve(items));
+      parser.on('error', reject);
+      stream.on('error', reject);
+      
+      stream.pipe(parser);
+    });
+  };
+  
+  // Load metadatas first (smallest, needed for brand filtering)
+  _loadingProgress = 'Carregando metadados...';
+  console.log(`   📖 Loading metadatas...`);
+  vectorStore.metadatas = await loadArray('metadatas');
+  
+  _loadingProgress = `Carregando documentos (${vectorStore.metadatas.length} itens)...`;
+  console.log(`   📖 Loading documents (${vectorStore.metadatas.length} items)...`);
+  vectorStore.documents = await loadArray('documents');
+  
+  _loadingProgress = 'Carregando IDs...';
+  console.log(`   📖 Loading ids...`);
+  vectorStore.ids = await loadArray('ids');
+  
+  _loadingProgress = 'Carregando embeddings (etapa mais demorada)...';
+  console.log(`   📖 Loading embeddings (this takes a moment)...`);
+  vectorStore.embeddings = await loadArray('embeddings');
+  
+  _isLoading = false;
+  _loadingProgress = '';
+  const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+  console.log(`📦 Carregados ${vectorStore.documents.length} documentos em ${elapsed}s`);
+}
+
+/**
+ * Carrega o índice BM25 do disco; reconstrói se estiver ausente ou fora de sincronia com o store
+ */
+async function loadLexicalIndex() {
+  const startTime = Date.now();
+  _isLoading = true;
+  _loadingProgress = 'Carregando índice lexical...';
+  const found = await lexicalIndex.load();
+  if (found && lexicalIndex.matches(vectorStore.ids)) {
+    console.log(`   🔤 Índice lexical carregado: ${lexicalIndex.getStats().terms} termos (${Date.now() - startTime}ms)`);
+  } else {
+    console.log(`   🔤 ${found ? 'Índice lexical fora de sincronia' : 'Índice lexical ausente'}, reconstruindo...`);
+    rebuildLexicalIndex();
+    console.log(`   ✅ Índice lexical reconstruído: ${lexicalIndex.getStats().terms} termos (${((Date.now() - startTime) / 1000).toFixed(1)}s)`);
+  }
+  _isLoading = false;
+  _loadingProgress = '';
+}
+
+function rebuildLexicalIndex() {
+  lexicalIndex.rebuild(vectorStore.ids.map((id, i) => ({
+    id,
+    content: vectorStore.documents[i],
+    source: vectorStore.metadatas[i]?.source,
+    brandName: vectorStore.metadatas[i]?.brandName,
+    title: vectorStore.metadatas[i]?.title,
+    model: vectorStore.metadatas[i]?.model,
+  })));
+}
+
+function getIdPositionMap() {
+  if (!idPositionMap) {
+    idPositionMap = new Map();
+    vectorStore.ids.forEach((id, i) => idPositionMap.set(id, i));
+  }
+  return idPositionMap;
+}
+
+function resolveStoreVector(id) {
+  const i = getIdPositionMap().get(id);
+  return i === undefined ? null : vectorStore.embeddings[i];
+}
+
+function scheduleAnnSave() {
+  if (annSaveTimer) clearTimeout(annSaveTimer);
+  annSaveTimer = setTimeout(() => {
+    annSaveTimer = null;
+    if (annReady) annIndex.save();
+  }, 5000);
+  annSaveTimer.unref?.();
+}
+
+/**
+ * Carrega o grafo HNSW do disco ou reconstrói em background.
+ * Enquanto não estiver pronto, searchSimilar usa o scan exato.
+ */
+function initializeAnnIndex() {
+  if (!HNSW_ENABLED || vectorStore.ids.length < HNSW_MIN_DOCS) return;
+
+  const startTime = Date.now();
+  if (annIndex.load(resolveStoreVector)) {
+    annPending = new Set(vectorStore.ids.filter(id => !annIndex.has(id)));
+    annReady = true;
+    console.log(`   🕸️  Índice HNSW carregado: ${annIndex.size()} nós (${Date.now() - startTime}ms)`);
+    if (annPending.size) drainAnnPending();
+    return;
+  }
+  rebuildAnnIndex();
+}
+
+/**
+ * Reconstrói o grafo HNSW em background (cede o event loop entre lotes)
+ */
+function rebuildAnnIndex() {
+  if (!HNSW_ENABLED || annBuilding) return annBuilding;
+
+  annReady = false;
+  annPending = new Set();
+  const entries = vectorStore.ids.map((id, i) => ({ id, vector: vectorStore.embeddings[i] }));
+  const startTime = Date.now();
+  console.log(`🕸️  Construindo índice HNSW (${entries.length} vetores) em background...`);
+
+  annBuilding = annIndex.build(entries, {
+    onProgress: (done, total) => {
+      if (done % 10000 === 0 || done === total) console.log(`   🕸️  HNSW: ${done}/${total}`);
+    },
+  }).then(() => {
+    // Remoções durante a construção viram tombstones; adições ficam pendentes
+    const positions = getIdPositionMap();
+    annIndex.markDeleted(entries.map(e => e.id).filter(id => !positions.has(id)));
+    annPending = new Set(vectorStore.ids.filter(id => !annIndex.has(id)));
+    annReady = true;
+    annIndex.save();
+    console.log(`   ✅ Índice HNSW pronto: ${annIndex.size()} nós em ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+    if (annPending.size) drainAnnPending();
+  }).catch(err => {
+    console.error('Erro ao construir índice HNSW:', err.message);
+  }).finally(() => {
+    annBuilding = null;
+  });
+  return annBuilding;
+}
+
+/**
+ * Insere no grafo os docs pendentes, em lotes, sem bloquear as queries
+ */
+async function drainAnnPending() {
+  if (annDraining) return;
+  annDraining = true;
+  try {
+    while (annReady && annPending.size > 0) {
+      const batch = [...annPending].slice(0, 100);
+      for (const id of batch) {
+        annPending.delete(id);
+        const vector = resolveStoreVector(id);
+        if (vector) annIndex.insert(id, vector);
+      }
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    scheduleAnnSave();
+  } finally {
+    annDraining = false;
+  }
+}
+
+function getSignatureCounts() {
+  if (!signatureCounts) {
+    signatureCounts = new Map();
+    for (const meta of vectorStore.metadatas) {
+      const sig = signatureFromMetadata(meta);
+      signatureCounts.set(sig, (signatureCounts.get(sig) || 0) + 1);
+    }
+  }
+  return signatureCounts;
+}
+
 /**
  * Carrega documentos pendentes do arquivo NDJSON append
  */
@@ -155,23 +378,64 @@ function appendToNDJSON(chunks, embeddings) {
 }
 
 /**
- * Compacta: merge tudo em vectors.json e limpa append
+ * Compacta: merge tudo no arquivo principal (vectors.bin ou vectors.json) e limpa append
+ * @param {{ rebuildLexical?: boolean }} [options] - false só regrava o snapshot do índice BM25
  */
-export function compactStore() {
+export function compactStore({ rebuildLexical = true } = {}) {
   console.log('🗃️  Compactando vector store...');
   saveToFile();
   if (fs.existsSync(APPEND_FILE)) {
     fs.unlinkSync(APPEND_FILE);
     console.log('   🗑️  Append file removido');
   }
-  console.log(`   ✅ Compactado: ${vectorStore.documents.length} documentos em vectors.json`);
+  if (rebuildLexical) {
+    rebuildLexicalIndex();
+  } else {
+    lexicalIndex.save();
+  }
+  if (annReady && annIndex.deletedRatio() > 0) {
+    rebuildAnnIndex();
+  } else if (annReady) {
+    annIndex.save();
+  }
+  const format = getActiveStorageFormat();
+  console.log(`   ✅ Compactado: ${vectorStore.documents.length} documentos em ${format === 'json' ? 'vectors.json' : `vectors.bin (${format})`} (${lexicalIndex.getStats().terms} termos no índice lexical)`);
+}
+
+let storageFormatWarned = false;
+
+/**
+ * Formato do store em disco (segmento ou vectors.json); sem store, o de VECTOR_STORAGE_FORMAT
+ */
+function getActiveStorageFormat() {
+  if (hasSegment(DATA_DIR)) return getSegmentInfo(DATA_DIR)?.format || STORAGE_FORMAT;
+  if (fs.existsSync(DATA_FILE)) return 'json';
+  return STORAGE_FORMAT;
+}
+
+/**
+ * Salva o store no formato em que ele já está (gravações de rotina nunca convertem)
+ */
+function saveToFile(format = getActiveStorageFormat()) {
+  if (format !== STORAGE_FORMAT && !storageFormatWarned) {
+    storageFormatWarned = true;
+    console.warn(`⚠️  Vector store em ${format}, mas VECTOR_STORAGE_FORMAT=${STORAGE_FORMAT}: mantendo ${format}. Para converter: npm run migrate:vectors -- --format=${STORAGE_FORMAT}`);
+  }
+  if (format === 'json') return saveToJsonFile();
+  try {
+    return writeSegment(DATA_DIR, vectorStore, format);
+  } catch (error) {
+    console.error('Erro ao salvar dados:', error);
+    return null;
+  }
 }
 
 /**
- * Salva dados no arquivo usando streaming para evitar limite de string do V8
+ * Salva dados no vectors.json legado usando streaming para evitar limite de string do V8
  */
-function saveToFile() {
+function saveToJsonFile() {
   try {
+    assertDequantizable(vectorStore.embeddings);
     const dir = path.dirname(DATA_FILE);
     if (!fs.existsSync(dir)) {
       fs.mkdirSync(dir, { recursive: true });
@@ -187,7 +451,8 @@ function saveToFile() {
     fs.writeSync(fd, '],"embeddings":[');
     for (let i = 0; i < vectorStore.embeddings.length; i++) {
       if (i > 0) fs.writeSync(fd, ',');
-      fs.writeSync(fd, JSON.stringify(vectorStore.embeddings[i]));
+      const emb = vectorStore.embeddings[i];
+      fs.writeSync(fd, JSON.stringify(ArrayBuffer.isView(emb) ? Array.from(dequantizeVector(emb)) : emb));
     }
     fs.writeSync(fd, '],"metadatas":[');
     for (let i = 0; i < vectorStore.metadatas.length; i++) {
@@ -201,9 +466,34 @@ function saveToFile() {
     }
     fs.writeSync(fd, ']}');
     fs.closeSync(fd);
+
+    // Segmento binário antigo seria carregado no lugar do JSON mais novo
+    retireSegment(DATA_DIR);
+    return { format: 'json', count: vectorStore.ids.length };
   } catch (error) {
     console.error('Erro ao salvar dados:', error);
+    return null;
+  }
+}
+
+/**
+ * Migra o store carregado para outro formato de armazenamento (f32 | f16 | int8 | json)
+ * e incorpora o append pendente no arquivo principal. Único caminho que troca de formato;
+ * o vectors.json legado é mantido como vectors.json.migrated.
+ */
+export function migrateStorage(format) {
+  if (format !== 'json' && !VECTOR_FORMATS.includes(format)) {
+    throw new Error(`Formato inválido: ${format} (use ${[...VECTOR_FORMATS, 'json'].join(', ')})`);
   }
+  const info = format === 'json' ? saveToJsonFile() : writeSegment(DATA_DIR, vectorStore, format);
+  if (!info) throw new Error(`Falha ao gravar o store em ${format}`);
+  // vectors.json legado vira backup: o segmento passa a ser a fonte de verdade
+  if (format !== 'json' && fs.existsSync(DATA_FILE)) {
+    fs.renameSync(DATA_FILE, `${DATA_FILE}.migrated`);
+    console.log('   📦 vectors.json legado mantido como vectors.json.migrated');
+  }
+  if (fs.existsSync(APPEND_FILE)) fs.unlinkSync(APPEND_FILE);
+  return info;
 }
 
 /**
@@ -244,9 +534,27 @@ export async function addDocuments(chunks, embeddings) {
     vectorStore.metadatas.push(chunks[i].metadata);
     vectorStore.embeddings.push(embeddings[i]);
   }
+  idPositionMap = null;
+  sourcePositionMap = null;
+  signatureCounts = null;
   
   // Append incremental (muito mais rápido que reescrever tudo)
   appendToNDJSON(chunks, embeddings);
+  lexicalIndex.addDocuments(chunks.map(c => ({
+    id: c.id,
+    content: c.content,
+    source: c.metadata?.source,
+    brandName: c.metadata?.brandName,
+    title: c.metadata?.title,
+    model: c.metadata?.model,
+  })));
+
+  if (annReady || annBuilding) {
+    for (const c of chunks) annPending.add(c.id);
+    if (annReady) drainAnnPending();
+  } else if (HNSW_ENABLED && vectorStore.ids.length >= HNSW_MIN_DOCS) {
+    rebuildAnnIndex();
+  }
   
   // Auto-compact quando o append fica grande (>1000 docs pendentes)
   try {
@@ -254,7 +562,7 @@ export async function addDocuments(chunks, embeddings) {
       const lines = fs.readFileSync(APPEND_FILE, 'utf-8').split('\n').filter(l => l.trim());
       if (lines.length > 1000) {
         console.log('📦 Auto-compactando (>1000 docs no append)...');
-        compactStore();
+        compactStore({ rebuildLexical: false });
       }
     }
   } catch {}
@@ -268,14 +576,31 @@ export async function addDocuments(chunks, embeddings) {
  * @param {number[]} queryEmbedding - Embedding da query
  * @param {number} topK - Quantidade de resultados
  * @param {string} [brandFilter] - Nome da marca para filtrar documentos (match parcial, case-insensitive)
+ * @param {object} [options.access] - Acesso por marca (brandAcl.resolveBrandAccess); chunks não liberados nunca entram
  */
-export async function searchSimilar(queryEmbedding, topK = 5, brandFilter = null) {
+export async function searchSimilar(queryEmbedding, topK = 5, brandFilter = null, { embeddingSignature = null, access = null } = {}) {
   if (vectorStore.embeddings.length === 0) {
     return [];
   }
 
+  // Embedding de outro provedor/modelo geraria similaridades sem sentido: recusa
+  let signatureFilter = null;
+  if (embeddingSignature) {
+    const counts = getSignatureCounts();
+    if (!counts.has(embeddingSignature)) {
+      throw createEmbeddingMismatchError(
+        `Embedding da query (${embeddingSignature}) incompatível com os documentos indexados (${[...counts.keys()].join(', ')}). ` +
+        'Reindexe os documentos ou ajuste EMBEDDING_PROVIDER/EMBEDDING_MODEL.'
+      );
+    }
+    // Store misto: considera só os registros do mesmo provedor/modelo
+    if (counts.size > 1) signatureFilter = embeddingSignature;
+  }
+  const matchesSignature = (i) => !signatureFilter || signatureFromMetadata(vectorStore.metadatas[i]) === signatureFilter;
+  const isAccessible = (i) => isChunkAllowed(access, vectorStore.metadatas[i]);
+
   // Determina quais índices considerar (filtro por marca)
-  let candidateIndices;
+  let candidateIndices = null;
   if (brandFilter) {
     const filterLower = brandFilter.toLowerCase();
     candidateIndices = [];
@@ -283,7 +608,7 @@ export async function searchSimilar(queryEmbedding, topK = 5, brandFilter = null
       const meta = vectorStore.metadatas[i];
       const source = (meta?.source || '').toLowerCase();
       const brand = (meta?.brandName || '').toLowerCase();
-      if (source.includes(filterLower) || brand.includes(filterLower)) {
+      if ((source.includes(filterLower) || brand.includes(filterLower)) && matchesSignature(i) && isAccessible(i)) {
         candidateIndices.push(i);
       }
     }
@@ -292,17 +617,49 @@ export async function searchSimilar(queryEmbedding, topK = 5, brandFilter = null
     // Se nenhum doc corresponde ao filtro, busca em todos (fallback)
     if (candidateIndices.length === 0) {
       console.log(`⚠️ Nenhum doc encontrado para brand '${brandFilter}', buscando em todos`);
-      candidateIndices = vectorStore.embeddings.map((_, i) => i);
+      candidateIndices = null;
     }
-  } else {
-    candidateIndices = vectorStore.embeddings.map((_, i) => i);
+  }
+  if (!candidateIndices && (signatureFilter || access)) {
+    candidateIndices = [];
+    for (let i = 0; i < vectorStore.metadatas.length; i++) {
+      if (matchesSignature(i) && isAccessible(i)) candidateIndices.push(i);
+    }
+    // Nenhum chunk liberado para este usuário
+    if (candidateIndices.length === 0) return [];
   }
 
-  // Calcula similaridade apenas nos candidatos
-  const similarities = candidateIndices.map(idx => ({
-    index: idx,
-    similarity: cosineSimilarity(queryEmbedding, vectorStore.embeddings[idx])
-  }));
+  const sampleIdx = candidateIndices ? candidateIndices[0] : 0;
+  const sampleDim = vectorStore.embeddings[sampleIdx]?.length || 0;
+  if (sampleDim && queryEmbedding?.length !== sampleDim) {
+    throw createEmbeddingMismatchError(`Dimensão do embedding da query (${queryEmbedding?.length || 0}) difere dos documentos (${sampleDim})`);
+  }
+
+  const useAnn = annReady && (!candidateIndices || candidateIndices.length > HNSW_FILTER_EXACT_MAX);
+  let similarities;
+
+  if (useAnn) {
+    const positions = getIdPositionMap();
+    const allowed = candidateIndices ? new Set(candidateIndices.map(i => vectorStore.ids[i])) : null;
+    similarities = annIndex
+      .search(queryEmbedding, topK, { ef: Math.max(HNSW_EF_SEARCH, topK * 2), filter: allowed ? (id) => allowed.has(id) : null })
+      .filter(hit => positions.has(hit.id))
+      .map(hit => ({ index: positions.get(hit.id), similarity: hit.similarity }));
+
+    // Docs recém-adicionados que ainda não entraram no grafo: scan exato
+    for (const id of annPending) {
+      const idx = positions.get(id);
+      if (idx === undefined || (allowed && !allowed.has(id))) continue;
+      similarities.push({ index: idx, similarity: cosineSimilarity(queryEmbedding, vectorStore.embeddings[idx]) });
+    }
+  } else {
+    // Calcula similaridade apenas nos candidatos
+    const indices = candidateIndices || vectorStore.embeddings.map((_, i) => i);
+    similarities = indices.map(idx => ({
+      index: idx,
+      similarity: cosineSimilarity(queryEmbedding, vectorStore.embeddings[idx])
+    }));
+  }
 
   // Ordena por similaridade (maior primeiro)
   similarities.sort((a, b) => b.similarity - a.similarity);
@@ -318,88 +675,108 @@ export async function searchSimilar(queryEmbedding, topK = 5, brandFilter = null
   }));
 }
 
-function tokenizeForLexical(text) {
-  return String(text || '')
-    .toLowerCase()
-    .normalize('NFD')
-    .replace(/[\u0300-\u036f]/g, '')
-    .replace(/[^a-z0-9\s]/g, ' ')
-    .split(/\s+/)
-    .filter(t => t.length >= 2);
+/**
+ * Provedores/modelos de embedding presentes no store (provider:model → registros)
+ */
+export function getEmbeddingSignatures() {
+  return Object.fromEntries(getSignatureCounts());
 }
 
-function bm25Score(queryTokens, docTokens, docFreqMap, totalDocs, avgDocLen, k1 = 1.5, b = 0.75) {
-  if (!queryTokens.length || !docTokens.length) return 0;
-
-  const tf = new Map();
-  for (const t of docTokens) tf.set(t, (tf.get(t) || 0) + 1);
-
-  const uniqueQuery = Array.from(new Set(queryTokens));
-  let score = 0;
-  const docLen = docTokens.length;
-
-  for (const term of uniqueQuery) {
-    const freq = tf.get(term) || 0;
-    if (!freq) continue;
-
-    const df = docFreqMap.get(term) || 0;
-    const idf = Math.log(1 + (totalDocs - df + 0.5) / (df + 0.5));
-    const denom = freq + k1 * (1 - b + b * (docLen / Math.max(1, avgDocLen)));
-    score += idf * ((freq * (k1 + 1)) / Math.max(1e-9, denom));
-  }
-
-  return score;
+/**
+ * Estado do índice HNSW (ready=false → busca exata)
+ */
+export function getAnnIndexStats() {
+  return {
+    enabled: HNSW_ENABLED,
+    ready: annReady,
+    building: Boolean(annBuilding),
+    pending: annPending.size,
+    minDocs: HNSW_MIN_DOCS,
+    ...annIndex.getStats(),
+  };
 }
 
 /**
  * Busca lexical (BM25) para recuperação híbrida com o vetor.
+ * Usa o índice invertido persistente — só percorre as posting lists dos termos da query.
  */
-export async function searchLexical(query, topK = 10, brandFilter = null) {
-  const queryTokens = tokenizeForLexical(query);
-  if (queryTokens.length === 0 || vectorStore.documents.length === 0) return [];
+export async function searchLexical(query, topK = 10, brandFilter = null, { access = null } = {}) {
+  if (vectorStore.documents.length === 0) return [];
+
+  const hits = lexicalIndex.search(query, topK, combineDocFilters(brandMatchFilter(brandFilter), lexicalAccessFilter(access)));
+  const positions = getIdPositionMap();
+
+  return hits
+    .filter(hit => positions.has(hit.id))
+    .map(hit => {
+      const i = positions.get(hit.id);
+      return {
+        content: vectorStore.documents[i],
+        metadata: vectorStore.metadatas[i] || {},
+        similarity: hit.score,
+        distance: Math.max(0, 1 - hit.score),
+      };
+    });
+}
 
-  const candidates = [];
-  const filterLower = (brandFilter || '').toLowerCase();
+/**
+ * source → posições no store, ordenadas por chunkIndex (invalidado junto com idPositionMap)
+ */
+function getSourcePositionMap() {
+  if (!sourcePositionMap) {
+    sourcePositionMap = new Map();
+    vectorStore.metadatas.forEach((meta, i) => {
+      const source = meta?.source;
+      if (!source) return;
+      if (!sourcePositionMap.has(source)) sourcePositionMap.set(source, []);
+      sourcePositionMap.get(source).push(i);
+    });
+    const indexOf = (i) => vectorStore.metadatas[i]?.chunkIndex ?? -1;
+    for (const positions of sourcePositionMap.values()) positions.sort((a, b) => indexOf(a) - indexOf(b));
+  }
+  return sourcePositionMap;
+}
 
-  for (let i = 0; i < vectorStore.documents.length; i++) {
-    const meta = vectorStore.metadatas[i] || {};
-    if (filterLower) {
-      const source = String(meta?.source || '').toLowerCase();
-      const brand = String(meta?.brandName || '').toLowerCase();
-      if (!source.includes(filterLower) && !brand.includes(filterLower)) continue;
+/**
+ * Chunks de um source por faixa de chunkIndex e/ou de página, ordenados por chunkIndex.
+ * Usado para expandir um trecho recuperado com os vizinhos ou a página inteira.
+ * @param {string} source - metadata.source exato
+ * @param {object} range - { chunkIndexFrom, chunkIndexTo, pageFrom, pageTo, limit } (limites inclusivos)
+ */
+export function getChunksByRange(source, { chunkIndexFrom = null, chunkIndexTo = null, pageFrom = null, pageTo = null, limit = 200 } = {}) {
+  const positions = getSourcePositionMap().get(source);
+  if (!positions?.length) return [];
+
+  // Busca binária pelo primeiro chunkIndex da faixa
+  let start = 0;
+  if (Number.isFinite(chunkIndexFrom)) {
+    let lo = 0;
+    let hi = positions.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if ((vectorStore.metadatas[positions[mid]]?.chunkIndex ?? -1) < chunkIndexFrom) lo = mid + 1;
+      else hi = mid;
     }
-
-    const content = vectorStore.documents[i] || '';
-    const docTokens = tokenizeForLexical(content);
-    if (!docTokens.length) continue;
-
-    candidates.push({ index: i, content, metadata: meta, docTokens });
+    start = lo;
   }
 
-  if (!candidates.length) return [];
-
-  const totalDocs = candidates.length;
-  const avgDocLen = candidates.reduce((sum, c) => sum + c.docTokens.length, 0) / totalDocs;
-  const dfMap = new Map();
-
-  for (const c of candidates) {
-    const seen = new Set(c.docTokens);
-    for (const term of seen) dfMap.set(term, (dfMap.get(term) || 0) + 1);
+  const out = [];
+  for (let k = start; k < positions.length && out.length < limit; k++) {
+    const i = positions[k];
+    const meta = vectorStore.metadatas[i] || {};
+    if (Number.isFinite(chunkIndexTo) && (meta.chunkIndex ?? -1) > chunkIndexTo) break;
+    if (Number.isFinite(pageFrom) && !(meta.page >= pageFrom)) continue;
+    if (Number.isFinite(pageTo) && !(meta.page <= pageTo)) continue;
+    out.push({ id: vectorStore.ids[i], content: vectorStore.documents[i], metadata: meta });
   }
+  return out;
+}
 
-  const scored = candidates.map(c => {
-    const score = bm25Score(queryTokens, c.docTokens, dfMap, totalDocs, avgDocLen);
-    return {
-      content: c.content,
-      metadata: c.metadata,
-      similarity: score,
-      distance: Math.max(0, 1 - score),
-    };
-  });
-
-  return scored
-    .sort((a, b) => b.similarity - a.similarity)
-    .slice(0, topK);
+/**
+ * Estatísticas do índice lexical (documentos, termos, tamanho médio)
+ */
+export function getLexicalIndexStats() {
+  return lexicalIndex.getStats();
 }
 
 /**
@@ -488,6 +865,7 @@ export function removeSources(sourceNames) {
   }
 
   const keep = [];
+  const removedIds = [];
   let removed = 0;
 
   for (let i = 0; i < vectorStore.metadatas.length; i++) {
@@ -495,6 +873,7 @@ export function removeSources(sourceNames) {
     const shouldRemove = targets.some(t => srcNorm === t || srcNorm.includes(t) || t.includes(srcNorm));
     if (shouldRemove) {
       removed++;
+      removedIds.push(vectorStore.ids[i]);
     } else {
       keep.push(i);
     }
@@ -507,12 +886,26 @@ export function removeSources(sourceNames) {
       metadatas: keep.map(i => vectorStore.metadatas[i]),
       embeddings: keep.map(i => vectorStore.embeddings[i]),
     };
+    idPositionMap = null;
+    sourcePositionMap = null;
+    signatureCounts = null;
 
     // Reescreve o JSON principal e zera o append para evitar inconsistência
     saveToFile();
     if (fs.existsSync(APPEND_FILE)) {
       try { fs.unlinkSync(APPEND_FILE); } catch {}
     }
+    lexicalIndex.removeIds(removedIds);
+
+    for (const id of removedIds) annPending.delete(id);
+    if (annReady) {
+      annIndex.markDeleted(removedIds);
+      if (annIndex.deletedRatio() > HNSW_REBUILD_DELETED_RATIO) {
+        rebuildAnnIndex();
+      } else {
+        scheduleAnnSave();
+      }
+    }
   }
 
   return { removed, remaining: vectorStore.documents.length };
@@ -524,7 +917,8 @@ export function removeSources(sourceNames) {
 export async function getStats() {
   return {
     totalDocuments: vectorStore.documents.length,
-    collectionName: 'elevex_documents'
+    collectionName: 'elevex_documents',
+    storageFormat: getActiveStorageFormat(),
   };
 }
 
@@ -538,7 +932,14 @@ export async function clearCollection() {
     metadatas: [],
     ids: []
   };
+  idPositionMap = null;
+  sourcePositionMap = null;
+  signatureCounts = null;
   saveToFile();
+  lexicalIndex.clear();
+  annReady = false;
+  annPending = new Set();
+  annIndex.remove();
   // Limpa o append file também
   if (fs.existsSync(APPEND_FILE)) {
     try { fs.unlinkSync(APPEND_FILE); } catch {}
@@ -551,7 +952,11 @@ export default {
   addDocuments,
   searchSimilar,
   searchLexical,
+  getLexicalIndexStats,
+  getAnnIndexStats,
+  getEmbeddingSignatures,
   exportCorpus,
+  getChunksByRange,
   getStats,
   clearCollection,
   hasSource,
@@ -559,5 +964,6 @@ export default {
   removeSources,
   isLoading,
   getLoadingProgress,
-  compactStore
+  compactStore,
+  migrateStorage
 };
@@ -5,16 +5,46 @@
  * - Se QDRANT_URL estiver configurado: usa Qdrant
  */
 
+import path from 'path';
+import { fileURLToPath } from 'url';
 import * as local from './vectorStore.js';
+import { createLexicalIndex, brandMatchFilter, combineDocFilters } from './lexicalIndex.js';
+import { isChunkAllowed, lexicalAccessFilter } from './brandAcl.js';
+import { indexFaultCodeChunks, removeFaultCodesBySource, clearFaultCodes } from './faultCodeStore.js';
+import { indexPinoutChunks, removePinoutsBySource, clearPinouts } from './pinoutStore.js';
+import { getEmbeddingInfo } from './embeddingService.js';
+import { signatureFromMetadata, createEmbeddingMismatchError } from './embeddingProviders.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
 
 const QDRANT_URL = (process.env.QDRANT_URL || '').trim();
 const QDRANT_API_KEY = (process.env.QDRANT_API_KEY || '').trim();
 const QDRANT_COLLECTION = (process.env.QDRANT_COLLECTION || 'elevex_documents').trim();
 const VECTOR_SIZE = Math.max(1, parseInt(process.env.QDRANT_VECTOR_SIZE || '3072', 10));
 const QDRANT_CORPUS_CACHE_TTL_MS = Math.max(1000, parseInt(process.env.QDRANT_CORPUS_CACHE_TTL_MS || '30000', 10));
+const QDRANT_ACL_OVERFETCH = Math.max(1, parseInt(process.env.QDRANT_ACL_OVERFETCH || '4', 10));
 
 const qdrantCorpusCache = new Map();
 
+// Índice BM25 persistente do corpus Qdrant (mesma estrutura do store local)
+const qdrantLexicalIndex = createLexicalIndex(path.join(__dirname, '..', 'data', 'lexical_index_qdrant.ndjson'));
+let qdrantLexicalReady = null;
+// Assinatura de embedding (provider:model) da coleção Qdrant, lida de um ponto de amostra
+let qdrantEmbeddingSignature = undefined;
+
+/**
+ * Mantém as tabelas extraídas na ingestão (códigos de falha, pinagem) junto com o store;
+ * erro nelas não derruba a ingestão
+ */
+function syncIngestTables(label, fn) {
+  try {
+    fn();
+  } catch (error) {
+    console.warn(`⚠️  Tabelas de falhas/pinagem (${label}) falharam: ${error.message}`);
+  }
+}
+
 function isQdrantEnabled() {
   return Boolean(QDRANT_URL);
 }
@@ -146,6 +176,10 @@ export async function getStats() {
 }
 
 export async function clearCollection() {
+  syncIngestTables('clear', () => {
+    clearFaultCodes();
+    clearPinouts();
+  });
   if (!isQdrantEnabled()) return local.clearCollection();
 
   // Delete and recreate
@@ -158,15 +192,41 @@ export async function clearCollection() {
 
   await ensureQdrantCollection();
   invalidateQdrantCorpusCache();
+  qdrantEmbeddingSignature = undefined;
+  qdrantLexicalIndex.clear();
+  qdrantLexicalReady = Promise.resolve();
 }
 
+/**
+ * Local: merge NDJSON → vectors.json. Qdrant: reconstrói o índice lexical a partir da coleção.
+ */
 export function compactStore() {
   if (!isQdrantEnabled()) return local.compactStore();
-  // no-op
+  qdrantLexicalReady = rebuildQdrantLexicalIndex();
+  return qdrantLexicalReady;
+}
+
+/**
+ * Grava em cada registro o provedor/modelo que gerou o embedding
+ */
+function stampEmbeddingInfo(chunks) {
+  const { provider, model } = getEmbeddingInfo();
+  return chunks.map(chunk => ({
+    ...chunk,
+    metadata: { ...(chunk.metadata || {}), embeddingProvider: provider, embeddingModel: model },
+  }));
 }
 
 export async function addDocuments(chunks, embeddings) {
-  if (!isQdrantEnabled()) return local.addDocuments(chunks, embeddings);
+  chunks = stampEmbeddingInfo(chunks);
+  if (!isQdrantEnabled()) {
+    const result = await local.addDocuments(chunks, embeddings);
+    syncIngestTables('add', () => {
+      indexFaultCodeChunks(chunks);
+      indexPinoutChunks(chunks);
+    });
+    return result;
+  }
   await ensureQdrantCollection();
 
   const batchSize = Math.max(1, parseInt(process.env.QDRANT_UPSERT_BATCH || '128', 10));
@@ -189,6 +249,21 @@ export async function addDocuments(chunks, embeddings) {
   }
 
   invalidateQdrantCorpusCache();
+  // Coleção estava vazia: relê a assinatura na próxima busca
+  if (qdrantEmbeddingSignature === null) qdrantEmbeddingSignature = undefined;
+  if (qdrantLexicalReady) await qdrantLexicalReady.catch(() => {});
+  qdrantLexicalIndex.addDocuments(chunks.map(c => ({
+    id: c.id,
+    content: c.content,
+    source: c.metadata?.source,
+    brandName: c.metadata?.brandName,
+    title: c.metadata?.title,
+    model: c.metadata?.model,
+  })));
+  syncIngestTables('add', () => {
+    indexFaultCodeChunks(chunks);
+    indexPinoutChunks(chunks);
+  });
 
   return true;
 }
@@ -202,34 +277,6 @@ function normalizeStr(str) {
     .trim();
 }
 
-function tokenizeForLexical(text) {
-  return String(text || '')
-    .toLowerCase()
-    .normalize('NFD')
-    .replace(/[\u0300-\u036f]/g, '')
-    .replace(/[^a-z0-9\s]/g, ' ')
-    .split(/\s+/)
-    .filter(t => t.length >= 2);
-}
-
-function bm25Score(queryTokens, docTokens, docFreqMap, totalDocs, avgDocLen, k1 = 1.5, b = 0.75) {
-  if (!queryTokens.length || !docTokens.length) return 0;
-  const tf = new Map();
-  for (const t of docTokens) tf.set(t, (tf.get(t) || 0) + 1);
-
-  let score = 0;
-  const docLen = docTokens.length;
-  for (const term of Array.from(new Set(queryTokens))) {
-    const freq = tf.get(term) || 0;
-    if (!freq) continue;
-    const df = docFreqMap.get(term) || 0;
-    const idf = Math.log(1 + (totalDocs - df + 0.5) / (df + 0.5));
-    const denom = freq + k1 * (1 - b + b * (docLen / Math.max(1, avgDocLen)));
-    score += idf * ((freq * (k1 + 1)) / Math.max(1e-9, denom));
-  }
-  return score;
-}
-
 async function collectQdrantCorpus(limit = 5000, brandFilter = null) {
   const cacheKey = getCorpusCacheKey(limit, brandFilter);
   const cached = qdrantCorpusCache.get(cacheKey);
@@ -370,6 +417,10 @@ export async function getIndexedSources() {
 }
 
 export async function removeSources(sourceNames) {
+  syncIngestTables('remove', () => {
+    removeFaultCodesBySource(sourceNames);
+    removePinoutsBySource(sourceNames);
+  });
   if (!isQdrantEnabled()) return local.removeSources(sourceNames);
 
   const names = (Array.isArray(sourceNames) ? sourceNames : []).filter(Boolean);
@@ -389,13 +440,47 @@ export async function removeSources(sourceNames) {
   const after = await getStats();
   const removed = Math.max(0, (before.totalDocuments || 0) - (after.totalDocuments || 0));
   if (removed > 0) invalidateQdrantCorpusCache();
+  if (qdrantLexicalReady) await qdrantLexicalReady.catch(() => {});
+  const nameSet = new Set(names);
+  qdrantLexicalIndex.removeWhere(doc => nameSet.has(doc.source));
   return { removed, remaining: after.totalDocuments || 0 };
 }
 
-export async function searchSimilar(queryEmbedding, topK = 5, brandFilter = null) {
-  if (!isQdrantEnabled()) return local.searchSimilar(queryEmbedding, topK, brandFilter);
+/**
+ * Lê a assinatura de embedding de um ponto da coleção (null = coleção vazia)
+ */
+async function getQdrantEmbeddingSignature() {
+  if (qdrantEmbeddingSignature !== undefined) return qdrantEmbeddingSignature;
+  const res = await qdrantFetch(`/collections/${encodeURIComponent(QDRANT_COLLECTION)}/points/scroll`, {
+    method: 'POST',
+    headers: qdrantHeaders(),
+    body: JSON.stringify({ limit: 1, with_payload: ['metadata'], with_vector: false }),
+  });
+  const data = await res.json();
+  const point = data?.result?.points?.[0];
+  qdrantEmbeddingSignature = point ? signatureFromMetadata(point?.payload?.metadata) : null;
+  return qdrantEmbeddingSignature;
+}
+
+/**
+ * Busca semântica. Recusa (EMBEDDING_MISMATCH) quando o embedding da query
+ * vem de provedor/modelo diferente do usado nos documentos.
+ */
+export async function searchSimilar(queryEmbedding, topK = 5, brandFilter = null, { access = null } = {}) {
+  const { signature } = getEmbeddingInfo();
+  if (!isQdrantEnabled()) return local.searchSimilar(queryEmbedding, topK, brandFilter, { embeddingSignature: signature, access });
 
   await ensureQdrantCollection();
+  if (queryEmbedding?.length !== VECTOR_SIZE) {
+    throw createEmbeddingMismatchError(`Dimensão do embedding da query (${queryEmbedding?.length || 0}) difere da coleção Qdrant (${VECTOR_SIZE})`);
+  }
+  const collectionSignature = await getQdrantEmbeddingSignature();
+  if (collectionSignature && collectionSignature !== signature) {
+    throw createEmbeddingMismatchError(
+      `Embedding da query (${signature}) incompatível com a coleção Qdrant (${collectionSignature}). ` +
+      'Reindexe os documentos ou ajuste EMBEDDING_PROVIDER/EMBEDDING_MODEL.'
+    );
+  }
 
   const mapResult = (r) => ({
     content: r?.payload?.content || '',
@@ -405,6 +490,14 @@ export async function searchSimilar(queryEmbedding, topK = 5, brandFilter = null
     _payload: r?.payload || {},
   });
 
+  // ACL por marca: o Qdrant não conhece os grants, então busca mais e filtra aqui
+  const fetchLimit = access ? topK * QDRANT_ACL_OVERFETCH : topK;
+  const isAccessible = (r) => isChunkAllowed(access, {
+    source: r._payload.source,
+    brandName: r._payload.brandName,
+    ...r.metadata,
+  });
+
   // ═══ SERVER-SIDE FILTER ═══
   // Usa filtro nativo do Qdrant quando brandFilter está definido.
   // Isso é MUITO mais preciso do que buscar tudo e filtrar client-side,
@@ -415,7 +508,7 @@ export async function searchSimilar(queryEmbedding, topK = 5, brandFilter = null
 
     const searchBody = {
       vector: queryEmbedding,
-      limit: topK,
+      limit: fetchLimit,
       with_payload: true,
       with_vector: false,
       filter: {
@@ -434,14 +527,14 @@ export async function searchSimilar(queryEmbedding, topK = 5, brandFilter = null
     });
 
     const data = await res.json();
-    let results = (data?.result || []).map(mapResult);
+    let results = (data?.result || []).map(mapResult).filter(isAccessible).slice(0, topK);
 
     // Fallback: se poucos resultados com filtro por brandName,
     // tenta também filtrar por substring no source (para PDFs sem brandName)
     if (results.length < topK) {
       const fallbackBody = {
         vector: queryEmbedding,
-        limit: Math.max(topK * 3, 30),
+        limit: Math.max(fetchLimit * 3, 30),
         with_payload: true,
         with_vector: false,
       };
@@ -462,7 +555,7 @@ export async function searchSimilar(queryEmbedding, topK = 5, brandFilter = null
 
         const src = (r?.payload?.source || '').toLowerCase();
         const brand = (r?.payload?.brandName || '').toLowerCase();
-        if (src.includes(filterLower) || brand.includes(filterLower)) {
+        if ((src.includes(filterLower) || brand.includes(filterLower)) && isAccessible(mapped)) {
           seen.add(key);
           results.push(mapped);
         }
@@ -479,49 +572,165 @@ export async function searchSimilar(queryEmbedding, topK = 5, brandFilter = null
     headers: qdrantHeaders(),
     body: JSON.stringify({
       vector: queryEmbedding,
-      limit: topK,
+      limit: fetchLimit,
       with_payload: true,
       with_vector: false,
     }),
   });
 
   const data = await res.json();
-  return (data?.result || []).map(mapResult).slice(0, topK);
+  return (data?.result || []).map(mapResult).filter(isAccessible).slice(0, topK);
 }
 
-export async function searchLexical(query, topK = 10, brandFilter = null) {
-  if (!isQdrantEnabled()) return local.searchLexical(query, topK, brandFilter);
-
+/**
+ * Reconstrói o índice lexical do Qdrant varrendo a coleção inteira (content/source/brandName + title/model do metadata).
+ */
+async function rebuildQdrantLexicalIndex() {
   await ensureQdrantCollection();
-  const corpus = await collectQdrantCorpus(Math.max(4000, topK * 200), brandFilter);
-  const queryTokens = tokenizeForLexical(query);
-  if (queryTokens.length === 0 || corpus.length === 0) return [];
-
-  const candidates = corpus
-    .map(d => ({ ...d, docTokens: tokenizeForLexical(d.content || '') }))
-    .filter(d => d.docTokens.length > 0);
-  if (!candidates.length) return [];
-
-  const totalDocs = candidates.length;
-  const avgDocLen = candidates.reduce((sum, d) => sum + d.docTokens.length, 0) / totalDocs;
-  const dfMap = new Map();
-  for (const d of candidates) {
-    for (const term of new Set(d.docTokens)) {
-      dfMap.set(term, (dfMap.get(term) || 0) + 1);
+  const startTime = Date.now();
+  const entries = [];
+  let next = null;
+
+  while (true) {
+    const res = await qdrantFetch(`/collections/${encodeURIComponent(QDRANT_COLLECTION)}/points/scroll`, {
+      method: 'POST',
+      headers: qdrantHeaders(),
+      body: JSON.stringify({
+        limit: 512,
+        offset: next,
+        with_payload: ['content', 'source', 'brandName', 'metadata'],
+        with_vector: false,
+      }),
+    });
+
+    const data = await res.json();
+    const points = data?.result?.points || [];
+    for (const p of points) {
+      entries.push({
+        id: p?.id,
+        content: p?.payload?.content || '',
+        source: p?.payload?.source,
+        brandName: p?.payload?.brandName,
+        title: p?.payload?.metadata?.title,
+        model: p?.payload?.metadata?.model,
+      });
     }
+
+    next = data?.result?.next_page_offset || null;
+    if (!next || points.length === 0) break;
   }
 
-  const scored = candidates.map(d => {
-    const score = bm25Score(queryTokens, d.docTokens, dfMap, totalDocs, avgDocLen);
-    return {
-      content: d.content,
-      metadata: d.metadata,
-      similarity: score,
-      distance: Math.max(0, 1 - score),
-    };
+  qdrantLexicalIndex.rebuild(entries);
+  console.log(`🔤 Índice lexical (Qdrant) reconstruído: ${entries.length} docs em ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+}
+
+/**
+ * Carrega o índice lexical do disco uma vez; reconstrói se o total divergir da coleção.
+ */
+function ensureQdrantLexicalIndex() {
+  if (!qdrantLexicalReady) {
+    qdrantLexicalReady = (async () => {
+      const found = await qdrantLexicalIndex.load();
+      const { totalDocuments } = await getStats();
+      if (!found || qdrantLexicalIndex.size() !== totalDocuments) {
+        console.log(`🔤 Índice lexical (Qdrant) ${found ? 'fora de sincronia' : 'ausente'}, reconstruindo...`);
+        await rebuildQdrantLexicalIndex();
+      }
+    })().catch(err => {
+      qdrantLexicalReady = null;
+      throw err;
+    });
+  }
+  return qdrantLexicalReady;
+}
+
+async function retrieveQdrantPoints(ids) {
+  if (!ids.length) return new Map();
+  const res = await qdrantFetch(`/collections/${encodeURIComponent(QDRANT_COLLECTION)}/points`, {
+    method: 'POST',
+    headers: qdrantHeaders(),
+    body: JSON.stringify({ ids, with_payload: true, with_vector: false }),
   });
+  const data = await res.json();
+  return new Map((data?.result || []).map(p => [String(p?.id), p?.payload || {}]));
+}
+
+export async function searchLexical(query, topK = 10, brandFilter = null, { access = null } = {}) {
+  if (!isQdrantEnabled()) return local.searchLexical(query, topK, brandFilter, { access });
 
-  return scored.sort((a, b) => b.similarity - a.similarity).slice(0, topK);
+  await ensureQdrantLexicalIndex();
+  const hits = qdrantLexicalIndex.search(query, topK, combineDocFilters(brandMatchFilter(brandFilter), lexicalAccessFilter(access)));
+  if (!hits.length) return [];
+
+  // Busca payload só dos topK (em vez de varrer milhares de pontos por query)
+  const payloads = await retrieveQdrantPoints(hits.map(h => h.id));
+  return hits
+    .filter(hit => payloads.has(String(hit.id)))
+    .map(hit => {
+      const payload = payloads.get(String(hit.id));
+      return {
+        content: payload?.content || '',
+        metadata: payload?.metadata || {},
+        similarity: hit.score,
+        distance: Math.max(0, 1 - hit.score),
+      };
+    });
+}
+
+/**
+ * Estatísticas do índice lexical ativo
+ */
+export async function getLexicalIndexStats() {
+  if (!isQdrantEnabled()) return local.getLexicalIndexStats();
+  await ensureQdrantLexicalIndex();
+  return qdrantLexicalIndex.getStats();
+}
+
+/**
+ * Provedores/modelos de embedding dos documentos indexados
+ * (Qdrant: assinatura lida de um ponto de amostra)
+ */
+export async function getEmbeddingSignatures() {
+  if (!isQdrantEnabled()) return local.getEmbeddingSignatures();
+  await ensureQdrantCollection();
+  const signature = await getQdrantEmbeddingSignature();
+  return signature ? { [signature]: (await getStats()).totalDocuments } : {};
+}
+
+/**
+ * Estado do índice HNSW local (null no Qdrant, que tem índice próprio)
+ */
+export function getAnnIndexStats() {
+  return isQdrantEnabled() ? null : local.getAnnIndexStats();
+}
+
+/**
+ * Chunks de um source por faixa de chunkIndex/página (expansão de contexto no ragQuery).
+ * Qdrant: scroll com filtro de range no payload, ordenado aqui por chunkIndex.
+ */
+export async function getChunksByRange(source, range = {}) {
+  if (!isQdrantEnabled()) return local.getChunksByRange(source, range);
+  if (!source) return [];
+  await ensureQdrantCollection();
+
+  const { chunkIndexFrom = null, chunkIndexTo = null, pageFrom = null, pageTo = null, limit = 200 } = range;
+  const must = [{ key: 'source', match: { value: source } }];
+  if (Number.isFinite(chunkIndexFrom) || Number.isFinite(chunkIndexTo)) {
+    must.push({ key: 'metadata.chunkIndex', range: { gte: chunkIndexFrom ?? undefined, lte: chunkIndexTo ?? undefined } });
+  }
+  if (Number.isFinite(pageFrom) || Number.isFinite(pageTo)) {
+    must.push({ key: 'metadata.page', range: { gte: pageFrom ?? undefined, lte: pageTo ?? undefined } });
+  }
+
+  const res = await qdrantFetch(`/collections/${encodeURIComponent(QDRANT_COLLECTION)}/points/scroll`, {
+    method: 'POST',
+    headers: qdrantHeaders(),
+    body: JSON.stringify({ limit: Math.max(1, Math.min(256, limit)), filter: { must }, with_payload: true, with_vector: false }),
+  });
+  const data = await res.json();
+  return (data?.result?.points || [])
+    .map(p => ({ id: p.id, content: p?.payload?.content || '', metadata: p?.payload?.metadata || {} }))
+    .sort((a, b) => (a.metadata.chunkIndex ?? -1) - (b.metadata.chunkIndex ?? -1));
 }
 
 export async function exportCorpus(limit = 5000, brandFilter = null) {
@@ -535,7 +744,11 @@ export default {
   addDocuments,
   searchSimilar,
   searchLexical,
+  getLexicalIndexStats,
+  getAnnIndexStats,
+  getEmbeddingSignatures,
   exportCorpus,
+  getChunksByRange,
   getStats,
   clearCollection,
   hasSource,
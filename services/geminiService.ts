@@ -1,4 +1,5 @@
 import { RAG_SERVER_URL, ragHeaders } from './ragApi';
+import { ConversationMemory } from '../types';
 
 // URL do servidor RAG (centralizada em ragApi.ts)
 
@@ -13,6 +14,8 @@ interface RAGResponse {
   }>;
   searchTime: number;
   documentsFound: number;
+  // Resumo das mensagens antigas de atendimentos longos (fatos, testes feitos, hipóteses descartadas)
+  memory?: ConversationMemory;
 }
 
 /**
@@ -37,6 +40,17 @@ export const queryRAG = async (
       })
     });
 
+    // Cota do plano esgotada (402 = assinar/renovar, 429 = aguardar o próximo ciclo)
+    if (response.status === 402 || response.status === 429) {
+      const data = await response.json().catch(() => ({}));
+      return {
+        answer: `⚠️ ${data.error || 'Limite de consultas do seu plano atingido.'}`,
+        sources: [],
+        searchTime: 0,
+        documentsFound: 0
+      };
+    }
+
     if (!response.ok) {
       console.warn('RAG server não disponível, usando modo direto');
       return null;
@@ -87,13 +101,16 @@ export const getRAGStats = async (): Promise<{ totalDocuments: number } | null>
   }
 };
 
-export const getDiagnostic = async (
+/**
+ * Resposta do diagnóstico + memória do atendimento (quando o servidor resumiu mensagens antigas)
+ */
+export const getDiagnosticWithMemory = async (
   query: string,
   history: { role: 'user' | 'model'; parts: { text: string }[] }[] = [],
   customSystemInstruction?: string,
   useRAG: boolean = true,
   brandFilter?: string
-): Promise<string> => {
+): Promise<{ text: string; memory?: ConversationMemory }> => {
   try {
     const systemInstruction = customSystemInstruction || '';
 
@@ -102,18 +119,29 @@ export const getDiagnostic = async (
       const ragResponse = await queryRAG(query, systemInstruction, brandFilter, history);
       
       if (ragResponse && ragResponse.answer) {
-        return ragResponse.answer;
+        return { text: ragResponse.answer, memory: ragResponse.memory };
       }
       
       // Se RAG não encontrou nada, retorna mensagem padrão (NÃO usa Gemini direto!)
-      return "❌ Não encontrei informações relevantes na base de conhecimento para responder sua pergunta.\n\nPor favor:\n- Verifique se os documentos corretos foram carregados\n- Tente reformular sua pergunta com termos mais específicos";
+      return { text: "❌ Não encontrei informações relevantes na base de conhecimento para responder sua pergunta.\n\nPor favor:\n- Verifique se os documentos corretos foram carregados\n- Tente reformular sua pergunta com termos mais específicos" };
     }
 
     // Fallback SEM RAG (só para casos especiais - desabilitado por padrão)
-    return "⚠️ O sistema está configurado para responder apenas com base na documentação. Por favor, carregue os manuais técnicos na Base de Conhecimento.";
+    return { text: "⚠️ O sistema está configurado para responder apenas com base na documentação. Por favor, carregue os manuais técnicos na Base de Conhecimento." };
 
   } catch (error) {
     console.error("Erro ao consultar:", error);
-    return "Desculpe, ocorreu um erro ao processar sua pergunta. Verifique se o servidor RAG está rodando.";
+    return { text: "Desculpe, ocorreu um erro ao processar sua pergunta. Verifique se o servidor RAG está rodando." };
   }
+};
+
+export const getDiagnostic = async (
+  query: string,
+  history: { role: 'user' | 'model'; parts: { text: string }[] }[] = [],
+  customSystemInstruction?: string,
+  useRAG: boolean = true,
+  brandFilter?: string
+): Promise<string> => {
+  const { text } = await getDiagnosticWithMemory(query, history, customSystemInstruction, useRAG, brandFilter);
+  return text;
 };
\ No newline at end of file
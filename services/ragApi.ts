@@ -3,6 +3,8 @@
  * Centralizes server URL and authentication for all RAG API calls
  */
 
+import { supabase } from './supabase';
+
 // Pode ser URL absoluta (ex.: http://localhost:3002 ou https://elevex...)
 // Se vazio, usa fetch relativo (/api/...) para funcionar com mesmo domínio/proxy
 export const RAG_SERVER_URL = (process.env.RAG_SERVER_URL || '').trim().replace(/\/+$/, '');
@@ -15,15 +17,16 @@ export function ragUrl(path: string): string {
   return `${RAG_SERVER_URL}${normalizedPath}`;
 }
 
-const RAG_API_KEY = process.env.RAG_API_KEY || '';
-const RAG_ADMIN_KEY = process.env.RAG_ADMIN_KEY || '';
+// Access token da sessão Supabase Auth — única credencial do navegador no servidor RAG
+// (API keys são só para chamadas serviço-a-serviço e nunca entram no bundle)
+let accessToken: string | null = null;
+supabase.auth.getSession().then(({ data }) => { accessToken = data.session?.access_token || null; }).catch(() => {});
+supabase.auth.onAuthStateChange((_event, session) => { accessToken = session?.access_token || null; });
 
 /**
- * Returns auth headers for RAG server requests
- * @param admin - Use admin key for protected routes (upload, clear, check-duplicates)
+ * Returns auth headers for RAG server requests (the user's Supabase JWT).
+ * Admin routes are authorized on the server from the token (profiles.is_admin).
  */
-export function ragHeaders(admin = false): Record<string, string> {
-  const key = admin ? (RAG_ADMIN_KEY || RAG_API_KEY) : RAG_API_KEY;
-  if (!key) return {};
-  return { 'x-api-key': key };
+export function ragHeaders(): Record<string, string> {
+  return accessToken ? { Authorization: `Bearer ${accessToken}` } : {};
 }
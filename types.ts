@@ -47,6 +47,13 @@ export interface Agent {
   createdBy?: string; // User ID of creator
 }
 
+// Resumo das mensagens antigas de atendimentos longos (devolvido pelo servidor RAG)
+export interface ConversationMemory {
+  facts: string[];
+  testsDone: string[];
+  ruledOut: string[];
+}
+
 export interface ChatSession {
   id: string;
   userId: string; 
@@ -56,6 +63,7 @@ export interface ChatSession {
   preview: string;
   isArchived?: boolean;
   messages: Message[];
+  memory?: ConversationMemory;
 }
 
 export interface UserProfile {